@@ -9,16 +9,21 @@ import { ScreenShotIcon } from './components/shared/Icons/Icons';
 import { SimulationCanvas } from './components/SimulationCanvas/SimulationCanvas';
 import { SimulationControls } from './components/SimulationControls/SimulationControls';
 import { Statistics } from './components/Statistics/Statistics';
+import { TraitSchemaEditor } from './components/TraitSchemaEditor/TraitSchemaEditor';
 import { useNotifications } from './context/useNotifications';
+import { TraitCalculator } from './core/organisms/TraitCalculator';
 import { GameEngine } from './engine/GameEngine';
 import { World } from './simulation/world/World';
 import { getRecommendedWorldSize, isMobileDevice } from './utils/mobileDetect';
 import { downloadCanvas, timestampFilename } from './utils/screenshot';
-import { loadEnvironmentSettings, loadSampleFrequency, saveEnvironmentSettings, saveSampleFrequency } from './utils/storage';
+import { loadEnvironmentSettings, loadSampleFrequency, loadTraitSchema, saveEnvironmentSettings, saveSampleFrequency } from './utils/storage';
 
 const WIDTH_RESOLUTIONS = {low: 800, medium: 1280, high: 1920, ultra: 2560};
 const HEIGHT_RESOLUTIONS = {low: 600, medium: 720, high: 1080, ultra: 1440};
 
+// Clicking this close (world pixels) to the first vertex of a polygon being drawn closes it
+const POLYGON_CLOSE_DISTANCE = 15;
+
 function App() {
   
   const isMobile = isMobileDevice();
@@ -57,6 +62,13 @@ function App() {
   const updateCounterRef = useRef(0);
   const lastUIUpdateRef = useRef(0);
   const [settingsOpen, setSettingsOpen] = useState(false);
+  const [biomeBrush, setBiomeBrush] = useState(null); // Biome painted by dragging on the canvas (null = pan)
+  // Obstacle editing: tool ('segment', 'polygon', 'circle', 'erase'; null = pan) and the shape being drawn
+  // (world coordinates), mirrored in a ref so mouse handlers read the latest one
+  const [obstacleTool, setObstacleTool] = useState(null);
+  const [obstacleDraft, setObstacleDraft] = useState(null);
+  const obstacleDraftRef = useRef(null);
+  const obstacleStrokeRef = useRef(false);
 
   // Load saved environment settings and sample frequency on startup
   useEffect(() => {
@@ -67,6 +79,15 @@ function App() {
         world.setEnvironmentParams(savedSettings);
         forceUpdate({}); // Force UI update to reflect loaded settings
       }
+      return loadTraitSchema(world.traitScenario);
+    }).then(savedSchema => {
+      // Re-spawn so the whole population is expressed under the scenario's trait schema
+      if (savedSchema) {
+        console.log(`Restoring trait schema "${world.traitScenario}" from IndexedDB`);
+        TraitCalculator.setSchema(savedSchema);
+        world.spawnInitialPopulation();
+        forceUpdate({});
+      }
     }).catch(err => {
       console.error('Failed to load environment settings:', err);
     });
@@ -152,6 +173,84 @@ function App() {
     forceUpdate({});
   };
 
+  const handleBiomePaint = (x, y) => {
+    world.paintBiome(x, y, biomeBrush, 2);
+  };
+
+  // Save the painted map once the stroke ends rather than on every cell
+  const handleBiomePaintEnd = () => {
+    saveEnvironmentSettings(world.getEnvironmentParams()).catch(err => {
+      console.error('Failed to save environment settings:', err);
+    });
+    forceUpdate({});
+  };
+
+  const handleBiomeBrushChange = (brush) => {
+    setBiomeBrush(brush);
+    if (brush) handleObstacleToolChange(null);
+  };
+
+  const updateObstacleDraft = (draft) => {
+    obstacleDraftRef.current = draft;
+    setObstacleDraft(draft);
+  };
+
+  const handleObstacleToolChange = (tool) => {
+    setObstacleTool(tool);
+    updateObstacleDraft(null);
+    if (tool) setBiomeBrush(null);
+  };
+
+  // Add the drawn shape to the world (too small shapes are dropped) and save the layout
+  const handleObstacleFinish = () => {
+    const draft = obstacleDraftRef.current;
+    updateObstacleDraft(null);
+    if (draft && world.addObstacle(draft)) handleBiomePaintEnd();
+  };
+
+  // Segments and rocks are dragged out in one stroke; polygons get a vertex per click and close
+  // on a click at their first vertex
+  const handleObstaclePaint = (x, y) => {
+    const draft = obstacleDraftRef.current;
+
+    if (obstacleStrokeRef.current) {
+      if (draft?.type === 'segment') {
+        updateObstacleDraft({ ...draft, x2: x, y2: y });
+      } else if (draft?.type === 'circle') {
+        updateObstacleDraft({ ...draft, radius: Math.hypot(x - draft.x, y - draft.y) });
+      } else if (draft?.type === 'polygon') {
+        updateObstacleDraft({ ...draft, points: [...draft.points.slice(0, -1), { x, y }] });
+      }
+      return;
+    }
+    obstacleStrokeRef.current = true;
+
+    if (obstacleTool === 'erase') {
+      if (world.removeObstacleAt(x, y)) handleBiomePaintEnd();
+    } else if (obstacleTool === 'segment') {
+      updateObstacleDraft({ type: 'segment', x1: x, y1: y, x2: x, y2: y });
+    } else if (obstacleTool === 'circle') {
+      updateObstacleDraft({ type: 'circle', x, y, radius: 0 });
+    } else if (draft?.points.length >= 3 &&
+      Math.hypot(x - draft.points[0].x, y - draft.points[0].y) < POLYGON_CLOSE_DISTANCE) {
+      handleObstacleFinish();
+    } else {
+      updateObstacleDraft({ type: 'polygon', points: [...(draft?.points ?? []), { x, y }] });
+    }
+  };
+
+  const handleObstaclePaintEnd = () => {
+    obstacleStrokeRef.current = false;
+    const type = obstacleDraftRef.current?.type;
+    if (type === 'segment' || type === 'circle') handleObstacleFinish();
+  };
+
+  const handleApplyTraitSchema = (scenario, schema) => {
+    TraitCalculator.setSchema(schema);
+    handleEnvironmentChange({ traitScenario: scenario });
+    handleEnvironmentChange({ restart: true });
+  };
+
   const handleRestart = () => {
     world.spawnInitialPopulation();
     setHighlightedSpeciesId(null); 
@@ -260,6 +359,7 @@ function App() {
         onZoomReset={handleZoomReset}
         onResetView={handleResetView}
         onOpenSettings={() => setSettingsOpen(true)}
+        onEnvironmentChange={handleEnvironmentChange}
       />
 
       <div className="main-container">
@@ -278,6 +378,10 @@ function App() {
             height={worldSize.height}
             highlightedSpeciesId={highlightedSpeciesId}
             overlays={overlays}
+            paintMode={!!biomeBrush || !!obstacleTool}
+            onPaint={obstacleTool ? handleObstaclePaint : handleBiomePaint}
+            onPaintEnd={obstacleTool ? handleObstaclePaintEnd : handleBiomePaintEnd}
+            paintPreview={obstacleDraft}
             ref={canvasRef}
           />
         </div>
@@ -308,6 +412,12 @@ function App() {
             >
               Genealogy
             </button>
+            <button
+              className={`tab-button ${activeTab === 'traits' ? 'active' : ''}`}
+              onClick={() => setActiveTab('traits')}
+            >
+              Traits
+            </button>
           </div>
 
           <div className="tab-content">
@@ -324,6 +434,12 @@ function App() {
               <EnvironmentControls
                 world={world}
                 onEnvironmentChange={handleEnvironmentChange}
+                biomeBrush={biomeBrush}
+                onBiomeBrushChange={handleBiomeBrushChange}
+                obstacleTool={obstacleTool}
+                onObstacleToolChange={handleObstacleToolChange}
+                obstacleDraft={obstacleDraft}
+                onObstacleFinish={handleObstacleFinish}
               />
             )}
 
@@ -339,6 +455,13 @@ function App() {
                 genealogyTracker={world.genealogyTracker}
               />
             )}
+
+            {activeTab === 'traits' && (
+              <TraitSchemaEditor
+                world={world}
+                onApplySchema={handleApplyTraitSchema}
+              />
+            )}
           </div>
         </div>
       </div>
@@ -1,9 +1,55 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
+import { useNotifications } from '../../context/useNotifications';
+import { SequenceIO } from '../../core/genetics/SequenceIO';
+import { Diet } from '../../core/organisms/Diet';
+import { TraitCalculator } from '../../core/organisms/TraitCalculator';
 import { OrganismRenderer } from '../../rendering/OrganismRenderer';
 import { CompareIcon, InfoIcon } from '../shared/Icons/Icons';
 import { ComparisonPopup } from './ComparisonPopup';
 import { GenomePopup } from './GenomePopup';
 
+// Behavior traits summarized on species cards: [trait, icon, format]
+const BEHAVIOR_SUMMARY = [
+  ['tumbleRate', '🌀', value => `${value.toFixed(2)}/s`],
+  ['explorationBias', '🧭', value => value.toFixed(2)],
+  ['attackThreshold', '⚔️', value => `≥${value.toFixed(2)}`],
+  ['powerAdvantage', '💪', value => `×${value.toFixed(2)}`],
+  ['fleeRatio', '🏃', value => `×${value.toFixed(2)}`],
+  ['reactionTime', '⏱️', value => `${Math.round(value)}ms`]
+];
+
+// Trophic guild icons (Diet.getGuild)
+const GUILD_ICONS = { autotroph: '☀️', herbivore: '🌿', carnivore: '🥩', scavenger: '🦴', omnivore: '🍽️' };
+
+/**
+ * Species-average behavior traits: foraging and fighting strategy of the lineage,
+ * with its most common trophic guild and mean trophic level
+ */
+function SpeciesBehavior({ organisms }) {
+  const average = (trait) => organisms.reduce((sum, org) => sum + org.phenotype[trait], 0) / organisms.length;
+
+  const guildCounts = {};
+  for (const org of organisms) {
+    const guild = Diet.getGuild(org.phenotype);
+    guildCounts[guild] = (guildCounts[guild] || 0) + 1;
+  }
+  const guild = Object.keys(guildCounts).reduce((a, b) => (guildCounts[b] > guildCounts[a] ? b : a));
+  const trophicLevel = organisms.reduce((sum, org) => sum + org.getTrophicLevel(), 0) / organisms.length;
+
+  return (
+    <div className="species-behavior">
+      <span title={`Most common trophic guild: ${guild}; mean trophic level`}>
+        {GUILD_ICONS[guild]} {guild} T{trophicLevel.toFixed(1)}
+      </span>
+      {BEHAVIOR_SUMMARY.map(([trait, icon, format]) => (
+        <span key={trait} title={TraitCalculator.TRAIT_RULES[trait]?.description}>
+          {icon} {format(average(trait))}
+        </span>
+      ))}
+    </div>
+  );
+}
+
 
 
 function SpeciesThumbnailExact({ speciesId, organism, size = 64, thumbCacheRef }) {
@@ -71,6 +117,7 @@ function SpeciesThumbnailExact({ speciesId, organism, size = 64, thumbCacheRef }
  * CreatureViewer - Display species and their genomes
  */
 export function CreatureViewer({ world, onSpeciesHighlight, overlays, onUpdateOverlays }) {
+  const { notify } = useNotifications();
   const [selectedSpecies, setSelectedSpecies] = useState(null);
   const [genomePopupOrganism, setGenomePopupOrganism] = useState(null);
   const [selectedForComparison, setSelectedForComparison] = useState(new Set());
@@ -80,6 +127,7 @@ export function CreatureViewer({ world, onSpeciesHighlight, overlays, onUpdateOv
 
   
   const repMapRef = useRef({});
+  const importInputRef = useRef(null);
   
   const thumbCacheRef = useRef(new Map());
 
@@ -136,6 +184,22 @@ export function CreatureViewer({ world, onSpeciesHighlight, overlays, onUpdateOv
     setSelectedForComparison(new Set());
   };
 
+  // Import a FASTA/GenBank genome and spawn a new species from it
+  const handleImportGenome = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !world) return;
+
+    try {
+      const { genome } = SequenceIO.parse(await file.text());
+      const spawned = world.spawnFromGenome(genome, 5);
+      const speciesInfo = spawned[0].getSpeciesInfo();
+      notify('genome', `🧬 Imported ${file.name} as ${speciesInfo.emoji} ${speciesInfo.name} (${spawned.length} organisms)`);
+    } catch (error) {
+      notify('error', `Genome import failed: ${error.message}`, { timeout: 8000 });
+    }
+  };
+
   
   const species = useMemo(() => {
     const groups = {};
@@ -272,6 +336,20 @@ export function CreatureViewer({ world, onSpeciesHighlight, overlays, onUpdateOv
             >
               Clear
             </button>
+            <button
+              className="select-all-btn"
+              onClick={() => importInputRef.current?.click()}
+              title="Spawn a species from a FASTA or GenBank genome file"
+            >
+              Import
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".fasta,.fa,.fna,.gb,.gbk,.txt"
+              style={{ display: 'none' }}
+              onChange={handleImportGenome}
+            />
           </div>
           {selectedForComparison.size > 0 && (
             <button
@@ -313,6 +391,7 @@ export function CreatureViewer({ world, onSpeciesHighlight, overlays, onUpdateOv
                   })()}
                 </div>
                 <div className="species-count">Pop: {sp.organisms.length}</div>
+                <SpeciesBehavior organisms={sp.organisms} />
               </div>
             </div>
             <button
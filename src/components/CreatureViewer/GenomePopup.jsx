@@ -1,12 +1,24 @@
 import { createPortal } from 'react-dom';
+import { useNotifications } from '../../context/useNotifications';
+import { Epigenetics } from '../../core/genetics/Epigenetics';
+import { MutationEffect } from '../../core/genetics/mutations/MutationEffect';
+import { Diet } from '../../core/organisms/Diet';
+import { SequenceIO } from '../../core/genetics/SequenceIO';
+import { downloadText } from '../../utils/download';
 import { CloseIcon, DNAIcon } from '../shared/Icons/Icons';
+import { MutationHistory } from './MutationHistory';
 import { RadarChart } from './RadarChart';
+import { TraitContributions } from './TraitContributions';
+
+// Food source names for the diet overview
+const DIET_SOURCE_LABELS = { plant: 'plants', meat: 'prey', carrion: 'carrion' };
 
 /**
  * GenomePopup - Detailed genome viewer modal
  */
 export function GenomePopup({ organism, onClose }) {
-  
+  const { notify } = useNotifications();
+
   if (!organism) return null;
 
 
@@ -38,6 +50,41 @@ export function GenomePopup({ organism, onClose }) {
 
   const genes = organism.genome.getGeneNames();
 
+  // Effects of the mutations this organism acquired at birth, per changed gene (most severe wins)
+  const birthMutations = organism.birthMutations || [];
+  const birthDescription = birthMutations.map(mutation => mutation.description).join('\n');
+  const geneEffects = new Map();
+  const addedGenes = new Set();
+  for (const mutation of birthMutations) {
+    for (const { gene, effect } of mutation.effect?.genes || []) {
+      geneEffects.set(gene, MutationEffect.getMostSevere([geneEffects.get(gene) ?? effect, effect]));
+    }
+    mutation.effect?.addedGenes.forEach(gene => addedGenes.add(gene));
+  }
+
+  // Heritable epigenetic marks (gene -> { value, cause, generation })
+  const epigeneticMarks = organism.epigeneticMarks || {};
+  const markCount = Object.keys(epigeneticMarks).length;
+
+  // Export genome as FASTA or GenBank (species code, organism id and generation in headers)
+  const handleExport = (format) => {
+    const speciesInfo = organism.getSpeciesInfo();
+    const metadata = {
+      speciesCode: speciesInfo.code,
+      speciesName: speciesInfo.name,
+      organismId: organism.id,
+      generation: organism.generation ?? 0
+    };
+    const isFasta = format === 'fasta';
+    const content = isFasta
+      ? SequenceIO.toFASTA(organism.genome, metadata)
+      : SequenceIO.toGenBank(organism.genome, metadata);
+    const filename = `${speciesInfo.code}-organism-${organism.id}.${isFasta ? 'fasta' : 'gb'}`;
+
+    downloadText(content, filename);
+    notify('genome', `🧬 Genome exported: ${filename}`, { timeout: 3000 });
+  };
+
   if (!genes || genes.length === 0) {
     console.error('❌ No genes found in genome');
 
@@ -73,9 +120,17 @@ export function GenomePopup({ organism, onClose }) {
               })()}
             </h2>
           </div>
-          <button className="genome-popup-close" onClick={onClose}>
-            <CloseIcon size={24} />
-          </button>
+          <div className="genome-popup-actions">
+            <button className="select-all-btn" onClick={() => handleExport('fasta')} title="Export genome as FASTA">
+              FASTA
+            </button>
+            <button className="select-all-btn" onClick={() => handleExport('genbank')} title="Export genome as GenBank">
+              GenBank
+            </button>
+            <button className="genome-popup-close" onClick={onClose}>
+              <CloseIcon size={24} />
+            </button>
+          </div>
         </div>
 
         <div className="genome-popup-content">
@@ -102,8 +157,71 @@ export function GenomePopup({ organism, onClose }) {
                 {(organism.energy || 0).toFixed(1)} / {organism.maxEnergy || 100}
               </span>
             </div>
+            <div className="overview-stat">
+              <span className="stat-label">Birth Mutations:</span>
+              <span className="stat-value" title={birthDescription || 'Identical to parent genome'}>
+                {birthMutations.length > 0
+                  ? birthMutations.map(mutation => `${mutation.type} (${mutation.effect?.effect || 'structural'})`).join(', ')
+                  : 'none'}
+              </span>
+            </div>
+            {organism.genome.isDiploid && (
+              <div className="overview-stat">
+                <span className="stat-label">Heterozygosity:</span>
+                <span className="stat-value" title={`Diploid, ${organism.genome.dominance} dominance`}>
+                  {(organism.getHeterozygosity() * 100).toFixed(0)}%
+                  ({genes.filter(name => organism.genome.isHeterozygous(name)).length}/{genes.length} loci)
+                </span>
+              </div>
+            )}
+            <div className="overview-stat">
+              <span className="stat-label">Epigenetic Marks:</span>
+              <span className="stat-value">
+                {markCount > 0
+                  ? Epigenetics.describe(epigeneticMarks)
+                    .map(({ geneName, effect, cause }) => `${geneName} ${effect === 'boost' ? '↑' : '↓'} (${cause})`)
+                    .join(', ')
+                  : 'none'}
+              </span>
+            </div>
+            <div className="overview-stat">
+              <span className="stat-label">Brain:</span>
+              <span className="stat-value">
+                {organism.genome.brain
+                  ? `Neural network (${organism.genome.brain.weights.length} weights, ` +
+                    `${organism.genome.brain.generation} generations of mutation)`
+                  : 'Rule-based'}
+              </span>
+            </div>
+            <div className="overview-stat">
+              <span className="stat-label">Diet:</span>
+              <span className="stat-value">
+                {`${Diet.getGuild(organism.phenotype)} (digests ` +
+                  Object.entries(DIET_SOURCE_LABELS)
+                    .map(([source, label]) => `${label} ${Diet.getDigestion(organism.phenotype, source).toFixed(2)}×`)
+                    .join(', ') +
+                  `), trophic level ${organism.getTrophicLevel().toFixed(2)}`}
+              </span>
+            </div>
+            {organism.genome.geneticCode && (
+              <div className="overview-stat">
+                <span className="stat-label">Genetic Code:</span>
+                <span
+                  className="stat-value"
+                  title={organism.genome.geneticCode.reassignments
+                    .map(({ codon, from, to }) => `${codon}: ${from} → ${to}`)
+                    .join('\n') || 'No reassigned codons'}
+                >
+                  {organism.genome.geneticCode.name}
+                </span>
+              </div>
+            )}
           </div>
 
+          <MutationHistory organism={organism} />
+
+          <TraitContributions organism={organism} />
+
           <div className="genome-genes-section">
             <h3>Genes ({genes.length})</h3>
             {genes.map(geneName => {
@@ -112,12 +230,52 @@ export function GenomePopup({ organism, onClose }) {
 
               const protein = organism.genome.expressedProteins?.[geneName];
               const sequence = gene.dna?.toString() || '';
+              const promoter = gene.getPromoter?.(organism.genome.geneticCode) || '';
+              const expressionLevel = organism.genome.expressionLevels?.[geneName] ?? 1;
+              const heterozygous = organism.genome.isHeterozygous(geneName);
+              const mark = epigeneticMarks[geneName];
+              const secondSequence = heterozygous ? organism.genome.getAllele(geneName, 1).dna.toString() : '';
+              const secondProtein = heterozygous ? organism.genome.expressedSecondAlleles?.[geneName] : null;
 
               return (
                 <div key={geneName} className="gene-detail-card">
                   <div className="gene-detail-header">
                     <h4>{geneName}</h4>
                     <span className="gene-length">{sequence.length} bp</span>
+                    {geneEffects.has(geneName) && (
+                      <span className={`mutation-effect effect-${geneEffects.get(geneName)}`} title={birthDescription}>
+                        {geneEffects.get(geneName)}
+                      </span>
+                    )}
+                    {addedGenes.has(geneName) && (
+                      <span className="mutation-effect effect-new" title={birthDescription}>
+                        new
+                      </span>
+                    )}
+                    <span className="gene-length" title="Current expression level (1.00x = normal)">
+                      {expressionLevel.toFixed(2)}x expression
+                    </span>
+                    {mark && (
+                      <span
+                        className={`epigenetic-mark mark-${mark.value >= 0 ? 'boost' : 'silence'}`}
+                        title={`Set by ${mark.cause} in generation ${mark.generation}; ` +
+                          `expression x${Epigenetics.getExpressionFactor(mark).toFixed(2)}`}
+                      >
+                        {mark.value >= 0 ? 'boosted' : 'methylated'} {Math.round(Math.abs(mark.value) * 100)}%
+                      </span>
+                    )}
+                    {organism.genome.isDiploid && (
+                      <span className="gene-length" title="Whether the two alleles of this gene differ">
+                        {heterozygous ? 'heterozygous' : 'homozygous'}
+                      </span>
+                    )}
+                  </div>
+
+                  <div className="gene-sequence">
+                    <div className="sequence-label">Promoter:</div>
+                    <div className="sequence-text">
+                      <span className="sequence-chunk">{promoter || 'none (constitutive)'}</span>
+                    </div>
                   </div>
 
                   <div className="gene-sequence">
@@ -132,6 +290,29 @@ export function GenomePopup({ organism, onClose }) {
                     </div>
                   </div>
 
+                  {heterozygous && (
+                    <div className="gene-sequence">
+                      <div className="sequence-label">
+                        Second Allele ({secondSequence.length} bp
+                        {secondProtein ? `, ${secondProtein.properties.length} amino acids` : ''}):
+                      </div>
+                      <div className="sequence-text">
+                        {secondSequence.match(/.{1,60}/g)?.map((chunk, i) => (
+                          <div key={i} className="sequence-line">
+                            <span className="line-number">{i * 60 + 1}</span>
+                            <span className="sequence-chunk">{chunk}</span>
+                          </div>
+                        ))}
+                        {secondProtein && (
+                          <div className="sequence-line">
+                            <span className="line-number">protein</span>
+                            <span className="sequence-chunk">{secondProtein.sequence}</span>
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  )}
+
                   {protein && (
                     <div className="protein-section">
                       <div className="protein-header">
@@ -152,6 +333,12 @@ export function GenomePopup({ organism, onClose }) {
                             </span>
                           ))}
                         </div>
+                        <div className="sequence-label" title="Predicted secondary structure: H = helix, E = sheet, C = coil">
+                          Secondary Structure:
+                        </div>
+                        <div className="sequence-text">
+                          <span className="sequence-chunk">{protein.properties.secondaryStructure}</span>
+                        </div>
                       </div>
 
                       <div className="protein-properties">
@@ -200,6 +387,24 @@ export function GenomePopup({ organism, onClose }) {
                             <span className="property-label">Flexibility:</span>
                             <span className="property-value">{protein.getFlexibility().toFixed(2)}</span>
                           </div>
+                          <div className="property-item">
+                            <span className="property-label">Molecular Weight:</span>
+                            <span className="property-value">{(protein.getMolecularWeight() / 1000).toFixed(2)} kDa</span>
+                          </div>
+                          <div className="property-item">
+                            <span className="property-label">Isoelectric Point:</span>
+                            <span className="property-value">pI {protein.properties.isoelectricPoint.toFixed(2)}</span>
+                          </div>
+                          <div className="property-item">
+                            <span className="property-label">Helix / Sheet:</span>
+                            <span className="property-value">
+                              {(protein.properties.helixRatio * 100).toFixed(0)}% / {(protein.properties.sheetRatio * 100).toFixed(0)}%
+                            </span>
+                          </div>
+                          <div className="property-item">
+                            <span className="property-label">Stability:</span>
+                            <span className="property-value">{protein.properties.stability.toFixed(2)}</span>
+                          </div>
                         </div>
                       </div>
                     </div>
@@ -0,0 +1,109 @@
+import { SequenceAlignment } from '../../core/genetics/SequenceAlignment';
+
+const ALIGNMENT_WIDTH = 60;
+
+/**
+ * MutationHistory - Mutations separating an organism from its species founder,
+ * plus an aligned per-gene diff against the founder genome
+ *
+ * For a species founder, shows the mutations that split it off from its parent species.
+ */
+export function MutationHistory({ organism }) {
+  const split = organism.splitHistory;
+  const isSplitFounder = organism.speciesFounderId === organism.id && split;
+  const mutations = isSplitFounder ? split.mutations : organism.mutationHistory || [];
+  const founderGenome = isSplitFounder ? split.founderGenome : organism.founderGenome;
+
+  const diff = founderGenome && founderGenome !== organism.genome
+    ? SequenceAlignment.diffGenomes(founderGenome, organism.genome).filter(gene => gene.status !== 'unchanged')
+    : [];
+
+  const title = isSplitFounder
+    ? `Mutations that split this species from SP-${String(split.fromSpeciesId).padStart(3, '0')}`
+    : 'Mutations since species founder';
+
+  return (
+    <div className="mutation-history-section">
+      <h3>{title} ({mutations.length})</h3>
+
+      {mutations.length === 0 ? (
+        <p className="mutation-history-empty">
+          {organism.speciesFounderId === organism.id
+            ? 'This organism is an original species founder.'
+            : 'Genome identical to the species founder.'}
+        </p>
+      ) : (
+        <div className="mutation-history-list">
+          {mutations.map((entry, i) => (
+            <div key={i} className="mutation-history-entry" title={entry.description}>
+              <span className="mutation-history-generation">gen {entry.generation}</span>
+              <span className="mutation-history-type">{entry.type}</span>
+              <span className="mutation-history-gene">{entry.gene ?? 'genetic code'}</span>
+              <span className="mutation-history-change">
+                {entry.position !== null && entry.position !== undefined ? `@${entry.position} ` : ''}
+                {entry.change ?? entry.description}
+              </span>
+              {entry.effect && (
+                <span className={`mutation-effect effect-${entry.effect}`}>{entry.effect}</span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {diff.length > 0 && (
+        <div className="founder-diff">
+          <div className="sequence-label">Diff against founder genome:</div>
+          {diff.map(({ name, status, alignment }) => (
+            <div key={name} className="founder-diff-gene">
+              <div className="founder-diff-header">
+                <strong>{name}</strong>
+                {alignment ? (
+                  <span className="gene-length">
+                    {alignment.substitutions} subst · {alignment.insertions} ins · {alignment.deletions} del
+                  </span>
+                ) : (
+                  <span className={`mutation-effect ${status === 'added' ? 'effect-new' : 'effect-nonsense'}`}>
+                    {status}
+                  </span>
+                )}
+              </div>
+              {alignment && <AlignmentView alignment={alignment} />}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * AlignmentView - Founder / marker / current rows, wrapped into blocks
+ */
+function AlignmentView({ alignment }) {
+  const blocks = [];
+  for (let i = 0; i < alignment.reference.length; i += ALIGNMENT_WIDTH) {
+    blocks.push(i);
+  }
+
+  return (
+    <div className="sequence-text">
+      {blocks.map(start => (
+        <div key={start} className="alignment-block">
+          <div className="sequence-line">
+            <span className="line-number">founder</span>
+            <span className="sequence-chunk">{alignment.reference.slice(start, start + ALIGNMENT_WIDTH)}</span>
+          </div>
+          <div className="sequence-line">
+            <span className="line-number"></span>
+            <span className="alignment-markers">{alignment.markers.slice(start, start + ALIGNMENT_WIDTH)}</span>
+          </div>
+          <div className="sequence-line">
+            <span className="line-number">current</span>
+            <span className="sequence-chunk">{alignment.query.slice(start, start + ALIGNMENT_WIDTH)}</span>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
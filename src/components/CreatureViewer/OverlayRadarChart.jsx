@@ -1,5 +1,7 @@
 import { useRef, useState } from 'react';
 import { useNotifications } from '../../context/useNotifications';
+import { PhenotypeComparator } from '../../core/organisms/PhenotypeComparator';
+import { TraitCalculator } from '../../core/organisms/TraitCalculator';
 import { downloadSvgAsPng, timestampFilename } from '../../utils/screenshot';
 import { ScreenShotIcon } from '../shared/Icons/Icons';
 
@@ -15,53 +17,12 @@ export function OverlayRadarChart({ organisms }) {
   if (!organisms || organisms.length === 0) return null;
 
 
-  const traits = [
-    {
-      name: 'Size',
-      key: 'size',
-      normalize: (val) => Math.min(100, Math.max(0, ((val - 8) / 12) * 100)),
-    },
-    {
-      name: 'Speed',
-      key: 'maxSpeed',
-      normalize: (val) => Math.min(100, Math.max(0, ((val - 1) / 2) * 100)),
-    },
-    {
-      name: 'Defense',
-      key: 'armor',
-      normalize: (val) => Math.min(100, Math.max(0, (val / 10) * 100)),
-    },
-    {
-      name: 'Metabolism',
-      key: 'metabolicRate',
-      normalize: (val) => Math.min(100, Math.max(0, ((val - 0.5) / 1.5) * 100)),
-    },
-    {
-      name: 'Efficiency',
-      key: 'energyEfficiency',
-      normalize: (val) => Math.min(100, Math.max(0, ((val - 1) / 2) * 100)),
-    },
-    {
-      name: 'Vision',
-      key: 'visionRange',
-      normalize: (val) => Math.min(100, Math.max(0, ((val - 80) / 120) * 100)),
-    },
-    {
-      name: 'Aggression',
-      key: 'aggression',
-      normalize: (val) => (val || 0.5) * 100,
-    },
-    {
-      name: 'Cooperation',
-      key: 'cooperativeness',
-      normalize: (val) => (val || 0) * 100,
-    },
-    {
-      name: 'Reproduction',
-      key: 'reproductionThreshold',
-      normalize: (val) => Math.min(100, Math.max(0, ((val - 70) / 30) * 100)),
-    }
-  ];
+  // Axes come from the trait schema (traits with a chart entry), normalized by their ranges
+  const traits = TraitCalculator.getChartAxes().map(axis => ({
+    name: axis.label,
+    key: axis.trait,
+    normalize: (val) => PhenotypeComparator.normalize(val, axis.min, axis.max) * 100,
+  }));
 
   
   const colors = [
@@ -1,5 +1,7 @@
 import { useEffect, useRef, useState } from 'react';
 import { useNotifications } from '../../context/useNotifications';
+import { PhenotypeComparator } from '../../core/organisms/PhenotypeComparator';
+import { TraitCalculator } from '../../core/organisms/TraitCalculator';
 import { OrganismRenderer } from '../../rendering/OrganismRenderer';
 import { downloadSvgAsPng, timestampFilename } from '../../utils/screenshot';
 import { ScreenShotIcon } from '../shared/Icons/Icons';
@@ -66,62 +68,13 @@ export function RadarChart({ organism }) {
   }
 
 
-  const traits = [
-    {
-      name: 'Size',
-      key: 'size',
-      normalize: (val) => Math.min(100, Math.max(0, ((val - 8) / 12) * 100)),
-      color: '#4ade80'
-    },
-    {
-      name: 'Speed',
-      key: 'maxSpeed',
-      normalize: (val) => Math.min(100, Math.max(0, ((val - 1) / 2) * 100)),
-      color: '#60a5fa'
-    },
-    {
-      name: 'Defense',
-      key: 'armor',
-      normalize: (val) => Math.min(100, Math.max(0, (val / 10) * 100)),
-      color: '#a78bfa'
-    },
-    {
-      name: 'Metabolism',
-      key: 'metabolicRate',
-      normalize: (val) => Math.min(100, Math.max(0, ((val - 0.5) / 1.5) * 100)),
-      color: '#f472b6'
-    },
-    {
-      name: 'Efficiency',
-      key: 'energyEfficiency',
-      normalize: (val) => Math.min(100, Math.max(0, ((val - 1) / 2) * 100)),
-      color: '#fb923c'
-    },
-    {
-      name: 'Vision',
-      key: 'visionRange',
-      normalize: (val) => Math.min(100, Math.max(0, ((val - 80) / 120) * 100)),
-      color: '#34d399'
-    },
-    {
-      name: 'Aggression',
-      key: 'aggression',
-      normalize: (val) => (val || 0.5) * 100,
-      color: '#ef4444'
-    },
-    {
-      name: 'Cooperation',
-      key: 'cooperativeness',
-      normalize: (val) => (val || 0) * 100,
-      color: '#22c55e'
-    },
-    {
-      name: 'Reproduction',
-      key: 'reproductionThreshold',
-      normalize: (val) => Math.min(100, Math.max(0, ((val - 70) / 30) * 100)),
-      color: '#fbbf24'
-    }
-  ];
+  // Axes come from the trait schema (traits with a chart entry), normalized by their ranges
+  const traits = TraitCalculator.getChartAxes().map(axis => ({
+    name: axis.label,
+    key: axis.trait,
+    normalize: (val) => PhenotypeComparator.normalize(val, axis.min, axis.max) * 100,
+    color: axis.color
+  }));
 
   
   const traitData = traits.map(trait => ({
@@ -0,0 +1,49 @@
+import { TraitCalculator } from '../../core/organisms/TraitCalculator';
+
+// Contributions smaller than this are hidden
+const MIN_AMOUNT = 0.005;
+
+const formatAmount = (amount) => `${amount >= 0 ? '+' : '−'}${Math.abs(amount).toFixed(2)}`;
+
+// Label of contributions that do not come from a gene
+const SOURCE_LABELS = { derived: 'derived', upkeep: 'gene copies' };
+
+/**
+ * TraitContributions - Which genes set each trait: primary effect, epistatic scaling
+ * by modifier genes, pleiotropic side effects of other genes and upkeep of extra gene copies
+ */
+export function TraitContributions({ organism }) {
+  const contributions = organism.getTraitContributions();
+
+  return (
+    <div className="mutation-history-section">
+      <h3>Trait Contributions</h3>
+      <div className="mutation-history-list">
+        {Object.keys(TraitCalculator.TRAIT_RULES).map(traitName => {
+          const entries = (contributions[traitName] || []).filter(entry => Math.abs(entry.amount) >= MIN_AMOUNT);
+          const value = organism.phenotype[traitName];
+
+          return (
+            <div key={traitName} className="mutation-history-entry">
+              <span className="mutation-history-type">{traitName}</span>
+              <span className="mutation-history-generation">{value?.toFixed(2)}</span>
+              <span className="trait-contributions">
+                {entries.length === 0 && <span className="trait-contribution">base value</span>}
+                {entries.map((entry, i) => (
+                  <span
+                    key={i}
+                    className={`trait-contribution contribution-${entry.type}`}
+                    title={entry.type === 'epistasis' ? `scales the effect x${entry.factor.toFixed(2)}` : entry.type}
+                  >
+                    {entry.gene ?? SOURCE_LABELS[entry.type]} {formatAmount(entry.amount)}
+                    {(entry.type === 'epistasis' || entry.type === 'pleiotropy') && ` (${entry.type})`}
+                  </span>
+                ))}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
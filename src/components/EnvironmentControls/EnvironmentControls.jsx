@@ -1,10 +1,44 @@
 import { useState, useEffect } from 'react';
+import { GeneticCode } from '../../core/genetics/GeneticCode';
+import { Genome } from '../../core/genetics/Genome';
+import { BiomeMap } from '../../simulation/world/BiomeMap';
+import { ObstacleMap } from '../../simulation/world/ObstacleMap';
+import { WorldEvents } from '../../simulation/world/WorldEvents';
+import { deleteObstacleLayout, listObstacleLayouts, loadObstacleLayout, saveObstacleLayout } from '../../utils/storage';
 
 /**
  * EnvironmentControls - Control environmental parameters
  */
-export function EnvironmentControls({ world, onEnvironmentChange }) {
+const OBSTACLE_HINTS = {
+  segment: 'Drag to draw a wall',
+  polygon: 'Click to add corners; click the first corner (or Finish) to close the polygon',
+  circle: 'Drag from the center to draw a rock',
+  erase: 'Click an obstacle to remove it'
+};
+
+const fetchObstacleLayouts = (setLayouts) => {
+  listObstacleLayouts().then(setLayouts).catch(err => {
+    console.error('Failed to list obstacle layouts:', err);
+  });
+};
+
+export function EnvironmentControls({
+  world,
+  onEnvironmentChange,
+  biomeBrush = null,
+  onBiomeBrushChange,
+  obstacleTool = null,
+  onObstacleToolChange,
+  obstacleDraft = null,
+  onObstacleFinish
+}) {
   const [saveIndicator, setSaveIndicator] = useState(false);
+  const [layoutName, setLayoutName] = useState('');
+  const [layouts, setLayouts] = useState([]);
+
+  useEffect(() => {
+    fetchObstacleLayouts(setLayouts);
+  }, []);
 
 
   // Show save indicator briefly when settings change
@@ -25,9 +59,100 @@ export function EnvironmentControls({ world, onEnvironmentChange }) {
     showSaveIndicator();
   };
 
-  const handleMutationRateChange = (e) => {
-    const rate = parseFloat(e.target.value);
-    onEnvironmentChange({ mutationRate: rate });
+  const mutationModel = world.mutationModel;
+  const cpgHotspot = mutationModel.hotspots.find(hotspot => hotspot.motif === 'CG');
+
+  const handleMutationModelChange = (changes) => {
+    onEnvironmentChange({ mutationModel: changes });
+    showSaveIndicator();
+  };
+
+  const handleCpGHotspotChange = (e) => {
+    const multiplier = parseFloat(e.target.value);
+    const others = mutationModel.hotspots.filter(hotspot => hotspot.motif !== 'CG');
+    handleMutationModelChange({ hotspots: [...others, { motif: 'CG', multiplier }] });
+  };
+
+  const handleGeneMultiplierChange = (family, e) => {
+    const multiplier = parseFloat(e.target.value);
+    if (Number.isNaN(multiplier) || multiplier < 0) return;
+    handleMutationModelChange({ geneMultipliers: { [family]: multiplier } });
+  };
+
+  const handleSexualReproductionChange = (e) => {
+    onEnvironmentChange({ sexualReproduction: e.target.checked });
+    showSaveIndicator();
+  };
+
+  const handleTransferRateChange = (key, e) => {
+    onEnvironmentChange({ horizontalTransfer: { [key]: parseFloat(e.target.value) } });
+    showSaveIndicator();
+  };
+
+  const handleEpigeneticsChange = (changes) => {
+    onEnvironmentChange({ epigenetics: changes });
+    showSaveIndicator();
+  };
+
+  const handleNeuralBrainsChange = (changes) => {
+    onEnvironmentChange({ neuralBrains: changes });
+    showSaveIndicator();
+  };
+
+  const handleLightChange = (changes) => {
+    onEnvironmentChange({ light: changes });
+    showSaveIndicator();
+  };
+
+  const cycles = world.cycles;
+
+  const handleCyclesChange = (changes) => {
+    onEnvironmentChange({ cycles: changes });
+    showSaveIndicator();
+  };
+
+  const handleBiomesChange = (changes) => {
+    onEnvironmentChange({ biomes: changes });
+    showSaveIndicator();
+  };
+
+  const handleNewBiomeMap = () => {
+    handleBiomesChange({ mode: 'generated', seed: Math.floor(Math.random() * 100000) });
+  };
+
+  const handleClearObstacles = () => {
+    onObstacleToolChange?.(null);
+    onEnvironmentChange({ obstacles: [] });
+    showSaveIndicator();
+  };
+
+  const handleSaveLayout = async () => {
+    const name = layoutName.trim();
+    if (!name) return;
+    await saveObstacleLayout(name, world.obstacleMap.toJSON());
+    fetchObstacleLayouts(setLayouts);
+    showSaveIndicator();
+  };
+
+  const handleLoadLayout = async (name) => {
+    setLayoutName(name);
+    const obstacles = await loadObstacleLayout(name);
+    if (obstacles) {
+      onObstacleToolChange?.(null);
+      onEnvironmentChange({ obstacles });
+      showSaveIndicator();
+    }
+  };
+
+  const handleDeleteLayout = async () => {
+    const name = layoutName.trim();
+    if (!layouts.includes(name)) return;
+    await deleteObstacleLayout(name);
+    fetchObstacleLayouts(setLayouts);
+  };
+
+  const handleDecompositionChange = (changes) => {
+    onEnvironmentChange({ decomposition: changes });
     showSaveIndicator();
   };
 
@@ -49,12 +174,33 @@ export function EnvironmentControls({ world, onEnvironmentChange }) {
     showSaveIndicator();
   };
 
+  const handleGeneticCodeChange = (e) => {
+    const tableId = parseInt(e.target.value);
+    onEnvironmentChange({ geneticCodeTable: tableId });
+    showSaveIndicator();
+  };
+
+  const handlePloidyChange = (e) => {
+    onEnvironmentChange({ ploidy: parseInt(e.target.value) });
+    showSaveIndicator();
+  };
+
+  const handleDominanceChange = (e) => {
+    onEnvironmentChange({ dominanceModel: e.target.value });
+    showSaveIndicator();
+  };
+
   const handleSeparationChange = (e) => {
     const val = parseInt(e.target.value);
     onEnvironmentChange({ separationSections: val });
     showSaveIndicator();
   };
 
+  const handleWallChange = (wallId, changes) => {
+    onEnvironmentChange({ walls: { [wallId]: changes } });
+    showSaveIndicator();
+  };
+
   return (
     <div className="environment-controls">
       <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
@@ -115,17 +261,494 @@ export function EnvironmentControls({ world, onEnvironmentChange }) {
             <span className="control-icon">🧬</span>
             Mutation Rate
           </label>
-          <span className="control-value">{((world.mutationRate || 0.05) * 100).toFixed(0)}%</span>
+          <span className="control-value">{(mutationModel.perBaseRate * 10000).toFixed(1)}×10⁻⁴/bp</span>
+        </div>
+        <input
+          type="range"
+          min="0"
+          max="0.002"
+          step="0.0001"
+          value={mutationModel.perBaseRate}
+          onChange={(e) => handleMutationModelChange({ perBaseRate: parseFloat(e.target.value) })}
+        />
+        <div className="control-description">Chance per base per birth (long genes mutate more)</div>
+
+        <div className="control-header">
+          <label>Transition Bias</label>
+          <span className="control-value">{mutationModel.transitionBias.toFixed(1)}x</span>
+        </div>
+        <input
+          type="range"
+          min="0.5"
+          max="10"
+          step="0.5"
+          value={mutationModel.transitionBias}
+          onChange={(e) => handleMutationModelChange({ transitionBias: parseFloat(e.target.value) })}
+        />
+        <div className="control-description">Point mutations: A↔G / C↔T vs. each transversion</div>
+
+        <div className="control-header">
+          <label>CpG Hotspots</label>
+          <span className="control-value">{(cpgHotspot?.multiplier ?? 1).toFixed(0)}x</span>
+        </div>
+        <input
+          type="range"
+          min="1"
+          max="20"
+          step="1"
+          value={cpgHotspot?.multiplier ?? 1}
+          onChange={handleCpGHotspotChange}
+        />
+        <div className="control-description">Bases in CG dinucleotides mutate this much more often</div>
+
+        <div className="control-header">
+          <label>Mutator Gene Strength</label>
+          <span className="control-value">{mutationModel.mutatorStrength.toFixed(2)}</span>
+        </div>
+        <input
+          type="range"
+          min="0"
+          max="3"
+          step="0.25"
+          value={mutationModel.mutatorStrength}
+          onChange={(e) => handleMutationModelChange({ mutatorStrength: parseFloat(e.target.value) })}
+        />
+        <div className="control-description">How much the heritable mutator gene changes its carrier's rate (0 = off)</div>
+
+        <div className="control-header">
+          <label>Per-Gene Multipliers</label>
+        </div>
+        <div className="gene-multiplier-grid">
+          {Object.keys(Genome.DEFAULT_GENES).map(family => (
+            <label key={family} className="gene-multiplier">
+              <span>{family}</span>
+              <input
+                type="number"
+                min="0"
+                max="10"
+                step="0.5"
+                value={mutationModel.getGeneMultiplier(family)}
+                onChange={(e) => handleGeneMultiplierChange(family, e)}
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="control-group">
+        <div className="control-header">
+          <label>
+            <span className="control-icon">💞</span>
+            Sexual Reproduction
+          </label>
+          <input
+            type="checkbox"
+            className="overlay-checkbox"
+            checked={!!world.sexualReproduction}
+            onChange={handleSexualReproductionChange}
+          />
+        </div>
+        <div className="control-description">Same-species organisms mate on contact and recombine genomes, then rest a few seconds before mating again</div>
+      </div>
+
+      <div className="control-group">
+        <div className="control-header">
+          <label>
+            <span className="control-icon">🔀</span>
+            Conjugation
+          </label>
+          <span className="control-value">{(world.horizontalTransfer.conjugationRate * 100).toFixed(1)}%</span>
+        </div>
+        <input
+          type="range"
+          min="0"
+          max="0.02"
+          step="0.001"
+          value={world.horizontalTransfer.conjugationRate}
+          onChange={(e) => handleTransferRateChange('conjugationRate', e)}
+        />
+        <div className="control-description">Chance per contact (per frame) that a gene is passed on, across species (0 = off)</div>
+
+        <div className="control-header">
+          <label>Transformation</label>
+          <span className="control-value">{(world.horizontalTransfer.transformationRate * 100).toFixed(0)}%</span>
+        </div>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.05"
+          value={world.horizontalTransfer.transformationRate}
+          onChange={(e) => handleTransferRateChange('transformationRate', e)}
+        />
+        <div className="control-description">Chance of taking up a gene when eating remains of a dead organism (0 = off)</div>
+
+        <div className="control-header">
+          <label>Transduction</label>
+          <span className="control-value">{world.horizontalTransfer.transductionRate.toFixed(1)}/s</span>
+        </div>
+        <input
+          type="range"
+          min="0"
+          max="2"
+          step="0.1"
+          value={world.horizontalTransfer.transductionRate}
+          onChange={(e) => handleTransferRateChange('transductionRate', e)}
+        />
+        <div className="control-description">Phage-like transfers between nearby organisms per second (0 = off)</div>
+      </div>
+
+      <div className="control-group">
+        <div className="control-header">
+          <label>
+            <span className="control-icon">🏷️</span>
+            Epigenetic Inheritance
+          </label>
+          <input
+            type="checkbox"
+            className="overlay-checkbox"
+            checked={!!world.epigenetics.enabled}
+            onChange={(e) => handleEpigeneticsChange({ enabled: e.target.checked })}
+          />
+        </div>
+        <div className="control-description">
+          Starvation, crowding and combat damage mark genes (silenced or boosted); offspring inherit the marks
+        </div>
+
+        <div className="control-header">
+          <label>Mark Reset</label>
+          <span className="control-value">{(world.epigenetics.resetProbability * 100).toFixed(0)}%</span>
         </div>
         <input
           type="range"
           min="0"
-          max="0.3"
-          step="0.01"
-          value={world.mutationRate || 0.05}
-          onChange={handleMutationRateChange}
+          max="1"
+          step="0.05"
+          value={world.epigenetics.resetProbability}
+          onChange={(e) => handleEpigeneticsChange({ resetProbability: parseFloat(e.target.value) })}
+          disabled={!world.epigenetics.enabled}
         />
-        <div className="control-description">Chance of mutation on reproduction</div>
+        <div className="control-description">Chance that each mark is erased when passed to offspring</div>
+      </div>
+
+      <div className="control-group">
+        <div className="control-header">
+          <label>
+            <span className="control-icon">🧠</span>
+            Neural Brains
+          </label>
+          <span className="control-value">{(world.neuralBrains.fraction * 100).toFixed(0)}%</span>
+        </div>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.05"
+          value={world.neuralBrains.fraction}
+          onChange={(e) => handleNeuralBrainsChange({ fraction: parseFloat(e.target.value) })}
+        />
+        <div className="control-description">
+          Share of each starting species controlled by an evolvable neural network instead of the rule-based AI (applies on reset)
+        </div>
+
+        <div className="control-header">
+          <label>Weight Mutation</label>
+          <span className="control-value">±{world.neuralBrains.mutationStrength.toFixed(2)}</span>
+        </div>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.05"
+          value={world.neuralBrains.mutationStrength}
+          onChange={(e) => handleNeuralBrainsChange({ mutationStrength: parseFloat(e.target.value) })}
+        />
+        <div className="control-description">
+          Size of the random change to {(world.neuralBrains.mutationRate * 100).toFixed(0)}% of an offspring's network weights
+        </div>
+      </div>
+
+      <div className="control-group">
+        <div className="control-header">
+          <label>
+            <span className="control-icon">☀️</span>
+            Light
+          </label>
+          <span className="control-value">{(world.light.intensity * 100).toFixed(0)}%</span>
+        </div>
+        <input
+          type="range"
+          min="0"
+          max="2"
+          step="0.1"
+          value={world.light.intensity}
+          onChange={(e) => handleLightChange({ intensity: parseFloat(e.target.value) })}
+        />
+        <div className="control-description">Light available to photosynthetic organisms (0 = darkness)</div>
+
+        <div className="control-header">
+          <label>Depth Falloff</label>
+          <span className="control-value">{(world.light.depthFalloff * 100).toFixed(0)}%</span>
+        </div>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.05"
+          value={world.light.depthFalloff}
+          onChange={(e) => handleLightChange({ depthFalloff: parseFloat(e.target.value) })}
+        />
+        <div className="control-description">How much dimmer the bottom of the world is than the top</div>
+      </div>
+
+      <div className="control-group">
+        <div className="control-header">
+          <label>
+            <span className="control-icon">🌗</span>
+            Day/Night &amp; Seasons
+          </label>
+          <input
+            type="checkbox"
+            className="overlay-checkbox"
+            checked={!!cycles.enabled}
+            onChange={(e) => handleCyclesChange({ enabled: e.target.checked })}
+          />
+        </div>
+        <div className="control-description">
+          Light, temperature, food spawning and vision follow a day/night cycle and four seasons
+        </div>
+
+        <div className="control-header">
+          <label>Day Length</label>
+          <span className="control-value">{(cycles.dayLength / 1000).toFixed(0)}s</span>
+        </div>
+        <input
+          type="range"
+          min="10000"
+          max="300000"
+          step="5000"
+          value={cycles.dayLength}
+          onChange={(e) => handleCyclesChange({ dayLength: parseFloat(e.target.value) })}
+          disabled={!cycles.enabled}
+        />
+        <div className="control-description">Duration of a full day and night</div>
+
+        <div className="control-header">
+          <label>Season Length</label>
+          <span className="control-value">{(cycles.seasonLength / 1000).toFixed(0)}s</span>
+        </div>
+        <input
+          type="range"
+          min="30000"
+          max="600000"
+          step="10000"
+          value={cycles.seasonLength}
+          onChange={(e) => handleCyclesChange({ seasonLength: parseFloat(e.target.value) })}
+          disabled={!cycles.enabled}
+        />
+        <div className="control-description">Duration of each of the four seasons</div>
+
+        <div className="control-header">
+          <label>Seasonal Temperature</label>
+          <span className="control-value">±{(cycles.temperatureAmplitude * 100).toFixed(0)}%</span>
+        </div>
+        <input
+          type="range"
+          min="0"
+          max="0.8"
+          step="0.05"
+          value={cycles.temperatureAmplitude}
+          onChange={(e) => handleCyclesChange({ temperatureAmplitude: parseFloat(e.target.value) })}
+          disabled={!cycles.enabled}
+        />
+        <div className="control-description">Temperature swing from midsummer to midwinter; nights are a little colder</div>
+
+        <div className="control-header">
+          <label>Seasonal Food</label>
+          <span className="control-value">±{(cycles.foodAmplitude * 100).toFixed(0)}%</span>
+        </div>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.05"
+          value={cycles.foodAmplitude}
+          onChange={(e) => handleCyclesChange({ foodAmplitude: parseFloat(e.target.value) })}
+          disabled={!cycles.enabled}
+        />
+        <div className="control-description">Food spawn rate swing from midsummer to midwinter</div>
+
+        <div className="control-header">
+          <label>Night Vision</label>
+          <span className="control-value">{(cycles.nightVision * 100).toFixed(0)}%</span>
+        </div>
+        <input
+          type="range"
+          min="0.1"
+          max="1"
+          step="0.05"
+          value={cycles.nightVision}
+          onChange={(e) => handleCyclesChange({ nightVision: parseFloat(e.target.value) })}
+          disabled={!cycles.enabled}
+        />
+        <div className="control-description">Share of vision range left at midnight</div>
+      </div>
+
+      <div className="control-group">
+        <div className="control-header">
+          <label>
+            <span className="control-icon">🗺️</span>
+            Biomes
+          </label>
+        </div>
+        <select
+          className="control-select"
+          value={world.biomes.mode}
+          onChange={(e) => handleBiomesChange({ mode: e.target.value })}
+        >
+          <option value="uniform">Uniform (open water everywhere)</option>
+          <option value="generated">Generated from seed</option>
+          <option value="painted">Painted</option>
+        </select>
+        {world.biomes.mode === 'generated' && (
+          <div className="control-header">
+            <label>Seed</label>
+            <div className="biome-seed">
+              <input
+                type="number"
+                value={world.biomes.seed}
+                onChange={(e) => handleBiomesChange({ seed: parseInt(e.target.value) || 0 })}
+              />
+              <button className="schema-button" onClick={handleNewBiomeMap}>New Map</button>
+            </div>
+          </div>
+        )}
+        <div className="control-header">
+          <label>Brush</label>
+          <select
+            className="control-select"
+            value={biomeBrush ?? ''}
+            onChange={(e) => onBiomeBrushChange?.(e.target.value || null)}
+          >
+            <option value="">Off (drag to pan)</option>
+            {BiomeMap.BIOME_IDS.map(id => (
+              <option key={id} value={id}>{BiomeMap.BIOMES[id].name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="control-description">
+          Drag on the world with a brush to paint biomes (the map switches to Painted)
+        </div>
+        <div className="biome-legend">
+          {BiomeMap.BIOME_IDS.map(id => {
+            const biome = BiomeMap.BIOMES[id];
+            return (
+              <div key={id}>
+                <span className="biome-swatch" style={{ background: biome.color ?? '#204f81' }} />
+                {biome.name}: temperature ×{biome.temperature}, food ×{biome.productivity},
+                movement ×{biome.movementCost}{biome.hazard > 0 && `, −${biome.hazard} energy/s`}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="control-group">
+        <div className="control-header">
+          <label>
+            <span className="control-icon">🪨</span>
+            Obstacles
+          </label>
+          <span className="control-value">{world.obstacleMap.obstacles.length}</span>
+        </div>
+        <div className="control-header">
+          <label>Tool</label>
+          <select
+            className="control-select"
+            value={obstacleTool ?? ''}
+            onChange={(e) => onObstacleToolChange?.(e.target.value || null)}
+          >
+            <option value="">Off (drag to pan)</option>
+            {Object.entries(ObstacleMap.TYPES).map(([type, { name, icon }]) => (
+              <option key={type} value={type}>{icon} {name}</option>
+            ))}
+            <option value="erase">🧽 Erase</option>
+          </select>
+        </div>
+        {obstacleTool && <div className="control-description">{OBSTACLE_HINTS[obstacleTool]}</div>}
+        <div className="schema-buttons">
+          {obstacleDraft?.type === 'polygon' && (
+            <button className="schema-button apply" onClick={onObstacleFinish} disabled={obstacleDraft.points.length < 3}>
+              Finish
+            </button>
+          )}
+          <button
+            className="schema-button danger"
+            onClick={handleClearObstacles}
+            disabled={world.obstacleMap.obstacles.length === 0}
+          >
+            Clear All
+          </button>
+        </div>
+        <select
+          className="control-select"
+          value={layouts.includes(layoutName) ? layoutName : ''}
+          onChange={(e) => e.target.value && handleLoadLayout(e.target.value)}
+        >
+          <option value="">Load saved layout…</option>
+          {layouts.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <input
+          className="schema-scenario-input"
+          type="text"
+          value={layoutName}
+          placeholder="Layout name"
+          onChange={(e) => setLayoutName(e.target.value)}
+        />
+        <div className="schema-buttons">
+          <button className="schema-button" onClick={handleSaveLayout} disabled={!layoutName.trim()}>Save Layout</button>
+          <button className="schema-button danger" onClick={handleDeleteLayout} disabled={!layouts.includes(layoutName.trim())}>
+            Delete
+          </button>
+        </div>
+        <div className="control-description">
+          Organisms bounce off obstacles and steer around them, and no food spawns inside. The current obstacles are
+          saved with the environment settings; named layouts are kept in browser storage
+        </div>
+      </div>
+
+      <div className="control-group">
+        <div className="control-header">
+          <label>
+            <span className="control-icon">🦴</span>
+            Carcass Decay
+          </label>
+          <span className="control-value">{(world.decomposition.decayTime / 1000).toFixed(0)}s</span>
+        </div>
+        <input
+          type="range"
+          min="5000"
+          max="120000"
+          step="5000"
+          value={world.decomposition.decayTime}
+          onChange={(e) => handleDecompositionChange({ decayTime: parseFloat(e.target.value) })}
+        />
+        <div className="control-description">
+          Time for a carcass to decompose; its energy is released as nutrient particles while scavengers can still eat it
+        </div>
+
+        <div className="control-header">
+          <label>Toxic Carcasses</label>
+          <input
+            type="checkbox"
+            className="overlay-checkbox"
+            checked={!!world.decomposition.toxicCarcasses}
+            onChange={(e) => handleDecompositionChange({ toxicCarcasses: e.target.checked })}
+          />
+        </div>
+        <div className="control-description">Carcasses keep the dead organism's toxicity and poison whoever eats them</div>
       </div>
 
       <div className="control-group">
@@ -185,6 +808,55 @@ export function EnvironmentControls({ world, onEnvironmentChange }) {
         <div className="control-description">Number of distinct starting species</div>
       </div>
 
+      <div className="control-group">
+        <div className="control-header">
+          <label>
+            <span className="control-icon">🧬</span>
+            Genetic Code
+          </label>
+        </div>
+        <select
+          className="control-select"
+          value={world.geneticCodeTable || 1}
+          onChange={handleGeneticCodeChange}
+        >
+          {GeneticCode.getAvailableTables().map(({ id, name }) => (
+            <option key={id} value={id}>{id}. {name}</option>
+          ))}
+        </select>
+        <div className="control-description">NCBI translation table of the starting population (applies on reset)</div>
+      </div>
+
+      <div className="control-group">
+        <div className="control-header">
+          <label>
+            <span className="control-icon">🧫</span>
+            Ploidy
+          </label>
+        </div>
+        <select
+          className="control-select"
+          value={world.ploidy || 1}
+          onChange={handlePloidyChange}
+        >
+          <option value={1}>Haploid (one allele per gene)</option>
+          <option value={2}>Diploid (two alleles per gene)</option>
+        </select>
+        <select
+          className="control-select"
+          value={world.dominanceModel || 'complete'}
+          onChange={handleDominanceChange}
+          disabled={(world.ploidy || 1) !== 2}
+        >
+          {Genome.DOMINANCE_MODELS.map(model => (
+            <option key={model} value={model}>{model[0].toUpperCase()}{model.slice(1)} dominance</option>
+          ))}
+        </select>
+        <div className="control-description">
+          Diploid genomes combine both alleles by the dominance model; mating shuffles alleles (applies on reset)
+        </div>
+      </div>
+
       <div className="control-group">
         <div className="control-header">
           <label>
@@ -202,6 +874,43 @@ export function EnvironmentControls({ world, onEnvironmentChange }) {
           onChange={handleSeparationChange}
         />
         <div className="control-description">Divide world into sections (segregates species)</div>
+
+        {world.getSectionWalls().map(wall => (
+          <div key={wall.id} className="wall-control">
+            <div className="control-header">
+              <label>Wall {WorldEvents.getWallLabel(wall.id)}</label>
+              <span className="control-value">
+                {(wall.permeability * 100).toFixed(0)}%
+                {wall.asymmetry !== 0 && ` ${wall.asymmetry > 0 ? '→' : '←'}${(Math.abs(wall.asymmetry) * 100).toFixed(0)}%`}
+              </span>
+            </div>
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={world.walls[wall.id]?.permeability ?? 0}
+              onChange={(e) => handleWallChange(wall.id, { permeability: parseFloat(e.target.value) })}
+              title="Permeability"
+            />
+            <input
+              type="range"
+              min="-1"
+              max="1"
+              step="0.1"
+              value={world.walls[wall.id]?.asymmetry ?? 0}
+              onChange={(e) => handleWallChange(wall.id, { asymmetry: parseFloat(e.target.value) })}
+              title="Asymmetry"
+            />
+          </div>
+        ))}
+        {world.separationSections > 1 && (
+          <div className="control-description">
+            Per wall: permeability (chance that an organism reaching the wall crosses it, 0 = closed) and asymmetry
+            (right: crossings from the lower-numbered section are more likely, left: the reverse). Wall events
+            (⚡) open and close walls during a run
+          </div>
+        )}
       </div>
     </div>
   );
@@ -5,6 +5,9 @@ import { OrganismRenderer } from '../../rendering/OrganismRenderer';
 import { ScreenShotIcon } from '../shared/Icons/Icons';
 import './FamilyTree.css';
 
+// Color of reticulate (horizontal gene transfer) edges
+const TRANSFER_EDGE_COLOR = '#f59e0b';
+
 /**
  * FamilyTreeCanvas - Reusable canvas component for rendering the tree
  */
@@ -92,6 +95,52 @@ function FamilyTreeCanvas({ genealogyTracker, width, height, onHoverChange, isMa
       }
     }
 
+    // Reticulate edges: horizontal gene transfer between species (dashed, arrow at recipient)
+    // Extinct species map to their collapsed group node
+    const positionsById = new Map();
+    for (const level of levelPositions) {
+      for (const { node, x, y } of level) {
+        positionsById.set(node.id, { x, y });
+        for (const member of node.extinctNodes || []) {
+          positionsById.set(member.id, { x, y });
+        }
+      }
+    }
+
+    const transferEdges = genealogyTracker.getTransferEdges();
+    ctx.save();
+    ctx.strokeStyle = TRANSFER_EDGE_COLOR;
+    ctx.fillStyle = TRANSFER_EDGE_COLOR;
+    for (const edge of transferEdges) {
+      const from = positionsById.get(edge.donorSpeciesId);
+      const to = positionsById.get(edge.recipientSpeciesId);
+      if (!from || !to || from === to) continue;
+
+      // Bend the curve sideways so it does not overlap tree edges
+      const controlX = (from.x + to.x) / 2 + (to.y - from.y) * 0.3;
+      const controlY = (from.y + to.y) / 2 - (to.x - from.x) * 0.3;
+
+      ctx.setLineDash([4, 4]);
+      ctx.lineWidth = Math.min(4, 1 + Math.log2(edge.count));
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.quadraticCurveTo(controlX, controlY, to.x, to.y);
+      ctx.stroke();
+
+      // Arrowhead on the recipient's node border
+      const angle = Math.atan2(to.y - controlY, to.x - controlX);
+      const tipX = to.x - Math.cos(angle) * nodeRadius;
+      const tipY = to.y - Math.sin(angle) * nodeRadius;
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.moveTo(tipX, tipY);
+      ctx.lineTo(tipX - Math.cos(angle - 0.4) * 8, tipY - Math.sin(angle - 0.4) * 8);
+      ctx.lineTo(tipX - Math.cos(angle + 0.4) * 8, tipY - Math.sin(angle + 0.4) * 8);
+      ctx.closePath();
+      ctx.fill();
+    }
+    ctx.restore();
+
     
     let hoveredNodeData = null; 
 
@@ -230,7 +279,12 @@ function FamilyTreeCanvas({ genealogyTracker, width, height, onHoverChange, isMa
 
     
     if (hoveredNodeData) {
-      drawHoverInfo(ctx, hoveredNodeData.node, hoveredNodeData.x, hoveredNodeData.y, nodeRadius, width, height);
+      const { node } = hoveredNodeData;
+      const transfers = {
+        received: transferEdges.filter(edge => edge.recipientSpeciesId === node.id).reduce((sum, edge) => sum + edge.count, 0),
+        donated: transferEdges.filter(edge => edge.donorSpeciesId === node.id).reduce((sum, edge) => sum + edge.count, 0)
+      };
+      drawHoverInfo(ctx, node, hoveredNodeData.x, hoveredNodeData.y, nodeRadius, width, height, transfers);
     }
   }, [genealogyTracker, width, height, hoveredNode, isMaximized]);
 
@@ -371,6 +425,10 @@ function FamilyTreePopup({ genealogyTracker, onClose }) {
             <div className="legend-badge">42</div>
             <span>Current Population</span>
           </div>
+          <div className="legend-item">
+            <div className="legend-line transfer-edge"></div>
+            <span>Gene Transfer</span>
+          </div>
         </div>
 
         {/* Tree Canvas */}
@@ -503,6 +561,10 @@ export function FamilyTree({ genealogyTracker }) {
           <div className="legend-badge">42</div>
           <span>Current Population</span>
         </div>
+        <div className="legend-item">
+          <div className="legend-line transfer-edge"></div>
+          <span>Gene Transfer</span>
+        </div>
       </div>
 
         {/* Tree Canvas */}
@@ -547,7 +609,7 @@ export function FamilyTree({ genealogyTracker }) {
 /**
  * Draw hover information tooltip
  */
-function drawHoverInfo(ctx, node, x, y, nodeRadius, canvasWidth, canvasHeight) {
+function drawHoverInfo(ctx, node, x, y, nodeRadius, canvasWidth, canvasHeight, transfers = null) {
   const padding = 10;
   const lineHeight = 16;
   const tooltipWidth = 200;
@@ -581,6 +643,10 @@ function drawHoverInfo(ctx, node, x, y, nodeRadius, canvasWidth, canvasHeight) {
       `Status: ${node.extinct ? 'Extinct' : 'Alive'}`,
     ];
 
+    if (transfers && (transfers.received > 0 || transfers.donated > 0)) {
+      info.push(`Gene transfers: ${transfers.received} in / ${transfers.donated} out`);
+    }
+
     if (node.extinct && node.extinctTime) {
       const timeAlive = ((node.extinctTime - node.firstSeen) / 1000).toFixed(0);
       info.push(`Survived: ${timeAlive}s`);
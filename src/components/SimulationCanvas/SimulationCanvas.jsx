@@ -4,7 +4,7 @@ import { OrganismRenderer } from '../../rendering/OrganismRenderer';
 /**
  * SimulationCanvas - Renders the game world
  */
-export const SimulationCanvas = forwardRef(({ world, width = 800, height = 600, highlightedSpeciesId = null, overlays = {} }, ref) => {
+export const SimulationCanvas = forwardRef(({ world, width = 800, height = 600, highlightedSpeciesId = null, overlays = {}, paintMode = false, onPaint, onPaintEnd, paintPreview = null }, ref) => {
   const canvasRef = useRef(null);
 
   
@@ -18,6 +18,10 @@ export const SimulationCanvas = forwardRef(({ world, width = 800, height = 600,
   const [isPanning, setIsPanning] = useState(false);
   const [panStart, setPanStart] = useState({ x: 0, y: 0 });
 
+  // Painting on the world (biomes, obstacles) replaces panning with the left button while paintMode is on;
+  // paintPreview is a shape drawn over the world while it is being edited
+  const [isPainting, setIsPainting] = useState(false);
+
   
   const [_touches, setTouches] = useState([]);
   const [lastTouchDistance, setLastTouchDistance] = useState(0);
@@ -41,10 +45,13 @@ export const SimulationCanvas = forwardRef(({ world, width = 800, height = 600,
       ctx.scale(viewTransform.scale, viewTransform.scale);
 
       
-      OrganismRenderer.renderBackground(ctx, width, height);
+      OrganismRenderer.renderBackground(ctx, world);
+      OrganismRenderer.renderLight(ctx, world);
+      OrganismRenderer.renderNight(ctx, world);
 
       
       OrganismRenderer.renderSectionWalls(ctx, world);
+      OrganismRenderer.renderObstacles(ctx, world);
 
       
       const visibleLeft = -viewTransform.offsetX / viewTransform.scale;
@@ -62,6 +69,14 @@ export const SimulationCanvas = forwardRef(({ world, width = 800, height = 600,
         OrganismRenderer.renderFood(ctx, food);
       }
 
+      for (const carcass of world.carcasses) {
+        if (carcass.x + carcass.radius < visibleLeft || carcass.x - carcass.radius > visibleLeft + visibleWidth ||
+            carcass.y + carcass.radius < visibleTop || carcass.y - carcass.radius > visibleTop + visibleHeight) {
+          continue;
+        }
+        OrganismRenderer.renderCarcass(ctx, carcass);
+      }
+
       
       for (const organism of world.organisms) {
         const size = organism.phenotype?.size || 10;
@@ -79,8 +94,15 @@ export const SimulationCanvas = forwardRef(({ world, width = 800, height = 600,
         OrganismRenderer.render(ctx, organism, isHighlighted, overlays || {}, { scale: viewTransform.scale });
       }
 
+      OrganismRenderer.renderEvents(ctx, world);
+      OrganismRenderer.renderObstacleDraft(ctx, paintPreview);
+
       
       ctx.restore();
+
+      // Screen-space overlays
+      OrganismRenderer.renderClock(ctx, world, width);
+      OrganismRenderer.renderActiveEvents(ctx, world, width);
     },
     resetView: () => {
       setViewTransform({
@@ -90,7 +112,7 @@ export const SimulationCanvas = forwardRef(({ world, width = 800, height = 600,
       });
     },
     getCanvasElement: () => canvasRef.current
-  }), [world, width, height, highlightedSpeciesId, overlays, viewTransform]);
+  }), [world, width, height, highlightedSpeciesId, overlays, viewTransform, paintPreview]);
 
   
   const handleWheel = useCallback((e) => {
@@ -142,8 +164,23 @@ export const SimulationCanvas = forwardRef(({ world, width = 800, height = 600,
   }, [width, height, viewTransform]);
 
   
+  // World coordinates of a mouse event (the canvas may be scaled by CSS)
+  const toWorldPosition = useCallback((e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const canvasX = (e.clientX - rect.left) * width / rect.width;
+    const canvasY = (e.clientY - rect.top) * height / rect.height;
+    return {
+      x: (canvasX - viewTransform.offsetX) / viewTransform.scale,
+      y: (canvasY - viewTransform.offsetY) / viewTransform.scale
+    };
+  }, [height, viewTransform, width]);
+
   const handleMouseDown = (e) => {
-    if (e.button === 0) { 
+    if (e.button === 0 && paintMode) {
+      const { x, y } = toWorldPosition(e);
+      setIsPainting(true);
+      onPaint?.(x, y);
+    } else if (e.button === 0) { 
       setIsPanning(true);
       setPanStart({ x: e.clientX, y: e.clientY });
     }
@@ -179,6 +216,16 @@ export const SimulationCanvas = forwardRef(({ world, width = 800, height = 600,
     setIsPanning(false);
   }, []);
 
+  const handlePaintMove = useCallback((e) => {
+    const { x, y } = toWorldPosition(e);
+    onPaint?.(x, y);
+  }, [onPaint, toWorldPosition]);
+
+  const handlePaintUp = useCallback(() => {
+    setIsPainting(false);
+    onPaintEnd?.();
+  }, [onPaintEnd]);
+
   
   const handleDoubleClick = () => {
     setViewTransform({
@@ -345,6 +392,17 @@ export const SimulationCanvas = forwardRef(({ world, width = 800, height = 600,
     }
   }, [handleMouseMove, handleMouseUp, isPanning]);
 
+  useEffect(() => {
+    if (isPainting) {
+      window.addEventListener('mousemove', handlePaintMove);
+      window.addEventListener('mouseup', handlePaintUp);
+      return () => {
+        window.removeEventListener('mousemove', handlePaintMove);
+        window.removeEventListener('mouseup', handlePaintUp);
+      };
+    }
+  }, [handlePaintMove, handlePaintUp, isPainting]);
+
   
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -379,7 +437,7 @@ export const SimulationCanvas = forwardRef(({ world, width = 800, height = 600,
         maxWidth: '100%',
         maxHeight: '100%',
         objectFit: 'contain',
-        cursor: isPanning ? 'grabbing' : 'grab',
+        cursor: paintMode ? 'crosshair' : isPanning ? 'grabbing' : 'grab',
         touchAction: 'none', 
         WebkitUserSelect: 'none', 
         userSelect: 'none'
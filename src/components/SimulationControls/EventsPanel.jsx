@@ -0,0 +1,228 @@
+import { useState } from 'react';
+import { TraitCalculator } from '../../core/organisms/TraitCalculator';
+import { WorldEvents } from '../../simulation/world/WorldEvents';
+
+/**
+ * EventsPanel - Trigger environmental events and catastrophes, or schedule them at world times
+ */
+export function EventsPanel({ world, onEnvironmentChange }) {
+  // Parameters of each event type (meteors keep x = y = null and strike at random)
+  const [params, setParams] = useState(() => Object.fromEntries(
+    Object.entries(WorldEvents.TYPES).map(([type, { defaults }]) => [type, { ...defaults }])
+  ));
+  const [scheduleType, setScheduleType] = useState('extinction');
+  const [scheduleTime, setScheduleTime] = useState(60);
+
+  const traitNames = Object.keys(TraitCalculator.schema.traits);
+
+  const setParam = (type, key, value) => {
+    setParams(prev => ({ ...prev, [type]: { ...prev[type], [key]: value } }));
+  };
+
+  const handleTrigger = (type) => {
+    world.triggerEvent(type, params[type]);
+  };
+
+  const handleSchedule = () => {
+    const entry = { time: scheduleTime * 1000, type: scheduleType, params: params[scheduleType] };
+    onEnvironmentChange({ eventSchedule: [...world.eventSchedule, entry] });
+  };
+
+  const handleUnschedule = (index) => {
+    onEnvironmentChange({ eventSchedule: world.eventSchedule.filter((_, i) => i !== index) });
+  };
+
+  const durationInput = (type) => (
+    <label className="event-param">
+      Duration
+      <input
+        type="number"
+        min="1"
+        value={params[type].duration / 1000}
+        onChange={(e) => setParam(type, 'duration', Math.max(1, parseFloat(e.target.value) || 1) * 1000)}
+      />
+      s
+    </label>
+  );
+
+  return (
+    <div className="events-panel">
+      <h3>Trigger Event</h3>
+
+      <div className="event-row">
+        <button className="event-button" onClick={() => handleTrigger('extinction')}>
+          {WorldEvents.TYPES.extinction.icon} {WorldEvents.TYPES.extinction.name}
+        </button>
+        <label className="event-param">
+          Kill
+          <input
+            type="range"
+            min="0.1"
+            max="0.9"
+            step="0.05"
+            value={params.extinction.fraction}
+            onChange={(e) => setParam('extinction', 'fraction', parseFloat(e.target.value))}
+          />
+          {(params.extinction.fraction * 100).toFixed(0)}%
+        </label>
+        <label className="event-param">
+          <select
+            value={params.extinction.trait ?? ''}
+            onChange={(e) => setParam('extinction', 'trait', e.target.value || null)}
+          >
+            <option value="">at random</option>
+            {traitNames.map(trait => <option key={trait} value={trait}>by {trait}</option>)}
+          </select>
+          {params.extinction.trait && (
+            <select
+              value={params.extinction.highest ? 'highest' : 'lowest'}
+              onChange={(e) => setParam('extinction', 'highest', e.target.value === 'highest')}
+            >
+              <option value="highest">highest first</option>
+              <option value="lowest">lowest first</option>
+            </select>
+          )}
+        </label>
+      </div>
+
+      <div className="event-row">
+        <button className="event-button" onClick={() => handleTrigger('meteor')}>
+          {WorldEvents.TYPES.meteor.icon} {WorldEvents.TYPES.meteor.name}
+        </button>
+        <label className="event-param">
+          Radius
+          <input
+            type="range"
+            min="50"
+            max="400"
+            step="10"
+            value={params.meteor.radius}
+            onChange={(e) => setParam('meteor', 'radius', parseFloat(e.target.value))}
+          />
+          {params.meteor.radius}
+        </label>
+      </div>
+
+      <div className="event-row">
+        <button className="event-button" onClick={() => handleTrigger('famine')}>
+          {WorldEvents.TYPES.famine.icon} {WorldEvents.TYPES.famine.name}
+        </button>
+        {durationInput('famine')}
+      </div>
+
+      <div className="event-row">
+        <button className="event-button" onClick={() => handleTrigger('heatWave')}>
+          {WorldEvents.TYPES.heatWave.icon} {WorldEvents.TYPES.heatWave.name}
+        </button>
+        {durationInput('heatWave')}
+        <label className="event-param">
+          Heat
+          <input
+            type="range"
+            min="0.1"
+            max="1.5"
+            step="0.1"
+            value={params.heatWave.intensity}
+            onChange={(e) => setParam('heatWave', 'intensity', parseFloat(e.target.value))}
+          />
+          +{(params.heatWave.intensity * 100).toFixed(0)}%
+        </label>
+      </div>
+
+      <div className="event-row">
+        <button className="event-button" onClick={() => handleTrigger('plague')}>
+          {WorldEvents.TYPES.plague.icon} {WorldEvents.TYPES.plague.name}
+        </button>
+        {durationInput('plague')}
+        <label className="event-param">
+          Damage
+          <input
+            type="range"
+            min="0.5"
+            max="10"
+            step="0.5"
+            value={params.plague.damage}
+            onChange={(e) => setParam('plague', 'damage', parseFloat(e.target.value))}
+          />
+          {params.plague.damage}/s
+        </label>
+      </div>
+
+      {world.separationSections > 1 && (
+        <div className="event-row">
+          <button className="event-button" onClick={() => handleTrigger('walls')}>
+            {WorldEvents.TYPES.walls.icon} {WorldEvents.TYPES.walls.name}
+          </button>
+          <label className="event-param">
+            <select
+              value={params.walls.wall ?? ''}
+              onChange={(e) => setParam('walls', 'wall', e.target.value || null)}
+            >
+              <option value="">all walls</option>
+              {world.getSectionWalls().map(({ id }) => (
+                <option key={id} value={id}>wall {WorldEvents.getWallLabel(id)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="event-param">
+            Open
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={params.walls.permeability}
+              onChange={(e) => setParam('walls', 'permeability', parseFloat(e.target.value))}
+            />
+            {(params.walls.permeability * 100).toFixed(0)}%
+          </label>
+          <label className="event-param">
+            Bias
+            <input
+              type="range"
+              min="-1"
+              max="1"
+              step="0.1"
+              value={params.walls.asymmetry}
+              onChange={(e) => setParam('walls', 'asymmetry', parseFloat(e.target.value))}
+            />
+            {params.walls.asymmetry > 0 ? '+' : ''}{(params.walls.asymmetry * 100).toFixed(0)}%
+          </label>
+        </div>
+      )}
+
+      <h3>Schedule</h3>
+      <div className="event-row">
+        <select value={scheduleType} onChange={(e) => setScheduleType(e.target.value)}>
+          {Object.entries(WorldEvents.TYPES).map(([type, { name, icon }]) => (
+            <option key={type} value={type}>{icon} {name}</option>
+          ))}
+        </select>
+        <label className="event-param">
+          at
+          <input
+            type="number"
+            min="0"
+            value={scheduleTime}
+            onChange={(e) => setScheduleTime(Math.max(0, parseFloat(e.target.value) || 0))}
+          />
+          s
+        </label>
+        <button className="event-button" onClick={handleSchedule}>Add</button>
+      </div>
+      <div className="event-hint">
+        Scheduled events use the parameters above and fire when the world time reaches them (again after each restart)
+      </div>
+      {world.eventSchedule.map((entry, index) => (
+        <div key={`${entry.time}-${entry.type}-${index}`} className="event-schedule-entry">
+          <span>{(entry.time / 1000).toFixed(0)}s</span>
+          <span>{WorldEvents.TYPES[entry.type].icon} {WorldEvents.TYPES[entry.type].name}</span>
+          <span className={world.time >= entry.time ? 'event-fired' : ''}>
+            {world.time >= entry.time ? 'fired' : `in ${((entry.time - world.time) / 1000).toFixed(0)}s`}
+          </span>
+          <button className="event-remove" onClick={() => handleUnschedule(index)} title="Remove">×</button>
+        </div>
+      ))}
+    </div>
+  );
+}
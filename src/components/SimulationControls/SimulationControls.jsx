@@ -4,9 +4,11 @@ import { useState } from 'react';
  * SimulationControls - Game-like control bar for simulation
  */
 import { SettingsIcon } from '../shared/Icons/Icons';
+import { EventsPanel } from './EventsPanel';
 
-export function SimulationControls({ world, gameEngine, onRestart, zoom, onZoomIn, onZoomOut, onZoomReset, onResetView, onOpenSettings }) {
+export function SimulationControls({ world, gameEngine, onRestart, zoom, onZoomIn, onZoomOut, onZoomReset, onResetView, onOpenSettings, onEnvironmentChange }) {
   const [simulationSpeed, setSimulationSpeed] = useState(1);
+  const [eventsOpen, setEventsOpen] = useState(false);
 
   const handlePauseToggle = () => {
     world.togglePause();
@@ -105,6 +107,17 @@ export function SimulationControls({ world, gameEngine, onRestart, zoom, onZoomI
           </svg>
         </button>
 
+        <div className="events-control">
+          <button
+            className={`control-button events-button ${eventsOpen ? 'active' : ''}`}
+            onClick={() => setEventsOpen(open => !open)}
+            title="Environmental Events"
+          >
+            ⚡
+          </button>
+          {eventsOpen && <EventsPanel world={world} onEnvironmentChange={onEnvironmentChange} />}
+        </div>
+
         <div className="zoom-controls">
         
           <button
@@ -197,6 +210,14 @@ export function SimulationControls({ world, gameEngine, onRestart, zoom, onZoomI
           </div>
         </div>
 
+        <div className="stat-display">
+          <div className="stat-icon">🦴</div>
+          <div className="stat-info">
+            <div className="stat-label">Carcasses</div>
+            <div className="stat-value">{stats.carcasses}</div>
+          </div>
+        </div>
+
       
         <div className="stat-display">
           <div className="stat-icon">⏱️</div>
@@ -1,4 +1,6 @@
 import { useEffect, useRef, useState } from 'react';
+import { EnvironmentClock } from '../../simulation/world/EnvironmentClock';
+import { WorldEvents } from '../../simulation/world/WorldEvents';
 import './Statistics.css';
 
 /**
@@ -24,7 +26,7 @@ function formatElapsedTime(seconds) {
 /**
  * LineChart - Lightweight canvas-based line chart component
  */
-function LineChart({ data, lines, width = 400, height = 200, title }) {
+function LineChart({ data, lines, events = [], width = 400, height = 200, title }) {
   const canvasRef = useRef(null);
 
   useEffect(() => {
@@ -82,6 +84,21 @@ function LineChart({ data, lines, width = 400, height = 200, title }) {
     const scaleX = (time) => padding.left + ((time - minTime) / timeRange) * chartWidth;
     const scaleY = (value) => padding.top + chartHeight - ((value - minY) / yRange) * chartHeight;
 
+    // Environment cycle band: season colors behind the chart, darkened at night
+    const seasons = data.season ?? [];
+    for (let i = 0; i < seasons.length - 1; i++) {
+      if (seasons[i] < 0) continue;
+      const x = scaleX(timeValues[i]);
+      const bandWidth = scaleX(timeValues[i + 1]) - x + 0.5;
+      ctx.fillStyle = EnvironmentClock.SEASONS[seasons[i]].color;
+      ctx.globalAlpha = 0.12;
+      ctx.fillRect(x, padding.top, bandWidth, chartHeight);
+      ctx.fillStyle = '#000000';
+      ctx.globalAlpha = 0.3 * (1 - data.daylight[i]);
+      ctx.fillRect(x, padding.top, bandWidth, chartHeight);
+    }
+    ctx.globalAlpha = 1;
+
     
     ctx.strokeStyle = '#333333';
     ctx.lineWidth = 1;
@@ -154,6 +171,24 @@ function LineChart({ data, lines, width = 400, height = 200, title }) {
       ctx.stroke();
     }
 
+    // Environmental events: dashed marker at the event time
+    ctx.save();
+    ctx.setLineDash([4, 4]);
+    ctx.lineWidth = 1;
+    ctx.font = '12px system-ui';
+    ctx.textAlign = 'center';
+    for (const event of events) {
+      if (event.time < minTime || event.time > maxTime) continue;
+      const x = scaleX(event.time);
+      ctx.strokeStyle = WorldEvents.TYPES[event.type]?.color ?? '#ffffff';
+      ctx.beginPath();
+      ctx.moveTo(x, padding.top);
+      ctx.lineTo(x, padding.top + chartHeight);
+      ctx.stroke();
+      ctx.fillText(WorldEvents.TYPES[event.type]?.icon ?? '!', x, padding.top - 2);
+    }
+    ctx.restore();
+
     
     ctx.font = '12px system-ui';
     ctx.textAlign = 'left';
@@ -172,7 +207,7 @@ function LineChart({ data, lines, width = 400, height = 200, title }) {
       legendY += 18;
     }
 
-  }, [data, lines, width, height, title]);
+  }, [data, lines, events, width, height, title]);
 
   return <canvas ref={canvasRef} width={width} height={height} className="statistics-chart" />;
 }
@@ -188,6 +223,8 @@ export function Statistics({ statsTracker, onUpdateSampleFrequency }) {
 
 
   const data = statsTracker.getData();
+  const events = statsTracker.getEvents();
+  const sections = statsTracker.sections;
   const latest = statsTracker.getLatestValues();
   const dataPoints = statsTracker.getDataPointCount();
 
@@ -231,6 +268,41 @@ export function Statistics({ statsTracker, onUpdateSampleFrequency }) {
     { key: 'averageGenomeLength', label: 'Avg Genome Length', color: '#00BCD4', enabled: true },
   ];
 
+  const heterozygosityLines = [
+    { key: 'averageHeterozygosity', label: 'Avg Heterozygosity', color: '#E91E63', enabled: true },
+  ];
+
+  const brainLines = [
+    { key: 'neuralOrganisms', label: 'Neural', color: '#3F51B5', enabled: true },
+    { key: 'ruleBasedOrganisms', label: 'Rule-Based', color: '#795548', enabled: true },
+  ];
+
+  const guildLines = [
+    { key: 'autotrophs', label: 'Autotrophs', color: '#CDDC39', enabled: true },
+    { key: 'herbivores', label: 'Herbivores', color: '#4CAF50', enabled: true },
+    { key: 'carnivores', label: 'Carnivores', color: '#F44336', enabled: true },
+    { key: 'scavengers', label: 'Scavengers', color: '#8D6E63', enabled: true },
+    { key: 'omnivores', label: 'Omnivores', color: '#FF9800', enabled: true },
+  ];
+
+  const energyFlowLines = [
+    { key: 'lightEnergy', label: 'Light', color: '#CDDC39', enabled: true },
+    { key: 'plantEnergy', label: 'Plants', color: '#4CAF50', enabled: true },
+    { key: 'meatEnergy', label: 'Prey', color: '#F44336', enabled: true },
+    { key: 'carrionEnergy', label: 'Carrion', color: '#8D6E63', enabled: true },
+  ];
+
+  const cyclesShown = data.season?.some(season => season >= 0);
+
+  const migrantLines = [
+    { key: 'migrants', label: 'Migrants', color: '#B0BEC5', enabled: true },
+  ];
+  const migrationShown = sections.walls.length > 0 || data.migrants?.some(count => count > 0);
+
+  const trophicLevelLines = [
+    { key: 'averageTrophicLevel', label: 'Avg Trophic Level', color: '#607D8B', enabled: true },
+  ];
+
   return (
     <div className="statistics">
       <h2>Simulation Statistics</h2>
@@ -261,10 +333,26 @@ export function Statistics({ statsTracker, onUpdateSampleFrequency }) {
           <div className="stat-label">Cooperation Events</div>
           <div className="stat-value">{latest.cooperationEvents}</div>
         </div>
+        <div className="stat-card">
+          <div className="stat-label">Mating Events</div>
+          <div className="stat-value">{latest.matingEvents}</div>
+        </div>
         <div className="stat-card">
           <div className="stat-label">Avg Genome Length</div>
           <div className="stat-value">{latest.averageGenomeLength.toFixed(1)}</div>
         </div>
+        <div className="stat-card">
+          <div className="stat-label">Heterozygosity</div>
+          <div className="stat-value">{(latest.averageHeterozygosity * 100).toFixed(0)}%</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-label">Neural / Rule-Based</div>
+          <div className="stat-value">{latest.neuralOrganisms} / {latest.ruleBasedOrganisms}</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-label">Avg Trophic Level</div>
+          <div className="stat-value">{latest.averageTrophicLevel.toFixed(2)}</div>
+        </div>
       </div>
 
       {/* Sampling controls */}
@@ -320,10 +408,73 @@ export function Statistics({ statsTracker, onUpdateSampleFrequency }) {
       </div>
 
       {/* Charts */}
+      {cyclesShown && (
+        <div className="cycle-legend">
+          Background:
+          {EnvironmentClock.SEASONS.map(season => (
+            <span key={season.id}>
+              <span className="cycle-swatch" style={{ background: season.color }} /> {season.name}
+            </span>
+          ))}
+          <span>(darker = night)</span>
+        </div>
+      )}
+      {events.length > 0 && (
+        <div className="event-log">
+          <h3>Events</h3>
+          {[...events].reverse().map((event, index) => (
+            <div key={events.length - index} className="event-log-entry">
+              <span className="event-log-time">{formatElapsedTime(event.time / 1000)}</span>
+              <span>{event.label}</span>
+              <span className="event-log-summary">{event.summary}</span>
+            </div>
+          ))}
+        </div>
+      )}
+      {sections.walls.length > 0 && (
+        <div className="section-report">
+          <h3>Sections</h3>
+          <table className="section-walls">
+            <thead>
+              <tr>
+                <th>Wall</th>
+                <th>Open</th>
+                <th>Migrants A→B</th>
+                <th>Migrants B→A</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sections.walls.map(wall => (
+                <tr key={wall.id}>
+                  <td>{WorldEvents.getWallLabel(wall.id)}</td>
+                  <td>{wall.permeability > 0 ? `${(wall.permeability * 100).toFixed(0)}%` : 'closed'}</td>
+                  <td>{wall.forward}</td>
+                  <td>{wall.backward}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="section-composition">
+            {sections.composition.map((species, index) => (
+              <div key={index} className="section-species">
+                <div className="section-species-title">Section {index + 1}</div>
+                {species.length === 0 && <div className="section-species-empty">empty</div>}
+                {species.slice(0, 5).map(entry => (
+                  <div key={entry.speciesId}>
+                    {entry.emoji} {entry.name} <span className="section-species-count">{entry.count}</span>
+                  </div>
+                ))}
+                {species.length > 5 && <div className="section-species-empty">+{species.length - 5} more species</div>}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
       {data.time.length > 0 ? (
         <div className="charts-container">
           <LineChart
             data={data}
+            events={events}
             lines={organismsLines}
             width={450}
             height={220}
@@ -331,6 +482,7 @@ export function Statistics({ statsTracker, onUpdateSampleFrequency }) {
           />
           <LineChart
             data={data}
+            events={events}
             lines={speciesLines}
             width={450}
             height={220}
@@ -338,6 +490,7 @@ export function Statistics({ statsTracker, onUpdateSampleFrequency }) {
           />
           <LineChart
             data={data}
+            events={events}
             lines={topSpeciesLines}
             width={450}
             height={220}
@@ -345,6 +498,7 @@ export function Statistics({ statsTracker, onUpdateSampleFrequency }) {
           />
           <LineChart
             data={data}
+            events={events}
             lines={resourceLines}
             width={450}
             height={220}
@@ -352,6 +506,7 @@ export function Statistics({ statsTracker, onUpdateSampleFrequency }) {
           />
           <LineChart
             data={data}
+            events={events}
             lines={energyLines}
             width={450}
             height={220}
@@ -359,6 +514,7 @@ export function Statistics({ statsTracker, onUpdateSampleFrequency }) {
           />
           <LineChart
             data={data}
+            events={events}
             lines={combatLines}
             width={450}
             height={220}
@@ -366,6 +522,7 @@ export function Statistics({ statsTracker, onUpdateSampleFrequency }) {
           />
           <LineChart
             data={data}
+            events={events}
             lines={cooperationLines}
             width={450}
             height={220}
@@ -373,11 +530,62 @@ export function Statistics({ statsTracker, onUpdateSampleFrequency }) {
           />
           <LineChart
             data={data}
+            events={events}
             lines={genomeLines}
             width={450}
             height={220}
             title="Average Genome Complexity Over Time"
           />
+          <LineChart
+            data={data}
+            events={events}
+            lines={heterozygosityLines}
+            width={450}
+            height={220}
+            title="Heterozygosity Over Time (diploid populations)"
+          />
+          <LineChart
+            data={data}
+            events={events}
+            lines={brainLines}
+            width={450}
+            height={220}
+            title="Neural vs Rule-Based Organisms"
+          />
+          <LineChart
+            data={data}
+            events={events}
+            lines={guildLines}
+            width={450}
+            height={220}
+            title="Trophic Guilds Over Time"
+          />
+          <LineChart
+            data={data}
+            events={events}
+            lines={energyFlowLines}
+            width={450}
+            height={220}
+            title="Energy Absorbed by Food Source (cumulative)"
+          />
+          <LineChart
+            data={data}
+            events={events}
+            lines={trophicLevelLines}
+            width={450}
+            height={220}
+            title="Average Trophic Level Over Time"
+          />
+          {migrationShown && (
+            <LineChart
+              data={data}
+              events={events}
+              lines={migrantLines}
+              width={450}
+              height={220}
+              title="Section Wall Crossings (cumulative)"
+            />
+          )}
         </div>
       ) : (
         <div className="no-data">
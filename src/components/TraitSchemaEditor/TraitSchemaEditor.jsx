@@ -0,0 +1,216 @@
+import { useEffect, useState } from 'react';
+import { TraitCalculator } from '../../core/organisms/TraitCalculator';
+import { TraitSchema } from '../../core/organisms/TraitSchema';
+import { deleteTraitSchema, listTraitSchemaScenarios, loadTraitSchema, saveTraitSchema } from '../../utils/storage';
+
+const formatSchema = (schema) => JSON.stringify(schema, null, 2);
+
+// Cell symbols of the interaction matrix
+const MATRIX_SYMBOLS = { primary: '●', pleiotropy: '±', epistasis: '×' };
+
+const fetchScenarios = (setScenarios) => {
+  listTraitSchemaScenarios().then(setScenarios).catch(err => {
+    console.error('Failed to list trait schemas:', err);
+  });
+};
+
+/**
+ * TraitSchemaEditor - Edit, validate, save and apply the gene-to-trait schema of a scenario
+ * Applying a schema restarts the world so every organism is expressed under the same rules.
+ */
+export function TraitSchemaEditor({ world, onApplySchema }) {
+  const [scenario, setScenario] = useState(world.traitScenario);
+  const [scenarios, setScenarios] = useState([]);
+  const [text, setText] = useState(() => formatSchema(TraitCalculator.schema));
+  const [errors, setErrors] = useState([]);
+  const [status, setStatus] = useState(null);
+
+  const refreshScenarios = () => fetchScenarios(setScenarios);
+
+  useEffect(() => {
+    fetchScenarios(setScenarios);
+  }, []);
+
+  // Parse and validate the editor text; shows errors and returns the schema (or null)
+  const parseText = () => {
+    const { schema, errors: parseErrors } = TraitSchema.parse(text);
+    setErrors(parseErrors);
+    setStatus(null);
+    return schema;
+  };
+
+  const scenarioName = scenario.trim();
+
+  const handleValidate = () => {
+    if (parseText()) {
+      setStatus('Schema is valid');
+    }
+  };
+
+  const handleSave = async (apply) => {
+    const schema = parseText();
+    if (!schema || !scenarioName) return;
+
+    try {
+      await saveTraitSchema(scenarioName, schema);
+      refreshScenarios();
+      if (apply) {
+        onApplySchema(scenarioName, schema);
+      }
+      setStatus(apply ? `Applied "${scenarioName}" and restarted` : `Saved "${scenarioName}"`);
+    } catch (err) {
+      setErrors([err.message]);
+    }
+  };
+
+  const handleLoad = async (name) => {
+    setScenario(name);
+    const schema = await loadTraitSchema(name);
+    setText(formatSchema(schema ?? TraitSchema.createDefault()));
+    setErrors([]);
+    setStatus(schema ? `Loaded "${name}"` : `No schema saved for "${name}" - showing the default`);
+  };
+
+  const handleDelete = async () => {
+    if (!scenarios.includes(scenarioName)) return;
+    await deleteTraitSchema(scenarioName);
+    refreshScenarios();
+    setStatus(`Deleted "${scenarioName}"`);
+  };
+
+  const handleReset = () => {
+    setText(formatSchema(TraitSchema.createDefault()));
+    setErrors([]);
+    setStatus('Default schema restored in the editor (not applied)');
+  };
+
+  const docs = TraitCalculator.getTraitDocumentation();
+  const matrix = TraitSchema.getInteractionMatrix(TraitCalculator.schema);
+
+  return (
+    <div className="environment-controls trait-schema-editor">
+      <h2>Trait Schema</h2>
+
+      <div className="control-group">
+        <div className="control-header">
+          <label>
+            <span className="control-icon">🗂️</span>
+            Scenario
+          </label>
+          <span className="control-value">Active: {world.traitScenario}</span>
+        </div>
+        <select
+          className="control-select"
+          value={scenarios.includes(scenario) ? scenario : ''}
+          onChange={(e) => e.target.value && handleLoad(e.target.value)}
+        >
+          <option value="">Load saved scenario…</option>
+          {scenarios.map(name => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+        <input
+          className="schema-scenario-input"
+          type="text"
+          value={scenario}
+          placeholder="Scenario name"
+          onChange={(e) => setScenario(e.target.value)}
+        />
+        <div className="control-description">Each scenario keeps its own schema in browser storage</div>
+      </div>
+
+      <div className="control-group">
+        <div className="control-header">
+          <label>
+            <span className="control-icon">🧾</span>
+            Schema JSON (version {TraitSchema.VERSION})
+          </label>
+        </div>
+        <textarea
+          className="schema-textarea"
+          value={text}
+          spellCheck={false}
+          onChange={(e) => setText(e.target.value)}
+        />
+
+        {errors.length > 0 && (
+          <ul className="schema-errors">
+            {errors.map((error, i) => <li key={i}>{error}</li>)}
+          </ul>
+        )}
+        {status && <div className="schema-status">{status}</div>}
+
+        <div className="schema-buttons">
+          <button className="schema-button" onClick={handleValidate}>Validate</button>
+          <button className="schema-button" onClick={() => handleSave(false)} disabled={!scenarioName}>Save</button>
+          <button className="schema-button apply" onClick={() => handleSave(true)} disabled={!scenarioName}>
+            Save &amp; Apply
+          </button>
+          <button className="schema-button" onClick={handleReset}>Default</button>
+          <button className="schema-button danger" onClick={handleDelete} disabled={!scenarios.includes(scenarioName)}>
+            Delete
+          </button>
+        </div>
+        <div className="control-description">Applying a schema restarts the simulation</div>
+      </div>
+
+      <div className="control-group">
+        <div className="control-header">
+          <label>
+            <span className="control-icon">📖</span>
+            Active Rules
+          </label>
+        </div>
+        <div className="schema-rules">
+          {Object.entries(docs).map(([traitName, doc]) => (
+            <div key={traitName} className="schema-rule" title={doc.description}>
+              <span className="schema-rule-name">{traitName}</span>
+              <span className="schema-rule-gene">{doc.gene ?? 'derived'}</span>
+              <span className="schema-rule-formula">{doc.formula}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="control-group">
+        <div className="control-header">
+          <label>
+            <span className="control-icon">🔀</span>
+            Interaction Matrix
+          </label>
+        </div>
+        <div className="schema-matrix-wrapper">
+          <table className="schema-matrix">
+            <thead>
+              <tr>
+                <th>gene \ trait</th>
+                {matrix.traits.map(traitName => <th key={traitName}>{traitName}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {matrix.genes.map(gene => (
+                <tr key={gene}>
+                  <th>{gene}</th>
+                  {matrix.traits.map(traitName => (
+                    <td key={traitName}>
+                      {(matrix.cells[gene][traitName] || []).map((entry, i) => (
+                        <span
+                          key={i}
+                          className={`schema-matrix-entry matrix-${entry.type}`}
+                          title={entry.description ?? `${entry.type}: ${entry.weight} × ${entry.property}`}
+                        >
+                          {MATRIX_SYMBOLS[entry.type]}
+                        </span>
+                      ))}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="control-description">● primary effect · ± pleiotropy (side effect) · × epistasis (scales the effect)</div>
+      </div>
+    </div>
+  );
+}
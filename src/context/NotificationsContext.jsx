@@ -34,7 +34,7 @@ export function NotificationsProvider({ children }) {
   }, []);
 
   const notify = useCallback((type, message, options = {}) => {
-    if (!settings.enabled && type !== 'screenshot') return; 
+    if (!settings.enabled && !['screenshot', 'genome', 'error'].includes(type)) return; 
     if (type === 'species-born' && !settings.speciesBorn) return;
     if (type === 'species-extinct' && !settings.speciesExtinct) return;
 
@@ -43,6 +43,8 @@ export function NotificationsProvider({ children }) {
       'species-extinct': '#ef4444',
       'species-born': '#4caf50',
       'screenshot': '#60a5fa',
+      'genome': '#a78bfa',
+      'error': '#ef4444',
     };
     const toast = {
       id,
@@ -1,51 +1,213 @@
 /**
  * DNASequence - Represents a DNA sequence that can be transcribed to RNA
  * Handles validation and basic DNA operations
+ *
+ * Storage: bases are packed 2 bits each into a Uint8Array (4 bases per byte).
+ * Base codes are chosen so that the complement of a code is 3 - code (A<->T, C<->G).
+ * Sequences are immutable; edits (used by mutations) return new sequences and only
+ * validate the newly inserted bases. String forms are decoded lazily and cached.
  */
 export class DNASequence {
   static VALID_BASES = ['A', 'T', 'C', 'G'];
 
+  // 2-bit code -> base, and char code -> 2-bit code (-1 for invalid characters)
+  static CODE_TO_BASE = ['A', 'C', 'G', 'T'];
+  static BASE_TO_CODE = (() => {
+    const table = new Int8Array(128).fill(-1);
+    DNASequence.CODE_TO_BASE.forEach((base, code) => {
+      table[base.charCodeAt(0)] = code;
+      table[base.toLowerCase().charCodeAt(0)] = code;
+    });
+    return table;
+  })();
+
+  // Number of matching bases (equal 2-bit groups) encoded in an XOR byte
+  static MATCHES_PER_BYTE = (() => {
+    const table = new Uint8Array(256);
+    for (let x = 0; x < 256; x++) {
+      let matches = 0;
+      for (let shift = 0; shift < 8; shift += 2) {
+        if (((x >> shift) & 3) === 0) matches++;
+      }
+      table[x] = matches;
+    }
+    return table;
+  })();
+
   constructor(sequence = '') {
-    this.validateSequence(sequence);
-    this._sequence = sequence.toUpperCase();
+    const codes = DNASequence.encode(sequence);
+    this._length = codes.length;
+    this._packed = DNASequence.pack(codes);
+    this._sequence = null; // Lazily decoded string
+    this._rna = null; // Lazily transcribed RNA string
   }
 
-  validateSequence(sequence) {
-    const bases = sequence.toUpperCase().split('');
-    for (const base of bases) {
-      if (!DNASequence.VALID_BASES.includes(base)) {
-        throw new Error(`Invalid DNA base: ${base}`);
+  /**
+   * Validate a string and convert it to 2-bit base codes
+   */
+  static encode(sequence) {
+    const codes = new Uint8Array(sequence.length);
+    for (let i = 0; i < sequence.length; i++) {
+      const charCode = sequence.charCodeAt(i);
+      const code = charCode < 128 ? DNASequence.BASE_TO_CODE[charCode] : -1;
+      if (code < 0) {
+        throw new Error(`Invalid DNA base: ${sequence[i].toUpperCase()} at position ${i + 1}`);
       }
+      codes[i] = code;
+    }
+    return codes;
+  }
+
+  /**
+   * Pack 2-bit base codes (one per array element) into bytes
+   */
+  static pack(codes) {
+    const packed = new Uint8Array(Math.ceil(codes.length / 4));
+    for (let i = 0; i < codes.length; i++) {
+      packed[i >> 2] |= codes[i] << ((i & 3) << 1);
+    }
+    return packed;
+  }
+
+  /**
+   * Create a sequence from already-valid base codes (no validation)
+   */
+  static fromCodes(codes) {
+    const dna = Object.create(DNASequence.prototype);
+    dna._length = codes.length;
+    dna._packed = DNASequence.pack(codes);
+    dna._sequence = null;
+    dna._rna = null;
+    return dna;
+  }
+
+  /**
+   * Concatenate sequences without re-validating them
+   */
+  static concat(...sequences) {
+    const total = sequences.reduce((sum, dna) => sum + dna.length, 0);
+    const codes = new Uint8Array(total);
+    let offset = 0;
+    for (const dna of sequences) {
+      codes.set(dna.getCodes(), offset);
+      offset += dna.length;
     }
+    return DNASequence.fromCodes(codes);
+  }
+
+  validateSequence(sequence) {
+    DNASequence.encode(sequence);
   }
 
   get sequence() {
+    if (this._sequence === null) {
+      let sequence = '';
+      for (let i = 0; i < this._length; i++) {
+        sequence += DNASequence.CODE_TO_BASE[this.getCodeAt(i)];
+      }
+      this._sequence = sequence;
+    }
     return this._sequence;
   }
 
   get length() {
-    return this._sequence.length;
+    return this._length;
+  }
+
+  /**
+   * Get the 2-bit code of the base at a position
+   */
+  getCodeAt(index) {
+    return (this._packed[index >> 2] >> ((index & 3) << 1)) & 3;
+  }
+
+  /**
+   * Unpack into one 2-bit base code per array element
+   */
+  getCodes(start = 0, end = this._length) {
+    const codes = new Uint8Array(Math.max(0, end - start));
+    for (let i = start; i < end; i++) {
+      codes[i - start] = this.getCodeAt(i);
+    }
+    return codes;
   }
 
   /**
    * Transcribe DNA to RNA (replace T with U)
    */
   transcribe() {
-    return this._sequence.replace(/T/g, 'U');
+    if (this._rna === null) {
+      this._rna = this.sequence.replace(/T/g, 'U');
+    }
+    return this._rna;
   }
 
   /**
    * Get base at specific position
    */
   getBaseAt(index) {
-    return this._sequence[index];
+    if (index < 0 || index >= this._length) return undefined;
+    return DNASequence.CODE_TO_BASE[this.getCodeAt(index)];
   }
 
   /**
    * Get subsequence
    */
-  getSubsequence(start, end) {
-    return new DNASequence(this._sequence.slice(start, end));
+  getSubsequence(start, end = this._length) {
+    const from = Math.max(0, Math.min(start, this._length));
+    const to = Math.max(from, Math.min(end, this._length));
+    return DNASequence.fromCodes(this.getCodes(from, to));
+  }
+
+  /**
+   * Replace deleteCount bases at start with new bases (only new bases are validated)
+   * Returns a new sequence
+   */
+  splice(start, deleteCount, insertBases = '') {
+    const inserted = typeof insertBases === 'string' ? DNASequence.encode(insertBases) : insertBases.getCodes();
+    const codes = this.getCodes();
+    const result = new Uint8Array(this._length - deleteCount + inserted.length);
+
+    result.set(codes.subarray(0, start), 0);
+    result.set(inserted, start);
+    result.set(codes.subarray(start + deleteCount), start + inserted.length);
+
+    return DNASequence.fromCodes(result);
+  }
+
+  /**
+   * Reverse the bases between start and end (inclusive), returning a new sequence
+   */
+  reverseSegment(start, end) {
+    const codes = this.getCodes();
+    codes.subarray(start, end + 1).reverse();
+    return DNASequence.fromCodes(codes);
+  }
+
+  /**
+   * Count positions where both sequences carry the same base
+   * Compares 4 bases per byte using the packed representation
+   */
+  countMatches(other) {
+    const minLength = Math.min(this._length, other._length);
+    const fullBytes = minLength >> 2;
+    let matches = 0;
+
+    for (let i = 0; i < fullBytes; i++) {
+      matches += DNASequence.MATCHES_PER_BYTE[this._packed[i] ^ other._packed[i]];
+    }
+    for (let i = fullBytes << 2; i < minLength; i++) {
+      if (this.getCodeAt(i) === other.getCodeAt(i)) matches++;
+    }
+
+    return matches;
+  }
+
+  /**
+   * Check if two sequences are identical
+   */
+  equals(other) {
+    return this._length === other._length && this.countMatches(other) === this._length;
   }
 
   /**
@@ -60,33 +222,28 @@ export class DNASequence {
    * Get complement sequence
    */
   getComplement() {
-    const complement = this._sequence
-      .split('')
-      .map(base => DNASequence.getComplementBase(base))
-      .join('');
-    return new DNASequence(complement);
+    return DNASequence.fromCodes(this.getCodes().map(code => 3 - code));
   }
 
   /**
    * Get reverse complement
    */
   getReverseComplement() {
-    const complement = this.getComplement();
-    return new DNASequence(complement.sequence.split('').reverse().join(''));
+    return DNASequence.fromCodes(this.getCodes().map(code => 3 - code).reverse());
   }
 
   toString() {
-    return this._sequence;
+    return this.sequence;
   }
 
   /**
    * Create random DNA sequence
    */
   static random(length) {
-    let sequence = '';
+    const codes = new Uint8Array(length);
     for (let i = 0; i < length; i++) {
-      sequence += DNASequence.VALID_BASES[Math.floor(Math.random() * 4)];
+      codes[i] = Math.floor(Math.random() * 4);
     }
-    return new DNASequence(sequence);
+    return DNASequence.fromCodes(codes);
   }
 }
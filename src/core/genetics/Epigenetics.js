@@ -0,0 +1,129 @@
+import { Gene } from './Gene.js';
+
+/**
+ * Epigenetics - Heritable methylation marks set by an organism's experience
+ *
+ * Stress (starvation, crowding, combat damage) marks the gene regions listed in TRIGGERS.
+ * A mark has a signed value from -1 (fully silenced) to +1 (fully boosted) and multiplies
+ * the gene's expression level on top of promoter regulation. Marks are not part of the DNA:
+ * they never affect the reference phenotype used for speciation, and offspring inherit each
+ * mark unless it is erased (reset probability per mark per generation).
+ *
+ * Mark sets are plain objects { geneName: { value, cause, generation } }, shared between
+ * parent and offspring and never modified in place.
+ */
+export class Epigenetics {
+  // Gene families each kind of stress marks, and whether the mark boosts or silences them
+  static TRIGGERS = {
+    starvation: [{ family: 'sensory', effect: 'boost' }, { family: 'size', effect: 'silence' }],
+    crowding: [{ family: 'speed', effect: 'boost' }, { family: 'reproduction', effect: 'silence' }],
+    combat: [{ family: 'defense', effect: 'boost' }]
+  };
+
+  // How often organisms check for stress (ms)
+  static CHECK_INTERVAL = 1000;
+
+  // Stress thresholds: AI urgency (0-1), crowding (sum of 1/distance to neighbors)
+  static STARVATION_URGENCY = 0.5;
+  static CROWDING_THRESHOLD = 0.15;
+
+  // Mark value added per check at full stress intensity
+  static MARK_RATE = 0.1;
+
+  // Damage per check that counts as full combat stress
+  static COMBAT_DAMAGE_SCALE = 10;
+
+  // Expression multipliers of fully silenced / fully boosted genes
+  static SILENCE_FACTOR = 0.25;
+  static BOOST_FACTOR = 1.5;
+
+  // Marks weaker than this are dropped
+  static MIN_MARK = 0.01;
+
+  /**
+   * Add stress marks to a mark set
+   * @param {Object} marks - Current marks
+   * @param {string} cause - Key of TRIGGERS ('starvation', 'crowding', 'combat')
+   * @param {number} intensity - Stress intensity (0-1)
+   * @param {Genome} genome - Genome whose gene names receive the marks
+   * @param {number} generation - Generation of the organism setting the marks
+   * @returns {Object} New mark set
+   */
+  static addMarks(marks, cause, intensity, genome, generation) {
+    const targets = Epigenetics.TRIGGERS[cause] || [];
+    const amount = Math.max(0, Math.min(1, intensity)) * Epigenetics.MARK_RATE;
+    if (amount === 0 || targets.length === 0) return marks;
+
+    const families = genome.getGeneFamilies();
+    const result = { ...marks };
+    for (const { family, effect } of targets) {
+      for (const geneName of families[family] || []) {
+        const current = result[geneName]?.value ?? 0;
+        const value = Math.max(-1, Math.min(1, current + (effect === 'boost' ? amount : -amount)));
+        result[geneName] = { value, cause, generation };
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Multiply expression levels by the marks' factors
+   * @returns {Object} New levels (the input is not modified)
+   */
+  static applyMarks(levels, marks) {
+    const result = { ...levels };
+    for (const [geneName, mark] of Object.entries(marks)) {
+      if (result[geneName] === undefined) continue;
+      result[geneName] *= Epigenetics.getExpressionFactor(mark);
+    }
+    return result;
+  }
+
+  /**
+   * Expression multiplier of a mark (SILENCE_FACTOR at -1, 1 at 0, BOOST_FACTOR at +1)
+   */
+  static getExpressionFactor(mark) {
+    return mark.value >= 0
+      ? 1 + mark.value * (Epigenetics.BOOST_FACTOR - 1)
+      : 1 + mark.value * (1 - Epigenetics.SILENCE_FACTOR);
+  }
+
+  /**
+   * Pass marks to offspring: each mark is erased with resetProbability,
+   * and marks on genes the offspring does not carry are dropped
+   * @param {Array<Object>} parentMarks - Mark sets of the parents (two for sexual reproduction)
+   * @param {Genome} genome - Offspring genome
+   * @param {number} resetProbability - Chance that a mark is erased (0 = always inherited)
+   * @returns {Object} Offspring mark set
+   */
+  static inherit(parentMarks, genome, resetProbability) {
+    const sets = parentMarks.filter(Boolean);
+    const names = new Set(sets.flatMap(marks => Object.keys(marks)));
+    const result = {};
+
+    for (const geneName of names) {
+      if (!genome.getGene(geneName) || Math.random() < resetProbability) continue;
+
+      // Sexual offspring average both parents' marks (a missing mark counts as 0)
+      const parentsWithMark = sets.map(marks => marks[geneName]).filter(Boolean);
+      const value = parentsWithMark.reduce((sum, mark) => sum + mark.value, 0) / sets.length;
+      if (Math.abs(value) < Epigenetics.MIN_MARK) continue;
+
+      const { cause, generation } = parentsWithMark[0];
+      result[geneName] = { value, cause, generation };
+    }
+    return result;
+  }
+
+  /**
+   * Summarize marks per gene family for display: [{ geneName, family, effect, value, cause, generation }]
+   */
+  static describe(marks) {
+    return Object.entries(marks).map(([geneName, mark]) => ({
+      geneName,
+      family: Gene.getFamilyName(geneName),
+      effect: mark.value >= 0 ? 'boost' : 'silence',
+      ...mark
+    }));
+  }
+}
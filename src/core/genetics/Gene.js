@@ -7,6 +7,12 @@ import { Protein } from './Protein.js';
  * Handles transcription and translation following central dogma
  */
 export class Gene {
+  // Separator between gene family and copy number in paralog names (e.g. "speed#2")
+  static PARALOG_SEPARATOR = '#';
+
+  // Length of the promoter region placed upstream of the start codon in new genes
+  static PROMOTER_LENGTH = 9;
+
   constructor(dnaSequence, name = 'unnamed_gene') {
     if (typeof dnaSequence === 'string') {
       this.dna = new DNASequence(dnaSequence);
@@ -14,6 +20,35 @@ export class Gene {
       this.dna = dnaSequence;
     }
     this.name = name;
+
+    // Translation results per genetic code signature (DNA is immutable, so they never go stale)
+    this._translationCache = new Map();
+  }
+
+  /**
+   * Copy the gene, sharing its immutable DNA and cached translations
+   */
+  clone(name = this.name) {
+    const copy = new Gene(this.dna, name);
+    copy._translationCache = this._translationCache;
+    return copy;
+  }
+
+  /**
+   * Get (or compute) the cached translation record for a genetic code
+   */
+  getTranslation(code) {
+    let translation = this._translationCache.get(code.signature);
+    if (!translation) {
+      translation = {
+        startIndex: this.findStartIndex(code),
+        stopIndex: -1,
+        promoter: undefined,
+        protein: null
+      };
+      this._translationCache.set(code.signature, translation);
+    }
+    return translation;
   }
 
   /**
@@ -25,12 +60,27 @@ export class Gene {
 
   /**
    * Translate mRNA to protein sequence
-   * Follows biological rules: starts at AUG (start codon), stops at stop codons
+   * Follows biological rules: starts at a start codon, stops at stop codons
+   * @param {GeneticCode} code - Genetic code of the organism (standard code by default)
+   * Proteins are cached per code and shared between clones of the gene
    */
-  translate() {
+  translate(code = GeneticCode.STANDARD) {
+    const translation = this.getTranslation(code);
+    if (!translation.protein) {
+      Object.assign(translation, this.translateSequence(code));
+    }
+    return translation.protein;
+  }
+
+  /**
+   * Translate the mRNA codon by codon (uncached)
+   * Returns the protein and the index of the terminating stop codon (-1 if none)
+   */
+  translateSequence(code) {
     const mRNA = this.transcribe();
     let proteinSequence = '';
     let started = false;
+    let stopIndex = -1;
 
     // Read codons (3 nucleotides at a time)
     for (let i = 0; i <= mRNA.length - 3; i += 3) {
@@ -38,57 +88,106 @@ export class Gene {
 
       // Look for start codon
       if (!started) {
-        if (GeneticCode.isStartCodon(codon)) {
+        if (code.isStartCodon(codon)) {
           started = true;
-          proteinSequence += GeneticCode.translateCodon(codon);
+          proteinSequence += GeneticCode.INITIATOR_AMINO_ACID;
         }
         continue;
       }
 
       // Check for stop codon
-      if (GeneticCode.isStopCodon(codon)) {
+      if (code.isStopCodon(codon)) {
+        stopIndex = i;
         break;
       }
 
       // Translate codon to amino acid
-      const aminoAcid = GeneticCode.translateCodon(codon);
-      if (aminoAcid !== '?') {
+      const aminoAcid = code.translateCodon(codon);
+      if (aminoAcid !== GeneticCode.UNKNOWN_SYMBOL) {
         proteinSequence += aminoAcid;
       }
     }
 
-    return new Protein(proteinSequence);
+    return { protein: new Protein(proteinSequence), stopIndex };
+  }
+
+  /**
+   * Get the coding region (CDS) found by translation, as 0-based [start, end) indices
+   * end includes the stop codon; complete is false when no in-frame stop codon exists
+   * Returns null if the gene has no start codon
+   */
+  getCodingRegion(code = GeneticCode.STANDARD) {
+    this.translate(code);
+    const { startIndex, stopIndex } = this.getTranslation(code);
+    if (startIndex < 0) return null;
+
+    const complete = stopIndex >= 0;
+    const end = complete ? stopIndex + 3 : this.length - ((this.length - startIndex) % 3);
+    return { start: startIndex, end, complete };
   }
 
   /**
    * Express the gene (transcribe and translate)
    */
-  express() {
-    return this.translate();
+  express(code = GeneticCode.STANDARD) {
+    return this.translate(code);
   }
 
   /**
    * Check if gene has valid start codon
    */
-  hasStartCodon() {
+  hasStartCodon(code = GeneticCode.STANDARD) {
     const mRNA = this.transcribe();
     for (let i = 0; i <= mRNA.length - 3; i += 3) {
       const codon = mRNA.substr(i, 3);
-      if (GeneticCode.isStartCodon(codon)) {
+      if (code.isStartCodon(codon)) {
         return true;
       }
     }
     return false;
   }
 
+  /**
+   * Get the index of the first in-frame start codon (-1 if none)
+   */
+  getStartIndex(code = GeneticCode.STANDARD) {
+    return this.getTranslation(code).startIndex;
+  }
+
+  /**
+   * Scan the mRNA for the first in-frame start codon (uncached)
+   */
+  findStartIndex(code) {
+    const mRNA = this.transcribe();
+    for (let i = 0; i <= mRNA.length - 3; i += 3) {
+      if (code.isStartCodon(mRNA.substr(i, 3))) {
+        return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Get the promoter region (DNA upstream of the start codon)
+   * Genes without a start codon have no usable promoter
+   */
+  getPromoter(code = GeneticCode.STANDARD) {
+    const translation = this.getTranslation(code);
+    if (translation.promoter === undefined) {
+      const start = translation.startIndex;
+      translation.promoter = start > 0 ? this.dna.sequence.slice(0, start) : '';
+    }
+    return translation.promoter;
+  }
+
   /**
    * Check if gene has valid stop codon
    */
-  hasStopCodon() {
+  hasStopCodon(code = GeneticCode.STANDARD) {
     const mRNA = this.transcribe();
     for (let i = 0; i <= mRNA.length - 3; i += 3) {
       const codon = mRNA.substr(i, 3);
-      if (GeneticCode.isStopCodon(codon)) {
+      if (code.isStopCodon(codon)) {
         return true;
       }
     }
@@ -98,8 +197,8 @@ export class Gene {
   /**
    * Check if gene is valid (has both start and stop codons)
    */
-  isValid() {
-    return this.hasStartCodon() && this.hasStopCodon();
+  isValid(code = GeneticCode.STANDARD) {
+    return this.hasStartCodon(code) && this.hasStopCodon(code);
   }
 
   /**
@@ -117,24 +216,72 @@ export class Gene {
   }
 
   /**
-   * Create a valid random gene with proper start and stop codons
+   * Get the gene family a (possibly duplicated) gene name belongs to
+   * "speed" and "speed#2" both belong to the "speed" family
    */
-  static createRandom(name, minLength = 12, maxLength = 30) {
+  static getFamilyName(name) {
+    return name.split(Gene.PARALOG_SEPARATOR)[0];
+  }
+
+  /**
+   * Build the name of a paralog copy within a gene family
+   */
+  static getParalogName(family, copyNumber) {
+    return `${family}${Gene.PARALOG_SEPARATOR}${copyNumber}`;
+  }
+
+  /**
+   * Create a recombinant gene by single-point crossover of two alleles
+   * The crossover point falls on a codon boundary of the coding sequence (after parent A's start
+   * codon), so the reading frame is kept and the promoter is always parent A's
+   * @param {GeneticCode} code - Genetic code used to find parent A's start codon
+   */
+  static crossover(geneA, geneB, name = geneA.name, code = GeneticCode.STANDARD) {
+    const sharedCodons = Math.floor(Math.min(geneA.length, geneB.length) / 3);
+    const startIndex = geneA.getStartIndex(code);
+
+    // First codon boundary after the start codon (after the promoter if there is no start codon)
+    const firstCodon = (startIndex >= 0 ? startIndex + 3 : Gene.PROMOTER_LENGTH) / 3;
+    const lastCodon = Math.max(firstCodon, sharedCodons - 1);
+    const point = (firstCodon + Math.floor(Math.random() * (lastCodon - firstCodon + 1))) * 3;
+
+    return new Gene(DNASequence.concat(
+      geneA.dna.getSubsequence(0, point),
+      geneB.dna.getSubsequence(point)
+    ), name);
+  }
+
+  /**
+   * Create a valid random gene with a promoter, proper start and stop codons
+   * minLength/maxLength refer to the coding region; the promoter is added in front
+   * @param {GeneticCode} code - Genetic code the gene will be expressed with (start and stop codons)
+   */
+  static createRandom(name, minLength = 12, maxLength = 30, code = GeneticCode.STANDARD) {
     const length = minLength + Math.floor(Math.random() * (maxLength - minLength));
     const codingLength = Math.floor(length / 3) * 3; // Ensure divisible by 3
+    const bases = ['A', 'T', 'C', 'G'];
+    const toDNA = codon => codon.replace(/U/g, 'T');
+    const pick = codons => toDNA(codons[Math.floor(Math.random() * codons.length)]);
 
-    // Start with ATG (start codon)
-    let sequence = 'ATG';
+    // Promoter: random codons that are never a start codon (keeps the reading frame)
+    let sequence = '';
+    while (sequence.length < Gene.PROMOTER_LENGTH) {
+      const codon = Array.from({ length: 3 }, () => bases[Math.floor(Math.random() * 4)]).join('');
+      if (!code.isStartCodon(codon.replace(/T/g, 'U'))) {
+        sequence += codon;
+      }
+    }
+
+    // Start with one of the code's start codons
+    sequence += pick(code.startCodons);
 
     // Add random codons
-    const bases = ['A', 'T', 'C', 'G'];
     for (let i = 3; i < codingLength - 3; i++) {
       sequence += bases[Math.floor(Math.random() * 4)];
     }
 
-    // End with stop codon
-    const stopCodons = ['TAA', 'TAG', 'TGA'];
-    sequence += stopCodons[Math.floor(Math.random() * stopCodons.length)];
+    // End with one of the code's stop codons
+    sequence += pick(code.stopCodons);
 
     return new Gene(sequence, name);
   }
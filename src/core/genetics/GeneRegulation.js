@@ -0,0 +1,141 @@
+import { Gene } from './Gene.js';
+
+/**
+ * GeneRegulation - Computes how strongly each gene is expressed
+ *
+ * Regulatory model:
+ * - Promoter: DNA upstream of a gene's start codon. AT-rich promoters (TATA-box like)
+ *   give a higher basal expression level.
+ * - Plasticity: the first three promoter codons set how expression responds to
+ *   energy, age and temperature. Purine-rich codons (A/G) raise expression as the
+ *   condition increases, pyrimidine-rich codons (C/T) lower it. Because the promoter
+ *   is part of the DNA, plasticity mutates and is inherited like any other trait.
+ * - Transcription factors: proteins of "regulator" genes bind promoters containing
+ *   their binding motif (the codon right after their start codon). Positively charged
+ *   factors activate targets, negatively charged factors repress them.
+ *
+ * Regulation is a single pass: factor levels come from their own promoter only.
+ */
+export class GeneRegulation {
+  // Gene family whose proteins act as transcription factors
+  static REGULATOR_FAMILY = 'regulator';
+
+  // Expression level bounds (1.0 = normal expression)
+  static MIN_EXPRESSION = 0;
+  static MAX_EXPRESSION = 2;
+
+  // Organism state at which plastic responses are neutral (used for species comparison)
+  static REFERENCE_STATE = {
+    energyRatio: 0.5,
+    ageRatio: 0.5,
+    temperature: 1.0
+  };
+
+  // Promoter profile for genes without a promoter (constitutive expression)
+  static CONSTITUTIVE_PROFILE = {
+    basal: 1,
+    energyResponse: 0,
+    ageResponse: 0,
+    temperatureResponse: 0
+  };
+
+  /**
+   * Check if a gene codes for a transcription factor
+   */
+  static isRegulatoryGene(geneName) {
+    return Gene.getFamilyName(geneName) === GeneRegulation.REGULATOR_FAMILY;
+  }
+
+  /**
+   * Derive basal strength and plastic responses from a gene's promoter
+   */
+  static getPromoterProfile(gene, code) {
+    const promoter = gene.getPromoter(code);
+    if (!promoter) {
+      return GeneRegulation.CONSTITUTIVE_PROFILE;
+    }
+
+    const atCount = promoter.split('').filter(base => base === 'A' || base === 'T').length;
+
+    // Response of one promoter codon: -0.5 (all pyrimidines) to +0.5 (all purines)
+    const codonResponse = (index) => {
+      const codon = promoter.slice(index * 3, index * 3 + 3);
+      if (codon.length < 3) return 0;
+      const purines = codon.split('').filter(base => base === 'A' || base === 'G').length;
+      return ((purines - (3 - purines)) / 3) * 0.5;
+    };
+
+    return {
+      basal: 0.5 + atCount / promoter.length, // 0.5-1.5
+      energyResponse: codonResponse(0),
+      ageResponse: codonResponse(1),
+      temperatureResponse: codonResponse(2)
+    };
+  }
+
+  /**
+   * Get the DNA motif a transcription factor binds to (codon after its start codon)
+   */
+  static getBindingMotif(gene, code) {
+    const start = gene.getStartIndex(code);
+    if (start < 0) return null;
+
+    const motif = gene.dna.sequence.slice(start + 3, start + 6);
+    return motif.length === 3 ? motif : null;
+  }
+
+  /**
+   * Expression level of a gene from its promoter alone (no transcription factors)
+   */
+  static getPromoterLevel(gene, state, code) {
+    const profile = GeneRegulation.getPromoterProfile(gene, code);
+
+    // Each response maps its condition to a 0.5-1.5 multiplier (1.0 at the reference state)
+    const energyFactor = 1 + profile.energyResponse * (state.energyRatio - 0.5) * 2;
+    const ageFactor = 1 + profile.ageResponse * (state.ageRatio - 0.5) * 2;
+    const temperatureFactor = 1 + profile.temperatureResponse * (state.temperature - 1);
+
+    return profile.basal * energyFactor * ageFactor * temperatureFactor;
+  }
+
+  /**
+   * Compute expression levels for every gene in a genome
+   * @param {Genome} genome - Genome with expressed proteins
+   * @param {Object} state - { energyRatio, ageRatio, temperature }
+   * @returns {Object} Map of gene name -> expression level
+   */
+  static computeExpressionLevels(genome, state = GeneRegulation.REFERENCE_STATE) {
+    const levels = {};
+    for (const [name, gene] of Object.entries(genome.genes)) {
+      levels[name] = GeneRegulation.getPromoterLevel(gene, state, genome.geneticCode);
+    }
+
+    // Apply transcription factors to the promoters they bind
+    for (const [tfName, tfGene] of Object.entries(genome.genes)) {
+      if (!GeneRegulation.isRegulatoryGene(tfName)) continue;
+
+      const protein = genome.expressedProteins[tfName];
+      const motif = GeneRegulation.getBindingMotif(tfGene, genome.geneticCode);
+      if (!protein || !motif || protein.properties.length === 0) continue;
+
+      const chargeBias = protein.properties.positiveRatio - protein.properties.negativeRatio;
+      const strength = Math.min(1, 0.25 + Math.abs(chargeBias)) * 0.5 * levels[tfName];
+
+      for (const [targetName, targetGene] of Object.entries(genome.genes)) {
+        if (targetName === tfName) continue;
+        if (!targetGene.getPromoter(genome.geneticCode).includes(motif)) continue;
+
+        levels[targetName] *= chargeBias >= 0 ? 1 + strength : Math.max(0, 1 - strength);
+      }
+    }
+
+    for (const name of Object.keys(levels)) {
+      levels[name] = Math.max(
+        GeneRegulation.MIN_EXPRESSION,
+        Math.min(GeneRegulation.MAX_EXPRESSION, levels[name])
+      );
+    }
+
+    return levels;
+  }
+}
@@ -1,8 +1,11 @@
 /**
- * GeneticCode - Universal genetic code for translating RNA codons to amino acids
- * This follows the standard genetic code used in biology
+ * GeneticCode - Translation table from RNA codons to amino acids
+ * Instances are immutable: each genome carries its own code, and reassigning a
+ * codon creates a new code (so lineages can evolve their code independently).
+ * Alternative codes follow the NCBI translation tables.
  */
 export class GeneticCode {
+  // Standard genetic code (NCBI table 1)
   static CODON_TABLE = {
     'UUU': 'F', 'UUC': 'F', 'UUA': 'L', 'UUG': 'L',
     'UCU': 'S', 'UCC': 'S', 'UCA': 'S', 'UCG': 'S',
@@ -22,30 +25,218 @@ export class GeneticCode {
     'GGU': 'G', 'GGC': 'G', 'GGA': 'G', 'GGG': 'G'
   };
 
-  // Start codon
-  static START_CODON = 'AUG';
+  static STOP_SYMBOL = '*';
+  static UNKNOWN_SYMBOL = '?';
 
-  // Stop codons
-  static STOP_CODONS = ['UAA', 'UAG', 'UGA'];
+  // Amino acid inserted by a start codon (initiator tRNA), whatever the codon
+  static INITIATOR_AMINO_ACID = 'M';
+
+  // The 20 standard amino acids (targets for codon reassignment)
+  static AMINO_ACIDS = 'ACDEFGHIKLMNPQRSTVWY'.split('');
+
+  /**
+   * NCBI translation tables, described as differences from the standard code
+   * Table 1 uses only AUG as start codon (NCBI's rare UUG/CUG initiators are omitted)
+   */
+  static NCBI_TABLES = {
+    1: {
+      name: 'Standard',
+      changes: {},
+      startCodons: ['AUG']
+    },
+    2: {
+      name: 'Vertebrate Mitochondrial',
+      changes: { 'AGA': '*', 'AGG': '*', 'AUA': 'M', 'UGA': 'W' },
+      startCodons: ['AUU', 'AUC', 'AUA', 'AUG', 'GUG']
+    },
+    3: {
+      name: 'Yeast Mitochondrial',
+      changes: { 'AUA': 'M', 'CUU': 'T', 'CUC': 'T', 'CUA': 'T', 'CUG': 'T', 'UGA': 'W' },
+      startCodons: ['AUA', 'AUG', 'GUG']
+    },
+    4: {
+      name: 'Mold/Protozoan Mitochondrial',
+      changes: { 'UGA': 'W' },
+      startCodons: ['UUA', 'UUG', 'CUG', 'AUU', 'AUC', 'AUA', 'AUG', 'GUG']
+    },
+    5: {
+      name: 'Invertebrate Mitochondrial',
+      changes: { 'AGA': 'S', 'AGG': 'S', 'AUA': 'M', 'UGA': 'W' },
+      startCodons: ['UUG', 'AUU', 'AUC', 'AUA', 'AUG', 'GUG']
+    },
+    6: {
+      name: 'Ciliate Nuclear',
+      changes: { 'UAA': 'Q', 'UAG': 'Q' },
+      startCodons: ['AUG']
+    },
+    9: {
+      name: 'Echinoderm/Flatworm Mitochondrial',
+      changes: { 'AAA': 'N', 'AGA': 'S', 'AGG': 'S', 'UGA': 'W' },
+      startCodons: ['AUG', 'GUG']
+    },
+    10: {
+      name: 'Euplotid Nuclear',
+      changes: { 'UGA': 'C' },
+      startCodons: ['AUG']
+    },
+    11: {
+      name: 'Bacterial/Plastid',
+      changes: {},
+      startCodons: ['UUG', 'CUG', 'AUU', 'AUC', 'AUA', 'AUG', 'GUG']
+    },
+    12: {
+      name: 'Alternative Yeast Nuclear',
+      changes: { 'CUG': 'S' },
+      startCodons: ['CUG', 'AUG']
+    },
+    13: {
+      name: 'Ascidian Mitochondrial',
+      changes: { 'AGA': 'G', 'AGG': 'G', 'AUA': 'M', 'UGA': 'W' },
+      startCodons: ['UUG', 'AUA', 'AUG', 'GUG']
+    },
+    14: {
+      name: 'Alternative Flatworm Mitochondrial',
+      changes: { 'AAA': 'N', 'AGA': 'S', 'AGG': 'S', 'UAA': 'Y', 'UGA': 'W' },
+      startCodons: ['AUG']
+    }
+  };
+
+  /**
+   * @param {Object} options
+   * @param {number} options.tableId - NCBI table this code derives from
+   * @param {Object} options.table - Map of codon -> amino acid ('*' = stop)
+   * @param {string[]} options.startCodons - Codons that start translation
+   * @param {Array} options.reassignments - History of { codon, from, to } changes
+   */
+  constructor({
+    tableId = 1,
+    table = GeneticCode.CODON_TABLE,
+    startCodons = ['AUG'],
+    reassignments = []
+  } = {}) {
+    this.tableId = tableId;
+    this.table = Object.freeze({ ...table });
+    this.startCodons = Object.freeze([...startCodons]);
+    this.stopCodons = Object.freeze(
+      Object.keys(this.table).filter(codon => this.table[codon] === GeneticCode.STOP_SYMBOL)
+    );
+    this.reassignments = Object.freeze([...reassignments]);
+
+    // Signature identifies codes that translate identically
+    this.signature = Object.keys(GeneticCode.CODON_TABLE).map(codon => this.table[codon]).join('') +
+      '|' + [...this.startCodons].sort().join(',');
+  }
+
+  /**
+   * Create the code for an NCBI translation table
+   */
+  static fromNCBI(tableId) {
+    const definition = GeneticCode.NCBI_TABLES[tableId];
+    if (!definition) {
+      throw new Error(`Unknown genetic code table: ${tableId}`);
+    }
+
+    return new GeneticCode({
+      tableId: Number(tableId),
+      table: { ...GeneticCode.CODON_TABLE, ...definition.changes },
+      startCodons: definition.startCodons
+    });
+  }
+
+  /**
+   * List available NCBI tables as { id, name }
+   */
+  static getAvailableTables() {
+    return Object.entries(GeneticCode.NCBI_TABLES).map(([id, definition]) => ({
+      id: Number(id),
+      name: definition.name
+    }));
+  }
+
+  /**
+   * Human-readable name (base table plus number of evolved reassignments)
+   */
+  get name() {
+    const baseName = GeneticCode.NCBI_TABLES[this.tableId]?.name || `Table ${this.tableId}`;
+    return this.reassignments.length > 0
+      ? `${baseName} (+${this.reassignments.length} reassigned)`
+      : baseName;
+  }
 
   /**
    * Translate RNA codon to amino acid
    */
-  static translateCodon(codon) {
-    return this.CODON_TABLE[codon] || '?';
+  translateCodon(codon) {
+    return this.table[codon] || GeneticCode.UNKNOWN_SYMBOL;
   }
 
   /**
    * Check if codon is a stop codon
    */
-  static isStopCodon(codon) {
-    return this.STOP_CODONS.includes(codon);
+  isStopCodon(codon) {
+    return this.table[codon] === GeneticCode.STOP_SYMBOL;
   }
 
   /**
    * Check if codon is a start codon
    */
-  static isStartCodon(codon) {
-    return codon === this.START_CODON;
+  isStartCodon(codon) {
+    return this.startCodons.includes(codon);
+  }
+
+  /**
+   * Check if two codes translate every codon identically
+   */
+  equals(other) {
+    return !!other && this.signature === other.signature;
   }
+
+  /**
+   * Check if a codon can be reassigned without leaving the code unusable
+   * (at least one start codon and one stop codon must remain)
+   */
+  canReassign(codon, aminoAcid) {
+    const current = this.table[codon];
+    if (!current || current === aminoAcid) return false;
+
+    if (current === GeneticCode.STOP_SYMBOL && this.stopCodons.length <= 1) return false;
+    if (aminoAcid === GeneticCode.STOP_SYMBOL && this.isStartCodon(codon) && this.startCodons.length <= 1) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Create a new code with one codon reassigned to another amino acid (or '*' for stop)
+   * A codon reassigned to stop can no longer start translation
+   */
+  reassign(codon, aminoAcid) {
+    if (!this.canReassign(codon, aminoAcid)) {
+      throw new Error(`Cannot reassign codon ${codon} to ${aminoAcid}`);
+    }
+
+    const startCodons = aminoAcid === GeneticCode.STOP_SYMBOL
+      ? this.startCodons.filter(start => start !== codon)
+      : this.startCodons;
+
+    return new GeneticCode({
+      tableId: this.tableId,
+      table: { ...this.table, [codon]: aminoAcid },
+      startCodons,
+      reassignments: [...this.reassignments, { codon, from: this.table[codon], to: aminoAcid }]
+    });
+  }
+
+  /**
+   * List codons translated differently from another code
+   * Returns [{ codon, from, to }] where from is the other code's meaning
+   */
+  getDifferences(other = GeneticCode.STANDARD) {
+    return Object.keys(this.table)
+      .filter(codon => this.table[codon] !== other.table[codon])
+      .map(codon => ({ codon, from: other.table[codon], to: this.table[codon] }));
+  }
+
+  // Shared standard code instance (codes are immutable, so sharing is safe)
+  static STANDARD = new GeneticCode();
 }
@@ -1,14 +1,89 @@
+import { DNASequence } from './DNASequence.js';
+import { Epigenetics } from './Epigenetics.js';
 import { Gene } from './Gene.js';
-import { MutationFactory } from './mutations/Mutation.js';
+import { GeneRegulation } from './GeneRegulation.js';
+import { GeneticCode } from './GeneticCode.js';
+import { NeuralGenome } from './NeuralGenome.js';
+import { GenomeMutation, MutationFactory } from './mutations/Mutation.js';
+import { MutationEffect } from './mutations/MutationEffect.js';
 
 /**
  * Genome - Collection of genes that define an organism
  * Manages gene expression and mutations
+ *
+ * Genomes are haploid by default. A diploid genome carries a second allele for every
+ * gene name in secondAlleles (same keys as genes); its dominance model decides how the
+ * two alleles' proteins combine into traits (see TraitCalculator.resolveAlleles).
+ *
+ * The optional brain section holds the weights of a neural network (NeuralGenome) that
+ * replaces the rule-based AI; genomes without one (brain = null) use OrganismAI.
  */
 export class Genome {
-  constructor(genes = {}) {
-    this.genes = genes; // Map of gene name -> Gene instance
+  // Dominance models of diploid genomes
+  static DOMINANCE_MODELS = ['complete', 'incomplete', 'codominant'];
+
+  constructor(genes = {}, geneticCode = GeneticCode.STANDARD, secondAlleles = null, dominance = 'complete', brain = null) {
+    this.genes = genes; // Map of gene name -> Gene instance (first allele in diploid genomes)
+    this.geneticCode = geneticCode; // Translation table used to express every gene
+    this.secondAlleles = secondAlleles; // Map of gene name -> second allele (null = haploid)
+    this.dominance = dominance; // Dominance model between the two alleles of a locus
+    this.brain = brain; // NeuralGenome with the network weights (null = rule-based AI)
     this.expressedProteins = {};
+    this.expressedSecondAlleles = {}; // Map of gene name -> Protein of the second allele
+    this.expressionLevels = {}; // Map of gene name -> expression level (1.0 = normal)
+  }
+
+  /**
+   * Whether the genome carries two alleles per gene
+   */
+  get isDiploid() {
+    return this.secondAlleles !== null;
+  }
+
+  /**
+   * Get one allele of a gene (0 = first, 1 = second; haploid genomes only have allele 0)
+   */
+  getAllele(name, allele = 0) {
+    return allele === 1 && this.isDiploid ? this.secondAlleles[name] : this.genes[name];
+  }
+
+  /**
+   * Check if the two alleles of a gene differ
+   */
+  isHeterozygous(name) {
+    if (!this.isDiploid) return false;
+
+    const first = this.genes[name];
+    const second = this.secondAlleles[name];
+    return !!first && !!second && first !== second && !first.dna.equals(second.dna);
+  }
+
+  /**
+   * Fraction of loci whose two alleles differ (0 for haploid genomes)
+   */
+  getHeterozygosity() {
+    const names = this.getGeneNames();
+    if (!this.isDiploid || names.length === 0) return 0;
+
+    return names.filter(name => this.isHeterozygous(name)).length / names.length;
+  }
+
+  /**
+   * Keep the second alleles in step with the gene names after whole-gene changes
+   * New loci (duplications, splits, transferred genes) start homozygous; removed loci lose both alleles.
+   */
+  syncAlleles() {
+    if (!this.isDiploid) return;
+
+    const secondAlleles = {};
+    for (const [name, gene] of Object.entries(this.genes)) {
+      secondAlleles[name] = this.secondAlleles[name] ?? gene;
+    }
+    this.secondAlleles = secondAlleles;
+
+    for (const name of Object.keys(this.expressedSecondAlleles)) {
+      if (!this.genes[name]) delete this.expressedSecondAlleles[name];
+    }
   }
 
   /**
@@ -28,22 +103,48 @@ export class Genome {
 
   /**
    * Express all genes to produce proteins
+   * Expression levels are regulated for the given organism state
    */
-  expressAllGenes() {
+  expressAllGenes(state = GeneRegulation.REFERENCE_STATE) {
     this.expressedProteins = {};
 
     for (const [name, gene] of Object.entries(this.genes)) {
       try {
-        this.expressedProteins[name] = gene.express();
+        this.expressedProteins[name] = gene.express(this.geneticCode);
       } catch (error) {
         console.warn(`Failed to express gene ${name}:`, error);
         this.expressedProteins[name] = null;
       }
     }
 
+    this.expressedSecondAlleles = {};
+    for (const name of Object.keys(this.secondAlleles || {})) {
+      this.expressSecondAllele(name);
+    }
+
+    this.updateExpressionLevels(state);
+
     return this.expressedProteins;
   }
 
+  /**
+   * Recompute gene expression levels (promoters + transcription factors)
+   * for the given organism state { energyRatio, ageRatio, temperature }
+   * Epigenetic marks, if given, scale the levels on top (see Epigenetics)
+   */
+  updateExpressionLevels(state = GeneRegulation.REFERENCE_STATE, marks = null) {
+    const levels = GeneRegulation.computeExpressionLevels(this, state);
+    this.expressionLevels = marks ? Epigenetics.applyMarks(levels, marks) : levels;
+    return this.expressionLevels;
+  }
+
+  /**
+   * Get the expression level of a gene (1.0 if not yet computed)
+   */
+  getExpressionLevel(name) {
+    return this.expressionLevels[name] ?? 1;
+  }
+
   /**
    * Express a specific gene
    */
@@ -53,8 +154,12 @@ export class Genome {
       throw new Error(`Gene ${name} not found`);
     }
 
+    if (this.isDiploid) {
+      this.expressSecondAllele(name);
+    }
+
     try {
-      const protein = gene.express();
+      const protein = gene.express(this.geneticCode);
       this.expressedProteins[name] = protein;
       return protein;
     } catch (error) {
@@ -64,8 +169,27 @@ export class Genome {
     }
   }
 
+  /**
+   * Express the second allele of a gene (diploid genomes)
+   */
+  expressSecondAllele(name) {
+    try {
+      const protein = this.secondAlleles[name].express(this.geneticCode);
+      this.expressedSecondAlleles[name] = protein;
+      return protein;
+    } catch (error) {
+      console.warn(`Failed to express second allele of ${name}:`, error);
+      this.expressedSecondAlleles[name] = null;
+      return null;
+    }
+  }
+
   /**
    * Apply mutation to a specific gene
+   * Successful results include the mutation type, the targeted gene and position (sequence
+   * mutations only), a short change label and the classified effect (see MutationEffect)
+   * In diploid genomes, extraParams.allele (0 or 1) picks the allele a sequence mutation hits;
+   * whole-gene mutations rearrange the first chromosome (see syncAlleles).
    */
   mutateGene(geneName, mutationType, position, extraParams = {}) {
     const gene = this.genes[geneName];
@@ -74,20 +198,58 @@ export class Genome {
     }
 
     const mutation = MutationFactory.createMutation(mutationType);
+    const allele = mutation.scope === 'sequence' && this.isDiploid ? (extraParams.allele ?? 0) : 0;
+    const before = { genes: { ...(allele === 1 ? this.secondAlleles : this.genes) }, geneticCode: this.geneticCode };
+
+    let result;
+    if (mutation.scope === 'genome') {
+      // Whole-gene mutations (duplication, loss, fusion, translocation, ...)
+      result = this.applyGenomeMutation(mutation, geneName);
+    } else if (mutation.scope === 'code') {
+      // Genetic code mutations (codon reassignment) affect every gene
+      result = this.applyCodeMutation(mutation);
+    } else {
+      result = this.applySequenceMutation(mutation, geneName, position, extraParams);
+    }
+
+    if (result.success) {
+      result.type = mutationType;
+      result.geneName = mutation.scope === 'code' ? null : geneName;
+      result.position = mutation.scope === 'sequence' ? position : null;
+      result.effect = MutationEffect.compare(
+        before,
+        allele === 1 ? { genes: this.secondAlleles, geneticCode: this.geneticCode } : this
+      );
+      if (allele === 1) {
+        result.allele = allele;
+        result.description += ' (second allele)';
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Apply a within-gene sequence mutation and re-express the gene
+   */
+  applySequenceMutation(mutation, geneName, position, extraParams = {}) {
+    const alleles = extraParams.allele === 1 && this.isDiploid ? this.secondAlleles : this.genes;
+    const gene = alleles[geneName];
 
     try {
       let result;
-      if (mutationType === 'inversion' && extraParams.endPosition !== undefined) {
+      if (mutation.type === 'inversion' && extraParams.endPosition !== undefined) {
         result = mutation.apply(gene.dna, position, extraParams.endPosition);
-      } else if (mutationType === 'duplication' && extraParams.length !== undefined) {
+      } else if (mutation.type === 'duplication' && extraParams.length !== undefined) {
         result = mutation.apply(gene.dna, position, extraParams.length);
+      } else if (mutation.type === 'point' && extraParams.newBase !== undefined) {
+        result = mutation.apply(gene.dna, position, extraParams.newBase);
       } else {
         result = mutation.apply(gene.dna, position);
       }
 
       // Create new gene with mutated DNA
       const mutatedGene = new Gene(result.dna, geneName);
-      this.genes[geneName] = mutatedGene;
+      alleles[geneName] = mutatedGene;
 
       // Re-express the mutated gene
       this.expressGene(geneName);
@@ -95,6 +257,63 @@ export class Genome {
       return {
         success: true,
         gene: mutatedGene,
+        change: result.change,
+        description: result.description,
+        cost: mutation.cost
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        cost: 0
+      };
+    }
+  }
+
+  /**
+   * Apply a whole-gene mutation and re-express affected genes
+   */
+  applyGenomeMutation(mutation, geneName) {
+    try {
+      const result = mutation.apply(this.genes, geneName, this.geneticCode);
+      this.genes = result.genes;
+      this.syncAlleles();
+
+      for (const name of result.removedGenes) {
+        delete this.expressedProteins[name];
+      }
+      for (const name of result.changedGenes) {
+        this.expressGene(name);
+      }
+
+      return {
+        success: true,
+        gene: this.genes[result.changedGenes[0]] || null,
+        description: result.description,
+        cost: mutation.cost
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        cost: 0
+      };
+    }
+  }
+
+  /**
+   * Apply a genetic code mutation and re-express all genes under the new code
+   */
+  applyCodeMutation(mutation) {
+    try {
+      const result = mutation.apply(this.geneticCode);
+      this.geneticCode = result.code;
+      this.expressAllGenes();
+
+      return {
+        success: true,
+        gene: null,
+        change: result.change,
         description: result.description,
         cost: mutation.cost
       };
@@ -114,6 +333,22 @@ export class Genome {
     return Object.keys(this.genes);
   }
 
+  /**
+   * Group gene names by family (original gene and its paralogs)
+   * Returns { family: [geneName, ...] } in genome order
+   */
+  getGeneFamilies() {
+    const families = {};
+    for (const name of Object.keys(this.genes)) {
+      const family = Gene.getFamilyName(name);
+      if (!families[family]) {
+        families[family] = [];
+      }
+      families[family].push(name);
+    }
+    return families;
+  }
+
   /**
    * Get genome size (total base pairs)
    */
@@ -127,9 +362,123 @@ export class Genome {
   clone() {
     const clonedGenes = {};
     for (const [name, gene] of Object.entries(this.genes)) {
-      clonedGenes[name] = new Gene(gene.dna.sequence, name);
+      clonedGenes[name] = gene.clone(name);
     }
-    return new Genome(clonedGenes);
+    const secondAlleles = this.isDiploid ? { ...this.secondAlleles } : null;
+    return new Genome(clonedGenes, this.geneticCode, secondAlleles, this.dominance, this.brain);
+  }
+
+  /**
+   * Integrate a foreign gene (horizontal gene transfer) and express it
+   * A gene with the same name is replaced (homologous recombination). Otherwise the gene is
+   * added; if its family is already at GenomeMutation.MAX_COPIES, the family's original is replaced.
+   * @param {Gene} gene - Donor gene (translated with this genome's genetic code)
+   * @param {string} geneName - Name of the gene in the donor genome
+   * @returns {Object} { geneName, replaced } - Name used in this genome and whether a gene was replaced
+   */
+  integrateGene(gene, geneName) {
+    const family = Gene.getFamilyName(geneName);
+    let targetName = geneName;
+    if (!this.genes[targetName] &&
+        GenomeMutation.getFamilyMembers(this.genes, family).length >= GenomeMutation.MAX_COPIES) {
+      targetName = family;
+    }
+
+    const replaced = !!this.genes[targetName];
+    this.genes = { ...this.genes, [targetName]: gene.clone(targetName) };
+    this.syncAlleles();
+    this.expressGene(targetName);
+
+    return { geneName: targetName, replaced };
+  }
+
+  /**
+   * Recombine two parental genomes (sexual reproduction)
+   * Each gene is inherited whole from one parent at random, or with probability
+   * crossoverRate spliced from both parents (within-gene crossover).
+   * Genes carried by only one parent are inherited with 50% probability.
+   * The genetic code is inherited from the first parent; neural brains are crossed over.
+   * Diploid parents go through meiosis instead (see recombineDiploid).
+   */
+  static recombine(genomeA, genomeB, crossoverRate = 0.3) {
+    if (genomeA.isDiploid && genomeB.isDiploid) {
+      return Genome.recombineDiploid(genomeA, genomeB, crossoverRate);
+    }
+
+    const genes = {};
+
+    for (const name of genomeA.getGeneNames()) {
+      const geneA = genomeA.getGene(name);
+      const geneB = genomeB.getGene(name);
+
+      if (!geneB) {
+        if (Math.random() < 0.5) {
+          genes[name] = geneA.clone(name);
+        }
+        continue;
+      }
+
+      if (Math.random() < crossoverRate) {
+        genes[name] = Math.random() < 0.5
+          ? Gene.crossover(geneA, geneB, name, genomeA.geneticCode)
+          : Gene.crossover(geneB, geneA, name, genomeA.geneticCode);
+      } else {
+        const source = Math.random() < 0.5 ? geneA : geneB;
+        genes[name] = source.clone(name);
+      }
+    }
+
+    for (const name of genomeB.getGeneNames()) {
+      if (!genomeA.getGene(name) && Math.random() < 0.5) {
+        genes[name] = genomeB.getGene(name).clone(name);
+      }
+    }
+
+    const brain = NeuralGenome.recombine(genomeA.brain, genomeB.brain);
+    return new Genome(genes, genomeA.geneticCode, null, 'complete', brain);
+  }
+
+  /**
+   * Recombine two diploid genomes: each parent contributes one gamete allele per locus
+   * Genes carried by only one parent are inherited (homozygous) with 50% probability.
+   * Genetic code and dominance model are inherited from the first parent.
+   */
+  static recombineDiploid(genomeA, genomeB, crossoverRate = 0.3) {
+    const gameteA = genomeA.createGamete(crossoverRate);
+    const gameteB = genomeB.createGamete(crossoverRate);
+    const genes = {};
+    const secondAlleles = {};
+
+    for (const name of new Set([...Object.keys(gameteA), ...Object.keys(gameteB)])) {
+      if (gameteA[name] && gameteB[name]) {
+        genes[name] = gameteA[name];
+        secondAlleles[name] = gameteB[name];
+      } else if (Math.random() < 0.5) {
+        genes[name] = gameteA[name] ?? gameteB[name];
+        secondAlleles[name] = genes[name];
+      }
+    }
+
+    const brain = NeuralGenome.recombine(genomeA.brain, genomeB.brain);
+    return new Genome(genes, genomeA.geneticCode, secondAlleles, genomeA.dominance, brain);
+  }
+
+  /**
+   * Pick one allele per locus for a gamete (diploid genomes)
+   * With probability crossoverRate the gamete allele is a crossover of both homologs.
+   */
+  createGamete(crossoverRate = 0.3) {
+    const gamete = {};
+    for (const name of this.getGeneNames()) {
+      const [first, second] = Math.random() < 0.5
+        ? [this.genes[name], this.secondAlleles[name]]
+        : [this.secondAlleles[name], this.genes[name]];
+
+      gamete[name] = Math.random() < crossoverRate && first !== second
+        ? Gene.crossover(first, second, name, this.geneticCode)
+        : first.clone(name);
+    }
+    return gamete;
   }
 
   /**
@@ -139,31 +488,70 @@ export class Genome {
     const validation = {};
     for (const [name, gene] of Object.entries(this.genes)) {
       validation[name] = {
-        isValid: gene.isValid(),
-        hasStartCodon: gene.hasStartCodon(),
-        hasStopCodon: gene.hasStopCodon(),
+        isValid: gene.isValid(this.geneticCode),
+        hasStartCodon: gene.hasStartCodon(this.geneticCode),
+        hasStopCodon: gene.hasStopCodon(this.geneticCode),
         length: gene.length
       };
     }
     return validation;
   }
 
+  // Standard genes of a default genome with their [min, max] random lengths
+  static DEFAULT_GENES = {
+    size: [15, 24],
+    speed: [12, 21],
+    defense: [15, 24],
+    metabolism: [12, 21],
+    reproduction: [15, 24],
+    sensory: [12, 21],
+    aggression: [12, 21],
+    cooperation: [12, 21],
+    behavior: [15, 24],
+    diet: [15, 24],
+    regulator: [12, 21],
+    mutator: [12, 21],
+    pigmentation: [15, 24],
+    structure: [24, 48]
+  };
+
+  // Fraction of bases that differ between the two alleles of a new diploid genome
+  static FOUNDER_ALLELE_DIVERGENCE = 0.05;
+
   /**
    * Create a default genome with standard genes
+   * Diploid genomes start with slightly diverged second alleles (standing variation).
+   * @param {GeneticCode} geneticCode - Code used to express the genes
+   * @param {Object} options - { diploid, dominance }
+   */
+  static createDefault(geneticCode = GeneticCode.STANDARD, { diploid = false, dominance = 'complete' } = {}) {
+    const genes = {};
+    for (const [name, [minLength, maxLength]] of Object.entries(Genome.DEFAULT_GENES)) {
+      genes[name] = Gene.createRandom(name, minLength, maxLength, geneticCode);
+    }
+    if (!diploid) {
+      return new Genome(genes, geneticCode);
+    }
+
+    const secondAlleles = {};
+    for (const [name, gene] of Object.entries(genes)) {
+      secondAlleles[name] = Genome.createAlleleVariant(gene, Genome.FOUNDER_ALLELE_DIVERGENCE);
+    }
+    return new Genome(genes, geneticCode, secondAlleles, dominance);
+  }
+
+  /**
+   * Create an allele that differs from a gene by random substitutions
+   * @param {Gene} gene - Source allele
+   * @param {number} divergence - Probability that each base is substituted
    */
-  static createDefault() {
-    return new Genome({
-      size: Gene.createRandom('size', 15, 24),
-      speed: Gene.createRandom('speed', 12, 21),
-      defense: Gene.createRandom('defense', 15, 24),
-      metabolism: Gene.createRandom('metabolism', 12, 21),
-      reproduction: Gene.createRandom('reproduction', 15, 24),
-      sensory: Gene.createRandom('sensory', 12, 21),
-      aggression: Gene.createRandom('aggression', 12, 21),
-      cooperation: Gene.createRandom('cooperation', 12, 21),
-      pigmentation: Gene.createRandom('pigmentation', 15, 24),
-      structure: Gene.createRandom('structure', 24, 48)
+  static createAlleleVariant(gene, divergence) {
+    const bases = gene.dna.sequence.split('').map(base => {
+      if (Math.random() >= divergence) return base;
+      const others = DNASequence.VALID_BASES.filter(other => other !== base);
+      return others[Math.floor(Math.random() * others.length)];
     });
+    return new Gene(new DNASequence(bases.join('')), gene.name);
   }
 
   /**
@@ -0,0 +1,158 @@
+/**
+ * NeuralGenome - Heritable weights of a small recurrent neural network (organism brain)
+ *
+ * An Elman network: the inputs and the previous hidden state feed a tanh hidden layer,
+ * which feeds tanh outputs. Inputs are the senses OrganismAI already measures, outputs
+ * are a movement vector and two intents (attack, cooperate). See NeuralAI for how the
+ * senses are encoded and the outputs acted on.
+ *
+ * The weights are a genome section: they are copied into offspring, mutated by Gaussian
+ * perturbation and mixed by uniform crossover in sexual reproduction. Instances are
+ * never modified in place, so parents and offspring can share them.
+ */
+export class NeuralGenome {
+  // Network inputs, all scaled to about -1..1 (bias is always 1)
+  static INPUTS = [
+    'food', 'foodGradient', 'foodX', 'foodY', 'crowding',
+    'otherX', 'otherY', 'otherPower', 'otherKin', 'energy', 'wallX', 'wallY', 'bias'
+  ];
+
+  // Network outputs (tanh, -1..1)
+  static OUTPUTS = ['moveX', 'moveY', 'attack', 'cooperate'];
+
+  // Hidden (and recurrent context) units
+  static HIDDEN = 8;
+
+  // Weights: input→hidden, hidden(t-1)→hidden, hidden→output and one output bias each
+  static WEIGHT_COUNT =
+    NeuralGenome.HIDDEN * NeuralGenome.INPUTS.length +
+    NeuralGenome.HIDDEN * NeuralGenome.HIDDEN +
+    NeuralGenome.OUTPUTS.length * (NeuralGenome.HIDDEN + 1);
+
+  // Weights are kept within ±MAX_WEIGHT
+  static MAX_WEIGHT = 4;
+
+  /**
+   * @param {Float32Array} weights - WEIGHT_COUNT weights (input→hidden, recurrent, hidden→output)
+   * @param {number} generation - Generations of neural ancestry (0 = founder brain)
+   */
+  constructor(weights, generation = 0) {
+    if (weights.length !== NeuralGenome.WEIGHT_COUNT) {
+      throw new Error(`Neural genome needs ${NeuralGenome.WEIGHT_COUNT} weights, got ${weights.length}`);
+    }
+    this.weights = weights;
+    this.generation = generation;
+  }
+
+  /**
+   * Run one step of the network
+   * @param {Array<number>} inputs - Values in INPUTS order
+   * @param {Float32Array|null} context - Hidden state of the previous step (null = all zero)
+   * @returns {{ outputs: Object, hidden: Float32Array }} Outputs by name and the new hidden state
+   */
+  activate(inputs, context = null) {
+    const inputCount = NeuralGenome.INPUTS.length;
+    const hiddenCount = NeuralGenome.HIDDEN;
+    const w = this.weights;
+    const hidden = new Float32Array(hiddenCount);
+
+    const recurrentOffset = hiddenCount * inputCount;
+    for (let h = 0; h < hiddenCount; h++) {
+      let sum = 0;
+      for (let i = 0; i < inputCount; i++) {
+        sum += w[h * inputCount + i] * inputs[i];
+      }
+      if (context) {
+        for (let c = 0; c < hiddenCount; c++) {
+          sum += w[recurrentOffset + h * hiddenCount + c] * context[c];
+        }
+      }
+      hidden[h] = Math.tanh(sum);
+    }
+
+    const outputOffset = recurrentOffset + hiddenCount * hiddenCount;
+    const outputs = {};
+    NeuralGenome.OUTPUTS.forEach((name, o) => {
+      const row = outputOffset + o * (hiddenCount + 1);
+      let sum = w[row + hiddenCount]; // Output bias
+      for (let h = 0; h < hiddenCount; h++) {
+        sum += w[row + h] * hidden[h];
+      }
+      outputs[name] = Math.tanh(sum);
+    });
+
+    return { outputs, hidden };
+  }
+
+  /**
+   * Copy with Gaussian noise added to weights
+   * @param {number} rate - Probability that each weight is perturbed
+   * @param {number} strength - Standard deviation of the perturbation
+   * @returns {NeuralGenome} Mutated copy (next brain generation)
+   */
+  mutate(rate, strength) {
+    const weights = Float32Array.from(this.weights, weight =>
+      Math.random() < rate ? NeuralGenome.clampWeight(weight + NeuralGenome.gaussian() * strength) : weight
+    );
+    return new NeuralGenome(weights, this.generation + 1);
+  }
+
+  /**
+   * Offspring brain of two parents: uniform crossover when both have one,
+   * otherwise the single brain is inherited with 50% probability (null = rule-based AI)
+   */
+  static recombine(brainA, brainB) {
+    if (brainA && brainB) {
+      const weights = Float32Array.from(brainA.weights, (weight, i) =>
+        Math.random() < 0.5 ? weight : brainB.weights[i]
+      );
+      return new NeuralGenome(weights, Math.max(brainA.generation, brainB.generation));
+    }
+    const brain = brainA ?? brainB;
+    return brain && Math.random() < 0.5 ? brain : null;
+  }
+
+  /**
+   * Founder brain: random weights on top of simple instincts (move toward food and away
+   * from walls, attack weaker strangers, help kin when well fed) so neural organisms
+   * start out viable and selection has something to refine
+   * @param {number} noise - Standard deviation of the random part of every weight
+   */
+  static createDefault(noise = 0.3) {
+    const weights = Float32Array.from({ length: NeuralGenome.WEIGHT_COUNT }, () => NeuralGenome.gaussian() * noise);
+    const input = name => NeuralGenome.INPUTS.indexOf(name);
+    const inputCount = NeuralGenome.INPUTS.length;
+    const hiddenCount = NeuralGenome.HIDDEN;
+    const outputOffset = hiddenCount * inputCount + hiddenCount * hiddenCount;
+
+    // Hidden units 0-3 relay instincts; the rest start random
+    const instincts = [
+      { hidden: 0, inputs: { foodX: 2, wallX: 1.5 }, output: 'moveX', weight: 2 },
+      { hidden: 1, inputs: { foodY: 2, wallY: 1.5 }, output: 'moveY', weight: 2 },
+      { hidden: 2, inputs: { otherPower: 3, otherKin: -1, bias: -1.5 }, output: 'attack', weight: 2 },
+      { hidden: 3, inputs: { otherKin: 2, energy: 1, bias: -1.5 }, output: 'cooperate', weight: 2 }
+    ];
+    for (const { hidden, inputs, output, weight } of instincts) {
+      for (const [name, value] of Object.entries(inputs)) {
+        weights[hidden * inputCount + input(name)] += value;
+      }
+      weights[outputOffset + NeuralGenome.OUTPUTS.indexOf(output) * (hiddenCount + 1) + hidden] += weight;
+    }
+
+    return new NeuralGenome(weights.map(NeuralGenome.clampWeight));
+  }
+
+  /**
+   * Keep a weight within ±MAX_WEIGHT
+   */
+  static clampWeight(weight) {
+    return Math.max(-NeuralGenome.MAX_WEIGHT, Math.min(NeuralGenome.MAX_WEIGHT, weight));
+  }
+
+  /**
+   * Standard normal random number (Box-Muller)
+   */
+  static gaussian() {
+    return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+  }
+}
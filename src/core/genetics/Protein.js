@@ -1,6 +1,12 @@
 /**
  * Protein - Represents a protein with amino acid sequence and properties
  * Analyzes chemical properties that affect phenotype
+ *
+ * Besides amino acid class counts, a simplified structural model is computed:
+ * - Molecular weight from per-residue masses
+ * - Chou-Fasman style secondary structure (helix / sheet / coil per residue)
+ * - Folding stability score (0-1)
+ * - Isoelectric point (pH with zero net charge)
  */
 export class Protein {
   // Amino acid property groups
@@ -18,6 +24,55 @@ export class Protein {
     large: 'EFHIKLMQRWY'
   };
 
+  // Average residue masses in Daltons (amino acid minus one water)
+  static RESIDUE_WEIGHTS = {
+    A: 71.08, R: 156.19, N: 114.10, D: 115.09, C: 103.14, E: 129.12, Q: 128.13,
+    G: 57.05, H: 137.14, I: 113.16, L: 113.16, K: 128.17, M: 131.19, F: 147.18,
+    P: 97.12, S: 87.08, T: 101.10, W: 186.21, Y: 163.18, V: 99.13
+  };
+  static WATER_WEIGHT = 18.02;
+  static AVERAGE_RESIDUE_WEIGHT = 110; // Used for unknown residues
+
+  // Chou-Fasman conformational parameters (1.0 = neutral)
+  static HELIX_PROPENSITY = {
+    A: 1.42, R: 0.98, N: 0.67, D: 1.01, C: 0.70, E: 1.51, Q: 1.11, G: 0.57, H: 1.00, I: 1.08,
+    L: 1.21, K: 1.16, M: 1.45, F: 1.13, P: 0.57, S: 0.77, T: 0.83, W: 1.08, Y: 0.69, V: 1.06
+  };
+  static SHEET_PROPENSITY = {
+    A: 0.83, R: 0.93, N: 0.89, D: 0.54, C: 1.19, E: 0.37, Q: 1.10, G: 0.75, H: 0.87, I: 1.60,
+    L: 1.30, K: 0.74, M: 1.05, F: 1.38, P: 0.55, S: 0.75, T: 1.19, W: 1.37, Y: 1.47, V: 1.70
+  };
+
+  // Secondary structure prediction: window size and the mean propensity needed to call a state
+  static STRUCTURE_WINDOW = 5;
+  static HELIX_THRESHOLD = 1.03;
+  static SHEET_THRESHOLD = 1.05;
+
+  // Side-chain and terminal pKa values (isoelectric point)
+  static PKA = {
+    nTerminus: 9.69,
+    cTerminus: 2.34,
+    positive: { K: 10.53, R: 12.48, H: 6.0 },
+    negative: { D: 3.86, E: 4.25, C: 8.33, Y: 10.07 }
+  };
+
+  /**
+   * Folding stability score (0-1) weights
+   * - structured: fraction of residues in helix or sheet
+   * - hydrophobicCore: how close the hydrophobic fraction is to the optimum (buried core)
+   * - chargeBalance: net charge per residue destabilizes (like charges repel)
+   * - disulfides: cysteine pairs can cross-link the fold
+   * Proteins shorter than minFoldLength residues barely fold (score scaled down).
+   */
+  static STABILITY_WEIGHTS = {
+    structured: 0.4,
+    hydrophobicCore: 0.3,
+    chargeBalance: 0.2,
+    disulfides: 0.1,
+    optimalHydrophobicRatio: 0.45,
+    minFoldLength: 4
+  };
+
   constructor(sequence) {
     this.sequence = sequence;
     this.properties = this.analyzeProperties();
@@ -59,7 +114,155 @@ export class Protein {
       }
     }
 
-    return { ...counts, ...ratios };
+    return { ...counts, ...ratios, ...this.analyzeStructure(counts) };
+  }
+
+  /**
+   * Structural properties: molecular weight, secondary structure, stability and isoelectric point
+   */
+  analyzeStructure(counts) {
+    const secondaryStructure = this.predictSecondaryStructure();
+    const length = this.sequence.length || 1;
+
+    let helix = 0;
+    let sheet = 0;
+    for (const state of secondaryStructure) {
+      if (state === 'H') helix++;
+      else if (state === 'E') sheet++;
+    }
+
+    const structure = {
+      molecularWeight: this.calculateMolecularWeight(),
+      secondaryStructure,
+      helixPropensity: this.getMeanPropensity(Protein.HELIX_PROPENSITY),
+      sheetPropensity: this.getMeanPropensity(Protein.SHEET_PROPENSITY),
+      helixRatio: helix / length,
+      sheetRatio: sheet / length,
+      coilRatio: this.sequence.length > 0 ? 1 - (helix + sheet) / length : 0,
+      isoelectricPoint: this.calculateIsoelectricPoint()
+    };
+    structure.stability = this.calculateStability(counts, structure);
+
+    return structure;
+  }
+
+  /**
+   * Sum of residue masses plus one water (Daltons)
+   */
+  calculateMolecularWeight() {
+    if (this.sequence.length === 0) return 0;
+
+    let weight = Protein.WATER_WEIGHT;
+    for (const aa of this.sequence) {
+      weight += Protein.RESIDUE_WEIGHTS[aa] ?? Protein.AVERAGE_RESIDUE_WEIGHT;
+    }
+    return weight;
+  }
+
+  /**
+   * Mean conformational propensity over the whole sequence (1.0 if empty)
+   */
+  getMeanPropensity(table) {
+    if (this.sequence.length === 0) return 1;
+
+    let total = 0;
+    for (const aa of this.sequence) {
+      total += table[aa] ?? 1;
+    }
+    return total / this.sequence.length;
+  }
+
+  /**
+   * Predict secondary structure per residue (Chou-Fasman style, simplified)
+   * Each residue takes the state whose mean propensity over a centered window passes its
+   * threshold: 'H' (alpha helix), 'E' (beta sheet) or 'C' (coil)
+   */
+  predictSecondaryStructure() {
+    const { STRUCTURE_WINDOW, HELIX_PROPENSITY, SHEET_PROPENSITY, HELIX_THRESHOLD, SHEET_THRESHOLD } = Protein;
+    const half = Math.floor(STRUCTURE_WINDOW / 2);
+    let states = '';
+
+    for (let i = 0; i < this.sequence.length; i++) {
+      const from = Math.max(0, i - half);
+      const to = Math.min(this.sequence.length, i + half + 1);
+      let helix = 0;
+      let sheet = 0;
+      for (let j = from; j < to; j++) {
+        helix += HELIX_PROPENSITY[this.sequence[j]] ?? 1;
+        sheet += SHEET_PROPENSITY[this.sequence[j]] ?? 1;
+      }
+      helix /= to - from;
+      sheet /= to - from;
+
+      if (helix >= HELIX_THRESHOLD && helix >= sheet) {
+        states += 'H';
+      } else if (sheet >= SHEET_THRESHOLD) {
+        states += 'E';
+      } else {
+        states += 'C';
+      }
+    }
+
+    return states;
+  }
+
+  /**
+   * Estimate folding stability (0 = unfolded, 1 = very stable), see STABILITY_WEIGHTS
+   */
+  calculateStability(counts, structure) {
+    const length = this.sequence.length;
+    if (length === 0) return 0;
+
+    const weights = Protein.STABILITY_WEIGHTS;
+    const hydrophobicRatio = counts.hydrophobic / length;
+    const cysteines = this.sequence.split('C').length - 1;
+
+    const structured = 1 - structure.coilRatio;
+    const hydrophobicCore = 1 - Math.min(1,
+      Math.abs(hydrophobicRatio - weights.optimalHydrophobicRatio) / (1 - weights.optimalHydrophobicRatio));
+    const chargeBalance = 1 - Math.min(1, (Math.abs(counts.positive - counts.negative) / length) * 4);
+    const disulfides = Math.min(1, Math.floor(cysteines / 2) * 0.5);
+
+    const score = structured * weights.structured +
+                  hydrophobicCore * weights.hydrophobicCore +
+                  chargeBalance * weights.chargeBalance +
+                  disulfides * weights.disulfides;
+
+    return score * Math.min(1, length / weights.minFoldLength);
+  }
+
+  /**
+   * Net charge of the protein at a given pH (Henderson-Hasselbalch)
+   */
+  getChargeAtPH(pH) {
+    const { nTerminus, cTerminus, positive, negative } = Protein.PKA;
+    let charge = 1 / (1 + Math.pow(10, pH - nTerminus)) - 1 / (1 + Math.pow(10, cTerminus - pH));
+
+    for (const aa of this.sequence) {
+      if (positive[aa] !== undefined) {
+        charge += 1 / (1 + Math.pow(10, pH - positive[aa]));
+      } else if (negative[aa] !== undefined) {
+        charge -= 1 / (1 + Math.pow(10, negative[aa] - pH));
+      }
+    }
+    return charge;
+  }
+
+  /**
+   * Isoelectric point: pH at which the net charge is zero (bisection over pH 0-14)
+   */
+  calculateIsoelectricPoint() {
+    let low = 0;
+    let high = 14;
+    while (high - low > 0.01) {
+      const mid = (low + high) / 2;
+      if (this.getChargeAtPH(mid) > 0) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return (low + high) / 2;
   }
 
   /**
@@ -91,11 +294,10 @@ export class Protein {
   }
 
   /**
-   * Calculate molecular weight (simplified)
+   * Get molecular weight in Daltons (per-residue masses)
    */
   getMolecularWeight() {
-    // Average amino acid weight ~110 Da
-    return this.sequence.length * 110;
+    return this.properties.molecularWeight;
   }
 
   /**
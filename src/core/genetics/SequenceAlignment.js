@@ -0,0 +1,115 @@
+/**
+ * SequenceAlignment - Global alignment of gene sequences (Needleman-Wunsch)
+ *
+ * Used to diff a genome against its species founder: each gene pair is aligned
+ * so substitutions, insertions and deletions line up base by base.
+ * Genes are short (tens to a few hundred bp), so the O(n*m) score matrix is cheap.
+ */
+export class SequenceAlignment {
+  static MATCH_SCORE = 1;
+  static MISMATCH_SCORE = -1;
+  static GAP_SCORE = -2;
+  static GAP_SYMBOL = '-';
+
+  /**
+   * Align two DNA sequences
+   * @param {DNASequence} reference - Reference sequence (e.g. founder gene)
+   * @param {DNASequence} query - Sequence compared to the reference
+   * @returns {Object} { reference, query, markers, substitutions, insertions, deletions }
+   *   reference/query are gapped strings of equal length; markers has '|' for matches,
+   *   '*' for substitutions and ' ' for gaps
+   */
+  static align(reference, query) {
+    const { MATCH_SCORE, MISMATCH_SCORE, GAP_SCORE, GAP_SYMBOL } = SequenceAlignment;
+    const a = reference.sequence;
+    const b = query.sequence;
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+
+    // Score matrix, stored flat (row-major)
+    const score = new Int32Array(rows * cols);
+    for (let i = 1; i < rows; i++) score[i * cols] = i * GAP_SCORE;
+    for (let j = 1; j < cols; j++) score[j] = j * GAP_SCORE;
+
+    for (let i = 1; i < rows; i++) {
+      for (let j = 1; j < cols; j++) {
+        const diagonal = score[(i - 1) * cols + j - 1] + (a[i - 1] === b[j - 1] ? MATCH_SCORE : MISMATCH_SCORE);
+        const up = score[(i - 1) * cols + j] + GAP_SCORE;
+        const left = score[i * cols + j - 1] + GAP_SCORE;
+        score[i * cols + j] = Math.max(diagonal, up, left);
+      }
+    }
+
+    // Trace back from the bottom-right corner
+    const alignedReference = [];
+    const alignedQuery = [];
+    const markers = [];
+    let substitutions = 0;
+    let insertions = 0;
+    let deletions = 0;
+    let i = a.length;
+    let j = b.length;
+
+    while (i > 0 || j > 0) {
+      const current = score[i * cols + j];
+      if (i > 0 && j > 0 &&
+          current === score[(i - 1) * cols + j - 1] + (a[i - 1] === b[j - 1] ? MATCH_SCORE : MISMATCH_SCORE)) {
+        alignedReference.push(a[i - 1]);
+        alignedQuery.push(b[j - 1]);
+        if (a[i - 1] === b[j - 1]) {
+          markers.push('|');
+        } else {
+          markers.push('*');
+          substitutions++;
+        }
+        i--;
+        j--;
+      } else if (i > 0 && current === score[(i - 1) * cols + j] + GAP_SCORE) {
+        alignedReference.push(a[i - 1]);
+        alignedQuery.push(GAP_SYMBOL);
+        markers.push(' ');
+        deletions++;
+        i--;
+      } else {
+        alignedReference.push(GAP_SYMBOL);
+        alignedQuery.push(b[j - 1]);
+        markers.push(' ');
+        insertions++;
+        j--;
+      }
+    }
+
+    return {
+      reference: alignedReference.reverse().join(''),
+      query: alignedQuery.reverse().join(''),
+      markers: markers.reverse().join(''),
+      substitutions,
+      insertions,
+      deletions
+    };
+  }
+
+  /**
+   * Diff a genome against a reference genome, gene by gene
+   * Genes are matched by name; identical genes are not aligned
+   * @param {Genome} reference - Reference genome (e.g. species founder)
+   * @param {Genome} genome - Genome to compare
+   * @returns {Array} [{ name, status: 'unchanged'|'changed'|'added'|'removed', alignment }]
+   */
+  static diffGenomes(reference, genome) {
+    const names = [...new Set([...reference.getGeneNames(), ...genome.getGeneNames()])];
+
+    return names.map(name => {
+      const referenceGene = reference.getGene(name);
+      const gene = genome.getGene(name);
+
+      if (!referenceGene) return { name, status: 'added', alignment: null };
+      if (!gene) return { name, status: 'removed', alignment: null };
+      if (referenceGene === gene || referenceGene.dna.equals(gene.dna)) {
+        return { name, status: 'unchanged', alignment: null };
+      }
+
+      return { name, status: 'changed', alignment: SequenceAlignment.align(referenceGene.dna, gene.dna) };
+    });
+  }
+}
@@ -0,0 +1,286 @@
+import { DNASequence } from './DNASequence.js';
+import { Gene } from './Gene.js';
+import { GeneticCode } from './GeneticCode.js';
+import { Genome } from './Genome.js';
+
+/**
+ * SequenceIO - Import and export genomes as FASTA or GenBank flat files
+ *
+ * Both formats store one record per gene. Organism metadata (species code,
+ * organism id, generation) and the genetic code (NCBI transl_table plus any
+ * evolved codon reassignments) are written so files can be re-imported.
+ *
+ * FASTA header:   >size species=CR-001 organism=42 generation=7 transl_table=1
+ * GenBank record: LOCUS / DEFINITION / FEATURES (gene + CDS) / ORIGIN / //
+ */
+export class SequenceIO {
+  static LINE_WIDTH = 60;
+
+  /**
+   * Describe the genetic code's reassigned codons as "UUC:T;AGA:*"
+   */
+  static formatReassignments(geneticCode) {
+    return geneticCode.reassignments.map(({ codon, to }) => `${codon}:${to}`).join(';');
+  }
+
+  /**
+   * Rebuild a genetic code from an NCBI table id and reassignment list
+   */
+  static buildGeneticCode(tableId = 1, reassigned = '') {
+    let code = GeneticCode.fromNCBI(tableId);
+    for (const entry of reassigned.split(';').filter(Boolean)) {
+      const [codon, aminoAcid] = entry.split(':');
+      code = code.reassign(codon, aminoAcid);
+    }
+    return code;
+  }
+
+  // ==================== EXPORT ====================
+
+  /**
+   * Export a genome as multi-record FASTA
+   * @param {Genome} genome - Genome to export
+   * @param {Object} metadata - { speciesCode, organismId, generation }
+   */
+  static toFASTA(genome, metadata = {}) {
+    const code = genome.geneticCode;
+    const reassigned = SequenceIO.formatReassignments(code);
+
+    return genome.getGeneNames().map(name => {
+      const fields = [
+        `species=${metadata.speciesCode ?? 'unknown'}`,
+        `organism=${metadata.organismId ?? 0}`,
+        `generation=${metadata.generation ?? 0}`,
+        `transl_table=${code.tableId}`
+      ];
+      if (reassigned) fields.push(`reassigned=${reassigned}`);
+
+      const sequence = genome.getGene(name).dna.sequence;
+      const lines = sequence.match(new RegExp(`.{1,${SequenceIO.LINE_WIDTH}}`, 'g')) || [];
+      return [`>${name} ${fields.join(' ')}`, ...lines].join('\n');
+    }).join('\n') + '\n';
+  }
+
+  /**
+   * Export a genome as GenBank flat file (one LOCUS record per gene)
+   * CDS features span the start and stop codons found by gene translation
+   * @param {Genome} genome - Genome to export
+   * @param {Object} metadata - { speciesCode, speciesName, organismId, generation }
+   */
+  static toGenBank(genome, metadata = {}) {
+    const code = genome.geneticCode;
+    const reassigned = SequenceIO.formatReassignments(code);
+    const date = SequenceIO.formatGenBankDate(new Date());
+    const speciesName = metadata.speciesName || 'Unknown species';
+
+    return genome.getGeneNames().map(name => {
+      const gene = genome.getGene(name);
+      const sequence = gene.dna.sequence;
+      const lines = [
+        `LOCUS       ${name.padEnd(16)} ${String(sequence.length).padStart(11)} bp    DNA     linear   SYN ${date}`,
+        `DEFINITION  ${speciesName} ${name} gene.`,
+        `SOURCE      ${speciesName}`,
+        `  ORGANISM  ${speciesName}`,
+        `COMMENT     species=${metadata.speciesCode ?? 'unknown'}; organism=${metadata.organismId ?? 0}; ` +
+          `generation=${metadata.generation ?? 0}`,
+        'FEATURES             Location/Qualifiers',
+        `     gene            1..${sequence.length}`,
+        `                     /gene="${name}"`
+      ];
+
+      const region = gene.getCodingRegion(code);
+      if (region) {
+        const end = region.complete ? String(region.end) : `>${region.end}`;
+        lines.push(
+          `     CDS             ${region.start + 1}..${end}`,
+          `                     /gene="${name}"`,
+          `                     /transl_table=${code.tableId}`
+        );
+        if (reassigned) {
+          lines.push(`                     /note="reassigned=${reassigned}"`);
+        }
+        lines.push(`                     /translation="${gene.translate(code).sequence}"`);
+      }
+
+      lines.push('ORIGIN');
+      for (let i = 0; i < sequence.length; i += SequenceIO.LINE_WIDTH) {
+        const blocks = sequence.slice(i, i + SequenceIO.LINE_WIDTH).toLowerCase().match(/.{1,10}/g);
+        lines.push(`${String(i + 1).padStart(9)} ${blocks.join(' ')}`);
+      }
+      lines.push('//');
+
+      return lines.join('\n');
+    }).join('\n') + '\n';
+  }
+
+  /**
+   * Format a date as GenBank expects (e.g. 19-OCT-2026)
+   */
+  static formatGenBankDate(date) {
+    const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+    return `${String(date.getDate()).padStart(2, '0')}-${months[date.getMonth()]}-${date.getFullYear()}`;
+  }
+
+  // ==================== IMPORT ====================
+
+  /**
+   * Parse a FASTA or GenBank file (format detected from its first line)
+   * @returns {{ genome: Genome, metadata: Object }}
+   */
+  static parse(text) {
+    const firstLine = text.trimStart().split('\n')[0] || '';
+    if (firstLine.startsWith('>')) {
+      return SequenceIO.parseFASTA(text);
+    }
+    if (firstLine.startsWith('LOCUS')) {
+      return SequenceIO.parseGenBank(text);
+    }
+    throw new Error('Unrecognized file format: expected FASTA (">") or GenBank ("LOCUS")');
+  }
+
+  /**
+   * Parse multi-record FASTA into a genome
+   */
+  static parseFASTA(text) {
+    const records = [];
+    let current = null;
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith(';')) return;
+
+      if (line.startsWith('>')) {
+        const [name, ...fields] = line.slice(1).trim().split(/\s+/);
+        if (!name) {
+          throw new Error(`Line ${index + 1}: FASTA header has no gene name`);
+        }
+        current = { name, fields: SequenceIO.parseFields(fields), chunks: [] };
+        records.push(current);
+        return;
+      }
+
+      if (!current) {
+        throw new Error(`Line ${index + 1}: sequence data before the first FASTA header`);
+      }
+      current.chunks.push(SequenceIO.validateLine(line, current.name, index + 1));
+    });
+
+    const metadata = SequenceIO.getMetadata(records[0]?.fields || {});
+    return SequenceIO.buildResult(records, metadata);
+  }
+
+  /**
+   * Parse a GenBank flat file (one LOCUS record per gene) into a genome
+   */
+  static parseGenBank(text) {
+    const records = [];
+    let current = null;
+    let inOrigin = false;
+
+    text.split(/\r?\n/).forEach((line, index) => {
+      if (line.startsWith('LOCUS')) {
+        const name = line.slice(5).trim().split(/\s+/)[0];
+        if (!name) {
+          throw new Error(`Line ${index + 1}: LOCUS line has no gene name`);
+        }
+        current = { name, fields: {}, chunks: [] };
+        records.push(current);
+        inOrigin = false;
+        return;
+      }
+      if (!current) return;
+
+      if (line.startsWith('//')) {
+        current = null;
+        inOrigin = false;
+      } else if (line.startsWith('ORIGIN')) {
+        inOrigin = true;
+      } else if (inOrigin) {
+        const bases = line.replace(/[\d\s]/g, '');
+        if (bases) {
+          current.chunks.push(SequenceIO.validateLine(bases, current.name, index + 1));
+        }
+      } else if (line.startsWith('COMMENT')) {
+        Object.assign(current.fields, SequenceIO.parseFields(line.slice(7).split(';')));
+      } else {
+        const qualifier = line.trim().match(/^\/(transl_table|note)="?([^"]*)"?$/);
+        if (qualifier) {
+          const [, key, value] = qualifier;
+          Object.assign(current.fields, key === 'note' ? SequenceIO.parseFields([value]) : { [key]: value });
+        }
+      }
+    });
+
+    const metadata = SequenceIO.getMetadata(records[0]?.fields || {});
+    return SequenceIO.buildResult(records, metadata);
+  }
+
+  /**
+   * Parse "key=value" tokens into an object
+   */
+  static parseFields(tokens) {
+    const fields = {};
+    for (const token of tokens) {
+      const separator = token.indexOf('=');
+      if (separator > 0) {
+        fields[token.slice(0, separator).trim()] = token.slice(separator + 1).trim();
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Validate one line of sequence data, reporting the gene and line on failure
+   */
+  static validateLine(line, geneName, lineNumber) {
+    try {
+      DNASequence.encode(line);
+    } catch (error) {
+      throw new Error(`Gene "${geneName}", line ${lineNumber}: ${error.message} (only A, C, G, T are allowed)`);
+    }
+    return line.toUpperCase();
+  }
+
+  /**
+   * Extract organism metadata from parsed header fields
+   */
+  static getMetadata(fields) {
+    return {
+      speciesCode: fields.species || null,
+      organismId: fields.organism !== undefined ? Number(fields.organism) : null,
+      generation: fields.generation !== undefined ? Number(fields.generation) : 0,
+      translTable: Number(fields.transl_table || 1),
+      reassigned: fields.reassigned || ''
+    };
+  }
+
+  /**
+   * Build a genome from parsed records
+   */
+  static buildResult(records, metadata) {
+    if (records.length === 0) {
+      throw new Error('No gene records found');
+    }
+
+    let geneticCode;
+    try {
+      geneticCode = SequenceIO.buildGeneticCode(metadata.translTable, metadata.reassigned);
+    } catch (error) {
+      throw new Error(`Invalid genetic code: ${error.message}`);
+    }
+
+    const genes = {};
+    for (const record of records) {
+      if (genes[record.name]) {
+        throw new Error(`Duplicate gene record: ${record.name}`);
+      }
+      const sequence = record.chunks.join('');
+      if (!sequence) {
+        throw new Error(`Gene "${record.name}" has no sequence data`);
+      }
+      genes[record.name] = new Gene(sequence, record.name);
+    }
+
+    return { genome: new Genome(genes, geneticCode), metadata };
+  }
+}
@@ -1,4 +1,6 @@
 import { DNASequence } from '../DNASequence.js';
+import { Gene } from '../Gene.js';
+import { GeneticCode } from '../GeneticCode.js';
 
 /**
  * Mutation - Base class for all mutation types
@@ -8,11 +10,13 @@ export class Mutation {
   constructor(type, cost = 1) {
     this.type = type;
     this.cost = cost;
+    this.scope = 'sequence'; // 'sequence' (within one gene), 'genome' (whole genes) or 'code'
   }
 
   /**
    * Apply mutation to DNA sequence
    * Must be implemented by subclasses
+   * Returns { dna, change, description } where change is a short label (e.g. "C→T", "+G")
    */
   apply(dnaSequence, position) {
     throw new Error('apply() must be implemented by subclass');
@@ -34,21 +38,24 @@ export class PointMutation extends Mutation {
     super('point', 1);
   }
 
-  apply(dnaSequence, position) {
-    const sequence = dnaSequence.toString();
-    if (position < 0 || position >= sequence.length) {
+  /**
+   * @param {string} replacement - Base to substitute (random if omitted, e.g. chosen by MutationModel)
+   */
+  apply(dnaSequence, position, replacement = null) {
+    if (position < 0 || position >= dnaSequence.length) {
       throw new Error('Position out of bounds');
     }
 
     const bases = DNASequence.VALID_BASES;
-    const currentBase = sequence[position];
+    const currentBase = dnaSequence.getBaseAt(position);
     const availableBases = bases.filter(b => b !== currentBase);
-    const newBase = availableBases[Math.floor(Math.random() * availableBases.length)];
-
-    const newSequence = sequence.slice(0, position) + newBase + sequence.slice(position + 1);
+    const newBase = availableBases.includes(replacement)
+      ? replacement
+      : availableBases[Math.floor(Math.random() * availableBases.length)];
 
     return {
-      dna: new DNASequence(newSequence),
+      dna: dnaSequence.splice(position, 1, newBase),
+      change: `${currentBase}→${newBase}`,
       description: `Point mutation at position ${position}: ${currentBase} → ${newBase}`
     };
   }
@@ -63,18 +70,16 @@ export class InsertionMutation extends Mutation {
   }
 
   apply(dnaSequence, position) {
-    const sequence = dnaSequence.toString();
-    if (position < 0 || position > sequence.length) {
+    if (position < 0 || position > dnaSequence.length) {
       throw new Error('Position out of bounds');
     }
 
     const bases = DNASequence.VALID_BASES;
     const newBase = bases[Math.floor(Math.random() * bases.length)];
 
-    const newSequence = sequence.slice(0, position) + newBase + sequence.slice(position);
-
     return {
-      dna: new DNASequence(newSequence),
+      dna: dnaSequence.splice(position, 0, newBase),
+      change: `+${newBase}`,
       description: `Insertion at position ${position}: added ${newBase}`
     };
   }
@@ -89,20 +94,19 @@ export class DeletionMutation extends Mutation {
   }
 
   apply(dnaSequence, position) {
-    const sequence = dnaSequence.toString();
-    if (position < 0 || position >= sequence.length) {
+    if (position < 0 || position >= dnaSequence.length) {
       throw new Error('Position out of bounds');
     }
 
-    if (sequence.length <= 6) {
+    if (dnaSequence.length <= 6) {
       throw new Error('Sequence too short for deletion');
     }
 
-    const deletedBase = sequence[position];
-    const newSequence = sequence.slice(0, position) + sequence.slice(position + 1);
+    const deletedBase = dnaSequence.getBaseAt(position);
 
     return {
-      dna: new DNASequence(newSequence),
+      dna: dnaSequence.splice(position, 1),
+      change: `-${deletedBase}`,
       description: `Deletion at position ${position}: removed ${deletedBase}`
     };
   }
@@ -117,22 +121,21 @@ export class DuplicationMutation extends Mutation {
   }
 
   apply(dnaSequence, position, length = null) {
-    const sequence = dnaSequence.toString();
-    if (position < 0 || position >= sequence.length) {
+    if (position < 0 || position >= dnaSequence.length) {
       throw new Error('Position out of bounds');
     }
 
     // Auto-calculate length if not provided
     if (length === null) {
-      length = Math.min(6, Math.floor(sequence.length / 3));
+      length = Math.min(6, Math.floor(dnaSequence.length / 3));
     }
 
-    const endPos = Math.min(position + length, sequence.length);
-    const segment = sequence.slice(position, endPos);
-    const newSequence = sequence.slice(0, endPos) + segment + sequence.slice(endPos);
+    const endPos = Math.min(position + length, dnaSequence.length);
+    const segment = dnaSequence.getSubsequence(position, endPos);
 
     return {
-      dna: new DNASequence(newSequence),
+      dna: dnaSequence.splice(endPos, 0, segment),
+      change: `+${segment}`,
       description: `Duplication at position ${position}: duplicated ${segment}`
     };
   }
@@ -147,22 +150,323 @@ export class InversionMutation extends Mutation {
   }
 
   apply(dnaSequence, startPosition, endPosition) {
-    const sequence = dnaSequence.toString();
-    if (startPosition < 0 || endPosition >= sequence.length || startPosition >= endPosition) {
+    if (startPosition < 0 || endPosition >= dnaSequence.length || startPosition >= endPosition) {
       throw new Error('Invalid position range');
     }
 
-    const segment = sequence.slice(startPosition, endPosition + 1);
-    const reversed = segment.split('').reverse().join('');
-    const newSequence = sequence.slice(0, startPosition) + reversed + sequence.slice(endPosition + 1);
-
     return {
-      dna: new DNASequence(newSequence),
+      dna: dnaSequence.reverseSegment(startPosition, endPosition),
+      change: `inv ${startPosition}-${endPosition}`,
       description: `Inversion from position ${startPosition} to ${endPosition}`
     };
   }
 }
 
+/**
+ * GenomeMutation - Base class for mutations that act on whole genes
+ * Operates on the genome's gene map instead of a single DNA sequence.
+ * apply(genes, geneName, geneticCode) gets the genome's code for mutations that read codons, and
+ * returns the new gene map plus which genes changed or were removed.
+ */
+export class GenomeMutation extends Mutation {
+  // Maximum number of copies of one gene family (limits runaway genome growth)
+  static MAX_COPIES = 4;
+
+  constructor(type, cost = 1) {
+    super(type, cost);
+    this.scope = 'genome';
+  }
+
+  /**
+   * Get all gene names belonging to a family, in genome order
+   */
+  static getFamilyMembers(genes, family) {
+    return Object.keys(genes).filter(name => Gene.getFamilyName(name) === family);
+  }
+
+  /**
+   * Pick a random gene other than the given one (null if there is none)
+   */
+  static pickOtherGene(genes, geneName) {
+    const others = Object.keys(genes).filter(name => name !== geneName);
+    return others.length > 0 ? others[Math.floor(Math.random() * others.length)] : null;
+  }
+}
+
+/**
+ * Gene Duplication Mutation - Copy a whole gene as a new paralog
+ */
+export class GeneDuplicationMutation extends GenomeMutation {
+  constructor() {
+    super('geneDuplication', 4);
+  }
+
+  apply(genes, geneName) {
+    const gene = genes[geneName];
+    if (!gene) {
+      throw new Error(`Gene ${geneName} not found`);
+    }
+
+    const family = Gene.getFamilyName(geneName);
+    const members = GenomeMutation.getFamilyMembers(genes, family);
+    if (members.length >= GenomeMutation.MAX_COPIES) {
+      throw new Error(`Gene family ${family} already has ${members.length} copies`);
+    }
+
+    // Find the next free copy number
+    let copyNumber = 2;
+    while (genes[Gene.getParalogName(family, copyNumber)]) {
+      copyNumber++;
+    }
+    const paralogName = Gene.getParalogName(family, copyNumber);
+
+    return {
+      genes: { ...genes, [paralogName]: gene.clone(paralogName) },
+      changedGenes: [paralogName],
+      removedGenes: [],
+      description: `Gene duplication: ${geneName} copied as ${paralogName}`
+    };
+  }
+}
+
+/**
+ * Gene Loss Mutation - Delete a whole gene from the genome
+ */
+export class GeneLossMutation extends GenomeMutation {
+  constructor() {
+    super('geneLoss', 2);
+  }
+
+  apply(genes, geneName) {
+    if (!genes[geneName]) {
+      throw new Error(`Gene ${geneName} not found`);
+    }
+
+    if (Object.keys(genes).length <= 1) {
+      throw new Error('Genome too small for gene loss');
+    }
+
+    const remaining = { ...genes };
+    delete remaining[geneName];
+
+    return {
+      genes: remaining,
+      changedGenes: [],
+      removedGenes: [geneName],
+      description: `Gene loss: ${geneName} deleted`
+    };
+  }
+}
+
+/**
+ * Paralog Divergence Mutation - Accelerated point mutations in a redundant copy
+ * Redundant copies are under relaxed selection, so they accumulate several changes at once
+ */
+export class ParalogDivergenceMutation extends GenomeMutation {
+  constructor() {
+    super('paralogDivergence', 2);
+  }
+
+  apply(genes, geneName) {
+    // Prefer a paralog of the requested gene, otherwise any paralog in the genome
+    const family = Gene.getFamilyName(geneName);
+    const paralogs = Object.keys(genes).filter(name => name !== Gene.getFamilyName(name));
+    const familyParalogs = paralogs.filter(name => Gene.getFamilyName(name) === family);
+    const candidates = familyParalogs.length > 0 ? familyParalogs : paralogs;
+
+    if (candidates.length === 0) {
+      throw new Error('No paralog copies to diverge');
+    }
+
+    const targetName = candidates[Math.floor(Math.random() * candidates.length)];
+    const pointMutation = new PointMutation();
+    const mutationCount = 1 + Math.floor(Math.random() * 3); // 1-3 substitutions
+
+    let dna = genes[targetName].dna;
+    for (let i = 0; i < mutationCount; i++) {
+      const position = Math.floor(Math.random() * dna.length);
+      dna = pointMutation.apply(dna, position).dna;
+    }
+
+    return {
+      genes: { ...genes, [targetName]: new Gene(dna, targetName) },
+      changedGenes: [targetName],
+      removedGenes: [],
+      description: `Paralog divergence: ${mutationCount} substitution(s) in ${targetName}`
+    };
+  }
+}
+
+/**
+ * Translocation Mutation - Move a DNA segment from one gene into another
+ */
+export class TranslocationMutation extends GenomeMutation {
+  static MIN_SEGMENT = 3;
+  static MAX_SEGMENT = 9;
+
+  constructor() {
+    super('translocation', 3);
+  }
+
+  apply(genes, geneName) {
+    const source = genes[geneName];
+    if (!source) {
+      throw new Error(`Gene ${geneName} not found`);
+    }
+
+    const targetName = GenomeMutation.pickOtherGene(genes, geneName);
+    if (!targetName) {
+      throw new Error('Translocation needs at least two genes');
+    }
+
+    const { MIN_SEGMENT, MAX_SEGMENT } = TranslocationMutation;
+    const length = MIN_SEGMENT + Math.floor(Math.random() * (MAX_SEGMENT - MIN_SEGMENT + 1));
+    if (source.length - length < 6) {
+      throw new Error(`Gene ${geneName} too short for translocation`);
+    }
+
+    const start = Math.floor(Math.random() * (source.length - length + 1));
+    const segment = source.dna.getSubsequence(start, start + length);
+    const target = genes[targetName];
+    const insertAt = Math.floor(Math.random() * (target.length + 1));
+
+    return {
+      genes: {
+        ...genes,
+        [geneName]: new Gene(source.dna.splice(start, length), geneName),
+        [targetName]: new Gene(target.dna.splice(insertAt, 0, segment), targetName)
+      },
+      changedGenes: [geneName, targetName],
+      removedGenes: [],
+      description: `Translocation: ${length} bp moved from ${geneName} to ${targetName} at position ${insertAt}`
+    };
+  }
+}
+
+/**
+ * Gene Fusion Mutation - Join two genes into one (read-through fusion)
+ * The first gene's terminal stop codon is removed so translation continues into the second
+ */
+export class GeneFusionMutation extends GenomeMutation {
+  constructor() {
+    super('geneFusion', 4);
+  }
+
+  apply(genes, geneName, geneticCode = GeneticCode.STANDARD) {
+    const first = genes[geneName];
+    if (!first) {
+      throw new Error(`Gene ${geneName} not found`);
+    }
+
+    const secondName = GenomeMutation.pickOtherGene(genes, geneName);
+    if (!secondName) {
+      throw new Error('Gene fusion needs at least two genes');
+    }
+
+    // Drop a trailing in-frame stop codon (of the genome's code) from the first gene
+    const trailing = first.dna.getSubsequence(first.length - 3).transcribe();
+    const keepLength = geneticCode.isStopCodon(trailing) && first.length % 3 === 0
+      ? first.length - 3
+      : first.length;
+
+    const fused = DNASequence.concat(first.dna.getSubsequence(0, keepLength), genes[secondName].dna);
+    const remaining = { ...genes, [geneName]: new Gene(fused, geneName) };
+    delete remaining[secondName];
+
+    return {
+      genes: remaining,
+      changedGenes: [geneName],
+      removedGenes: [secondName],
+      description: `Gene fusion: ${secondName} fused onto ${geneName}`
+    };
+  }
+}
+
+/**
+ * Gene Split Mutation - Break a gene in two at a codon boundary
+ * The first part keeps the gene name; the second becomes a new paralog of the same family
+ */
+export class GeneSplitMutation extends GenomeMutation {
+  static MIN_PART = 9;
+
+  constructor() {
+    super('geneSplit', 3);
+  }
+
+  apply(genes, geneName) {
+    const gene = genes[geneName];
+    if (!gene) {
+      throw new Error(`Gene ${geneName} not found`);
+    }
+
+    const minPart = GeneSplitMutation.MIN_PART;
+    if (gene.length < minPart * 2) {
+      throw new Error(`Gene ${geneName} too short to split`);
+    }
+
+    const family = Gene.getFamilyName(geneName);
+    if (GenomeMutation.getFamilyMembers(genes, family).length >= GenomeMutation.MAX_COPIES) {
+      throw new Error(`Gene family ${family} already has ${GenomeMutation.MAX_COPIES} copies`);
+    }
+
+    // Split on a codon boundary, leaving at least minPart bases on each side
+    const codons = Math.floor((gene.length - minPart * 2) / 3);
+    const point = minPart + Math.floor(Math.random() * (codons + 1)) * 3;
+
+    let copyNumber = 2;
+    while (genes[Gene.getParalogName(family, copyNumber)]) {
+      copyNumber++;
+    }
+    const secondName = Gene.getParalogName(family, copyNumber);
+
+    return {
+      genes: {
+        ...genes,
+        [geneName]: new Gene(gene.dna.getSubsequence(0, point), geneName),
+        [secondName]: new Gene(gene.dna.getSubsequence(point), secondName)
+      },
+      changedGenes: [geneName, secondName],
+      removedGenes: [],
+      description: `Gene split: ${geneName} split at position ${point} into ${geneName} and ${secondName}`
+    };
+  }
+}
+
+/**
+ * Codon Reassignment Mutation - Change the meaning of one codon in the genetic code
+ * Acts on the genome's GeneticCode, so every gene using the codon is affected at once.
+ * apply() returns the new code; stop codons can become sense codons and vice versa.
+ */
+export class CodonReassignmentMutation extends Mutation {
+  static MAX_ATTEMPTS = 10;
+
+  constructor() {
+    super('codonReassignment', 5);
+    this.scope = 'code';
+  }
+
+  apply(geneticCode) {
+    const codons = Object.keys(geneticCode.table);
+    const targets = [...GeneticCode.AMINO_ACIDS, GeneticCode.STOP_SYMBOL];
+
+    for (let attempt = 0; attempt < CodonReassignmentMutation.MAX_ATTEMPTS; attempt++) {
+      const codon = codons[Math.floor(Math.random() * codons.length)];
+      const aminoAcid = targets[Math.floor(Math.random() * targets.length)];
+
+      if (geneticCode.canReassign(codon, aminoAcid)) {
+        const from = geneticCode.translateCodon(codon);
+        return {
+          code: geneticCode.reassign(codon, aminoAcid),
+          change: `${codon} ${from}→${aminoAcid}`,
+          description: `Codon reassignment: ${codon} ${from} → ${aminoAcid}`
+        };
+      }
+    }
+
+    throw new Error('No valid codon reassignment found');
+  }
+}
+
 /**
  * Mutation Factory - Creates mutation instances
  */
@@ -172,7 +476,14 @@ export class MutationFactory {
     insertion: InsertionMutation,
     deletion: DeletionMutation,
     duplication: DuplicationMutation,
-    inversion: InversionMutation
+    inversion: InversionMutation,
+    geneDuplication: GeneDuplicationMutation,
+    geneLoss: GeneLossMutation,
+    paralogDivergence: ParalogDivergenceMutation,
+    translocation: TranslocationMutation,
+    geneFusion: GeneFusionMutation,
+    geneSplit: GeneSplitMutation,
+    codonReassignment: CodonReassignmentMutation
   };
 
   static createMutation(type) {
@@ -186,4 +497,12 @@ export class MutationFactory {
   static getAllTypes() {
     return Object.keys(this.MUTATION_TYPES);
   }
+
+  /**
+   * Check if a mutation type acts on whole genes rather than a sequence
+   */
+  static isGenomeLevel(type) {
+    const MutationClass = this.MUTATION_TYPES[type];
+    return !!MutationClass && MutationClass.prototype instanceof GenomeMutation;
+  }
 }
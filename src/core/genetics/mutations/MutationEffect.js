@@ -0,0 +1,142 @@
+/**
+ * MutationEffect - Classifies what a mutation did to the encoded proteins
+ *
+ * Effects (from most to least severe):
+ * - frameshift: coding region length changed by a non-multiple of 3
+ * - nonsense:   protein truncated (premature stop codon or lost start codon)
+ * - missense:   protein sequence changed
+ * - synonymous: coding DNA changed but the protein is identical
+ * - silent:     only non-coding DNA changed (promoter or after the stop codon)
+ *
+ * Genes gained or lost by structural mutations are reported separately.
+ */
+export class MutationEffect {
+  static SEVERITY = ['silent', 'synonymous', 'missense', 'nonsense', 'frameshift'];
+
+  /**
+   * Classify the change of a single gene
+   * @param {Gene} beforeGene - Gene before mutation
+   * @param {Protein} beforeProtein - Protein before mutation
+   * @param {Gene} afterGene - Gene after mutation
+   * @param {Protein} afterProtein - Protein after mutation
+   * @param {GeneticCode} beforeCode - Genetic code used before mutation
+   * @param {GeneticCode} afterCode - Genetic code used after mutation
+   * @returns {string|null} Effect, or null if the gene is unchanged
+   */
+  static classifyGene(beforeGene, beforeProtein, afterGene, afterProtein, beforeCode, afterCode = beforeCode) {
+    const dnaChanged = !beforeGene.dna.equals(afterGene.dna);
+    const before = beforeProtein?.sequence || '';
+    const after = afterProtein?.sequence || '';
+
+    if (!dnaChanged && before === after) {
+      return null;
+    }
+
+    if (before === after) {
+      return MutationEffect.codingDNAChanged(beforeGene, afterGene, beforeCode, afterCode)
+        ? 'synonymous'
+        : 'silent';
+    }
+
+    // Indel of a non-multiple of 3 bases among the sense codons shifts the reading frame
+    const region = beforeGene.getCodingRegion(beforeCode);
+    const lengthChange = afterGene.length - beforeGene.length;
+    if (region && lengthChange % 3 !== 0) {
+      const senseEnd = region.complete ? region.end - 3 : region.end;
+      if (MutationEffect.firstDifference(beforeGene, afterGene) < senseEnd) {
+        return 'frameshift';
+      }
+    }
+
+    if (after.length < before.length && before.startsWith(after)) {
+      return 'nonsense';
+    }
+
+    return 'missense';
+  }
+
+  /**
+   * Check if the DNA of the coding region differs between two versions of a gene
+   */
+  static codingDNAChanged(beforeGene, afterGene, beforeCode, afterCode) {
+    const beforeRegion = beforeGene.getCodingRegion(beforeCode);
+    const afterRegion = afterGene.getCodingRegion(afterCode);
+    if (!beforeRegion || !afterRegion) return !!beforeRegion !== !!afterRegion;
+
+    const beforeCDS = beforeGene.dna.getSubsequence(beforeRegion.start, beforeRegion.end);
+    const afterCDS = afterGene.dna.getSubsequence(afterRegion.start, afterRegion.end);
+    return !beforeCDS.equals(afterCDS);
+  }
+
+  /**
+   * Index of the first base that differs between two genes
+   */
+  static firstDifference(beforeGene, afterGene) {
+    const length = Math.min(beforeGene.length, afterGene.length);
+    for (let i = 0; i < length; i++) {
+      if (beforeGene.dna.getCodeAt(i) !== afterGene.dna.getCodeAt(i)) return i;
+    }
+    return length;
+  }
+
+  /**
+   * Compare a genome before and after a mutation
+   * Proteins come from the genes' cached translations, so genomes need not be expressed
+   * @param {Object} before - { genes, geneticCode } snapshot taken before mutating
+   * @param {Genome} genome - Mutated genome
+   * @returns {Object} { effect, genes: [{ gene, effect }], addedGenes, removedGenes }
+   */
+  static compare(before, genome) {
+    const genes = [];
+    const addedGenes = [];
+    const removedGenes = [];
+
+    for (const name of Object.keys(before.genes)) {
+      if (!genome.genes[name]) {
+        removedGenes.push(name);
+        continue;
+      }
+      const beforeGene = before.genes[name];
+      const afterGene = genome.genes[name];
+      if (beforeGene === afterGene && before.geneticCode === genome.geneticCode) continue;
+
+      const effect = MutationEffect.classifyGene(
+        beforeGene,
+        beforeGene.translate(before.geneticCode),
+        afterGene,
+        afterGene.translate(genome.geneticCode),
+        before.geneticCode,
+        genome.geneticCode
+      );
+      if (effect) {
+        genes.push({ gene: name, effect });
+      }
+    }
+
+    for (const name of Object.keys(genome.genes)) {
+      if (!before.genes[name]) {
+        addedGenes.push(name);
+      }
+    }
+
+    return {
+      effect: MutationEffect.getMostSevere(genes.map(change => change.effect)),
+      genes,
+      addedGenes,
+      removedGenes
+    };
+  }
+
+  /**
+   * Pick the most severe effect from a list (null if empty)
+   */
+  static getMostSevere(effects) {
+    let worst = null;
+    for (const effect of effects) {
+      if (worst === null || MutationEffect.SEVERITY.indexOf(effect) > MutationEffect.SEVERITY.indexOf(worst)) {
+        worst = effect;
+      }
+    }
+    return worst;
+  }
+}
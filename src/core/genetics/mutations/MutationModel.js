@@ -0,0 +1,214 @@
+import { DNASequence } from '../DNASequence.js';
+import { Gene } from '../Gene.js';
+
+/**
+ * MutationModel - Decides how many mutations a newborn genome receives and where
+ *
+ * - Per-base rate: every base has the same chance to mutate, so long genes mutate more.
+ *   The number of mutations per birth is Poisson distributed (capped at maxMutationsPerBirth).
+ * - Per-gene multipliers: scale the rate of a gene family (e.g. { speed: 2 }).
+ * - Transition/transversion bias: point mutations swap purine<->purine or pyrimidine<->pyrimidine
+ *   (transitions) transitionBias times more often than each transversion.
+ * - Hotspots: bases inside a motif (e.g. CpG dinucleotides) mutate multiplier times more often.
+ * - Mutator gene: the "mutator" gene encodes DNA repair. Net charge of its protein shifts the
+ *   organism's own rate up or down (heritable); losing the gene disables repair entirely.
+ *
+ * Instances are immutable: with() returns a changed copy.
+ */
+export class MutationModel {
+  // Gene family whose protein sets the organism's own mutation rate
+  static MUTATOR_FAMILY = 'mutator';
+
+  static DEFAULTS = {
+    perBaseRate: 0.0002, // ~0.06 mutations per birth for a default (~300 bp) genome
+    geneMultipliers: {},
+    transitionBias: 2,
+    hotspots: [{ motif: 'CG', multiplier: 5 }],
+    mutatorStrength: 1,
+    maxMutationsPerBirth: 5
+  };
+
+  // Default of the former per-birth mutationRate setting (chance of one mutation per birth),
+  // which corresponds to the default perBaseRate
+  static LEGACY_MUTATION_RATE = 0.05;
+
+  // Bounds of the mutator gene's rate factor
+  static MIN_MUTATOR_FACTOR = 0.25;
+  static MAX_MUTATOR_FACTOR = 4;
+
+  static PURINES = 'AG';
+
+  constructor(options = {}) {
+    const settings = { ...MutationModel.DEFAULTS, ...options };
+    this.perBaseRate = settings.perBaseRate;
+    this.geneMultipliers = Object.freeze({ ...settings.geneMultipliers });
+    this.transitionBias = settings.transitionBias;
+    this.hotspots = Object.freeze(settings.hotspots.map(hotspot => ({ ...hotspot })));
+    this.mutatorStrength = settings.mutatorStrength;
+    this.maxMutationsPerBirth = settings.maxMutationsPerBirth;
+  }
+
+  /**
+   * Per-base rate equivalent to a former per-birth mutationRate (saved settings from before the
+   * mutation model), scaled so the old default maps onto the default perBaseRate
+   */
+  static perBaseRateFromMutationRate(mutationRate) {
+    return MutationModel.DEFAULTS.perBaseRate * Math.max(0, mutationRate) / MutationModel.LEGACY_MUTATION_RATE;
+  }
+
+  /**
+   * Create a copy with some settings changed (geneMultipliers are merged)
+   */
+  with(changes = {}) {
+    const settings = { ...this.toJSON(), ...changes };
+    if (changes.geneMultipliers) {
+      settings.geneMultipliers = { ...this.geneMultipliers, ...changes.geneMultipliers };
+    }
+    return new MutationModel(settings);
+  }
+
+  /**
+   * Plain settings object (for persistence)
+   */
+  toJSON() {
+    return {
+      perBaseRate: this.perBaseRate,
+      geneMultipliers: { ...this.geneMultipliers },
+      transitionBias: this.transitionBias,
+      hotspots: this.hotspots.map(hotspot => ({ ...hotspot })),
+      mutatorStrength: this.mutatorStrength,
+      maxMutationsPerBirth: this.maxMutationsPerBirth
+    };
+  }
+
+  /**
+   * Rate multiplier of a gene (set per gene family)
+   */
+  getGeneMultiplier(geneName) {
+    return this.geneMultipliers[Gene.getFamilyName(geneName)] ?? 1;
+  }
+
+  /**
+   * Factor the organism's mutator gene applies to its own mutation rate
+   * Positively charged repair proteins are sloppier (factor > 1), negatively charged ones
+   * more accurate. Without a working mutator protein, repair is lost (maximum factor).
+   */
+  getMutatorFactor(genome) {
+    if (this.mutatorStrength === 0) return 1;
+
+    const gene = genome.getGene(MutationModel.MUTATOR_FAMILY);
+    const protein = gene?.translate(genome.geneticCode);
+    const exponent = protein && protein.sequence.length > 0
+      ? this.mutatorStrength * 4 * (protein.properties.positiveRatio - protein.properties.negativeRatio)
+      : this.mutatorStrength * 2;
+
+    return Math.min(MutationModel.MAX_MUTATOR_FACTOR, Math.max(MutationModel.MIN_MUTATOR_FACTOR, 2 ** exponent));
+  }
+
+  /**
+   * Expected number of mutations in a gene per birth (before the mutator factor)
+   */
+  getGeneRate(geneName, gene) {
+    return gene.length * this.perBaseRate * this.getGeneMultiplier(geneName);
+  }
+
+  /**
+   * Expected number of mutations per birth for a genome
+   * Diploid genomes carry two copies of every locus, so they collect twice as many.
+   */
+  getExpectedMutations(genome) {
+    const total = genome.getGeneNames()
+      .reduce((sum, name) => sum + this.getGeneRate(name, genome.getGene(name)), 0);
+    const ploidy = genome.isDiploid ? 2 : 1;
+    return total * ploidy * this.getMutatorFactor(genome);
+  }
+
+  /**
+   * Draw the number of mutations for one birth (Poisson, capped)
+   */
+  sampleMutationCount(genome) {
+    const expected = this.getExpectedMutations(genome);
+    if (expected <= 0) return 0;
+
+    // Knuth's method (expected counts are small)
+    const limit = Math.exp(-expected);
+    let count = 0;
+    let product = Math.random();
+    while (product > limit && count < this.maxMutationsPerBirth) {
+      count++;
+      product *= Math.random();
+    }
+    return count;
+  }
+
+  /**
+   * Pick the gene to mutate, weighted by length and gene multiplier
+   */
+  pickGene(genome) {
+    const names = genome.getGeneNames();
+    const weights = names.map(name => this.getGeneRate(name, genome.getGene(name)));
+    return names[MutationModel.pickWeightedIndex(weights)] ?? names[0];
+  }
+
+  /**
+   * Relative mutation weight of every base in a gene (hotspot motifs raise it)
+   */
+  getPositionWeights(gene) {
+    const sequence = gene.dna.sequence;
+    const weights = new Float32Array(sequence.length).fill(1);
+
+    for (const { motif, multiplier } of this.hotspots) {
+      if (!motif || multiplier === 1) continue;
+      let index = sequence.indexOf(motif);
+      while (index !== -1) {
+        for (let i = index; i < index + motif.length; i++) {
+          weights[i] = Math.max(weights[i], multiplier);
+        }
+        index = sequence.indexOf(motif, index + 1);
+      }
+    }
+    return weights;
+  }
+
+  /**
+   * Pick a position inside a gene (hotspots are more likely)
+   */
+  pickPosition(gene) {
+    if (this.hotspots.length === 0) {
+      return Math.floor(Math.random() * gene.length);
+    }
+    return MutationModel.pickWeightedIndex(this.getPositionWeights(gene));
+  }
+
+  /**
+   * Pick the replacement base for a point mutation using the transition/transversion bias
+   */
+  pickPointBase(currentBase) {
+    const candidates = DNASequence.VALID_BASES.filter(base => base !== currentBase);
+    const weights = candidates.map(base => (MutationModel.isTransition(currentBase, base) ? this.transitionBias : 1));
+    return candidates[MutationModel.pickWeightedIndex(weights)];
+  }
+
+  /**
+   * Check if a substitution is a transition (A<->G or C<->T)
+   */
+  static isTransition(fromBase, toBase) {
+    return MutationModel.PURINES.includes(fromBase) === MutationModel.PURINES.includes(toBase);
+  }
+
+  /**
+   * Pick an index with probability proportional to its weight
+   */
+  static pickWeightedIndex(weights) {
+    let total = 0;
+    for (const weight of weights) total += weight;
+    if (total <= 0) return -1;
+
+    let roll = Math.random() * total;
+    for (let i = 0; i < weights.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) return i;
+    }
+    return weights.length - 1;
+  }
+}
@@ -0,0 +1,73 @@
+import { Photosynthesis } from './Photosynthesis.js';
+
+/**
+ * Diet - Food sources, digestion efficiency and trophic levels
+ *
+ * Three schema traits driven by the diet gene set how much an organism invests in digesting
+ * each food source: herbivory (plant food particles), carnivory (prey killed in combat) and
+ * scavenging (carrion left by dead organisms). The digestion efficiency of a source is its
+ * share of the three times DIGESTION_BUDGET, so specializing on one source costs efficiency
+ * on the others. Digestion multiplies energyEfficiency when food is eaten.
+ *
+ * Trophic levels follow what organisms actually eat: 1 + the energy-weighted mean trophic
+ * level of their food (plants are level 1, prey and carrion have their organism's level).
+ */
+export class Diet {
+  // Food source -> trait setting the organism's investment in digesting it
+  static SOURCE_TRAITS = { plant: 'herbivory', meat: 'carnivory', carrion: 'scavenging' };
+
+  // Sum of the digestion efficiencies of all sources (a generalist gets 2/3 of everything)
+  static DIGESTION_BUDGET = 2;
+
+  // Trophic guild of organisms that get more than SPECIALIST_SHARE of their digestion from one source
+  static GUILDS = { plant: 'herbivore', meat: 'carnivore', carrion: 'scavenger' };
+  static SPECIALIST_SHARE = 0.5;
+
+  // Only organisms with at least this share of meat digestion hunt prey for food
+  static HUNTING_SHARE = 1 / 3;
+
+  // Trophic level of plant food, and of organisms that have not eaten yet (primary consumers)
+  static PLANT_TROPHIC_LEVEL = 1;
+  static DEFAULT_TROPHIC_LEVEL = 2;
+
+  /**
+   * Share of each food source in the organism's digestion (sums to 1)
+   * @returns {Object} { plant, meat, carrion }
+   */
+  static getShares(phenotype) {
+    const investments = {};
+    let total = 0;
+    for (const [source, trait] of Object.entries(Diet.SOURCE_TRAITS)) {
+      investments[source] = Math.max(0, phenotype[trait] ?? 0);
+      total += investments[source];
+    }
+
+    const shares = {};
+    const sources = Object.keys(Diet.SOURCE_TRAITS);
+    for (const source of sources) {
+      shares[source] = total > 0 ? investments[source] / total : 1 / sources.length;
+    }
+    return shares;
+  }
+
+  /**
+   * Digestion efficiency of a food source (0 to DIGESTION_BUDGET)
+   */
+  static getDigestion(phenotype, source) {
+    return Diet.DIGESTION_BUDGET * Diet.getShares(phenotype)[source];
+  }
+
+  /**
+   * Trophic guild: 'autotroph' (photosynthetic, see Photosynthesis), 'herbivore', 'carnivore',
+   * 'scavenger' or 'omnivore' (no dominant source)
+   */
+  static getGuild(phenotype) {
+    if (Photosynthesis.isAutotroph(phenotype)) return 'autotroph';
+
+    const shares = Diet.getShares(phenotype);
+    for (const [source, guild] of Object.entries(Diet.GUILDS)) {
+      if (shares[source] > Diet.SPECIALIST_SHARE) return guild;
+    }
+    return 'omnivore';
+  }
+}
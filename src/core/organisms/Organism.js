@@ -1,4 +1,10 @@
+import { Gene } from '../genetics/Gene.js';
+import { Epigenetics } from '../genetics/Epigenetics.js';
 import { Genome } from '../genetics/Genome.js';
+import { MutationEffect } from '../genetics/mutations/MutationEffect.js';
+import { MutationModel } from '../genetics/mutations/MutationModel.js';
+import { Diet } from './Diet.js';
+import { Photosynthesis } from './Photosynthesis.js';
 import { PhenotypeComparator } from './PhenotypeComparator.js';
 import { TraitCalculator } from './TraitCalculator.js';
 
@@ -14,6 +20,13 @@ import { TraitCalculator } from './TraitCalculator.js';
 export class Organism {
   static nextId = 1;
 
+  // How often gene expression is re-regulated for the organism's current state (ms)
+  static REGULATION_INTERVAL = 1000;
+
+  // Time after mating before an organism can mate again (ms of age), so a touching pair
+  // does not breed on every collision frame
+  static MATING_REFRACTORY = 3000;
+
   constructor(x, y, genome = null, parentId = null, speciesFounderId = null) {
     this.id = Organism.nextId++;
     this.genome = genome || Genome.createDefault();
@@ -26,19 +39,44 @@ export class Organism {
     this.rotation = 0;
 
     // Phenotype (physical traits derived from genes)
+    // referencePhenotype is expressed at GeneRegulation.REFERENCE_STATE and used for
+    // species comparison; phenotype follows the organism's current state (plasticity)
     this.phenotype = {};
+    this.referencePhenotype = {};
+    this._regulationTimer = 0;
 
     // Life stats
     this.energy = 100;
     this.maxEnergy = 100;
     this.age = 0;
+    this.lastMatingAge = -Infinity;
     this.maxAge = 60000 + Math.random() * 30000; // 60-90 seconds lifespan
     this.isAlive = true;
+    this.infected = false; // Carries a plague pathogen (see WorldEvents; not inherited)
 
     // Parent tracking (for offspring protection)
     this.parentId = parentId;
+    this.mateId = null; // Second parent (sexual reproduction only)
+    this.generation = 0; // Number of ancestors back to the initial population
+    this.birthMutations = []; // Mutations acquired at birth: [{ type, gene, position, change, description, effect }]
+
+    // Mutations separating this organism from its species founder (oldest first, shared with
+    // relatives, never modified in place) and the founder's genome for diffs
+    this.mutationHistory = [];
+    this.founderGenome = this.genome;
+    this.splitHistory = null; // Set when this organism founds a new species: { fromSpeciesId, mutations, founderGenome }
+
+    // Heritable epigenetic marks set by stress (see Epigenetics), and damage taken since the last stress check
+    this.epigeneticMarks = {};
+    this.recentDamage = 0;
+    this.transfersReceived = 0; // Genes taken up by horizontal gene transfer
     this.birthTime = Date.now();
 
+    // Energy absorbed from each food source (and light) and the trophic levels of the food (see getTrophicLevel)
+    this.intake = { plant: 0, meat: 0, carrion: 0, light: 0 };
+    this.trophicIntake = 0; // Sum of absorbed energy x trophic level of the food
+    this.birthTrophicLevel = Diet.DEFAULT_TROPHIC_LEVEL; // Trophic level before the first meal
+
     // Species tracking (phylotype clustering)
     // If no founder specified, this organism is its own species founder
     this.speciesFounderId = speciesFounderId !== null ? speciesFounderId : this.id;
@@ -51,7 +89,7 @@ export class Organism {
 
     // If this is a founder, cache its phenotype for comparison
     if (this.speciesFounderId === this.id) {
-      this._founderPhenotype = this.phenotype;
+      this._founderPhenotype = this.referencePhenotype;
     }
   }
 
@@ -62,7 +100,75 @@ export class Organism {
     const proteins = this.genome.expressAllGenes();
 
     // Calculate phenotype from expressed proteins
-    this.phenotype = this.calculatePhenotype(proteins);
+    this.referencePhenotype = this.calculatePhenotype(
+      proteins,
+      this.genome.expressionLevels,
+      this.genome.isDiploid ? this.genome.expressedSecondAlleles : null
+    );
+    this.phenotype = this.referencePhenotype;
+  }
+
+  /**
+   * Re-regulate gene expression for the organism's current state
+   * Energy, age and temperature shift expression levels (heritable plasticity)
+   */
+  updateExpression(temperature = 1.0) {
+    const levels = this.genome.updateExpressionLevels({
+      energyRatio: this.energy / this.maxEnergy,
+      ageRatio: this.age / this.maxAge,
+      temperature
+    }, this.epigeneticMarks);
+    this.phenotype = this.calculatePhenotype(
+      this.genome.expressedProteins,
+      levels,
+      this.genome.isDiploid ? this.genome.expressedSecondAlleles : null
+    );
+  }
+
+  /**
+   * Which genes contributed how much to each trait at the current expression levels
+   * @returns {Object} { trait: [{ gene, type, amount, factor? }] } (see TraitCalculator.calculateGeneticTraits)
+   */
+  getTraitContributions() {
+    const contributions = {};
+    this.calculatePhenotype(
+      this.genome.expressedProteins,
+      this.genome.expressionLevels,
+      this.genome.isDiploid ? this.genome.expressedSecondAlleles : null,
+      contributions
+    );
+    return contributions;
+  }
+
+  /**
+   * Mark genes in response to stress ('starvation', 'crowding' or 'combat', intensity 0-1)
+   * Marks take effect at the next expression update.
+   */
+  addEpigeneticStress(cause, intensity) {
+    this.epigeneticMarks = Epigenetics.addMarks(this.epigeneticMarks, cause, intensity, this.genome, this.generation);
+  }
+
+  /**
+   * Inherit epigenetic marks from the parents (if enabled in the world) and express them
+   */
+  inheritEpigeneticMarks(parents, world) {
+    if (!world?.epigenetics.enabled) return;
+
+    this.epigeneticMarks = Epigenetics.inherit(
+      parents.map(parent => parent.epigeneticMarks),
+      this.genome,
+      world.epigenetics.resetProbability
+    );
+    if (Object.keys(this.epigeneticMarks).length > 0) {
+      this.updateExpression(world.getTemperature());
+    }
+  }
+
+  /**
+   * Fraction of this organism's loci carrying two different alleles (0 for haploid genomes)
+   */
+  getHeterozygosity() {
+    return this.genome.getHeterozygosity();
   }
 
   /**
@@ -102,10 +208,49 @@ export class Organism {
   }
 
   /**
-   * Calculate phenotype from proteins
+   * Calculate pigment color (HSL) from a pigmentation protein
+   */
+  calculatePigmentColor(pigmentProtein) {
+    // Enhanced color calculation based on protein properties
+    // Hue: Based on charged and aromatic amino acids (0-360 degrees)
+    const hue = (pigmentProtein.properties.positive * 45 +
+                 pigmentProtein.properties.negative * 120 +
+                 pigmentProtein.properties.aromatic * 180 +
+                 pigmentProtein.properties.hydrophobic * 15) % 360;
+
+    // Saturation: Based on aromatic content and charge (30-95%)
+    const aromaticFactor = pigmentProtein.properties.aromatic / Math.max(1, pigmentProtein.properties.length);
+    const chargeFactor = (pigmentProtein.properties.positive + pigmentProtein.properties.negative) /
+                        Math.max(1, pigmentProtein.properties.length);
+    const saturation = Math.min(Math.max(30, 40 + aromaticFactor * 80 + chargeFactor * 40), 95);
+
+    // Lightness: Based on hydrophobic vs hydrophilic balance (25-75%)
+    const hydrophobicRatio = pigmentProtein.properties.hydrophobic / Math.max(1, pigmentProtein.properties.length);
+    const hydrophilicRatio = pigmentProtein.properties.hydrophilic / Math.max(1, pigmentProtein.properties.length);
+    const lightness = Math.max(25, Math.min(75, 50 + (hydrophilicRatio - hydrophobicRatio) * 50));
+
+    return { h: hue, s: saturation, l: lightness };
+  }
+
+  /**
+   * Blend two pigment colors (incomplete dominance); hue is averaged around the color wheel
+   */
+  static blendColors(colorA, colorB) {
+    const delta = ((colorB.h - colorA.h + 540) % 360) - 180; // Shortest angular difference
+    return {
+      h: (colorA.h + delta / 2 + 360) % 360,
+      s: (colorA.s + colorB.s) / 2,
+      l: (colorA.l + colorB.l) / 2
+    };
+  }
+
+  /**
+   * Calculate phenotype from proteins scaled by their gene expression levels
    * Uses TraitCalculator for explicit, well-documented trait formulas
+   * Diploid genomes pass the second alleles' proteins; the genome's dominance model combines them.
+   * If contributions is given, it is filled with each trait's per-gene contributions.
    */
-  calculatePhenotype(proteins) {
+  calculatePhenotype(proteins, expressionLevels = {}, secondAlleles = null, contributions = null) {
     // Initialize phenotype with default values (used when proteins are missing)
     const phenotype = {
       // Visual (non-genetic defaults)
@@ -113,60 +258,44 @@ export class Organism {
       segments: 1
     };
 
-    // Calculate size traits
-    phenotype.size = TraitCalculator.calculateSize(proteins.size);
-    phenotype.mass = TraitCalculator.calculateMass(phenotype);
-
-    // Calculate movement traits
-    const movement = TraitCalculator.calculateMovement(proteins.speed);
-    Object.assign(phenotype, movement);
-
-    // Calculate defense traits
-    const defense = TraitCalculator.calculateDefense(proteins.defense);
-    Object.assign(phenotype, defense);
+    // Group gene copies (original + paralogs) so extra copies add dosage effects
+    const families = TraitCalculator.groupByFamily(proteins, expressionLevels, secondAlleles, this.genome.dominance);
 
-    // Calculate metabolism traits
-    const metabolism = TraitCalculator.calculateMetabolism(proteins.metabolism);
-    Object.assign(phenotype, metabolism);
+    // Schema traits: primary gene effects, epistasis, pleiotropy and derived traits
+    Object.assign(phenotype, TraitCalculator.calculateGeneticTraits(families, contributions));
 
-    // Calculate reproduction traits
-    const reproduction = TraitCalculator.calculateReproduction(proteins.reproduction);
-    Object.assign(phenotype, reproduction);
-
-    // Calculate sensory traits
-    const sensory = TraitCalculator.calculateSensory(proteins.sensory);
-    Object.assign(phenotype, sensory);
-
-    // Calculate behavioral traits
-    const behavior = TraitCalculator.calculateBehavior(proteins.aggression, proteins.cooperation);
-    Object.assign(phenotype, behavior);
-
-    // Pigmentation (if gene exists)
-    if (proteins.pigmentation) {
-      const pigmentProtein = proteins.pigmentation;
-
-      // Enhanced color calculation based on protein properties
-      // Hue: Based on charged and aromatic amino acids (0-360 degrees)
-      const hue = (pigmentProtein.properties.positive * 45 +
-                   pigmentProtein.properties.negative * 120 +
-                   pigmentProtein.properties.aromatic * 180 +
-                   pigmentProtein.properties.hydrophobic * 15) % 360;
-
-      // Saturation: Based on aromatic content and charge (30-95%)
-      const aromaticFactor = pigmentProtein.properties.aromatic / Math.max(1, pigmentProtein.properties.length);
-      const chargeFactor = (pigmentProtein.properties.positive + pigmentProtein.properties.negative) /
-                          Math.max(1, pigmentProtein.properties.length);
-      const saturation = Math.min(Math.max(30, 40 + aromaticFactor * 80 + chargeFactor * 40), 95);
-
-      // Lightness: Based on hydrophobic vs hydrophilic balance (25-75%)
-      const hydrophobicRatio = pigmentProtein.properties.hydrophobic / Math.max(1, pigmentProtein.properties.length);
-      const hydrophilicRatio = pigmentProtein.properties.hydrophilic / Math.max(1, pigmentProtein.properties.length);
-      const lightness = Math.max(25, Math.min(75, 50 + (hydrophilicRatio - hydrophobicRatio) * 50));
+    // Every extra gene copy costs upkeep energy
+    const geneCount = Object.keys(proteins).length;
+    const extraCopies = geneCount - new Set(Object.keys(proteins).map(Gene.getFamilyName)).size;
+    const upkeep = extraCopies * TraitCalculator.DOSAGE_RULES.metabolicCostPerCopy;
+    phenotype.metabolicRate += upkeep;
+    if (contributions && upkeep > 0) {
+      contributions.metabolicRate.push({ gene: null, type: 'upkeep', amount: upkeep });
+    }
 
-      phenotype.color = { h: hue, s: saturation, l: lightness };
+    // Pigmentation (if gene exists) - visual traits use the primary copy only
+    // (the dominant allele in diploid genomes)
+    const pigmentCopy = families.pigmentation?.[0];
+    const pigmentProtein = pigmentCopy?.protein;
+    if (pigmentProtein) {
+      phenotype.color = this.calculatePigmentColor(pigmentProtein);
 
       // Add visual variation properties based on protein structure
       phenotype.colorPattern = this.calculateColorPattern(pigmentProtein);
+
+      // Heterozygous pigment alleles: blended color (incomplete) or both colors visible (codominant)
+      const otherPigment = pigmentCopy.alleles.find(allele => allele && allele !== pigmentProtein &&
+        allele.sequence !== pigmentProtein.sequence);
+      if (otherPigment && this.genome.dominance === 'incomplete') {
+        phenotype.color = Organism.blendColors(phenotype.color, this.calculatePigmentColor(otherPigment));
+      } else if (otherPigment && this.genome.dominance === 'codominant') {
+        const otherColor = this.calculatePigmentColor(otherPigment);
+        phenotype.colorPattern = {
+          type: phenotype.colorPattern.type === 'solid' ? 'spots' : phenotype.colorPattern.type,
+          intensity: Math.max(phenotype.colorPattern.intensity, 0.6),
+          secondaryHueShift: (otherColor.h - phenotype.color.h + 360) % 360
+        };
+      }
     } else {
       // Default color if no pigmentation gene
       phenotype.color = { h: 180, s: 60, l: 50 };
@@ -174,8 +303,8 @@ export class Organism {
     }
 
     // Structure (if gene exists)
-    if (proteins.structure) {
-      const structProtein = proteins.structure;
+    const structProtein = families.structure?.[0]?.protein;
+    if (structProtein) {
       phenotype.segments = Math.max(1, Math.min(4, Math.floor(structProtein.properties.length / 4)));
     }
 
@@ -185,7 +314,7 @@ export class Organism {
   /**
    * Update organism state (called each frame)
    */
-  update(deltaTime) {
+  update(deltaTime, world = null) {
     if (!this.isAlive) return;
 
     // Age
@@ -197,15 +326,30 @@ export class Organism {
       return;
     }
 
+    // Conditions of the local biome cell (temperature, movement cost, hazard)
+    const biome = world?.getBiomeAt(this.x, this.y);
+    const localTemperature = biome?.temperature ?? 1;
+    const movementCost = biome?.movementCost ?? 1;
+
+    // Periodically adapt gene expression to current energy, age and temperature
+    this._regulationTimer += deltaTime;
+    if (this._regulationTimer >= Organism.REGULATION_INTERVAL) {
+      this._regulationTimer = 0;
+      this.updateExpression(world ? world.getTemperature() * localTemperature : 1.0);
+    }
+
     // Convert deltaTime from ms to seconds for energy calculation
     const deltaSeconds = deltaTime / 1000;
 
-    // Consume energy based on metabolism (increased from 0.05 to 0.15 - 3x faster death)
-    const energyCost = this.phenotype.metabolicRate * deltaSeconds *
-                       (this.phenotype.size / 10) *
-                       (1 + Math.abs(this.vx) + Math.abs(this.vy)) * 0.15;
+    // Consume energy based on metabolism (sped up by local temperature); movement multiplies
+    // the resting cost, more so in cells that are hard to move through
+    const energyCost = this.getRestingMetabolicCost() * deltaSeconds * localTemperature *
+                       (1 + (Math.abs(this.vx) + Math.abs(this.vy)) * movementCost);
     this.energy -= energyCost;
 
+    // Hazardous cells drain energy directly
+    this.energy -= (biome?.hazard ?? 0) * deltaSeconds;
+
     // Die if out of energy
     if (this.energy <= 0) {
       this.die();
@@ -213,19 +357,27 @@ export class Organism {
     }
 
     // Update physics
-    this.updatePhysics(deltaTime);
+    this.updatePhysics(deltaTime, movementCost);
+  }
+
+  /**
+   * Energy burned per second when still (increased from 0.05 to 0.15 - 3x faster death)
+   */
+  getRestingMetabolicCost() {
+    return this.phenotype.metabolicRate * (this.phenotype.size / 10) * 0.15;
   }
 
   /**
    * Update physics
+   * @param {number} movementCost - Movement cost of the local biome cell (higher = slower)
    */
-  updatePhysics(deltaTime) {
+  updatePhysics(deltaTime, movementCost = 1) {
     // Convert deltaTime to seconds and scale down movement
     const deltaSeconds = deltaTime / 1000;
 
     // Apply velocity (scaled down to 30 pixels per second per unit velocity)
-    this.x += this.vx * deltaSeconds * 30;
-    this.y += this.vy * deltaSeconds * 30;
+    this.x += this.vx * deltaSeconds * 30 / movementCost;
+    this.y += this.vy * deltaSeconds * 30 / movementCost;
 
     // Apply friction
     const friction = 0.95;
@@ -260,12 +412,42 @@ export class Organism {
 
   /**
    * Consume food/energy
+   * Absorption is scaled by energy efficiency and by the digestion efficiency of the food source
+   * @param {number} energyAmount - Energy in the food
+   * @param {string} source - 'plant', 'meat' (prey) or 'carrion' (see Diet)
+   * @param {number} foodTrophicLevel - Trophic level of the eaten food (plants 1, organisms their own level)
+   * @returns {number} Absorbed energy (0 if dead)
    */
-  consume(energyAmount) {
-    if (!this.isAlive) return;
+  consume(energyAmount, source = 'plant', foodTrophicLevel = Diet.PLANT_TROPHIC_LEVEL) {
+    if (!this.isAlive) return 0;
 
-    const absorbed = energyAmount * this.phenotype.energyEfficiency;
+    const absorbed = energyAmount * this.phenotype.energyEfficiency * Diet.getDigestion(this.phenotype, source);
     this.energy = Math.min(this.maxEnergy, this.energy + absorbed);
+    this.intake[source] += absorbed;
+    this.trophicIntake += absorbed * foodTrophicLevel;
+    return absorbed;
+  }
+
+  /**
+   * Gain energy from light (see Photosynthesis); light counts as trophic level 0
+   * @returns {number} Energy gained (0 if dead)
+   */
+  photosynthesize(energyAmount) {
+    if (!this.isAlive) return 0;
+
+    this.energy = Math.min(this.maxEnergy, this.energy + energyAmount);
+    this.intake.light += energyAmount;
+    this.trophicIntake += energyAmount * Photosynthesis.LIGHT_TROPHIC_LEVEL;
+    return energyAmount;
+  }
+
+  /**
+   * Trophic level: 1 + energy-weighted mean trophic level of everything eaten (light is 0)
+   * (the parent's level until the first meal)
+   */
+  getTrophicLevel() {
+    const total = this.intake.plant + this.intake.meat + this.intake.carrion + this.intake.light;
+    return total > 0 ? 1 + this.trophicIntake / total : this.birthTrophicLevel;
   }
 
   /**
@@ -317,11 +499,34 @@ export class Organism {
            this.age > 100; // Minimum age
   }
 
+  /**
+   * Check if can mate with another organism (sexual reproduction)
+   * Partners must be distinct, same species, both ready to reproduce and both
+   * past their refractory period
+   */
+  canMateWith(other) {
+    return other &&
+           other.id !== this.id &&
+           this.isSameSpecies(other) &&
+           this.genome.geneticCode.equals(other.genome.geneticCode) &&
+           this.canReproduce() &&
+           other.canReproduce() &&
+           !this.isRefractory() &&
+           !other.isRefractory();
+  }
+
+  /**
+   * Whether the organism mated less than MATING_REFRACTORY ago
+   */
+  isRefractory() {
+    return this.age - this.lastMatingAge < Organism.MATING_REFRACTORY;
+  }
+
   /**
    * Reproduce (asexual) with automatic mutations
    * Implements phylotype-based speciation for asexual organisms
    */
-  reproduce(mutationRate = 0.05, world = null) {
+  reproduce(mutationModel = Organism.DEFAULT_MUTATION_MODEL, world = null) {
     if (!this.canReproduce()) return null;
 
     // Pay reproduction cost
@@ -330,35 +535,112 @@ export class Organism {
     // Clone genome
     const childGenome = this.genome.clone();
 
-    // Track if mutation occurred
-    let mutationOccurred = false;
-
-    // Apply random mutations based on mutation rate
-    if (Math.random() < mutationRate) {
-      const geneNames = childGenome.getGeneNames();
-      const randomGene = geneNames[Math.floor(Math.random() * geneNames.length)];
-      const gene = childGenome.getGene(randomGene);
-      const sequence = gene.dna.toString();
-
-      // Choose random mutation type (favor smaller mutations)
-      const mutationTypes = ['point', 'point', 'point', 'insertion', 'deletion']; // Weighted toward point mutations
-      const mutationType = mutationTypes[Math.floor(Math.random() * mutationTypes.length)];
-      const randomPosition = Math.floor(Math.random() * sequence.length);
-
-      try {
-        childGenome.mutateGene(randomGene, mutationType, randomPosition);
-        mutationOccurred = true;
-      } catch (error) {
-        // Mutation failed, continue without it
-        console.log('Mutation failed during reproduction:', error.message);
-      }
+    // Apply random mutations according to the mutation model
+    const mutations = Organism.applyMutations(childGenome, mutationModel, world?.mutationWeights);
+    Organism.mutateBrain(childGenome, world?.neuralBrains);
+
+    const offspring = this.createOffspring(childGenome, this.phenotype.reproductionCost * 0.3);
+    offspring.birthMutations = mutations;
+    offspring.mutationHistory = Organism.extendMutationHistory(this.mutationHistory, mutations, offspring.generation);
+    offspring.inheritEpigeneticMarks([this], world);
+
+    // Check for speciation if mutation occurred and we have world access
+    if (mutations.length > 0 && world) {
+      offspring.checkSpeciation(world);
+    }
+
+    return offspring;
+  }
+
+  /**
+   * Reproduce sexually with a partner
+   * Offspring genome is a recombination of both parents, followed by the usual
+   * chance of mutation. Each parent pays half of its reproduction cost.
+   */
+  reproduceWith(partner, mutationModel = Organism.DEFAULT_MUTATION_MODEL, world = null) {
+    if (!this.canMateWith(partner)) return null;
+
+    const costSelf = this.phenotype.reproductionCost / 2;
+    const costPartner = partner.phenotype.reproductionCost / 2;
+    this.energy -= costSelf;
+    partner.energy -= costPartner;
+    this.lastMatingAge = this.age;
+    partner.lastMatingAge = partner.age;
+
+    // Recombine parental genomes, then mutate
+    const childGenome = Genome.recombine(this.genome, partner.genome);
+    const mutations = Organism.applyMutations(childGenome, mutationModel, world?.mutationWeights);
+    Organism.mutateBrain(childGenome, world?.neuralBrains);
+
+    const offspring = this.createOffspring(childGenome, (costSelf + costPartner) * 0.3);
+    offspring.mateId = partner.id;
+    offspring.birthMutations = mutations;
+    offspring.generation = Math.max(this.generation, partner.generation) + 1;
+    offspring.mutationHistory = Organism.extendMutationHistory(
+      Organism.mergeMutationHistories(this.mutationHistory, partner.mutationHistory),
+      mutations,
+      offspring.generation
+    );
+    offspring.inheritEpigeneticMarks([this, partner], world);
+
+    // Recombination alone can shift the genome away from the founder,
+    // so sexual offspring are always checked for speciation
+    if (world) {
+      offspring.checkSpeciation(world);
     }
 
-    // Create offspring near parent
+    return offspring;
+  }
+
+  /**
+   * Take up a gene from another organism (horizontal gene transfer) and re-express the genome
+   * The genome is replaced by a modified copy (genomes are shared with relatives and founder diffs).
+   * The transfer is appended to the mutation history, so it is inherited by descendants.
+   * @param {Gene} gene - Donor gene
+   * @param {string} geneName - Name of the gene in the donor genome
+   * @param {string} mode - 'conjugation', 'transformation' or 'transduction'
+   * @param {number} donorId - Donor organism id
+   * @param {number} temperature - Local temperature the current expression is regulated for
+   * @returns {Object|null} { type, gene, replaced, description, effect }, or null if nothing changed
+   */
+  receiveGene(gene, geneName, mode, donorId, temperature = 1.0) {
+    const current = this.genome.getGene(geneName);
+    if (current && (current === gene || current.dna.equals(gene.dna))) return null;
+
+    const genome = this.genome.clone();
+    const before = { genes: { ...genome.genes }, geneticCode: genome.geneticCode };
+    const { geneName: integratedName, replaced } = genome.integrateGene(gene, geneName);
+
+    this.genome = genome;
+    // Refresh the reference phenotype, then re-regulate for the current state (energy, age,
+    // temperature, epigenetic marks) instead of keeping the reference expression
+    this.expressGenome();
+    this.updateExpression(temperature);
+
+    const transfer = {
+      type: mode,
+      gene: integratedName,
+      position: null,
+      change: replaced ? 'replaced' : 'added',
+      replaced,
+      description: `${mode[0].toUpperCase()}${mode.slice(1)}: ${geneName} from organism ${donorId} ` +
+        `${replaced ? 'replaced' : 'added as'} ${integratedName}`,
+      effect: MutationEffect.compare(before, genome)
+    };
+    this.mutationHistory = Organism.extendMutationHistory(this.mutationHistory, [transfer], this.generation);
+    this.transfersReceived++;
+
+    return transfer;
+  }
+
+  /**
+   * Create an offspring near this organism with the given genome
+   * Offspring initially inherit this organism's species founder and section
+   */
+  createOffspring(childGenome, initialEnergy) {
     const offsetX = (Math.random() - 0.5) * 30;
     const offsetY = (Math.random() - 0.5) * 30;
 
-    // Initially inherit parent's species founder
     const offspring = new Organism(
       this.x + offsetX,
       this.y + offsetY,
@@ -368,19 +650,159 @@ export class Organism {
     );
 
     // Give some initial energy
-    offspring.energy = this.phenotype.reproductionCost * 0.3;
+    offspring.energy = initialEnergy;
+    offspring.generation = this.generation + 1;
+    offspring.founderGenome = this.founderGenome;
+    offspring.birthTrophicLevel = this.getTrophicLevel();
 
     // Inherit parent's section assignment (for species segregation)
     if (this._assignedSection !== undefined) {
       offspring._assignedSection = this._assignedSection;
     }
 
-    // Check for speciation if mutation occurred and we have world access
-    if (mutationOccurred && world) {
-      offspring.checkSpeciation(world);
+    return offspring;
+  }
+
+  // Mutation model used when the caller does not provide one
+  static DEFAULT_MUTATION_MODEL = new MutationModel();
+
+  /**
+   * Apply random mutations to a newborn genome
+   * The model draws the number of mutations (per-base rate, gene multipliers, mutator gene)
+   * and where they hit (hotspots); weights choose the mutation type of each one
+   * Returns the applied mutations: [{ type, gene, position, change, description, effect }]
+   */
+  static applyMutations(genome, mutationModel = Organism.DEFAULT_MUTATION_MODEL, weights = Organism.MUTATION_WEIGHTS) {
+    const count = mutationModel.sampleMutationCount(genome);
+    const mutations = [];
+
+    for (let i = 0; i < count; i++) {
+      const mutation = Organism.applyRandomMutation(genome, mutationModel, weights);
+      if (mutation) {
+        mutations.push(mutation);
+      }
     }
+    return mutations;
+  }
 
-    return offspring;
+  // Brain mutation used when the caller does not provide one: chance per weight, perturbation size
+  static DEFAULT_BRAIN_MUTATION = { mutationRate: 0.1, mutationStrength: 0.3 };
+
+  /**
+   * Perturb the network weights of a newborn genome (genomes with a neural brain only)
+   * @param {Genome} genome - Offspring genome, before it is expressed
+   * @param {Object} settings - { mutationRate, mutationStrength } (see World.neuralBrains)
+   */
+  static mutateBrain(genome, settings = Organism.DEFAULT_BRAIN_MUTATION) {
+    if (!genome.brain) return;
+    genome.brain = genome.brain.mutate(settings.mutationRate, settings.mutationStrength);
+  }
+
+  /**
+   * Apply one random mutation to a genome
+   * Returns { type, gene, position, change, description, effect } of the applied mutation, or null if it failed
+   */
+  static applyRandomMutation(genome, mutationModel = Organism.DEFAULT_MUTATION_MODEL, weights = Organism.MUTATION_WEIGHTS) {
+    const geneName = mutationModel.pickGene(genome);
+
+    // Diploid genomes: sequence mutations hit either allele
+    const allele = genome.isDiploid && Math.random() < 0.5 ? 1 : 0;
+    const gene = genome.getAllele(geneName, allele);
+
+    // Choose random mutation type (favor smaller mutations)
+    const mutationType = Organism.pickMutationType(weights);
+    const position = mutationModel.pickPosition(gene);
+    const extraParams = mutationType === 'point'
+      ? { allele, newBase: mutationModel.pickPointBase(gene.dna.getBaseAt(position)) }
+      : { allele };
+
+    try {
+      const result = genome.mutateGene(geneName, mutationType, position, extraParams);
+      if (!result.success) return null;
+
+      return {
+        type: result.type,
+        gene: result.geneName,
+        position: result.position,
+        change: result.change ?? null,
+        description: result.description,
+        effect: result.effect
+      };
+    } catch (error) {
+      // Mutation failed, continue without it
+      console.log('Mutation failed during reproduction:', error.message);
+      return null;
+    }
+  }
+
+  // Maximum entries kept in a lineage's mutation history (oldest are dropped first)
+  static MAX_MUTATION_HISTORY = 100;
+
+  /**
+   * Append birth mutations to an inherited mutation history
+   * Entries are compact: { generation, type, gene, position, change, effect, description }
+   * Returns the inherited array itself when there are no mutations (histories are shared)
+   */
+  static extendMutationHistory(history, mutations, generation) {
+    if (mutations.length === 0) return history;
+
+    const entries = mutations.map(mutation => ({
+      generation,
+      type: mutation.type,
+      gene: mutation.gene,
+      position: mutation.position,
+      change: mutation.change,
+      effect: mutation.effect?.effect || null,
+      description: mutation.description
+    }));
+    return [...history, ...entries].slice(-Organism.MAX_MUTATION_HISTORY);
+  }
+
+  /**
+   * Merge the histories of two parents (sexual reproduction)
+   * Shared ancestral entries are kept once; recombination may not have passed on every
+   * listed mutation, so the founder diff remains the exact record
+   */
+  static mergeMutationHistories(history, otherHistory) {
+    if (history === otherHistory || otherHistory.length === 0) return history;
+    if (history.length === 0) return otherHistory;
+
+    const merged = [...new Set([...history, ...otherHistory])];
+    merged.sort((a, b) => a.generation - b.generation);
+    return merged.slice(-Organism.MAX_MUTATION_HISTORY);
+  }
+
+  /**
+   * Relative weights of mutation types applied during reproduction (defaults; the
+   * world can override them with World.mutationWeights)
+   * Weighted toward point mutations; structural and genetic code events are rare
+   */
+  static MUTATION_WEIGHTS = {
+    point: 0.54,
+    insertion: 0.18,
+    deletion: 0.18,
+    geneDuplication: 0.02,
+    geneLoss: 0.015,
+    paralogDivergence: 0.015,
+    translocation: 0.015,
+    geneFusion: 0.005,
+    geneSplit: 0.008,
+    codonReassignment: 0.002
+  };
+
+  /**
+   * Pick a mutation type according to relative weights
+   */
+  static pickMutationType(weights = Organism.MUTATION_WEIGHTS) {
+    const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = Math.random() * total;
+
+    for (const [type, weight] of entries) {
+      roll -= weight;
+      if (roll < 0) return type;
+    }
+    return entries[0]?.[0] ?? 'point';
   }
 
   /**
@@ -391,12 +813,29 @@ export class Organism {
 
     const actualDamage = Math.max(0, amount - this.phenotype.armor);
     this.energy -= actualDamage;
+    this.recentDamage += actualDamage;
 
     if (this.energy <= 0) {
       this.die();
     }
   }
 
+  /**
+   * Ingest a toxin (e.g. from a toxic carcass): damage that armor does not stop,
+   * reduced by the organism's own toxicity (toxin resistance)
+   * @returns {number} Damage taken
+   */
+  ingestToxin(dose) {
+    if (!this.isAlive) return 0;
+
+    const damage = dose * (1 - Math.min(1, this.phenotype.toxicity));
+    this.energy -= damage;
+    if (this.energy <= 0) {
+      this.die();
+    }
+    return damage;
+  }
+
   /**
    * Die
    */
@@ -432,40 +871,7 @@ export class Organism {
    */
   getGenomeSimilarity(other) {
     if (!other || !other.genome) return 0;
-
-    const genes1 = this.genome.getGeneNames();
-    const genes2 = other.genome.getGeneNames();
-
-    // Must have same genes to be considered
-    if (genes1.length !== genes2.length) return 0;
-
-    let totalSimilarity = 0;
-    let geneCount = 0;
-
-    for (const geneName of genes1) {
-      const gene1 = this.genome.getGene(geneName);
-      const gene2 = other.genome.getGene(geneName);
-
-      if (!gene1 || !gene2) continue;
-
-      const seq1 = gene1.dna.toString();
-      const seq2 = gene2.dna.toString();
-
-      // Calculate sequence similarity (simple matching)
-      const maxLen = Math.max(seq1.length, seq2.length);
-      const minLen = Math.min(seq1.length, seq2.length);
-      let matches = 0;
-
-      for (let i = 0; i < minLen; i++) {
-        if (seq1[i] === seq2[i]) matches++;
-      }
-
-      const geneSimilarity = matches / maxLen;
-      totalSimilarity += geneSimilarity;
-      geneCount++;
-    }
-
-    return geneCount > 0 ? totalSimilarity / geneCount : 0;
+    return PhenotypeComparator.calculateGenomeSimilarity(this, other);
   }
 
 
@@ -479,12 +885,12 @@ export class Organism {
     const timeSinceOtherBirth = Date.now() - other.birthTime;
 
     // Check if this is child of other (within protection window)
-    if (this.parentId === other.id && timeSinceBirth < protectionWindow) {
+    if ((this.parentId === other.id || this.mateId === other.id) && timeSinceBirth < protectionWindow) {
       return true;
     }
 
     // Check if other is child of this (within protection window)
-    if (other.parentId === this.id && timeSinceOtherBirth < protectionWindow) {
+    if ((other.parentId === this.id || other.mateId === this.id) && timeSinceOtherBirth < protectionWindow) {
       return true;
     }
 
@@ -534,7 +940,16 @@ export class Organism {
     const oldSpeciesId = this.speciesFounderId;
     this.speciesFounderId = this.id;
     this._cachedSpeciesId = null; // Clear cache
-    this._founderPhenotype = this.phenotype; // Cache phenotype for descendants
+    this._founderPhenotype = this.referencePhenotype; // Cache phenotype for descendants
+
+    // Keep the mutations that split this lineage off, then restart the history from this genome
+    this.splitHistory = {
+      fromSpeciesId: oldSpeciesId,
+      mutations: this.mutationHistory,
+      founderGenome: this.founderGenome
+    };
+    this.mutationHistory = [];
+    this.founderGenome = this.genome;
 
     // Notify world of speciation event
     if (world && world.onSpeciationEvent) {
@@ -1,3 +1,5 @@
+import { TraitCalculator } from './TraitCalculator.js';
+
 /**
  * PhenotypeComparator - Calculates phenotypic distance between organisms
  * Used for determining species boundaries in asexual reproduction
@@ -7,53 +9,50 @@
  */
 export class PhenotypeComparator {
   /**
-   * Trait weights for phenotypic distance calculation
-   * Higher weights = more important for species differentiation
-   * Based on ecological and fitness significance
+   * Weights of the visual traits (lowest weight - less ecologically significant)
+   * Weights of the other traits come from the trait schema (speciationWeight)
    */
-  static TRAIT_WEIGHTS = {
-    // Core survival traits (high weight)
-    size: 2.0,              // Body size affects all interactions
-    metabolicRate: 2.0,     // Fundamental metabolic difference
-
-    // Functional traits (medium-high weight)
-    maxSpeed: 1.5,          // Movement capability
-    armor: 1.5,             // Defense mechanism
-    visionRange: 1.2,       // Sensory capability
-
-    // Behavioral traits (medium weight)
-    aggression: 1.0,        // Behavioral ecology
-    reproductionThreshold: 1.0,
-
-    // Secondary traits (lower weight)
-    energyEfficiency: 0.8,
-    acceleration: 0.5,
-
-    // Visual traits (lowest weight - less ecologically significant)
+  static VISUAL_WEIGHTS = {
     colorHue: 0.3,
     colorSaturation: 0.2,
     colorLightness: 0.2
   };
 
   /**
-   * Normalization ranges for each trait
-   * Used to convert trait values to 0-1 scale for comparison
+   * Normalization ranges of the visual traits
+   * Ranges of the other traits come from the trait schema (range)
    */
-  static TRAIT_RANGES = {
-    size: { min: 8, max: 20 },
-    metabolicRate: { min: 0.5, max: 2.0 },
-    maxSpeed: { min: 1, max: 3 },
-    armor: { min: 0, max: 10 },
-    visionRange: { min: 80, max: 200 },
-    aggression: { min: 0, max: 1 },
-    reproductionThreshold: { min: 70, max: 100 },
-    energyEfficiency: { min: 1, max: 3 },
-    acceleration: { min: 0.1, max: 0.3 },
+  static VISUAL_RANGES = {
     colorHue: { min: 0, max: 360 },
     colorSaturation: { min: 0, max: 100 },
     colorLightness: { min: 0, max: 100 }
   };
 
+  /**
+   * Trait weights for phenotypic distance calculation
+   * Higher weights = more important for species differentiation
+   */
+  static get TRAIT_WEIGHTS() {
+    return { ...TraitCalculator.getSpeciationWeights(), ...this.VISUAL_WEIGHTS };
+  }
+
+  /**
+   * Normalization ranges for each trait
+   * Used to convert trait values to 0-1 scale for comparison
+   */
+  static get TRAIT_RANGES() {
+    return { ...TraitCalculator.getTraitRanges(), ...this.VISUAL_RANGES };
+  }
+
+  /**
+   * Get the phenotype used for species comparison
+   * Uses the reference (state-independent) phenotype so that plastic changes in
+   * gene expression (starvation, aging, temperature) never trigger speciation
+   */
+  static getComparablePhenotype(organism) {
+    return organism?.referencePhenotype || organism?.phenotype;
+  }
+
   /**
    * Calculate phenotypic distance between two organisms
    * Returns a value between 0 (identical) and 1+ (very different)
@@ -63,15 +62,16 @@ export class PhenotypeComparator {
    * @returns {number} Phenotypic distance (0-1+)
    */
   static calculateDistance(organism1, organism2) {
-    if (!organism1?.phenotype || !organism2?.phenotype) {
+    const pheno1 = this.getComparablePhenotype(organism1);
+    const pheno2 = this.getComparablePhenotype(organism2);
+
+    if (!pheno1 || !pheno2) {
       return 1.0; // Maximum distance if phenotype missing
     }
 
-    const pheno1 = organism1.phenotype;
-    const pheno2 = organism2.phenotype;
-
     let totalWeightedDistance = 0;
     let totalWeight = 0;
+    const ranges = this.TRAIT_RANGES;
 
     // Calculate weighted Euclidean distance in trait space
     for (const [trait, weight] of Object.entries(this.TRAIT_WEIGHTS)) {
@@ -95,7 +95,7 @@ export class PhenotypeComparator {
       }
 
       // Normalize to 0-1 scale
-      const range = this.TRAIT_RANGES[trait];
+      const range = ranges[trait];
       const normalized1 = this.normalize(value1, range.min, range.max);
       const normalized2 = this.normalize(value2, range.min, range.max);
 
@@ -120,6 +120,7 @@ export class PhenotypeComparator {
   /**
    * Calculate genome similarity between two organisms
    * Used as secondary check for speciation
+   * Diploid loci compare both alleles (see calculateLocusSimilarity)
    *
    * @param {Organism} organism1
    * @param {Organism} organism2
@@ -128,39 +129,74 @@ export class PhenotypeComparator {
   static calculateGenomeSimilarity(organism1, organism2) {
     if (!organism1?.genome || !organism2?.genome) return 0;
 
-    const genes1 = organism1.genome.getGeneNames();
-    const genes2 = organism2.genome.getGeneNames();
-
-    // Must have same genes
-    if (genes1.length !== genes2.length) return 0;
+    // Compare over the union of genes: a gene gained or lost in one genome
+    // (duplication / gene loss) counts as a completely different locus
+    const geneNames = new Set([
+      ...organism1.genome.getGeneNames(),
+      ...organism2.genome.getGeneNames()
+    ]);
 
     let totalSimilarity = 0;
     let geneCount = 0;
 
-    for (const geneName of genes1) {
+    for (const geneName of geneNames) {
       const gene1 = organism1.genome.getGene(geneName);
       const gene2 = organism2.genome.getGene(geneName);
 
+      geneCount++;
       if (!gene1 || !gene2) continue;
 
-      const seq1 = gene1.dna.toString();
-      const seq2 = gene2.dna.toString();
+      totalSimilarity += this.calculateLocusSimilarity(
+        this.getAlleles(organism1.genome, geneName),
+        this.getAlleles(organism2.genome, geneName)
+      );
+    }
 
-      // Calculate sequence similarity
-      const maxLen = Math.max(seq1.length, seq2.length);
-      const minLen = Math.min(seq1.length, seq2.length);
-      let matches = 0;
+    return geneCount > 0 ? totalSimilarity / geneCount : 0;
+  }
 
-      for (let i = 0; i < minLen; i++) {
-        if (seq1[i] === seq2[i]) matches++;
-      }
+  /**
+   * Get the alleles of a locus (one for haploid genomes, two for diploid genomes)
+   */
+  static getAlleles(genome, geneName) {
+    return genome.isDiploid
+      ? [genome.getAllele(geneName, 0), genome.getAllele(geneName, 1)]
+      : [genome.getGene(geneName)];
+  }
 
-      const geneSimilarity = matches / maxLen;
-      totalSimilarity += geneSimilarity;
-      geneCount++;
+  /**
+   * Similarity of one locus in two genomes (0-1)
+   * Two diploid loci are compared under the best allele pairing (allele order is arbitrary);
+   * a haploid locus is compared against each allele of the other locus and averaged.
+   */
+  static calculateLocusSimilarity(alleles1, alleles2) {
+    if (alleles1.length === 2 && alleles2.length === 2) {
+      const [a1, b1] = alleles1;
+      const [a2, b2] = alleles2;
+      return Math.max(
+        this.calculateSequenceSimilarity(a1, a2) + this.calculateSequenceSimilarity(b1, b2),
+        this.calculateSequenceSimilarity(a1, b2) + this.calculateSequenceSimilarity(b1, a2)
+      ) / 2;
     }
 
-    return geneCount > 0 ? totalSimilarity / geneCount : 0;
+    let total = 0;
+    for (const gene1 of alleles1) {
+      for (const gene2 of alleles2) {
+        total += this.calculateSequenceSimilarity(gene1, gene2);
+      }
+    }
+    return total / (alleles1.length * alleles2.length);
+  }
+
+  /**
+   * Sequence similarity of two genes (position-wise matches on packed DNA)
+   */
+  static calculateSequenceSimilarity(gene1, gene2) {
+    if (gene1 === gene2) return 1;
+
+    const maxLen = Math.max(gene1.length, gene2.length);
+    const matches = gene1.dna.countMatches(gene2.dna);
+    return maxLen > 0 ? matches / maxLen : 1;
   }
 
   /**
@@ -179,6 +215,13 @@ export class PhenotypeComparator {
     const PHENOTYPIC_THRESHOLD = 0.25; // 25% phenotypic divergence
     const GENETIC_SIMILARITY_THRESHOLD = 0.75; // 75% genetic similarity minimum
 
+    // A different genetic code isolates the lineage (its genes no longer translate the same)
+    const code1 = organism.genome?.geneticCode;
+    const code2 = founder.genome?.geneticCode;
+    if (code1 && code2 && !code1.equals(code2)) {
+      return true;
+    }
+
     const phenoDistance = this.calculateDistance(organism, founder);
     const genoSimilarity = this.calculateGenomeSimilarity(organism, founder);
 
@@ -196,17 +239,20 @@ export class PhenotypeComparator {
     const genoSimilarity = this.calculateGenomeSimilarity(organism1, organism2);
     const shouldSpeciate = this.shouldSpeciate(organism1, organism2);
 
+    const pheno1 = this.getComparablePhenotype(organism1);
+    const pheno2 = this.getComparablePhenotype(organism2);
+
     const traitDifferences = {};
     for (const trait of Object.keys(this.TRAIT_WEIGHTS)) {
       let value1, value2;
 
       if (trait.startsWith('color')) {
         const colorProp = trait.replace('color', '').toLowerCase();
-        value1 = organism1.phenotype.color?.[colorProp[0]] || 0;
-        value2 = organism2.phenotype.color?.[colorProp[0]] || 0;
+        value1 = pheno1.color?.[colorProp[0]] || 0;
+        value2 = pheno2.color?.[colorProp[0]] || 0;
       } else {
-        value1 = organism1.phenotype[trait] || 0;
-        value2 = organism2.phenotype[trait] || 0;
+        value1 = pheno1[trait] || 0;
+        value2 = pheno2[trait] || 0;
       }
 
       traitDifferences[trait] = {
@@ -0,0 +1,82 @@
+/**
+ * Photosynthesis - Energy from the world's light field
+ *
+ * The photosynthesis trait (pigmentation gene) sets how much light an organism can turn
+ * into energy. The yield also depends on the light where the organism is (World.getLightAt),
+ * how dark its pigment is (darker colors absorb more), its surface (size), how still it
+ * keeps (moving cells photosynthesize poorly) and how much nearby autotrophs shade it,
+ * so autotrophs settle in bright open spots and compete for light.
+ *
+ * Light is trophic level 0, so a pure autotroph is at level 1 (the base of the food web).
+ */
+export class Photosynthesis {
+  // Energy per second of a fully photosynthetic, still, unshaded size-10 organism in full light
+  // (about the resting upkeep of a typical size-10 organism, so light alone barely sustains it)
+  static RATE = 0.2;
+
+  // Trophic level of light (autotrophs end up at level 1)
+  static LIGHT_TROPHIC_LEVEL = 0;
+
+  // Organisms with at least this photosynthesis trait count as autotrophs
+  static AUTOTROPH_THRESHOLD = 0.3;
+
+  // Share of the yield lost when moving at full speed
+  static MOVEMENT_PENALTY = 0.8;
+
+  // Neighbors within this many body sizes shade the organism
+  static SHADE_RANGE = 3;
+
+  // Shade is re-measured this often (ms); neighbors move little in between
+  static SHADE_INTERVAL = 500;
+
+  /**
+   * Light absorbed by a pigment color: 0.5 (lightness 75%) to 1.5 (lightness 25%)
+   */
+  static getAbsorption(color) {
+    return (100 - color.l) / 50;
+  }
+
+  /**
+   * Shading by neighbors: 1 unshaded, lower the more photosynthetic neighbors within SHADE_RANGE sizes
+   * @param {Array<Organism>} neighbors - Other organisms nearby
+   */
+  static getShade(organism, neighbors) {
+    let shade = 0;
+    for (const other of neighbors) {
+      if (other === organism || !other.isAlive) continue;
+      shade += other.phenotype.photosynthesis ?? 0;
+    }
+    return 1 / (1 + shade);
+  }
+
+  /**
+   * Speed of an organism as a fraction of its maximum speed (0-1)
+   */
+  static getSpeedFraction(organism) {
+    return Math.min(1, Math.hypot(organism.vx, organism.vy) / Math.max(0.1, organism.phenotype.maxSpeed));
+  }
+
+  /**
+   * Energy per second gained from light
+   * @param {Object} phenotype
+   * @param {number} light - Light level at the organism (0 dark, 1 full)
+   * @param {number} shade - Shade factor from getShade (1 = unshaded)
+   * @param {number} speed - Speed as a fraction of maximum speed (0 = still)
+   */
+  static getYield(phenotype, light, shade = 1, speed = 0) {
+    const photosynthesis = phenotype.photosynthesis ?? 0;
+    if (photosynthesis <= 0 || light <= 0) return 0;
+
+    const stillness = 1 - Photosynthesis.MOVEMENT_PENALTY * speed;
+
+    return Photosynthesis.RATE * photosynthesis * light * Photosynthesis.getAbsorption(phenotype.color) *
+      (phenotype.size / 10) * stillness * shade;
+  }
+
+  /**
+   * Whether the phenotype is photosynthetic enough to count as an autotroph
+   */
+  static isAutotroph(phenotype) {
+    return (phenotype.photosynthesis ?? 0) >= Photosynthesis.AUTOTROPH_THRESHOLD;
+  }
+}
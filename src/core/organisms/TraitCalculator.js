@@ -1,8 +1,11 @@
+import { Gene } from '../genetics/Gene.js';
+import { TraitSchema } from './TraitSchema.js';
+
 /**
  * TraitCalculator - Encapsulates all rules for converting protein properties to phenotype traits
  *
- * This class defines the explicit mapping between genetic information (proteins) and
- * physical/behavioral traits (phenotype). Each trait has:
+ * This class applies the mapping between genetic information (proteins) and
+ * physical/behavioral traits (phenotype) defined by the active TraitSchema. Each trait has:
  * - A clear formula showing which protein properties are used
  * - Expected output range
  * - Weights and scaling factors
@@ -15,310 +18,380 @@
  */
 export class TraitCalculator {
   /**
-   * TRAIT CONFIGURATION
-   * Defines all rules, weights, and ranges for trait calculations
+   * PROTEIN STABILITY CONFIGURATION
+   * Formulas can scale a trait by getStabilityFactor(protein), which ranges from
+   * minFactor (unfolded protein, stability 0) to 1 (fully stable, stability 1).
+   * The stability weight in a rule's weights is 1 - minFactor.
    */
-  static TRAIT_RULES = {
-    // SIZE: Physical size of organism
-    // Based on: Protein length (longer proteins = larger organisms)
-    // Range: 8-20 units
-    size: {
-      baseValue: 8,
-      formula: (protein) => 8 + protein.properties.length * 0.8,
-      expectedRange: [8, 20],
-      weights: { length: 0.8 },
-      description: 'Physical size - longer size genes create larger organisms'
-    },
-
-    // MASS: Physical mass derived from size
-    // Based on: Size (direct proportion)
-    // Range: 0.8-2.0 units
-    mass: {
-      baseValue: 1,
-      formula: (protein, phenotype) => phenotype.size / 10,
-      expectedRange: [0.8, 2.0],
-      weights: { sizeFactor: 0.1 },
-      description: 'Mass calculated from size (size/10)'
-    },
-
-    // MAX SPEED: Maximum movement speed
-    // Based on: Protein flexibility (tiny + small amino acids)
-    // Range: 1.0-3.0 units
-    maxSpeed: {
-      baseValue: 1,
-      formula: (protein) => {
-        const flexibility = protein.getFlexibility(); // tiny + small count
-        return 1 + flexibility * 0.3;
-      },
-      expectedRange: [1.0, 3.0],
-      weights: { flexibility: 0.3 },
-      description: 'Movement speed - flexible proteins (small/tiny amino acids) enable faster movement'
-    },
-
-    // ACCELERATION: How quickly organism reaches max speed
-    // Based on: Tiny amino acids (quick, nimble movement)
-    // Range: 0.05-0.25
-    acceleration: {
-      baseValue: 0.05,
-      formula: (protein) => 0.05 + protein.properties.tiny * 0.02,
-      expectedRange: [0.05, 0.25],
-      weights: { tiny: 0.02 },
-      description: 'Acceleration rate - tiny amino acids provide quick response'
-    },
-
-    // ARMOR: Physical defense (damage reduction)
-    // Based on: Hydrophobic amino acids (tough, water-resistant exterior)
-    // Range: 0-8 (chart expects 0-10, but 8 is practical max)
-    armor: {
-      baseValue: 0,
-      formula: (protein) => protein.properties.hydrophobicRatio * 8,
-      expectedRange: [0, 8],
-      weights: { hydrophobicRatio: 8 },
-      description: 'Physical armor - hydrophobic proteins create tough protective layers'
-    },
-
-    // TOXICITY: Chemical defense
-    // Based on: Aromatic amino acids (rare, special compounds)
-    // Range: 0-1 (intentionally rare - aromatic amino acids are uncommon)
-    toxicity: {
-      baseValue: 0,
-      formula: (protein) => protein.properties.aromaticRatio,
-      expectedRange: [0, 1],
-      weights: { aromaticRatio: 1 },
-      description: 'Chemical toxins - rare aromatic amino acids produce toxic compounds'
-    },
-
-    // METABOLIC RATE: Energy consumption rate
-    // Based on: Polar amino acids (active metabolism)
-    // Range: 0.5-2.0
-    metabolicRate: {
-      baseValue: 0.5,
-      formula: (protein) => 0.5 + protein.properties.polarRatio * 1.5,
-      expectedRange: [0.5, 2.0],
-      weights: { polarRatio: 1.5 },
-      description: 'Energy burn rate - polar proteins drive active metabolism'
-    },
-
-    // ENERGY EFFICIENCY: How much energy absorbed from food
-    // Based on: Hydrophobic amino acids (efficient energy storage)
-    // Range: 1.0-2.0 (multiplier on food energy)
-    energyEfficiency: {
-      baseValue: 1,
-      formula: (protein) => 1 + protein.properties.hydrophobicRatio,
-      expectedRange: [1.0, 2.0],
-      weights: { hydrophobicRatio: 1 },
-      description: 'Energy absorption efficiency - hydrophobic proteins store energy better'
-    },
-
-    // REPRODUCTION COST: Energy cost to reproduce
-    // Based on: Protein length (more complex = more expensive)
-    // Range: 40-88 energy units
-    reproductionCost: {
-      baseValue: 40,
-      formula: (protein) => 40 + protein.properties.length * 2,
-      expectedRange: [40, 88],
-      weights: { length: 2 },
-      description: 'Energy cost of reproduction - longer genes require more energy to copy'
-    },
-
-    // REPRODUCTION THRESHOLD: Minimum energy to reproduce
-    // Based on: Large amino acids (maturity requirement)
-    // Range: 70-100 energy units
-    reproductionThreshold: {
-      baseValue: 70,
-      formula: (protein) => 70 + protein.properties.largeRatio * 30,
-      expectedRange: [70, 100],
-      weights: { largeRatio: 30 },
-      description: 'Energy threshold for reproduction - large proteins require more maturity'
-    },
-
-    // VISION RANGE: How far organism can detect food/threats
-    // Based on: Polar amino acids (sensory proteins)
-    // Range: 80-200 pixels
-    visionRange: {
-      baseValue: 80,
-      formula: (protein) => 80 + protein.properties.polarRatio * 120,
-      expectedRange: [80, 200],
-      weights: { polarRatio: 120 },
-      description: 'Visual detection range - polar amino acids enhance sensory perception'
-    },
-
-    // DETECTION RADIUS: Close-range detection (collision avoidance, etc.)
-    // Based on: Positive amino acids (active sensing)
-    // Range: 40-100 pixels
-    detectionRadius: {
-      baseValue: 40,
-      formula: (protein) => 40 + protein.properties.positiveRatio * 60,
-      expectedRange: [40, 100],
-      weights: { positiveRatio: 60 },
-      description: 'Close-range detection - charged positive proteins enable proximity sensing'
-    },
-
-    // AGGRESSION: Tendency to attack other organisms
-    // Based on: Positive charge (aggressive) + hydrophobic (territorial)
-    // Range: 0-1 (0 = peaceful, 1 = highly aggressive)
-    aggression: {
-      baseValue: 0.5,
-      formula: (protein) => {
-        const aggFactor = (protein.properties.positiveRatio * 1.5 +
-                          protein.properties.hydrophobicRatio * 0.5);
-        return Math.max(0, Math.min(1, aggFactor));
-      },
-      expectedRange: [0, 1],
-      weights: { positiveRatio: 1.5, hydrophobicRatio: 0.5 },
-      description: 'Aggression level - positive charge drives aggressive behavior, hydrophobic adds territoriality'
-    },
-
-    // COOPERATIVENESS: Tendency to cooperate with same species (share energy)
-    // Based on: Polar amino acids (social proteins) - independent of aggression
-    // Range: 0-1 (0 = selfish, 1 = highly cooperative)
-    cooperativeness: {
-      baseValue: 0,
-      formula: (protein) => {
-        // Polar amino acids drive cooperative behavior (altruism)
-        // Negative charge also contributes (electron sharing analogy)
-        const coopFactor = (protein.properties.polarRatio * 0.7 +
-                           protein.properties.negativeRatio * 0.3);
-        return Math.max(0, Math.min(1, coopFactor));
-      },
-      expectedRange: [0, 1],
-      weights: { polarRatio: 0.7, negativeRatio: 0.3 },
-      description: 'Cooperation level - polar amino acids drive altruistic energy sharing with same species'
-    },
-
-    // COOPERATION AMOUNT: How much energy to share per cooperation event
-    // Based on: Protein length (more complex = more generous)
-    // Range: 5-20 energy units
-    cooperationAmount: {
-      baseValue: 5,
-      formula: (protein) => 5 + protein.properties.length * 0.5,
-      expectedRange: [5, 20],
-      weights: { length: 0.5 },
-      description: 'Energy amount shared during cooperation - longer genes = more generous sharing'
-    }
+  static STABILITY_RULES = {
+    minFactor: 0.6
+  };
+
+  /**
+   * GENE DOSAGE CONFIGURATION
+   * How extra copies (paralogs) of a trait gene combine with the original
+   * - Each copy adds its deviation from baseValue, scaled by extraCopyWeight^n
+   *   (diminishing returns: 2nd copy counts 50%, 3rd 25%, ...)
+   * - Each copy's deviation is also scaled by its gene expression level
+   *   (see GeneRegulation: 1.0 = normal, 0 = silenced, up to 2 = overexpressed)
+   * - Boosted traits are capped at maxBoost x the top of their expected range
+   *   (0-1 traits such as aggression stay capped at 1)
+   * - Every extra gene copy adds a metabolic upkeep cost
+   */
+  static DOSAGE_RULES = {
+    extraCopyWeight: 0.5,
+    maxBoost: 1.5,
+    metabolicCostPerCopy: 0.05
+  };
+
+  /**
+   * EPISTASIS CONFIGURATION
+   * A modifier gene scales another gene's effect on a trait by 1 + weight * (property - center)
+   * (see TraitSchema interactions); the factor is kept within [minFactor, maxFactor]
+   */
+  static EPISTASIS_RULES = {
+    minFactor: 0,
+    maxFactor: 2
   };
 
   /**
-   * Calculate size trait from size protein
+   * TRAIT CONFIGURATION
+   * Active trait schema (see TraitSchema) and the rules compiled from it:
+   * { gene, baseValue, formula, expectedRange, clamp, weights, description }
+   * Replace both with setSchema() (compiled after STABILITY_RULES, which the weights use)
+   */
+  static schema = TraitSchema.createDefault();
+  static TRAIT_RULES = TraitCalculator.compileRules(TraitCalculator.schema);
+
+  /**
+   * Trait strength factor from a protein's folding stability (see STABILITY_RULES)
    */
-  static calculateSize(sizeProtein) {
-    if (!sizeProtein) return TraitCalculator.TRAIT_RULES.size.baseValue;
-    return TraitCalculator.TRAIT_RULES.size.formula(sizeProtein);
+  static getStabilityFactor(protein) {
+    const { minFactor } = TraitCalculator.STABILITY_RULES;
+    return minFactor + (1 - minFactor) * protein.properties.stability;
   }
 
   /**
-   * Calculate mass trait from size
+   * Make a trait schema the active gene-to-trait mapping
+   * Affects phenotypes calculated from now on (restart the world to re-express everyone).
+   * @throws {Error} If the schema fails TraitSchema.validate
    */
-  static calculateMass(phenotype) {
-    return TraitCalculator.TRAIT_RULES.mass.formula(null, phenotype);
+  static setSchema(schema) {
+    const upgraded = TraitSchema.migrate(schema);
+    const { valid, errors } = TraitSchema.validate(upgraded);
+    if (!valid) {
+      throw new Error(`Invalid trait schema: ${errors.join('; ')}`);
+    }
+
+    TraitCalculator.schema = structuredClone(upgraded);
+    TraitCalculator.TRAIT_RULES = TraitCalculator.compileRules(TraitCalculator.schema);
   }
 
   /**
-   * Calculate movement traits from speed protein
+   * Compile every trait of a schema into a rule with a formula function
    */
-  static calculateMovement(speedProtein) {
-    if (!speedProtein) {
-      return {
-        maxSpeed: TraitCalculator.TRAIT_RULES.maxSpeed.baseValue,
-        acceleration: TraitCalculator.TRAIT_RULES.acceleration.baseValue
-      };
+  static compileRules(schema) {
+    const rules = {};
+    for (const [traitName, trait] of Object.entries(schema.traits)) {
+      rules[traitName] = TraitCalculator.compileRule(trait);
+    }
+    return rules;
+  }
+
+  /**
+   * Compile one schema trait: intercept + stabilityFactor * sum(weight * value), clamped
+   * Property terms read the protein, trait terms read the phenotype (derived traits)
+   */
+  static compileRule(trait) {
+    const intercept = trait.intercept ?? trait.baseValue;
+    const terms = trait.terms.map(term => ({ ...term }));
+    const clamp = trait.clamp ?? null;
+
+    const formula = (protein, phenotype = {}) => {
+      let sum = 0;
+      for (const term of terms) {
+        const value = term.trait !== undefined
+          ? phenotype[term.trait]
+          : TraitSchema.getPropertyValue(protein, term.property);
+        sum += term.weight * value;
+      }
+      if (trait.stabilityScaled) {
+        sum *= TraitCalculator.getStabilityFactor(protein);
+      }
+      const value = intercept + sum;
+      return clamp ? Math.max(clamp[0], Math.min(clamp[1], value)) : value;
+    };
+
+    const weights = {};
+    for (const term of terms) {
+      weights[term.property ?? term.trait] = term.weight;
+    }
+    if (trait.stabilityScaled) {
+      weights.stability = 1 - TraitCalculator.STABILITY_RULES.minFactor;
     }
 
     return {
-      maxSpeed: TraitCalculator.TRAIT_RULES.maxSpeed.formula(speedProtein),
-      acceleration: TraitCalculator.TRAIT_RULES.acceleration.formula(speedProtein)
+      gene: trait.gene,
+      baseValue: trait.baseValue,
+      formula,
+      expectedRange: [...trait.range],
+      clamp,
+      weights,
+      description: trait.description
     };
   }
 
   /**
-   * Calculate defense traits from defense protein
+   * Group expressed proteins by gene family (original first, then paralogs)
+   * Each entry carries the gene's expression level (default 1.0)
+   * Missing proteins (failed expression) are skipped
+   * With second alleles (diploid genomes), each entry also lists the allele proteins
+   * that drive numeric traits under the dominance model (see resolveAlleles)
    */
-  static calculateDefense(defenseProtein) {
-    if (!defenseProtein) {
-      return {
-        armor: TraitCalculator.TRAIT_RULES.armor.baseValue,
-        toxicity: TraitCalculator.TRAIT_RULES.toxicity.baseValue
-      };
+  static groupByFamily(proteins, expressionLevels = {}, secondAlleles = null, dominance = 'complete') {
+    const families = {};
+    for (const [geneName, firstProtein] of Object.entries(proteins)) {
+      const { protein, alleles } = secondAlleles
+        ? TraitCalculator.resolveAlleles(firstProtein, secondAlleles[geneName] ?? null, dominance)
+        : { protein: firstProtein, alleles: [firstProtein] };
+      if (!protein) continue;
+
+      const family = Gene.getFamilyName(geneName);
+      if (!families[family]) {
+        families[family] = [];
+      }
+      families[family].push({ protein, level: expressionLevels[geneName] ?? 1, alleles });
     }
+    return families;
+  }
 
-    return {
-      armor: TraitCalculator.TRAIT_RULES.armor.formula(defenseProtein),
-      toxicity: TraitCalculator.TRAIT_RULES.toxicity.formula(defenseProtein)
-    };
+  /**
+   * Decide which allele proteins of a diploid locus drive its traits
+   * - complete: the dominant allele alone (see getDominantAllele); loss-of-function is recessive
+   * - incomplete: numeric traits are the mean of both alleles (a missing protein counts as baseValue)
+   * - codominant: numeric traits as incomplete; both pigments are visible (see Organism.calculatePhenotype)
+   * @returns {Object} { protein, alleles } - Representative protein (visual traits) and allele proteins
+   */
+  static resolveAlleles(first, second, dominance = 'complete') {
+    const dominant = TraitCalculator.getDominantAllele(first, second);
+    if (dominance === 'complete') {
+      return { protein: dominant, alleles: [dominant] };
+    }
+    return { protein: dominant, alleles: [first, second] };
   }
 
   /**
-   * Calculate metabolism traits from metabolism protein
+   * Pick the dominant allele protein: a working protein beats a missing or empty one,
+   * then the longer protein wins. Ties are broken by sequence so allele order never matters.
    */
-  static calculateMetabolism(metabolismProtein) {
-    if (!metabolismProtein) {
-      return {
-        metabolicRate: TraitCalculator.TRAIT_RULES.metabolicRate.baseValue,
-        energyEfficiency: TraitCalculator.TRAIT_RULES.energyEfficiency.baseValue
-      };
+  static getDominantAllele(first, second) {
+    const length = (protein) => protein?.sequence.length ?? -1;
+    if (length(first) !== length(second)) {
+      return length(first) > length(second) ? first : second;
     }
+    return !second || (first && first.sequence >= second.sequence) ? first : second;
+  }
 
-    return {
-      metabolicRate: TraitCalculator.TRAIT_RULES.metabolicRate.formula(metabolismProtein),
-      energyEfficiency: TraitCalculator.TRAIT_RULES.energyEfficiency.formula(metabolismProtein)
+  /**
+   * Combine trait values from all copies of a gene family (dosage effect)
+   * Diploid copies use the mean trait values of their allele proteins.
+   * @param {Array<{protein: Protein, level: number, alleles?: Array}>} copies - Family copies, original first
+   * @param {Function} calculate - protein|null -> { trait: value } (null gives base values)
+   */
+  static applyDosage(copies = [], calculate) {
+    const base = calculate(null);
+    if (copies.length === 0) {
+      return base;
+    }
+
+    const result = { ...base };
+    copies.forEach(({ protein, level, alleles = [protein] }, i) => {
+      const weight = Math.pow(TraitCalculator.DOSAGE_RULES.extraCopyWeight, i) * level;
+      const values = TraitCalculator.averageAlleles(alleles, calculate);
+      for (const trait of Object.keys(result)) {
+        const value = result[trait] + (values[trait] - base[trait]) * weight;
+        result[trait] = Math.max(
+          TraitCalculator.getDosageFloor(trait),
+          Math.min(value, TraitCalculator.getDosageCap(trait))
+        );
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Summed effect of all copies of a gene family, weighted like gene dosage
+   * (extraCopyWeight^n x expression level, diploid alleles averaged)
+   * @param {Function} effect - protein -> number (missing proteins contribute 0)
+   */
+  static sumCopies(copies = [], effect) {
+    let total = 0;
+    copies.forEach(({ protein, level, alleles = [protein] }, i) => {
+      const weight = Math.pow(TraitCalculator.DOSAGE_RULES.extraCopyWeight, i) * level;
+      const mean = alleles.reduce((sum, allele) => sum + (allele ? effect(allele) : 0), 0) / alleles.length;
+      total += mean * weight;
+    });
+    return total;
+  }
+
+  /**
+   * Calculate all schema traits from grouped gene copies (see groupByFamily)
+   * 1. Primary effects: each gene family drives its own traits (with dosage)
+   * 2. Epistasis: modifier genes scale a trait's primary effect
+   * 3. Pleiotropy: genes shift traits driven by other genes (trade-offs)
+   * 4. Derived traits (e.g. mass from size)
+   * @param {Object} families - Gene copies grouped by family
+   * @param {Object|null} contributions - If given, filled with { trait: [{ gene, type, amount, factor? }] }
+   * @returns {Object} { traitName: value }
+   */
+  static calculateGeneticTraits(families, contributions = null) {
+    const rules = TraitCalculator.TRAIT_RULES;
+    const { interactions } = TraitCalculator.schema;
+    const record = (trait, entry) => {
+      if (contributions) (contributions[trait] ??= []).push(entry);
     };
+
+    const values = {};
+    for (const [family, traitNames] of Object.entries(TraitCalculator.getGeneTraits())) {
+      const result = TraitCalculator.applyDosage(families[family], (p) => TraitCalculator.calculateTraits(traitNames, p));
+      Object.assign(values, result);
+      for (const traitName of traitNames) {
+        record(traitName, { gene: family, type: 'primary', amount: result[traitName] - rules[traitName].baseValue });
+      }
+    }
+
+    const { minFactor, maxFactor } = TraitCalculator.EPISTASIS_RULES;
+    for (const { modifier, trait, property, weight, center = 0 } of interactions.epistasis) {
+      if (!families[modifier]) continue;
+
+      const shift = TraitCalculator.sumCopies(families[modifier],
+        (p) => weight * (TraitSchema.getPropertyValue(p, property) - center));
+      const factor = Math.max(minFactor, Math.min(maxFactor, 1 + shift));
+      const before = values[trait];
+      values[trait] = rules[trait].baseValue + (before - rules[trait].baseValue) * factor;
+      record(trait, { gene: modifier, type: 'epistasis', factor, amount: values[trait] - before });
+    }
+
+    for (const { gene, trait, property, weight } of interactions.pleiotropy) {
+      if (!families[gene]) continue;
+
+      const amount = TraitCalculator.sumCopies(families[gene], (p) => weight * TraitSchema.getPropertyValue(p, property));
+      values[trait] += amount;
+      record(trait, { gene, type: 'pleiotropy', amount });
+    }
+
+    // Interactions must not push traits past the limits dosage and the formulas respect
+    const touched = new Set([...interactions.epistasis, ...interactions.pleiotropy].map(entry => entry.trait));
+    for (const trait of touched) {
+      const { clamp } = rules[trait];
+      const min = Math.max(TraitCalculator.getDosageFloor(trait), clamp ? clamp[0] : -Infinity);
+      const max = Math.min(TraitCalculator.getDosageCap(trait), clamp ? clamp[1] : Infinity);
+      values[trait] = Math.max(min, Math.min(max, values[trait]));
+    }
+
+    const derived = TraitCalculator.calculateTraits(TraitCalculator.getDerivedTraits(), null, values);
+    for (const [traitName, value] of Object.entries(derived)) {
+      record(traitName, { gene: null, type: 'derived', amount: value - rules[traitName].baseValue });
+    }
+    return Object.assign(values, derived);
   }
 
   /**
-   * Calculate reproduction traits from reproduction protein
+   * Mean trait values of the allele proteins of one locus
    */
-  static calculateReproduction(reproductionProtein) {
-    if (!reproductionProtein) {
-      return {
-        reproductionCost: TraitCalculator.TRAIT_RULES.reproductionCost.baseValue,
-        reproductionThreshold: TraitCalculator.TRAIT_RULES.reproductionThreshold.baseValue
-      };
+  static averageAlleles(alleles, calculate) {
+    if (alleles.length === 1) {
+      return calculate(alleles[0]);
     }
 
-    return {
-      reproductionCost: TraitCalculator.TRAIT_RULES.reproductionCost.formula(reproductionProtein),
-      reproductionThreshold: TraitCalculator.TRAIT_RULES.reproductionThreshold.formula(reproductionProtein)
-    };
+    const results = alleles.map(protein => calculate(protein));
+    const mean = {};
+    for (const trait of Object.keys(results[0])) {
+      mean[trait] = results.reduce((sum, values) => sum + values[trait], 0) / results.length;
+    }
+    return mean;
   }
 
   /**
-   * Calculate sensory traits from sensory protein
+   * Get the minimum value a trait can reach through gene dosage/regulation
    */
-  static calculateSensory(sensoryProtein) {
-    if (!sensoryProtein) {
-      return {
-        visionRange: TraitCalculator.TRAIT_RULES.visionRange.baseValue,
-        detectionRadius: TraitCalculator.TRAIT_RULES.detectionRadius.baseValue
-      };
+  static getDosageFloor(traitName) {
+    const rule = TraitCalculator.TRAIT_RULES[traitName];
+    if (!rule) return -Infinity;
+
+    return Math.min(rule.baseValue, rule.expectedRange[0]);
+  }
+
+  /**
+   * Get the maximum value a trait can reach through gene dosage
+   */
+  static getDosageCap(traitName) {
+    const rule = TraitCalculator.TRAIT_RULES[traitName];
+    if (!rule) return Infinity;
+
+    const max = rule.expectedRange[1];
+    return max <= 1 ? max : max * TraitCalculator.DOSAGE_RULES.maxBoost;
+  }
+
+  /**
+   * Trait names driven by each gene family: { family: [traitName] } (schema order)
+   */
+  static getGeneTraits() {
+    const geneTraits = {};
+    for (const [traitName, rule] of Object.entries(TraitCalculator.TRAIT_RULES)) {
+      if (rule.gene === null) continue;
+      if (!geneTraits[rule.gene]) {
+        geneTraits[rule.gene] = [];
+      }
+      geneTraits[rule.gene].push(traitName);
     }
+    return geneTraits;
+  }
 
-    return {
-      visionRange: TraitCalculator.TRAIT_RULES.visionRange.formula(sensoryProtein),
-      detectionRadius: TraitCalculator.TRAIT_RULES.detectionRadius.formula(sensoryProtein)
-    };
+  /**
+   * Names of traits derived from other traits (no gene), in evaluation order
+   */
+  static getDerivedTraits() {
+    return Object.keys(TraitCalculator.TRAIT_RULES).filter(traitName => TraitCalculator.TRAIT_RULES[traitName].gene === null);
   }
 
   /**
-   * Calculate behavioral traits from aggression and cooperation proteins
+   * Calculate traits from one protein (null gives base values)
+   * Derived traits read the phenotype, including traits calculated earlier in the same call
+   * @returns {Object} { traitName: value }
    */
-  static calculateBehavior(aggressionProtein, cooperationProtein) {
-    const aggression = aggressionProtein
-      ? TraitCalculator.TRAIT_RULES.aggression.formula(aggressionProtein)
-      : TraitCalculator.TRAIT_RULES.aggression.baseValue;
+  static calculateTraits(traitNames, protein, phenotype = {}) {
+    const values = {};
+    const context = { ...phenotype };
+    for (const traitName of traitNames) {
+      const rule = TraitCalculator.TRAIT_RULES[traitName];
+      const value = protein || rule.gene === null ? rule.formula(protein, context) : rule.baseValue;
+      values[traitName] = value;
+      context[traitName] = value;
+    }
+    return values;
+  }
 
-    const cooperativeness = cooperationProtein
-      ? TraitCalculator.TRAIT_RULES.cooperativeness.formula(cooperationProtein)
-      : TraitCalculator.TRAIT_RULES.cooperativeness.baseValue;
+  /**
+   * Normalization ranges of all traits: { trait: { min, max } }
+   */
+  static getTraitRanges() {
+    return TraitSchema.getRanges(TraitCalculator.schema);
+  }
 
-    const cooperationAmount = cooperationProtein
-      ? TraitCalculator.TRAIT_RULES.cooperationAmount.formula(cooperationProtein)
-      : TraitCalculator.TRAIT_RULES.cooperationAmount.baseValue;
+  /**
+   * Weights of the traits that count for phenotypic distance: { trait: weight }
+   */
+  static getSpeciationWeights() {
+    return TraitSchema.getSpeciationWeights(TraitCalculator.schema);
+  }
 
-    return {
-      aggression,
-      cooperativeness,
-      cooperationAmount
-    };
+  /**
+   * Radar chart axes: [{ trait, label, color, min, max }]
+   */
+  static getChartAxes() {
+    return TraitSchema.getChartAxes(TraitCalculator.schema);
   }
 
   /**
@@ -329,9 +402,13 @@ export class TraitCalculator {
     for (const [traitName, config] of Object.entries(TraitCalculator.TRAIT_RULES)) {
       docs[traitName] = {
         description: config.description,
+        gene: config.gene,
         baseValue: config.baseValue,
+        formula: TraitSchema.describeFormula(TraitCalculator.schema.traits[traitName]),
         expectedRange: config.expectedRange,
-        weights: config.weights
+        weights: config.weights,
+        pleiotropy: TraitCalculator.schema.interactions.pleiotropy.filter(entry => entry.trait === traitName),
+        epistasis: TraitCalculator.schema.interactions.epistasis.filter(entry => entry.trait === traitName)
       };
     }
     return docs;
@@ -364,32 +441,42 @@ export class TraitCalculator {
       proteinName,
       sequence: protein.sequence,
       properties: protein.properties,
+      structure: {
+        molecularWeight: protein.properties.molecularWeight,
+        isoelectricPoint: protein.properties.isoelectricPoint,
+        secondaryStructure: protein.properties.secondaryStructure,
+        helixRatio: protein.properties.helixRatio,
+        sheetRatio: protein.properties.sheetRatio,
+        coilRatio: protein.properties.coilRatio,
+        stability: protein.properties.stability,
+        stabilityFactor: TraitCalculator.getStabilityFactor(protein)
+      },
       traits: {}
     };
 
-    // Map protein names to their trait calculation methods
-    const proteinTraitMap = {
-      size: ['size', 'mass'],
-      speed: ['maxSpeed', 'acceleration'],
-      defense: ['armor', 'toxicity'],
-      metabolism: ['metabolicRate', 'energyEfficiency'],
-      reproduction: ['reproductionCost', 'reproductionThreshold'],
-      sensory: ['visionRange', 'detectionRadius'],
-      aggression: ['aggression'],
-      cooperation: ['cooperativeness', 'cooperationAmount']
-    };
-
-    const traits = proteinTraitMap[proteinName] || [];
+    // Paralogs (e.g. "speed#2") affect the same traits as the original gene
+    const family = Gene.getFamilyName(proteinName);
+    const traits = TraitCalculator.getGeneTraits()[family] || [];
     for (const traitName of traits) {
       const rule = TraitCalculator.TRAIT_RULES[traitName];
       if (rule) {
         impact.traits[traitName] = {
           description: rule.description,
-          weights: rule.weights
+          weights: rule.weights,
+          usesStability: 'stability' in rule.weights
         };
       }
     }
 
+    // Traits of other genes this protein shifts (pleiotropy) or scales (epistasis)
+    const { pleiotropy, epistasis } = TraitCalculator.schema.interactions;
+    for (const entry of pleiotropy.filter(entry => entry.gene === family)) {
+      impact.traits[entry.trait] = { description: entry.description, weights: { [entry.property]: entry.weight }, interaction: 'pleiotropy' };
+    }
+    for (const entry of epistasis.filter(entry => entry.modifier === family)) {
+      impact.traits[entry.trait] = { description: entry.description, weights: { [entry.property]: entry.weight }, interaction: 'epistasis' };
+    }
+
     return impact;
   }
 }
@@ -0,0 +1,662 @@
+import { Protein } from '../genetics/Protein.js';
+
+/**
+ * TraitSchema - Versioned JSON description of the gene-to-trait mapping
+ *
+ * A schema is plain JSON (editable in the UI, stored per scenario in IndexedDB):
+ * {
+ *   version: 5,
+ *   name: 'Default',
+ *   traits: {
+ *     armor: {
+ *       gene: 'defense',                 // Gene family whose protein drives the trait (null = derived trait)
+ *       baseValue: 0,                    // Value when the protein is missing
+ *       intercept: 0,                    // Constant term of the formula (defaults to baseValue)
+ *       terms: [{ property: 'hydrophobicRatio', weight: 8 }],  // Protein property (or { trait } for derived traits)
+ *       stabilityScaled: true,           // Scale the terms by folding stability (TraitCalculator.getStabilityFactor)
+ *       clamp: null,                     // Optional [min, max] the formula result is clamped to
+ *       range: [0, 8],                   // Expected range: dosage caps, comparator and chart normalization
+ *       description: '...',
+ *       chart: { label: 'Defense', color: '#a78bfa' },  // Optional radar chart axis
+ *       speciationWeight: 1.5            // Optional weight in phenotypic distance
+ *     }
+ *   },
+ *   interactions: {
+ *     // Pleiotropy: a gene also shifts a trait driven by another gene (weight * property per copy)
+ *     pleiotropy: [{ gene: 'defense', trait: 'maxSpeed', property: 'hydrophobicRatio', weight: -0.25 }],
+ *     // Epistasis: a modifier gene scales another gene's effect on a trait by 1 + weight * (property - center)
+ *     epistasis: [{ modifier: 'metabolism', trait: 'maxSpeed', property: 'polarRatio', weight: 0.6, center: 0.4 }]
+ *   }
+ * }
+ *
+ * Trait value = intercept + stabilityFactor * sum(weight * property), then clamped.
+ * Traits are listed in evaluation order; derived traits read traits computed before them.
+ * Older schemas (version 1 without interactions, versions 2-4 without behavior, diet or photosynthesis traits)
+ * are upgraded by migrate().
+ */
+export class TraitSchema {
+  static VERSION = 5;
+
+  // Heritable parameters of the rule-based AI (OrganismAI)
+  static BEHAVIOR_TRAITS = ['tumbleRate', 'explorationBias', 'attackThreshold', 'powerAdvantage', 'fleeRatio', 'reactionTime'];
+
+  // Food source preferences (Diet)
+  static DIET_TRAITS = ['herbivory', 'carnivory', 'scavenging'];
+
+  // Traits added by each schema version (migrate adds their defaults to older schemas)
+  static ADDED_TRAITS = { 3: TraitSchema.BEHAVIOR_TRAITS, 4: TraitSchema.DIET_TRAITS, 5: ['photosynthesis'] };
+
+  // Traits the simulation reads directly from the phenotype
+  static REQUIRED_TRAITS = [
+    'size', 'mass', 'maxSpeed', 'acceleration', 'armor', 'toxicity', 'metabolicRate',
+    'energyEfficiency', 'reproductionCost', 'reproductionThreshold', 'visionRange',
+    'detectionRadius', 'aggression', 'cooperativeness', 'cooperationAmount',
+    ...TraitSchema.BEHAVIOR_TRAITS,
+    ...TraitSchema.DIET_TRAITS,
+    'photosynthesis'
+  ];
+
+  // Phenotype keys set outside the schema (visual traits)
+  static RESERVED_TRAITS = ['color', 'colorPattern', 'segments'];
+
+  // Protein properties computed by Protein methods rather than stored in protein.properties
+  static DERIVED_PROPERTIES = {
+    flexibility: (protein) => protein.getFlexibility(),
+    charge: (protein) => protein.getCharge(),
+    hydrophobicity: (protein) => protein.getHydrophobicity(),
+    structuralComplexity: (protein) => protein.getStructuralComplexity()
+  };
+
+  static DEFAULT = {
+    version: 5,
+    name: 'Default',
+    traits: {
+      size: {
+        gene: 'size',
+        baseValue: 8,
+        terms: [{ property: 'length', weight: 0.8 }],
+        range: [8, 20],
+        description: 'Physical size - longer size genes create larger organisms',
+        chart: { label: 'Size', color: '#4ade80' },
+        speciationWeight: 2.0
+      },
+      maxSpeed: {
+        gene: 'speed',
+        baseValue: 1,
+        terms: [{ property: 'flexibility', weight: 0.3 }],
+        range: [1.0, 3.0],
+        description: 'Movement speed - flexible proteins (small/tiny amino acids) enable faster movement',
+        chart: { label: 'Speed', color: '#60a5fa' },
+        speciationWeight: 1.5
+      },
+      acceleration: {
+        gene: 'speed',
+        baseValue: 0.05,
+        terms: [{ property: 'tiny', weight: 0.02 }],
+        range: [0.05, 0.25],
+        description: 'Acceleration rate - tiny amino acids provide quick response',
+        speciationWeight: 0.5
+      },
+      armor: {
+        gene: 'defense',
+        baseValue: 0,
+        terms: [{ property: 'hydrophobicRatio', weight: 8 }],
+        stabilityScaled: true,
+        range: [0, 8],
+        description: 'Physical armor - hydrophobic proteins create tough protective layers; unstable folds are weaker',
+        chart: { label: 'Defense', color: '#a78bfa' },
+        speciationWeight: 1.5
+      },
+      toxicity: {
+        gene: 'defense',
+        baseValue: 0,
+        terms: [{ property: 'aromaticRatio', weight: 1 }],
+        range: [0, 1],
+        description: 'Chemical toxins - rare aromatic amino acids produce toxic compounds'
+      },
+      metabolicRate: {
+        gene: 'metabolism',
+        baseValue: 0.5,
+        terms: [{ property: 'polarRatio', weight: 1.5 }],
+        range: [0.5, 2.0],
+        description: 'Energy burn rate - polar proteins drive active metabolism',
+        chart: { label: 'Metabolism', color: '#f472b6' },
+        speciationWeight: 2.0
+      },
+      energyEfficiency: {
+        gene: 'metabolism',
+        baseValue: 1,
+        terms: [{ property: 'hydrophobicRatio', weight: 1 }],
+        stabilityScaled: true,
+        range: [1.0, 2.0],
+        description: 'Energy absorption efficiency - hydrophobic proteins store energy better; unstable enzymes less so',
+        chart: { label: 'Efficiency', color: '#fb923c' },
+        speciationWeight: 0.8
+      },
+      reproductionCost: {
+        gene: 'reproduction',
+        baseValue: 40,
+        terms: [{ property: 'length', weight: 2 }],
+        range: [40, 88],
+        description: 'Energy cost of reproduction - longer genes require more energy to copy'
+      },
+      reproductionThreshold: {
+        gene: 'reproduction',
+        baseValue: 70,
+        terms: [{ property: 'largeRatio', weight: 30 }],
+        range: [70, 100],
+        description: 'Energy threshold for reproduction - large proteins require more maturity',
+        chart: { label: 'Reproduction', color: '#fbbf24' },
+        speciationWeight: 1.0
+      },
+      visionRange: {
+        gene: 'sensory',
+        baseValue: 80,
+        terms: [{ property: 'polarRatio', weight: 120 }],
+        range: [80, 200],
+        description: 'Visual detection range - polar amino acids enhance sensory perception',
+        chart: { label: 'Vision', color: '#34d399' },
+        speciationWeight: 1.2
+      },
+      detectionRadius: {
+        gene: 'sensory',
+        baseValue: 40,
+        terms: [{ property: 'positiveRatio', weight: 60 }],
+        range: [40, 100],
+        description: 'Close-range detection - charged positive proteins enable proximity sensing'
+      },
+      aggression: {
+        gene: 'aggression',
+        baseValue: 0.5,
+        intercept: 0,
+        terms: [{ property: 'positiveRatio', weight: 1.5 }, { property: 'hydrophobicRatio', weight: 0.5 }],
+        clamp: [0, 1],
+        range: [0, 1],
+        description: 'Aggression level - positive charge drives aggressive behavior, hydrophobic adds territoriality',
+        chart: { label: 'Aggression', color: '#ef4444' },
+        speciationWeight: 1.0
+      },
+      cooperativeness: {
+        gene: 'cooperation',
+        baseValue: 0,
+        terms: [{ property: 'polarRatio', weight: 0.7 }, { property: 'negativeRatio', weight: 0.3 }],
+        clamp: [0, 1],
+        range: [0, 1],
+        description: 'Cooperation level - polar amino acids drive altruistic energy sharing with same species',
+        chart: { label: 'Cooperation', color: '#22c55e' }
+      },
+      cooperationAmount: {
+        gene: 'cooperation',
+        baseValue: 5,
+        terms: [{ property: 'length', weight: 0.5 }],
+        range: [5, 20],
+        description: 'Energy amount shared during cooperation - longer genes = more generous sharing'
+      },
+      tumbleRate: {
+        gene: 'behavior',
+        baseValue: 0.15,
+        intercept: 0.05,
+        terms: [{ property: 'smallRatio', weight: 0.25 }],
+        clamp: [0.02, 0.5],
+        range: [0.05, 0.3],
+        description: 'Baseline chemotaxis tumble rate (per second) - small residues make restless swimmers',
+        chart: { label: 'Tumbling', color: '#38bdf8' }
+      },
+      explorationBias: {
+        gene: 'behavior',
+        baseValue: 0.3,
+        intercept: 0.1,
+        terms: [{ property: 'aliphaticRatio', weight: 1 }],
+        clamp: [0, 1],
+        range: [0, 1],
+        description: 'How strongly tumbles turn away from crowds toward open space - aliphatic residues drive exploration',
+        chart: { label: 'Exploration', color: '#2dd4bf' }
+      },
+      attackThreshold: {
+        gene: 'behavior',
+        baseValue: 0.25,
+        intercept: 0.35,
+        terms: [{ property: 'hydrophilicRatio', weight: -0.28 }],
+        clamp: [0.05, 1],
+        range: [0.1, 0.4],
+        description: 'Aggression needed to start a fight (hunger lowers it) - hydrophilic residues make bolder fighters',
+        chart: { label: 'Attack Threshold', color: '#f87171' }
+      },
+      powerAdvantage: {
+        gene: 'behavior',
+        baseValue: 1.1,
+        intercept: 0.8,
+        terms: [{ property: 'largeRatio', weight: 0.5 }],
+        clamp: [0.5, 2],
+        range: [0.8, 1.3],
+        description: 'Power ratio over a target required to attack (hunger lowers it) - large residues make cautious fighters',
+        chart: { label: 'Power Required', color: '#c084fc' }
+      },
+      fleeRatio: {
+        gene: 'behavior',
+        baseValue: 1.5,
+        intercept: 1,
+        terms: [{ property: 'nonpolarRatio', weight: 0.8 }],
+        clamp: [1, 3],
+        range: [1, 2],
+        description: 'Threat power ratio that triggers fleeing - nonpolar residues make organisms stand their ground',
+        chart: { label: 'Flee Ratio', color: '#facc15' }
+      },
+      reactionTime: {
+        gene: 'behavior',
+        baseValue: 500,
+        intercept: 250,
+        terms: [{ property: 'stability', weight: 450 }],
+        clamp: [100, 1500],
+        range: [250, 700],
+        description: 'Milliseconds between food target re-evaluations (idle checks take 60%, hunger halves it) - ' +
+          'stable proteins make deliberate deciders',
+        chart: { label: 'Reaction Time', color: '#94a3b8' }
+      },
+      herbivory: {
+        gene: 'diet',
+        baseValue: 1,
+        intercept: 0.2,
+        terms: [{ property: 'smallRatio', weight: 2 }],
+        range: [0.2, 2.2],
+        description: 'Preference for plant food - small residues build plant-digesting enzymes (see Diet)'
+      },
+      carnivory: {
+        gene: 'diet',
+        baseValue: 0.5,
+        intercept: 0,
+        terms: [{ property: 'positiveRatio', weight: 2 }, { property: 'aromaticRatio', weight: 2 }],
+        range: [0, 2],
+        description: 'Preference for prey killed in combat - charged and aromatic residues build proteases (see Diet)',
+        speciationWeight: 1.0
+      },
+      scavenging: {
+        gene: 'diet',
+        baseValue: 0.5,
+        intercept: 0,
+        terms: [{ property: 'sheetRatio', weight: 1 }],
+        range: [0, 1],
+        description: 'Preference for carrion left by dead organisms - sheet-rich proteins tolerate decay (see Diet)',
+        speciationWeight: 0.8
+      },
+      photosynthesis: {
+        gene: 'pigmentation',
+        baseValue: 0,
+        intercept: -1,
+        terms: [{ property: 'aromaticRatio', weight: 2 }],
+        clamp: [0, 1],
+        range: [0, 1],
+        description: 'Energy from light - aromatic pigments capture photons; darker colors absorb more (see Photosynthesis)',
+        chart: { label: 'Photosynthesis', color: '#a3e635' },
+        speciationWeight: 1.0
+      },
+      mass: {
+        gene: null,
+        baseValue: 1,
+        intercept: 0,
+        terms: [{ trait: 'size', weight: 0.1 }],
+        range: [0.8, 2.0],
+        description: 'Mass calculated from size (size/10)'
+      }
+    },
+    interactions: {
+      pleiotropy: [
+        {
+          gene: 'defense',
+          trait: 'maxSpeed',
+          property: 'hydrophobicRatio',
+          weight: -0.25,
+          description: 'Heavy armor slows movement'
+        },
+        {
+          gene: 'sensory',
+          trait: 'metabolicRate',
+          property: 'polarRatio',
+          weight: 0.3,
+          description: 'Large sensory organs cost energy to run'
+        },
+        {
+          gene: 'pigmentation',
+          trait: 'metabolicRate',
+          property: 'aromaticRatio',
+          weight: 0.5,
+          description: 'Photosynthetic pigment machinery costs upkeep'
+        },
+        {
+          gene: 'pigmentation',
+          trait: 'maxSpeed',
+          property: 'aromaticRatio',
+          weight: -0.8,
+          description: 'Pigment-packed cells are sluggish'
+        }
+      ],
+      epistasis: [
+        {
+          modifier: 'metabolism',
+          trait: 'maxSpeed',
+          property: 'polarRatio',
+          weight: 0.6,
+          center: 0.4,
+          description: 'Fast muscles need an active metabolism to fuel them'
+        }
+      ]
+    }
+  };
+
+  static _proteinProperties = null;
+
+  /**
+   * Deep copy of the built-in schema
+   */
+  static createDefault() {
+    return structuredClone(TraitSchema.DEFAULT);
+  }
+
+  /**
+   * Numeric protein properties a term can read (stored properties plus DERIVED_PROPERTIES)
+   */
+  static getProteinProperties() {
+    if (!TraitSchema._proteinProperties) {
+      const stored = Object.entries(new Protein('').properties)
+        .filter(([, value]) => typeof value === 'number')
+        .map(([name]) => name);
+      TraitSchema._proteinProperties = [...stored, ...Object.keys(TraitSchema.DERIVED_PROPERTIES)];
+    }
+    return TraitSchema._proteinProperties;
+  }
+
+  /**
+   * Read a (stored or derived) property of a protein
+   */
+  static getPropertyValue(protein, property) {
+    const derived = TraitSchema.DERIVED_PROPERTIES[property];
+    return derived ? derived(protein) : protein.properties[property];
+  }
+
+  /**
+   * Upgrade an older schema to the current version (returns a new object; current schemas are returned as is)
+   * - 1 -> 2: adds empty interactions
+   * - 2 -> 3 ... 4 -> 5: adds the default definitions of ADDED_TRAITS the schema does not define
+   */
+  static migrate(schema) {
+    if (!TraitSchema.isObject(schema) || !Number.isInteger(schema.version) ||
+        schema.version < 1 || schema.version >= TraitSchema.VERSION) {
+      return schema;
+    }
+
+    let migrated = schema;
+    if (migrated.version === 1) {
+      migrated = { ...migrated, version: 2, interactions: { pleiotropy: [], epistasis: [] } };
+    }
+
+    const traits = { ...migrated.traits };
+    for (let version = migrated.version + 1; version <= TraitSchema.VERSION; version++) {
+      for (const traitName of TraitSchema.ADDED_TRAITS[version]) {
+        traits[traitName] ??= structuredClone(TraitSchema.DEFAULT.traits[traitName]);
+      }
+    }
+    return { ...migrated, version: TraitSchema.VERSION, traits };
+  }
+
+  /**
+   * Parse schema JSON text (older versions are migrated)
+   * @returns {Object} { schema, errors } - schema is null if the text is not valid JSON or fails validation
+   */
+  static parse(text) {
+    let schema;
+    try {
+      schema = TraitSchema.migrate(JSON.parse(text));
+    } catch (error) {
+      return { schema: null, errors: [`Invalid JSON: ${error.message}`] };
+    }
+
+    const { valid, errors } = TraitSchema.validate(schema);
+    return { schema: valid ? schema : null, errors };
+  }
+
+  /**
+   * Check a schema's structure, property names and ranges
+   * @returns {Object} { valid, errors }
+   */
+  static validate(schema) {
+    const errors = [];
+    if (!TraitSchema.isObject(schema)) {
+      return { valid: false, errors: ['Schema must be an object'] };
+    }
+
+    if (schema.version !== TraitSchema.VERSION) {
+      errors.push(`Unsupported schema version ${schema.version} (expected ${TraitSchema.VERSION})`);
+    }
+    if (typeof schema.name !== 'string' || schema.name.trim() === '') {
+      errors.push('Schema needs a name');
+    }
+    if (!TraitSchema.isObject(schema.traits)) {
+      errors.push('Schema needs a traits object');
+      return { valid: false, errors };
+    }
+
+    const defined = new Set();
+    for (const [traitName, trait] of Object.entries(schema.traits)) {
+      errors.push(...TraitSchema.validateTrait(traitName, trait, defined));
+      defined.add(traitName);
+    }
+
+    for (const traitName of TraitSchema.REQUIRED_TRAITS) {
+      if (!defined.has(traitName)) {
+        errors.push(`Missing required trait "${traitName}"`);
+      }
+    }
+
+    errors.push(...TraitSchema.validateInteractions(schema.interactions, schema.traits));
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Errors of the interaction matrix (pleiotropy and epistasis entries)
+   */
+  static validateInteractions(interactions, traits) {
+    if (!TraitSchema.isObject(interactions) ||
+        !Array.isArray(interactions.pleiotropy) || !Array.isArray(interactions.epistasis)) {
+      return ['interactions must be { pleiotropy: [], epistasis: [] }'];
+    }
+
+    const errors = [];
+    const check = (kind, entry, i, geneField) => {
+      const error = (message) => errors.push(`${kind} ${i + 1}: ${message}`);
+      if (!TraitSchema.isObject(entry)) {
+        error('entry must be an object');
+        return;
+      }
+
+      const gene = entry[geneField];
+      const trait = traits[entry.trait];
+      if (typeof gene !== 'string' || !/^[a-z]+$/.test(gene)) {
+        error(`${geneField} must be a lowercase gene family name`);
+      }
+      if (!TraitSchema.isObject(trait) || trait.gene === null) {
+        error(`trait "${entry.trait}" must be a gene-driven trait of the schema`);
+      } else if (trait.gene === gene) {
+        error(`"${gene}" already drives ${entry.trait}; use the trait's terms instead`);
+      }
+      if (!TraitSchema.getProteinProperties().includes(entry.property)) {
+        error(`unknown protein property "${entry.property}"`);
+      }
+      if (!Number.isFinite(entry.weight)) {
+        error('weight must be a number');
+      }
+      if (entry.center !== undefined && !Number.isFinite(entry.center)) {
+        error('center must be a number');
+      }
+      if (entry.description !== undefined && typeof entry.description !== 'string') {
+        error('description must be a string');
+      }
+    };
+
+    interactions.pleiotropy.forEach((entry, i) => check('pleiotropy', entry, i, 'gene'));
+    interactions.epistasis.forEach((entry, i) => check('epistasis', entry, i, 'modifier'));
+    return errors;
+  }
+
+  /**
+   * Errors of one trait definition (traits defined earlier are listed in defined)
+   */
+  static validateTrait(traitName, trait, defined) {
+    const errors = [];
+    const error = (message) => errors.push(`${traitName}: ${message}`);
+
+    if (!/^[a-zA-Z][a-zA-Z0-9]*$/.test(traitName)) {
+      error('trait names must be alphanumeric');
+    }
+    if (TraitSchema.RESERVED_TRAITS.includes(traitName) || traitName.startsWith('color')) {
+      error('name is reserved for visual traits');
+    }
+    if (!TraitSchema.isObject(trait)) {
+      error('definition must be an object');
+      return errors;
+    }
+
+    const isDerived = trait.gene === null;
+    if (!isDerived && (typeof trait.gene !== 'string' || !/^[a-z]+$/.test(trait.gene))) {
+      error('gene must be a lowercase gene family name or null');
+    }
+    if (!Number.isFinite(trait.baseValue)) {
+      error('baseValue must be a number');
+    }
+    if (trait.intercept !== undefined && !Number.isFinite(trait.intercept)) {
+      error('intercept must be a number');
+    }
+
+    if (!Array.isArray(trait.terms)) {
+      error('terms must be an array');
+    } else {
+      trait.terms.forEach((term, i) => {
+        if (!TraitSchema.isObject(term) || !Number.isFinite(term.weight)) {
+          error(`term ${i + 1} needs a numeric weight`);
+        } else if (term.trait !== undefined) {
+          if (!isDerived) error(`term ${i + 1} reads a trait, which only derived traits (gene: null) may do`);
+          else if (!defined.has(term.trait)) error(`term ${i + 1} reads "${term.trait}", which is not defined before it`);
+        } else if (isDerived) {
+          error(`term ${i + 1} reads a protein property, but derived traits have no protein`);
+        } else if (!TraitSchema.getProteinProperties().includes(term.property)) {
+          error(`term ${i + 1} reads unknown protein property "${term.property}"`);
+        }
+      });
+    }
+
+    if (trait.stabilityScaled !== undefined && typeof trait.stabilityScaled !== 'boolean') {
+      error('stabilityScaled must be true or false');
+    }
+    if (trait.clamp !== undefined && trait.clamp !== null && !TraitSchema.isRange(trait.clamp)) {
+      error('clamp must be null or [min, max] with min < max');
+    }
+    if (!TraitSchema.isRange(trait.range)) {
+      error('range must be [min, max] with min < max');
+    }
+    if (typeof trait.description !== 'string') {
+      error('description must be a string');
+    }
+    if (trait.chart !== undefined) {
+      if (!TraitSchema.isObject(trait.chart) || typeof trait.chart.label !== 'string' ||
+          !/^#[0-9a-fA-F]{6}$/.test(trait.chart.color)) {
+        error('chart must be { label, color: "#rrggbb" }');
+      }
+    }
+    if (trait.speciationWeight !== undefined && !(Number.isFinite(trait.speciationWeight) && trait.speciationWeight >= 0)) {
+      error('speciationWeight must be a number >= 0');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Normalization range of every trait: { trait: { min, max } }
+   */
+  static getRanges(schema) {
+    const ranges = {};
+    for (const [traitName, { range }] of Object.entries(schema.traits)) {
+      ranges[traitName] = { min: range[0], max: range[1] };
+    }
+    return ranges;
+  }
+
+  /**
+   * Weights of the traits used for phenotypic distance: { trait: weight }
+   */
+  static getSpeciationWeights(schema) {
+    const weights = {};
+    for (const [traitName, trait] of Object.entries(schema.traits)) {
+      if (trait.speciationWeight > 0) {
+        weights[traitName] = trait.speciationWeight;
+      }
+    }
+    return weights;
+  }
+
+  /**
+   * Radar chart axes in schema order: [{ trait, label, color, min, max }]
+   */
+  static getChartAxes(schema) {
+    return Object.entries(schema.traits)
+      .filter(([, trait]) => trait.chart)
+      .map(([traitName, trait]) => ({
+        trait: traitName,
+        label: trait.chart.label,
+        color: trait.chart.color,
+        min: trait.range[0],
+        max: trait.range[1]
+      }));
+  }
+
+  /**
+   * Gene x trait interaction matrix for display
+   * @returns {Object} { genes, traits, cells } - cells[gene][trait] lists { type, weight, property, center, description }
+   *   with type 'primary' (the trait's own terms), 'pleiotropy' or 'epistasis'
+   */
+  static getInteractionMatrix(schema) {
+    const cells = {};
+    const add = (gene, trait, entry) => {
+      cells[gene] ??= {};
+      (cells[gene][trait] ??= []).push(entry);
+    };
+
+    for (const [traitName, trait] of Object.entries(schema.traits)) {
+      if (trait.gene === null) continue;
+      for (const term of trait.terms) {
+        add(trait.gene, traitName, { type: 'primary', weight: term.weight, property: term.property });
+      }
+    }
+    for (const { gene, trait, property, weight, description } of schema.interactions.pleiotropy) {
+      add(gene, trait, { type: 'pleiotropy', weight, property, description });
+    }
+    for (const { modifier, trait, property, weight, center = 0, description } of schema.interactions.epistasis) {
+      add(modifier, trait, { type: 'epistasis', weight, property, center, description });
+    }
+
+    const traits = Object.keys(schema.traits).filter(traitName =>
+      Object.values(cells).some(row => row[traitName]));
+    return { genes: Object.keys(cells), traits, cells };
+  }
+
+  /**
+   * Human-readable formula of a trait, e.g. "0 + 8 × hydrophobicRatio × stability factor"
+   */
+  static describeFormula(trait) {
+    const intercept = trait.intercept ?? trait.baseValue;
+    const terms = trait.terms.map(term => `${term.weight} × ${term.property ?? term.trait}`);
+    let formula = terms.length > 0 ? `${intercept} + ${terms.join(' + ')}` : String(intercept);
+    if (trait.stabilityScaled && terms.length > 0) {
+      formula = `${intercept} + (${terms.join(' + ')}) × stability factor`;
+    }
+    return trait.clamp ? `clamp(${formula}, ${trait.clamp[0]}, ${trait.clamp[1]})` : formula;
+  }
+
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  static isRange(value) {
+    return Array.isArray(value) && value.length === 2 &&
+      Number.isFinite(value[0]) && Number.isFinite(value[1]) && value[0] < value[1];
+  }
+}
@@ -1,3 +1,8 @@
+import { BiomeMap } from '../simulation/world/BiomeMap.js';
+import { EnvironmentClock } from '../simulation/world/EnvironmentClock.js';
+import { ObstacleMap } from '../simulation/world/ObstacleMap.js';
+import { WorldEvents } from '../simulation/world/WorldEvents.js';
+
 /**
  * OrganismRenderer - Renders organisms to canvas
  * Creates cell-like visual representation based on phenotype
@@ -38,7 +43,7 @@ export class OrganismRenderer {
   static getCacheKey(organism) {
     const p = organism.phenotype;
     // Include all visual traits that affect appearance
-    return `${p.size}_${p.color.h}_${p.color.s}_${p.color.l}_${p.segments}_${p.toxicity.toFixed(2)}_${p.armor.toFixed(2)}_${p.aggression.toFixed(2)}_${p.cooperativeness.toFixed(2)}_${p.visionRange.toFixed(0)}_${p.maxSpeed.toFixed(2)}_${p.colorPattern?.type || 'none'}_${p.colorPattern?.intensity.toFixed(2) || '0'}`;
+    return `${p.size}_${p.color.h}_${p.color.s}_${p.color.l}_${p.segments}_${p.toxicity.toFixed(2)}_${p.armor.toFixed(2)}_${p.aggression.toFixed(2)}_${p.cooperativeness.toFixed(2)}_${p.visionRange.toFixed(0)}_${p.maxSpeed.toFixed(2)}_${p.colorPattern?.type || 'none'}_${p.colorPattern?.intensity.toFixed(2) || '0'}_${p.colorPattern?.secondaryHueShift ?? 0}`;
   }
 
   /**
@@ -1096,9 +1101,44 @@ export class OrganismRenderer {
   }
 
   /**
-   * Render world background
+   * Render carcass: a faded, shrinking body in the dead organism's hue, spotted when toxic
+   */
+  static renderCarcass(ctx, carcass) {
+    const { x, y, radius, color, freshness, toxicity } = carcass;
+    ctx.save();
+    ctx.globalAlpha = 0.35 + 0.5 * freshness;
+
+    // Body: desaturated and darkened as it decays
+    ctx.fillStyle = `hsl(${color.h}, ${Math.round(color.s * 0.3)}%, ${Math.round(25 + 10 * freshness)}%)`;
+    ctx.strokeStyle = 'rgba(90, 60, 40, 0.9)';
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([3, 2]);
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Toxic spots
+    if (toxicity > 0.05) {
+      ctx.fillStyle = `rgba(170, 255, 60, ${Math.min(0.9, 0.3 + toxicity)})`;
+      for (let i = 0; i < 3; i++) {
+        const angle = (i / 3) * Math.PI * 2 + 0.5;
+        ctx.beginPath();
+        ctx.arc(x + Math.cos(angle) * radius * 0.45, y + Math.sin(angle) * radius * 0.45, radius * 0.18, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Render world background: open water gradient with the biome map on top (see BiomeMap)
    */
-  static renderBackground(ctx, width, height) {
+  static renderBackground(ctx, world) {
+    const { width, height } = world;
+
     // Gradient background
     const gradient = ctx.createLinearGradient(0, 0, 0, height);
     gradient.addColorStop(0, '#204f81ff');
@@ -1106,6 +1146,29 @@ export class OrganismRenderer {
     ctx.fillStyle = gradient;
     ctx.fillRect(0, 0, width, height);
 
+    // Biome cells, one rectangle per run of equal cells in a row
+    const { cells } = world.biomeMap;
+    const cellWidth = width / BiomeMap.COLUMNS;
+    const cellHeight = height / BiomeMap.ROWS;
+    ctx.globalAlpha = 0.5;
+    for (let row = 0; row < BiomeMap.ROWS; row++) {
+      let col = 0;
+      while (col < BiomeMap.COLUMNS) {
+        const index = cells[row * BiomeMap.COLUMNS + col];
+        let end = col + 1;
+        while (end < BiomeMap.COLUMNS && cells[row * BiomeMap.COLUMNS + end] === index) end++;
+
+        const color = BiomeMap.BIOMES[BiomeMap.BIOME_IDS[index]].color;
+        if (color) {
+          ctx.fillStyle = color;
+          // Overlap by a pixel so no seams show between cells
+          ctx.fillRect(col * cellWidth, row * cellHeight, (end - col) * cellWidth + 1, cellHeight + 1);
+        }
+        col = end;
+      }
+    }
+    ctx.globalAlpha = 1;
+
     // Grid pattern
     ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
     ctx.lineWidth = 1;
@@ -1126,6 +1189,141 @@ export class OrganismRenderer {
     }
   }
 
+  /**
+   * Render the light field: a warm glow from the top of the world that fades with depth
+   * (see World.getLightAt)
+   */
+  static renderLight(ctx, world) {
+    const { intensity, depthFalloff } = world.light;
+    if (intensity <= 0) return;
+
+    const alpha = Math.min(0.35, 0.15 * intensity);
+    const gradient = ctx.createLinearGradient(0, 0, 0, world.height);
+    gradient.addColorStop(0, `rgba(255, 240, 180, ${alpha})`);
+    gradient.addColorStop(1, `rgba(255, 240, 180, ${alpha * (1 - depthFalloff)})`);
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, world.width, world.height);
+  }
+
+  /**
+   * Render night: darkens the world as daylight fades (see EnvironmentClock)
+   */
+  static renderNight(ctx, world) {
+    const darkness = 1 - world.clock.daylight;
+    if (darkness <= 0) return;
+
+    ctx.fillStyle = `rgba(2, 6, 24, ${0.55 * darkness})`;
+    ctx.fillRect(0, 0, world.width, world.height);
+  }
+
+  /**
+   * Render the environment clock in the top-left corner of the canvas (screen space): a dial
+   * with the sun's position over the day and night halves, the season and the day number
+   */
+  static renderClock(ctx, world, width) {
+    const { clock } = world;
+    if (clock.season < 0) return;
+
+    const radius = Math.max(14, width / 80);
+    const cx = radius * 1.5;
+    const cy = radius * 1.5;
+
+    ctx.save();
+
+    // Day (top) and night (bottom) halves; the dawn is on the left
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, Math.PI, 0);
+    ctx.fillStyle = 'rgba(255, 224, 130, 0.85)';
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI);
+    ctx.fillStyle = 'rgba(26, 35, 126, 0.85)';
+    ctx.fill();
+
+    // Season ring
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.strokeStyle = EnvironmentClock.SEASONS[clock.season].color;
+    ctx.lineWidth = radius / 5;
+    ctx.stroke();
+
+    // Sun (or moon) hand
+    const angle = Math.PI + clock.dayPhase * Math.PI * 2;
+    ctx.beginPath();
+    ctx.moveTo(cx, cy);
+    ctx.lineTo(cx + Math.cos(angle) * radius * 0.8, cy + Math.sin(angle) * radius * 0.8);
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = Math.max(2, radius / 8);
+    ctx.stroke();
+
+    const season = EnvironmentClock.SEASONS[clock.season];
+    ctx.font = `bold ${Math.round(radius * 0.8)}px system-ui`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#ffffff';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+    ctx.shadowBlur = 4;
+    ctx.fillText(`${season.icon} ${season.name} · Day ${clock.day}`, cx + radius * 1.6, cy);
+
+    ctx.restore();
+  }
+
+  /**
+   * Render environmental events in the world: fading meteor craters and plague infections
+   */
+  static renderEvents(ctx, world) {
+    ctx.save();
+
+    for (const event of world.activeEvents) {
+      if (event.type !== 'meteor') continue;
+      const remaining = (event.endTime - world.time) / (event.endTime - event.startTime);
+      ctx.beginPath();
+      ctx.arc(event.x, event.y, event.radius, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(60, 30, 10, ${0.5 * remaining})`;
+      ctx.fill();
+      ctx.strokeStyle = `rgba(255, 152, 0, ${remaining})`;
+      ctx.lineWidth = 4;
+      ctx.stroke();
+    }
+
+    ctx.strokeStyle = WorldEvents.TYPES.plague.color;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([3, 3]);
+    for (const organism of world.organisms) {
+      if (!organism.infected) continue;
+      ctx.beginPath();
+      ctx.arc(organism.x, organism.y, organism.phenotype.size * 1.5, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Render the events in effect in the top-right corner of the canvas (screen space) with
+   * their remaining time
+   */
+  static renderActiveEvents(ctx, world, width) {
+    if (world.activeEvents.length === 0) return;
+
+    const fontSize = Math.max(12, Math.round(width / 100));
+    ctx.save();
+    ctx.font = `bold ${fontSize}px system-ui`;
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+    ctx.shadowBlur = 4;
+
+    world.activeEvents.forEach((event, index) => {
+      const { name, icon, color } = WorldEvents.TYPES[event.type];
+      const remaining = Math.ceil((event.endTime - world.time) / 1000);
+      ctx.fillStyle = color;
+      ctx.fillText(`${icon} ${name} ${remaining}s`, width - fontSize, fontSize + index * fontSize * 1.5);
+    });
+
+    ctx.restore();
+  }
+
   /**
    * Render section walls/boundaries for species segregation
    */
@@ -1133,50 +1331,42 @@ export class OrganismRenderer {
     if (!world || world.separationSections <= 1) return;
 
     const sections = world.separationSections;
-    const cols = Math.ceil(Math.sqrt(sections));
-    const rows = Math.ceil(sections / cols);
+    const { cols, rows } = world.getSectionGrid();
 
     const sectionWidth = world.width / cols;
     const sectionHeight = world.height / rows;
 
     ctx.save();
-
-    // Draw vertical walls
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
-    ctx.lineWidth = 3;
     ctx.shadowColor = 'rgba(255, 255, 255, 0.5)';
     ctx.shadowBlur = 5;
 
-    for (let i = 1; i < cols; i++) {
-      const x = i * sectionWidth;
+    // Walls between sections: solid when closed, broken up the more permeable they are
+    const drawWall = (x1, y1, x2, y2, permeability) => {
+      const gap = 24 * permeability;
+      ctx.setLineDash(permeability > 0 ? [24 - gap * 0.8, gap] : []);
       ctx.beginPath();
-      ctx.moveTo(x, 0);
-      ctx.lineTo(x, world.height);
-      ctx.stroke();
-
-      // Draw wall segments for visual effect
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
       ctx.strokeStyle = 'rgba(200, 200, 255, 0.3)';
       ctx.lineWidth = 8;
       ctx.stroke();
       ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
       ctx.lineWidth = 3;
-    }
-
-    // Draw horizontal walls
-    for (let i = 1; i < rows; i++) {
-      const y = i * sectionHeight;
-      ctx.beginPath();
-      ctx.moveTo(0, y);
-      ctx.lineTo(world.width, y);
       ctx.stroke();
+    };
 
-      // Draw wall segments for visual effect
-      ctx.strokeStyle = 'rgba(200, 200, 255, 0.3)';
-      ctx.lineWidth = 8;
-      ctx.stroke();
-      ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
-      ctx.lineWidth = 3;
+    for (const wall of world.getSectionWalls()) {
+      drawWall(wall.x1, wall.y1, wall.x2, wall.y2, wall.permeability);
+    }
+
+    // Borders of the unused grid cells (fewer sections than cells) are always closed
+    for (let cell = sections; cell < cols * rows; cell++) {
+      const x = (cell % cols) * sectionWidth;
+      const y = Math.floor(cell / cols) * sectionHeight;
+      if (cell % cols > 0) drawWall(x, y, x, y + sectionHeight, 0);
+      if (cell >= cols) drawWall(x, y, x + sectionWidth, y, 0);
     }
+    ctx.setLineDash([]);
 
     // Draw section numbers/labels
     ctx.shadowBlur = 0;
@@ -1201,4 +1391,81 @@ export class OrganismRenderer {
 
     ctx.restore();
   }
+
+  /**
+   * Render user-drawn obstacles (see ObstacleMap)
+   */
+  static renderObstacles(ctx, world) {
+    const shapes = world.getObstacles();
+    if (shapes.length === 0) return;
+
+    ctx.save();
+    ctx.fillStyle = '#4e4a45';
+    ctx.strokeStyle = '#8d8377';
+    ctx.lineWidth = 2;
+    for (const shape of shapes) {
+      OrganismRenderer.traceObstacle(ctx, shape);
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Render the obstacle being drawn (dashed outline; polygons also show their vertices)
+   */
+  static renderObstacleDraft(ctx, draft) {
+    if (!draft) return;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    OrganismRenderer.traceObstacle(ctx, draft, draft.type === 'polygon');
+
+    if (draft.type === 'polygon') {
+      ctx.setLineDash([]);
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+      for (const point of draft.points) {
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Fill and outline an obstacle shape with the current styles
+   * @param {boolean} open - Draw a polygon as an open line (unfinished drafts)
+   */
+  static traceObstacle(ctx, shape, open = false) {
+    if (shape.type === 'segment') {
+      // Wall: a thick round-capped line over a slightly thicker outline
+      const thickness = ObstacleMap.WALL_THICKNESS;
+      const layers = [[ctx.strokeStyle, thickness + ctx.lineWidth * 2], [ctx.fillStyle, thickness]];
+      ctx.lineCap = 'round';
+      for (const [style, lineWidth] of layers) {
+        ctx.beginPath();
+        ctx.moveTo(shape.x1, shape.y1);
+        ctx.lineTo(shape.x2, shape.y2);
+        ctx.strokeStyle = style;
+        ctx.lineWidth = lineWidth;
+        ctx.stroke();
+      }
+      return;
+    }
+
+    ctx.beginPath();
+    if (shape.type === 'circle') {
+      ctx.arc(shape.x, shape.y, shape.radius, 0, Math.PI * 2);
+    } else {
+      shape.points.forEach((point, index) => {
+        if (index === 0) ctx.moveTo(point.x, point.y);
+        else ctx.lineTo(point.x, point.y);
+      });
+      if (!open) ctx.closePath();
+    }
+    if (!open) ctx.fill();
+    ctx.stroke();
+  }
 }
@@ -0,0 +1,131 @@
+import { NeuralGenome } from '../../core/genetics/NeuralGenome.js';
+import { OrganismAI } from './OrganismAI.js';
+
+/**
+ * NeuralAI - Behavior driven by the neural network in the genome's brain section
+ * Senses the same things as OrganismAI (food concentration, crowding, the power of the
+ * nearest organism, energy, walls) but leaves every decision to the network: its move
+ * outputs steer the organism and its attack / cooperate outputs set the state that
+ * World.handleCollision reads. Reproduction and epigenetic stress work as in OrganismAI.
+ */
+export class NeuralAI extends OrganismAI {
+  // How often the network is evaluated (ms); its last movement output is applied every update
+  static THINK_INTERVAL = 100;
+
+  // Attack / cooperate outputs (-1..1) above this set the intent
+  static INTENT_THRESHOLD = 0;
+
+  constructor(organism, world) {
+    super(organism, world);
+    this.brain = organism.genome.brain;
+    this.context = null; // Hidden state of the previous step (recurrent memory)
+    this.outputs = { moveX: 0, moveY: 0, attack: -1, cooperate: -1 };
+    this.thinkTimer = NeuralAI.THINK_INTERVAL; // Think on the first update
+    this.nearest = null; // { target, distance, dirX, dirY } of the nearest organism at the last step
+  }
+
+  /**
+   * Update AI behavior: sense, run the network, act
+   */
+  update(deltaTime) {
+    if (!this.organism.isAlive) return;
+
+    this.updateInternalState(deltaTime);
+
+    this.thinkTimer += deltaTime;
+    if (this.thinkTimer >= NeuralAI.THINK_INTERVAL) {
+      this.thinkTimer = 0;
+      const { outputs, hidden } = this.brain.activate(this.sense(), this.context);
+      this.outputs = outputs;
+      this.context = hidden;
+      this.chooseIntent();
+    }
+
+    this.organism.move(this.outputs.moveX, this.outputs.moveY);
+  }
+
+  /**
+   * Measure the network inputs
+   * @returns {Array<number>} Input values in NeuralGenome.INPUTS order
+   */
+  sense() {
+    const organism = this.organism;
+
+    // Food: concentration, its change since the last step and the direction of the nearest particle or carcass
+    this.previousConcentration = this.currentConcentration;
+    this.currentConcentration = this.measureConcentration();
+    const vision = this.world.getVisionRange(organism);
+    const food = this.findNearest([
+      ...this.world.getFoodNear(organism.x, organism.y, vision),
+      ...this.world.getCarcassesNear(organism.x, organism.y, vision)
+    ]);
+
+    // Nearest organism: direction, power balance (+1 much stronger, -1 much weaker) and kinship
+    const nearby = this.world.getOrganismsNear(organism.x, organism.y, organism.phenotype.detectionRadius)
+      .filter(other => other !== organism && other.isAlive && !organism.isParentChildRelation(other));
+    this.nearest = this.findNearest(nearby);
+    const other = this.nearest?.target;
+    const myPower = organism.phenotype.size + organism.phenotype.toxicity * 10;
+    const theirPower = other ? other.phenotype.size + other.phenotype.toxicity * 10 : 0;
+
+    // Walls: push away from the closest edges and obstacles (1 at the surface, 0 beyond the margin)
+    const margin = Math.max(50, organism.phenotype.size * 3);
+    const obstacles = this.world.getObstacleRepulsion(organism.x, organism.y, margin, Math.atan2(organism.vy, organism.vx));
+    const wallX = Math.max(0, (margin - organism.x) / margin) - Math.max(0, (organism.x - (this.world.width - margin)) / margin) + obstacles.x;
+    const wallY = Math.max(0, (margin - organism.y) / margin) - Math.max(0, (organism.y - (this.world.height - margin)) / margin) + obstacles.y;
+
+    const senses = {
+      food: Math.tanh(this.currentConcentration),
+      foodGradient: Math.tanh((this.currentConcentration - this.previousConcentration) * 5),
+      foodX: food?.dirX ?? 0,
+      foodY: food?.dirY ?? 0,
+      crowding: Math.tanh(this.measureCrowding() * 5),
+      otherX: this.nearest?.dirX ?? 0,
+      otherY: this.nearest?.dirY ?? 0,
+      otherPower: other ? (myPower - theirPower) / Math.max(1, myPower, theirPower) : 0,
+      otherKin: other ? (organism.isSameSpecies(other) ? 1 : -1) : 0,
+      energy: this.energyRatio * 2 - 1,
+      wallX: Math.max(-1, Math.min(1, wallX)),
+      wallY: Math.max(-1, Math.min(1, wallY)),
+      bias: 1
+    };
+    return NeuralGenome.INPUTS.map(name => senses[name]);
+  }
+
+  /**
+   * Nearest of a list of objects with x, y
+   * @returns {{ target, distance, dirX, dirY }|null} Target with unit direction from this organism
+   */
+  findNearest(targets) {
+    let nearest = null;
+    for (const target of targets) {
+      const dx = target.x - this.organism.x;
+      const dy = target.y - this.organism.y;
+      const distance = Math.hypot(dx, dy);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { target, distance, dirX: distance > 0 ? dx / distance : 0, dirY: distance > 0 ? dy / distance : 0 };
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Turn the attack / cooperate outputs into the AI state, for the nearest organism in reach
+   */
+  chooseIntent() {
+    const { attack, cooperate } = this.outputs;
+    const other = this.nearest?.target;
+    const distance = this.nearest?.distance ?? Infinity;
+    const size = this.organism.phenotype.size;
+    let state = 'idle';
+
+    if (other && attack > NeuralAI.INTENT_THRESHOLD && attack >= cooperate && distance < size * 3) {
+      state = 'attacking';
+    } else if (other && cooperate > NeuralAI.INTENT_THRESHOLD && this.organism.isSameSpecies(other) && distance < size * 4) {
+      state = 'cooperating';
+    }
+
+    this.state = state;
+    this.target = state === 'idle' ? null : other;
+  }
+}
@@ -1,14 +1,21 @@
+import { Epigenetics } from '../../core/genetics/Epigenetics.js';
+import { Diet } from '../../core/organisms/Diet.js';
+
 /**
  * OrganismAI - AI behaviors for autonomous organisms
  * Handles food seeking, movement, and species interaction
  * Uses bacterial chemotaxis (run-and-tumble) for realistic exploration
+ *
+ * Tumble rate, exploration bias, fight and flight thresholds and the re-evaluation timer
+ * are behavior traits of the phenotype (behavior gene), so each lineage evolves its own
+ * foraging and fighting strategy. Food targets follow the organism's diet (see Diet).
  */
 export class OrganismAI {
   constructor(organism, world) {
     this.organism = organism;
     this.world = world;
     this.target = null;
-    this.state = 'idle'; // idle, seeking_food, fleeing, attacking, cooperating
+    this.state = 'idle'; // idle, seeking_food, basking, fleeing, attacking, cooperating
     this.stateTimer = 0;
     this.stuckTimer = 0;
     this.lowSpeedTimer = 0;
@@ -20,8 +27,7 @@ export class OrganismAI {
     this.runState = 'run'; // 'run' or 'tumble'
     this.runTimer = 0;
     this.runDuration = this.generateRunDuration();
-    this.baselineTumbleRate = 0.15; // baseline probability to tumble per second
-    this.tumbleRate = this.baselineTumbleRate;
+    this.tumbleRate = organism.phenotype.tumbleRate; // probability to tumble per second
     this.runDirection = { x: Math.random() * 2 - 1, y: Math.random() * 2 - 1 };
     this.normalizeVector(this.runDirection);
 
@@ -31,10 +37,12 @@ export class OrganismAI {
     this.concentrationMemory = [];
     this.memoryWindow = 5; // remember last N measurements
 
-    // Exploration bias
-    this.explorationBias = 0.3; // tendency to explore new areas
+    // Exploration
     this.lastPosition = { x: organism.x, y: organism.y };
     this.territoryRadius = 200; // radius around spawn point
+
+    // Epigenetic stress checks (starvation, crowding, combat damage)
+    this.epigeneticTimer = 0;
   }
 
   /**
@@ -61,7 +69,7 @@ export class OrganismAI {
    * Measure chemical concentration (food density) at current position
    */
   measureConcentration() {
-    const searchRadius = this.organism.phenotype.visionRange * 0.5;
+    const searchRadius = this.world.getVisionRange(this.organism) * 0.5;
     let totalConcentration = 0;
 
     // Use spatial grid lookup instead of iterating all food
@@ -102,6 +110,47 @@ export class OrganismAI {
     return crowding;
   }
 
+  /**
+   * Mark genes in response to starvation (urgency), crowding and combat damage
+   * taken since the last check (only when epigenetics is enabled in the world)
+   */
+  checkEpigeneticStress() {
+    const organism = this.organism;
+    const damage = organism.recentDamage;
+    organism.recentDamage = 0;
+    if (!this.world.epigenetics?.enabled) return;
+
+    if (this.urgency > Epigenetics.STARVATION_URGENCY) {
+      organism.addEpigeneticStress('starvation', this.urgency);
+    }
+
+    const crowding = this.measureCrowding();
+    if (crowding > Epigenetics.CROWDING_THRESHOLD) {
+      organism.addEpigeneticStress('crowding', crowding / (Epigenetics.CROWDING_THRESHOLD * 2));
+    }
+
+    if (damage > 0) {
+      organism.addEpigeneticStress('combat', damage / Epigenetics.COMBAT_DAMAGE_SCALE);
+    }
+  }
+
+  /**
+   * Update energy urgency and run periodic epigenetic stress checks
+   * (bookkeeping shared by rule-based and neural brains)
+   */
+  updateInternalState(deltaTime) {
+    // Urgency based on low energy: 0 when >= 30%, up to 1 when 0%
+    this.energyRatio = Math.max(0, Math.min(1, this.organism.energy / Math.max(1, this.organism.maxEnergy)));
+    this.urgency = this.energyRatio < 0.3 ? (0.3 - this.energyRatio) / 0.3 : 0;
+
+    // Periodically let stress leave epigenetic marks
+    this.epigeneticTimer += deltaTime;
+    if (this.epigeneticTimer >= Epigenetics.CHECK_INTERVAL) {
+      this.epigeneticTimer = 0;
+      this.checkEpigeneticStress();
+    }
+  }
+
   /**
    * Update AI behavior with chemotaxis
    */
@@ -110,10 +159,7 @@ export class OrganismAI {
 
     this.stateTimer += deltaTime;
     this.runTimer += deltaTime;
-
-    // Urgency based on low energy: 0 when >= 30%, up to 1 when 0%
-    const energyRatio = Math.max(0, Math.min(1, this.organism.energy / Math.max(1, this.organism.maxEnergy)));
-    this.urgency = energyRatio < 0.3 ? (0.3 - energyRatio) / 0.3 : 0;
+    this.updateInternalState(deltaTime);
 
     // Track movement to detect stuck/standby
     const speed = Math.hypot(this.organism.vx, this.organism.vy);
@@ -128,8 +174,8 @@ export class OrganismAI {
     // Wall avoidance only (gentler, always active)
     this.avoidWalls();
 
-    // If stuck for > threshold, force a tumble
-    if (this.stuckTimer > this.stuckThresholdMs) {
+    // If stuck for > threshold, force a tumble (basking autotrophs keep still on purpose)
+    if (this.stuckTimer > this.stuckThresholdMs && this.state !== 'basking') {
       this.tumble();
       this.stuckTimer = 0;
       this.lowSpeedTimer = 0;
@@ -143,9 +189,26 @@ export class OrganismAI {
         if (Math.random() < 0.3) {
           this.avoidCrowding();
         }
-        // Periodically check for nearby food to target
-        if (this.stateTimer > 300) {
-          this.seekFood();
+        // Periodically check for nearby food to target, or settle in the light
+        if (this.stateTimer > this.organism.phenotype.reactionTime * 0.6) {
+          if (this.shouldBask()) {
+            this.state = 'basking';
+            this.target = null;
+          } else {
+            this.seekFood();
+          }
+          this.stateTimer = 0;
+        }
+        break;
+      case 'basking':
+        // Autotroph: keep still and photosynthesize, drifting away from shading neighbors
+        if (Math.random() < 0.3) {
+          this.avoidCrowding();
+        }
+        if (this.stateTimer > this.organism.phenotype.reactionTime) {
+          if (!this.shouldBask()) {
+            this.state = 'idle';
+          }
           this.stateTimer = 0;
         }
         break;
@@ -154,7 +217,8 @@ export class OrganismAI {
         // Apply collision avoidance when seeking food
         this.avoidCrowding();
         // Re-evaluate more frequently when urgent
-        const reevaluateMs = (this.urgency && this.urgency > 0) ? 250 : 500;
+        const reactionTime = this.organism.phenotype.reactionTime;
+        const reevaluateMs = (this.urgency && this.urgency > 0) ? reactionTime * 0.5 : reactionTime;
         if (this.stateTimer > reevaluateMs) {
           this.seekFood();
           this.stateTimer = 0;
@@ -216,15 +280,16 @@ export class OrganismAI {
     const gradient = this.currentConcentration - this.previousConcentration;
 
     // Adjust tumble rate based on gradient
+    const baselineTumbleRate = this.organism.phenotype.tumbleRate;
     if (gradient > 0) {
       // Moving up gradient (favorable) - reduce tumble probability
-      this.tumbleRate = this.baselineTumbleRate * 0.3;
+      this.tumbleRate = baselineTumbleRate * 0.3;
     } else if (gradient < 0) {
       // Moving down gradient (unfavorable) - increase tumble probability
-      this.tumbleRate = this.baselineTumbleRate * 2.5;
+      this.tumbleRate = baselineTumbleRate * 2.5;
     } else {
       // No change - baseline tumble rate
-      this.tumbleRate = this.baselineTumbleRate;
+      this.tumbleRate = baselineTumbleRate;
     }
 
     // Increase tumble rate when urgent (more exploration)
@@ -232,6 +297,10 @@ export class OrganismAI {
       this.tumbleRate *= (1 + this.urgency);
     }
 
+    // Tumble more in hostile biome cells (hazards, hard going) so runs carry the organism out
+    const biome = this.world.getBiomeAt(this.organism.x, this.organism.y);
+    this.tumbleRate *= 1 + biome.hazard + Math.max(0, biome.movementCost - 1);
+
     // Run state
     if (this.runState === 'run') {
       // Move in current run direction
@@ -291,7 +360,7 @@ export class OrganismAI {
       const awayLen = Math.sqrt(awayX * awayX + awayY * awayY);
 
       if (awayLen > 0) {
-        const bias = 0.4;
+        const bias = this.organism.phenotype.explorationBias;
         this.runDirection.x = this.runDirection.x * (1 - bias) + (awayX / awayLen) * bias;
         this.runDirection.y = this.runDirection.y * (1 - bias) + (awayY / awayLen) * bias;
         this.normalizeVector(this.runDirection);
@@ -304,33 +373,55 @@ export class OrganismAI {
   }
 
   /**
-   * Find and seek nearest food
+   * Whether to stay still and photosynthesize: light where the organism is covers its resting
+   * metabolism and it is not hungry enough to forage
+   */
+  shouldBask() {
+    if (!(this.organism.phenotype.photosynthesis > 0) || (this.urgency || 0) > 0.5) return false;
+    return this.world.getPhotosynthesisYield(this.organism) >= this.organism.getRestingMetabolicCost();
+  }
+
+  /**
+   * Find and seek the most rewarding food: plant food and carrion are valued by the energy
+   * the organism's diet can digest per distance; hunters also consider prey they can overpower
    */
   seekFood() {
-    let nearestFood = null;
-    let nearestDistSq = Infinity;
+    const phenotype = this.organism.phenotype;
+    let bestFood = null;
+    let bestValue = 0;
 
     // Expand search when urgent; at very high urgency, use large search
     const vision = (this.urgency && this.urgency > 0.7)
       ? Math.max(this.world.width, this.world.height)
-      : this.organism.phenotype.visionRange * (1 + (this.urgency || 0) * 0.75);
-
-    // Use spatial grid lookup
-    const nearbyFood = this.world.getFoodNear(this.organism.x, this.organism.y, vision);
-
-    for (const food of nearbyFood) {
-      const dx = food.x - this.organism.x;
-      const dy = food.y - this.organism.y;
-      const distSq = dx * dx + dy * dy;
-
-      if (distSq < nearestDistSq) {
-        nearestDistSq = distSq;
-        nearestFood = food;
+      : this.world.getVisionRange(this.organism) * (1 + (this.urgency || 0) * 0.75);
+
+    // Plant food (spatial grid lookup) and carcasses (carrion)
+    const sources = [
+      [this.world.getFoodNear(this.organism.x, this.organism.y, vision), Diet.getDigestion(phenotype, 'plant')],
+      [this.world.getCarcassesNear(this.organism.x, this.organism.y, vision), Diet.getDigestion(phenotype, 'carrion')]
+    ];
+
+    for (const [foods, digestion] of sources) {
+      for (const food of foods) {
+        const dx = food.x - this.organism.x;
+        const dy = food.y - this.organism.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const value = food.energy * digestion / Math.max(1, distance);
+
+        if (value > bestValue) {
+          bestValue = value;
+          bestFood = food;
+        }
       }
     }
 
-    if (nearestFood) {
-      this.target = nearestFood;
+    const prey = this.findPrey();
+    if (prey && prey.value > bestValue) {
+      this.target = prey.organism;
+      this.state = 'attacking';
+      this.stateTimer = 0;
+    } else if (bestFood) {
+      this.target = bestFood;
       this.state = 'seeking_food';
     } else {
       // No food found - return to idle state for chemotaxis exploration
@@ -339,6 +430,35 @@ export class OrganismAI {
     }
   }
 
+  /**
+   * Most rewarding prey within vision: an organism of another species this organism can
+   * overpower (power advantage trait), valued by digestible meat per distance
+   * Only organisms with at least Diet.HUNTING_SHARE of their digestion in meat hunt.
+   * @returns {{ organism, value }|null}
+   */
+  findPrey() {
+    const phenotype = this.organism.phenotype;
+    if (Diet.getShares(phenotype).meat < Diet.HUNTING_SHARE) return null;
+
+    const myPower = phenotype.size + phenotype.toxicity * 10;
+    const digestion = Diet.getDigestion(phenotype, 'meat');
+    let best = null;
+
+    for (const other of this.world.getOrganismsNear(this.organism.x, this.organism.y, this.world.getVisionRange(this.organism))) {
+      if (other === this.organism || !other.isAlive || this.organism.isSameSpecies(other)) continue;
+      if (this.organism.isParentChildRelation(other)) continue;
+
+      const theirPower = other.phenotype.size + other.phenotype.toxicity * 10;
+      if (myPower < theirPower * phenotype.powerAdvantage) continue;
+
+      const value = other.phenotype.size * 10 * digestion / Math.max(1, this.organism.distanceTo(other));
+      if (!best || value > best.value) {
+        best = { organism: other, value };
+      }
+    }
+    return best;
+  }
+
   /**
    * Move toward current target
    */
@@ -389,7 +509,8 @@ export class OrganismAI {
   }
 
   /**
-   * Nudge away from walls to prevent getting stuck along edges
+   * Nudge away from walls and obstacles to prevent getting stuck along edges
+   * (near obstacles the nudge also slides sideways, steering around them)
    */
   avoidWalls() {
     const margin = Math.max(50, this.organism.phenotype.size * 3);
@@ -411,6 +532,11 @@ export class OrganismAI {
       fy -= ((y - (height - margin)) / margin) * 0.8;
     }
 
+    const heading = Math.atan2(this.organism.vy, this.organism.vx);
+    const obstacles = this.world.getObstacleRepulsion(x, y, margin, heading);
+    fx += obstacles.x * 0.8;
+    fy += obstacles.y * 0.8;
+
     if (fx !== 0 || fy !== 0) {
       const k = 0.6; // Reduced wall avoidance gain
       this.organism.move(fx * k, fy * k);
@@ -466,12 +592,12 @@ export class OrganismAI {
       const myPower = this.organism.phenotype.size + this.organism.phenotype.toxicity * 10;
       const theirPower = other.phenotype.size + other.phenotype.toxicity * 10;
 
-      // Aggressive organisms attack if stronger; thresholds tuned to phenotype cap (~0.3)
-      const baseAggression = this.organism.phenotype.aggression;
-      // Lower baseline threshold and allow urgency to reduce it slightly (but not below 0.15)
-      const attackAggressionThreshold = Math.max(0.15, 0.25 - (this.urgency || 0) * 0.15);
-      // Require modest power advantage; at high urgency allow near-parity but not disadvantage
-      const powerAdvantage = Math.max(0.95, 1.1 - (this.urgency || 0) * 0.3);
+      // Aggressive organisms attack if stronger; thresholds are heritable behavior traits
+      const { aggression: baseAggression, attackThreshold, powerAdvantage: requiredAdvantage, fleeRatio } = this.organism.phenotype;
+      // Urgency lowers the aggression threshold slightly (but not below 60% of it)
+      const attackAggressionThreshold = Math.max(attackThreshold * 0.6, attackThreshold - (this.urgency || 0) * 0.15);
+      // At high urgency allow a smaller power advantage (down by at most 0.15)
+      const powerAdvantage = Math.max(requiredAdvantage - 0.15, requiredAdvantage - (this.urgency || 0) * 0.3);
       if (baseAggression >= attackAggressionThreshold && myPower >= theirPower * powerAdvantage) {
         if (distance < this.organism.phenotype.size * 3) {
           this.target = other;
@@ -480,7 +606,7 @@ export class OrganismAI {
         }
       }
       // Flee if much weaker
-      else if (theirPower > myPower * 1.5 && distance < this.organism.phenotype.size * 4) {
+      else if (theirPower > myPower * fleeRatio && distance < this.organism.phenotype.size * 4) {
         this.target = other;
         this.state = 'fleeing';
         this.stateTimer = 0;
@@ -510,8 +636,13 @@ export class OrganismAI {
    * Try to reproduce if conditions are met
    */
   tryReproduce() {
+    // In sexual mode offspring only arise from mating on contact (see World.tryMating)
+    if (this.world.sexualReproduction) {
+      return null;
+    }
+
     if (this.organism.canReproduce() && Math.random() < 0.01) {
-      return this.organism.reproduce(this.world.mutationRate || 0.05, this.world);
+      return this.organism.reproduce(this.world.mutationModel, this.world);
     }
     return null;
   }
@@ -1,6 +1,7 @@
 /**
  * GenealogyTracker - Tracks species lineage and evolutionary history
- * Creates a family tree of species showing mutations and branching
+ * Creates a family tree of species showing mutations and branching, plus reticulate
+ * edges where genes crossed species boundaries (horizontal gene transfer)
  */
 export class GenealogyTracker {
   constructor() {
@@ -10,6 +11,10 @@ export class GenealogyTracker {
     // Root species (initial population)
     this.rootSpecies = new Set();
 
+    // Reticulate (non-tree) edges from horizontal gene transfer between species
+    // Map of "donorId->recipientId" -> { donorSpeciesId, recipientSpeciesId, count, modes, genes, lastTime }
+    this.transferEdges = new Map();
+
     // Track which organisms we've seen to detect new species
     this.seenOrganisms = new Set();
 
@@ -58,6 +63,9 @@ export class GenealogyTracker {
       currentPopulation: 0,
       maxPopulation: 0,
       representative: representative, // Store a sample organism for rendering
+      // Origin: 'sexual' if the founder was born from two parents (recombination)
+      originMode: representative?.mateId != null ? 'sexual' : 'asexual',
+      mateId: representative?.mateId ?? null,
       // Visual properties for thumbnail
       color: representative?.phenotype?.color || { h: 180, s: 60, l: 50 },
       phenotype: representative?.phenotype || null,
@@ -175,6 +183,41 @@ export class GenealogyTracker {
     this.emit('species-born', { speciesId, parentSpeciesId, node });
   }
 
+  /**
+   * Record a horizontal gene transfer between two species
+   * @param {number} donorSpeciesId - Species the gene came from
+   * @param {number} recipientSpeciesId - Species that received it
+   * @param {string} mode - 'conjugation', 'transformation' or 'transduction'
+   * @param {string} geneName - Gene name in the recipient genome
+   */
+  recordTransfer(donorSpeciesId, recipientSpeciesId, mode, geneName) {
+    const key = `${donorSpeciesId}->${recipientSpeciesId}`;
+    let edge = this.transferEdges.get(key);
+    if (!edge) {
+      edge = {
+        donorSpeciesId,
+        recipientSpeciesId,
+        count: 0,
+        modes: { conjugation: 0, transformation: 0, transduction: 0 },
+        genes: new Set(),
+        lastTime: 0
+      };
+      this.transferEdges.set(key, edge);
+    }
+
+    edge.count++;
+    edge.modes[mode] = (edge.modes[mode] || 0) + 1;
+    edge.genes.add(geneName);
+    edge.lastTime = Date.now();
+  }
+
+  /**
+   * Get all reticulate gene transfer edges
+   */
+  getTransferEdges() {
+    return Array.from(this.transferEdges.values());
+  }
+
   /**
    * Get all root species (initial species with no parents)
    */
@@ -213,6 +256,8 @@ export class GenealogyTracker {
 
     return {
       totalSpecies: all.length,
+      sexualOrigins: all.filter(node => node.originMode === 'sexual').length,
+      transferEdges: this.transferEdges.size,
       aliveSpecies: alive.length,
       extinctSpecies: extinct.length,
       rootSpecies: this.rootSpecies.size,
@@ -348,6 +393,7 @@ export class GenealogyTracker {
   clear() {
     this.speciesNodes.clear();
     this.rootSpecies.clear();
+    this.transferEdges.clear();
     this.seenOrganisms.clear();
     this.lastCheckTime = 0;
   }
@@ -1,3 +1,5 @@
+import { Diet } from '../../core/organisms/Diet.js';
+
 /**
  * StatisticsTracker - Tracks time-series data for simulation statistics
  * Collects data at configurable intervals to avoid performance overhead
@@ -19,12 +21,54 @@ export class StatisticsTracker {
       averageEnergy: [],
       combatKills: [], // Cumulative combat kills over time
       cooperationEvents: [], // Cumulative cooperation events over time
+      matingEvents: [], // Cumulative sexual reproduction events over time
       averageGenomeLength: [], // Average genetic complexity over time
+      averageHeterozygosity: [], // Mean fraction of heterozygous loci (0 for haploid populations)
+      neuralOrganisms: [], // Organisms controlled by a neural network brain
+      ruleBasedOrganisms: [], // Organisms controlled by the rule-based AI
+      autotrophs: [], // Organisms per trophic guild (Diet.getGuild)
+      herbivores: [],
+      carnivores: [],
+      scavengers: [],
+      omnivores: [],
+      averageTrophicLevel: [], // Mean trophic level of living organisms
+      plantEnergy: [], // Cumulative energy absorbed per food source (food web flows)
+      meatEnergy: [],
+      carrionEnergy: [],
+      lightEnergy: [], // Cumulative energy from photosynthesis
+      daylight: [], // Day/night cycle (1 day, 0 night; see EnvironmentClock)
+      season: [], // Season index (0 spring - 3 winter, -1 with the cycles off)
+      migrants: [], // Cumulative crossings of section walls
     };
 
+    // Latest section snapshot: migrants per wall and species composition per section
+    this.sections = { walls: [], composition: [] };
+
+    // Environmental events (see WorldEvents): [{ time, type, label, summary }], oldest first
+    this.events = [];
+    this.maxEvents = 200;
+
     // Cumulative counters (not reset between samples)
     this.totalCombatKills = 0;
     this.totalCooperationEvents = 0;
+    this.totalMatingEvents = 0;
+  }
+
+  /**
+   * Log an environmental event (charts mark it at its world time)
+   */
+  recordEvent(event) {
+    this.events.push(event);
+    if (this.events.length > this.maxEvents) {
+      this.events.shift();
+    }
+  }
+
+  /**
+   * Get the event log
+   */
+  getEvents() {
+    return this.events;
   }
 
   /**
@@ -92,6 +136,25 @@ export class StatisticsTracker {
       ? aliveOrganisms.reduce((sum, org) => sum + Object.keys(org.genome.genes).length, 0) / aliveOrganisms.length
       : 0;
 
+    // Calculate average heterozygosity (fraction of loci with two different alleles)
+    const averageHeterozygosity = aliveOrganisms.length > 0
+      ? aliveOrganisms.reduce((sum, org) => sum + org.getHeterozygosity(), 0) / aliveOrganisms.length
+      : 0;
+
+    // Count neural vs rule-based organisms (brain section of the genome)
+    const neuralOrganisms = aliveOrganisms.filter(org => org.genome.brain).length;
+
+    // Count organisms per trophic guild and average their trophic levels
+    const guilds = { autotroph: 0, herbivore: 0, carnivore: 0, scavenger: 0, omnivore: 0 };
+    let trophicLevelSum = 0;
+    for (const org of aliveOrganisms) {
+      guilds[Diet.getGuild(org.phenotype)]++;
+      trophicLevelSum += org.getTrophicLevel();
+    }
+    const averageTrophicLevel = aliveOrganisms.length > 0 ? trophicLevelSum / aliveOrganisms.length : 0;
+    const energyFlow = world.energyFlow ?? { plant: 0, meat: 0, carrion: 0, light: 0 };
+    const clock = world.clock ?? { daylight: 1, season: -1 };
+
     // Update cumulative combat kills from world
     if (world.combatKills !== undefined) {
       this.totalCombatKills = world.combatKills;
@@ -102,6 +165,11 @@ export class StatisticsTracker {
       this.totalCooperationEvents = world.cooperationEvents;
     }
 
+    // Update cumulative mating events from world
+    if (world.matingEvents !== undefined) {
+      this.totalMatingEvents = world.matingEvents;
+    }
+
     // Add data points
     this.data.time.push(world.time);
     this.data.aliveOrganisms.push(aliveOrganisms.length);
@@ -111,7 +179,28 @@ export class StatisticsTracker {
     this.data.averageEnergy.push(averageEnergy);
     this.data.combatKills.push(this.totalCombatKills);
     this.data.cooperationEvents.push(this.totalCooperationEvents);
+    this.data.matingEvents.push(this.totalMatingEvents);
     this.data.averageGenomeLength.push(averageGenomeLength);
+    this.data.averageHeterozygosity.push(averageHeterozygosity);
+    this.data.neuralOrganisms.push(neuralOrganisms);
+    this.data.ruleBasedOrganisms.push(aliveOrganisms.length - neuralOrganisms);
+    this.data.autotrophs.push(guilds.autotroph);
+    this.data.herbivores.push(guilds.herbivore);
+    this.data.carnivores.push(guilds.carnivore);
+    this.data.scavengers.push(guilds.scavenger);
+    this.data.omnivores.push(guilds.omnivore);
+    this.data.averageTrophicLevel.push(averageTrophicLevel);
+    this.data.plantEnergy.push(energyFlow.plant);
+    this.data.meatEnergy.push(energyFlow.meat);
+    this.data.carrionEnergy.push(energyFlow.carrion);
+    this.data.lightEnergy.push(energyFlow.light);
+    this.data.daylight.push(clock.daylight);
+    this.data.season.push(clock.season);
+    this.data.migrants.push(Object.values(world.migrations ?? {}).reduce((sum, count) => sum + count, 0));
+
+    if (world.separationSections > 1) {
+      this.sections = this.getSectionReport(world, aliveOrganisms);
+    }
 
     // Limit data points to prevent memory issues
     if (this.data.time.length > this.maxDataPoints) {
@@ -122,6 +211,35 @@ export class StatisticsTracker {
     }
   }
 
+  /**
+   * Migrants per wall (both directions) and species composition of each section
+   * @returns {Object} { walls: [{ id, a, b, permeability, asymmetry, forward, backward }],
+   *   composition: [[{ speciesId, name, emoji, count }]] (one list per section, most common first) }
+   */
+  getSectionReport(world, aliveOrganisms) {
+    const migrations = world.migrations ?? {};
+    const walls = world.getSectionWalls().map(({ id, a, b, permeability, asymmetry }) => ({
+      id, a, b, permeability, asymmetry,
+      forward: migrations[`${a}>${b}`] ?? 0,
+      backward: migrations[`${b}>${a}`] ?? 0
+    }));
+
+    const sections = Array.from({ length: world.separationSections }, () => new Map());
+    for (const org of aliveOrganisms) {
+      const section = sections[org._assignedSection];
+      if (!section) continue;
+      const speciesId = org.getSpeciesId();
+      if (!section.has(speciesId)) {
+        const { name, emoji } = org.getSpeciesInfo();
+        section.set(speciesId, { speciesId, name, emoji, count: 0 });
+      }
+      section.get(speciesId).count++;
+    }
+    const composition = sections.map(section => [...section.values()].sort((a, b) => b.count - a.count));
+
+    return { walls, composition };
+  }
+
   /**
    * Get all collected data
    */
@@ -144,7 +262,24 @@ export class StatisticsTracker {
         averageEnergy: 0,
         combatKills: 0,
         cooperationEvents: 0,
+        matingEvents: 0,
         averageGenomeLength: 0,
+        averageHeterozygosity: 0,
+        neuralOrganisms: 0,
+        ruleBasedOrganisms: 0,
+        autotrophs: 0,
+        herbivores: 0,
+        carnivores: 0,
+        scavengers: 0,
+        omnivores: 0,
+        averageTrophicLevel: 0,
+        plantEnergy: 0,
+        meatEnergy: 0,
+        carrionEnergy: 0,
+        lightEnergy: 0,
+        daylight: 1,
+        season: -1,
+        migrants: 0,
       };
     }
 
@@ -157,7 +292,24 @@ export class StatisticsTracker {
       averageEnergy: this.data.averageEnergy[len - 1],
       combatKills: this.data.combatKills[len - 1],
       cooperationEvents: this.data.cooperationEvents[len - 1],
+      matingEvents: this.data.matingEvents[len - 1],
       averageGenomeLength: this.data.averageGenomeLength[len - 1],
+      averageHeterozygosity: this.data.averageHeterozygosity[len - 1],
+      neuralOrganisms: this.data.neuralOrganisms[len - 1],
+      ruleBasedOrganisms: this.data.ruleBasedOrganisms[len - 1],
+      autotrophs: this.data.autotrophs[len - 1],
+      herbivores: this.data.herbivores[len - 1],
+      carnivores: this.data.carnivores[len - 1],
+      scavengers: this.data.scavengers[len - 1],
+      omnivores: this.data.omnivores[len - 1],
+      averageTrophicLevel: this.data.averageTrophicLevel[len - 1],
+      plantEnergy: this.data.plantEnergy[len - 1],
+      meatEnergy: this.data.meatEnergy[len - 1],
+      carrionEnergy: this.data.carrionEnergy[len - 1],
+      lightEnergy: this.data.lightEnergy[len - 1],
+      daylight: this.data.daylight[len - 1],
+      season: this.data.season[len - 1],
+      migrants: this.data.migrants[len - 1],
     };
   }
 
@@ -168,9 +320,12 @@ export class StatisticsTracker {
     for (const key in this.data) {
       this.data[key] = [];
     }
+    this.events = [];
+    this.sections = { walls: [], composition: [] };
     this.lastSampleTime = 0;
     this.totalCombatKills = 0;
     this.totalCooperationEvents = 0;
+    this.totalMatingEvents = 0;
   }
 
   /**
@@ -192,7 +347,9 @@ export class StatisticsTracker {
         sampleFrequency: this.sampleFrequency,
         maxDataPoints: this.maxDataPoints
       },
-      data: this.data
+      data: this.data,
+      events: this.events,
+      sections: this.sections
     }, null, 2);
   }
 
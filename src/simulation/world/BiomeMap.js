@@ -0,0 +1,178 @@
+/**
+ * BiomeMap - Grid of biome cells covering the world
+ *
+ * Each cell holds one biome type whose conditions apply to everything in it:
+ * - temperature: multiplier of the world temperature (metabolism and gene regulation)
+ * - productivity: relative chance that spawned food lands in the cell
+ * - movementCost: multiplier of movement energy cost and drag (thick water slows organisms)
+ * - hazard: energy lost per second (toxic or scalding water)
+ *
+ * The grid has a fixed number of columns and rows and is stretched over the world, so it
+ * survives world resizes. Maps are uniform (open water everywhere, the classic world),
+ * generated from seeded value noise, or painted cell by cell.
+ */
+export class BiomeMap {
+  static COLUMNS = 64;
+  static ROWS = 36;
+
+  // Biome types; color is drawn over the water background (open water has none)
+  static BIOMES = {
+    open: { name: 'Open Water', color: null, temperature: 1, productivity: 1, movementCost: 1, hazard: 0 },
+    kelp: { name: 'Kelp Forest', color: '#2e7d32', temperature: 0.9, productivity: 2, movementCost: 1.6, hazard: 0 },
+    shallows: { name: 'Warm Shallows', color: '#26a69a', temperature: 1.3, productivity: 1.4, movementCost: 1, hazard: 0 },
+    cold: { name: 'Cold Current', color: '#3949ab', temperature: 0.6, productivity: 0.5, movementCost: 0.8, hazard: 0 },
+    barren: { name: 'Barren Flats', color: '#8d6e63', temperature: 1.1, productivity: 0.2, movementCost: 1.2, hazard: 0 },
+    vent: { name: 'Hydrothermal Vent', color: '#d84315', temperature: 1.8, productivity: 1.2, movementCost: 1, hazard: 3 }
+  };
+
+  // Biome ids in cell index order
+  static BIOME_IDS = Object.keys(BiomeMap.BIOMES);
+
+  /**
+   * @param {Uint8Array|null} cells - Biome index per cell, row by row (null = all open water)
+   */
+  constructor(cells = null) {
+    this.cells = cells ?? new Uint8Array(BiomeMap.COLUMNS * BiomeMap.ROWS);
+    this.version = 0; // Incremented on every change (render caching)
+    this.maxProductivity = this.computeMaxProductivity();
+  }
+
+  /**
+   * Biome id of the cell at a world position
+   */
+  getBiomeIdAt(x, y, width, height) {
+    const col = Math.max(0, Math.min(BiomeMap.COLUMNS - 1, Math.floor(x / width * BiomeMap.COLUMNS)));
+    const row = Math.max(0, Math.min(BiomeMap.ROWS - 1, Math.floor(y / height * BiomeMap.ROWS)));
+    return BiomeMap.BIOME_IDS[this.cells[row * BiomeMap.COLUMNS + col]];
+  }
+
+  /**
+   * Conditions of the cell at a world position
+   */
+  getBiomeAt(x, y, width, height) {
+    return BiomeMap.BIOMES[this.getBiomeIdAt(x, y, width, height)];
+  }
+
+  /**
+   * Highest productivity on the map (food placement uses it for rejection sampling)
+   */
+  computeMaxProductivity() {
+    let max = 0;
+    for (const index of new Set(this.cells)) {
+      max = Math.max(max, BiomeMap.BIOMES[BiomeMap.BIOME_IDS[index]].productivity);
+    }
+    return max;
+  }
+
+  /**
+   * Paint a disc of cells around a world position
+   * @param {string} biomeId - Key of BIOMES
+   * @param {number} radius - Brush radius in cells
+   */
+  paint(x, y, width, height, biomeId, radius = 1) {
+    const index = BiomeMap.BIOME_IDS.indexOf(biomeId);
+    if (index < 0) throw new Error(`Unknown biome "${biomeId}"`);
+
+    const centerCol = x / width * BiomeMap.COLUMNS;
+    const centerRow = y / height * BiomeMap.ROWS;
+    for (let row = Math.floor(centerRow - radius); row <= Math.ceil(centerRow + radius); row++) {
+      for (let col = Math.floor(centerCol - radius); col <= Math.ceil(centerCol + radius); col++) {
+        if (row < 0 || row >= BiomeMap.ROWS || col < 0 || col >= BiomeMap.COLUMNS) continue;
+        if (Math.hypot(col + 0.5 - centerCol, row + 0.5 - centerRow) > radius) continue;
+        this.cells[row * BiomeMap.COLUMNS + col] = index;
+      }
+    }
+    this.maxProductivity = this.computeMaxProductivity();
+    this.version++;
+  }
+
+  /**
+   * Compact text form of the cells (one character per cell) for saved settings
+   */
+  encode() {
+    return Array.from(this.cells, cell => cell.toString(36)).join('');
+  }
+
+  /**
+   * Map from encode() text; invalid text gives a uniform map
+   */
+  static decode(text) {
+    const cells = new Uint8Array(BiomeMap.COLUMNS * BiomeMap.ROWS);
+    if (typeof text === 'string' && text.length === cells.length) {
+      for (let i = 0; i < cells.length; i++) {
+        const index = parseInt(text[i], 36);
+        cells[i] = index < BiomeMap.BIOME_IDS.length ? index : 0;
+      }
+    }
+    return new BiomeMap(cells);
+  }
+
+  /**
+   * Procedural map from seeded value noise: a temperature field places cold currents and
+   * warm shallows, a fertility field kelp forests and barren flats, and rare peaks of a
+   * third field hydrothermal vents
+   */
+  static generate(seed = 1) {
+    const cells = new Uint8Array(BiomeMap.COLUMNS * BiomeMap.ROWS);
+    const index = id => BiomeMap.BIOME_IDS.indexOf(id);
+
+    for (let row = 0; row < BiomeMap.ROWS; row++) {
+      for (let col = 0; col < BiomeMap.COLUMNS; col++) {
+        const warmth = BiomeMap.fractalNoise(col / 16, row / 16, seed);
+        const fertility = BiomeMap.fractalNoise(col / 10, row / 10, seed + 101);
+        const activity = BiomeMap.fractalNoise(col / 5, row / 5, seed + 202);
+
+        let biome = 'open';
+        if (activity > 0.78) biome = 'vent';
+        else if (warmth < 0.32) biome = 'cold';
+        else if (warmth > 0.7) biome = 'shallows';
+        else if (fertility > 0.66) biome = 'kelp';
+        else if (fertility < 0.3) biome = 'barren';
+        cells[row * BiomeMap.COLUMNS + col] = index(biome);
+      }
+    }
+    return new BiomeMap(cells);
+  }
+
+  /**
+   * Three octaves of value noise (0-1)
+   */
+  static fractalNoise(x, y, seed) {
+    let value = 0;
+    let amplitude = 0.5;
+    let total = 0;
+    for (let octave = 0; octave < 3; octave++) {
+      const frequency = 2 ** octave;
+      value += amplitude * BiomeMap.valueNoise(x * frequency, y * frequency, seed + octave * 17);
+      total += amplitude;
+      amplitude /= 2;
+    }
+    return value / total;
+  }
+
+  /**
+   * Smoothly interpolated random values on an integer lattice (0-1)
+   */
+  static valueNoise(x, y, seed) {
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const smooth = t => t * t * (3 - 2 * t);
+    const sx = smooth(x - x0);
+    const sy = smooth(y - y0);
+    const lerp = (a, b, t) => a + (b - a) * t;
+
+    const top = lerp(BiomeMap.hash(x0, y0, seed), BiomeMap.hash(x0 + 1, y0, seed), sx);
+    const bottom = lerp(BiomeMap.hash(x0, y0 + 1, seed), BiomeMap.hash(x0 + 1, y0 + 1, seed), sx);
+    return lerp(top, bottom, sy);
+  }
+
+  /**
+   * Deterministic pseudo-random value (0-1) of a lattice point
+   */
+  static hash(x, y, seed) {
+    let h = Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ Math.imul(seed, 2147483647);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+  }
+}
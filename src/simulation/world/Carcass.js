@@ -0,0 +1,85 @@
+/**
+ * Carcass - Remains of a dead organism
+ *
+ * Holds energy proportional to the organism's body size and decays over decayTime:
+ * the lost energy is released into the environment as nutrient particles (plant food)
+ * that carry the dead organism's DNA for transformation. Organisms touching the carcass
+ * bite off carrion at a rate set by their carrion digestion (see Diet), so scavengers
+ * strip it quickly and herbivores barely touch it. A carcass can keep the organism's
+ * toxicity, which poisons eaters in proportion to how much of it they eat.
+ */
+export class Carcass {
+  // Energy per unit of body size
+  static ENERGY_PER_SIZE = 5;
+
+  // Energy of each nutrient particle released by decay
+  static NUTRIENT_ENERGY = 10;
+
+  // Damage dealt by eating a whole carcass per unit of its toxicity (reduced by the eater's own toxicity)
+  static TOXIN_DAMAGE = 40;
+
+  // Energy bitten off per ms of contact per unit of carrion digestion (0 to Diet.DIGESTION_BUDGET)
+  static BITE_RATE = 0.01;
+
+  // Eaters with less carrion digestion than this do not feed on carcasses
+  static MIN_DIGESTION = 0.1;
+
+  /**
+   * @param {Organism} organism - The dead organism
+   * @param {number} decayTime - Time (ms) until the carcass has fully decomposed
+   * @param {boolean} toxic - Whether the carcass keeps the organism's toxicity
+   */
+  constructor(organism, decayTime, toxic = true) {
+    const phenotype = organism.phenotype;
+    this.x = organism.x;
+    this.y = organism.y;
+    this.size = phenotype.size;
+    this.color = phenotype.color;
+    this.initialEnergy = phenotype.size * Carcass.ENERGY_PER_SIZE;
+    this.energy = this.initialEnergy;
+    this.toxicity = toxic ? phenotype.toxicity : 0;
+    this.trophicLevel = organism.getTrophicLevel();
+    this.decayTime = decayTime;
+    this.age = 0;
+    this.releasedEnergy = 0; // Decayed energy not yet released as a nutrient particle
+    // Free DNA of the dead organism (transformation)
+    this.dna = {
+      genes: organism.genome.genes,
+      donorId: organism.id,
+      speciesId: organism.getSpeciesId()
+    };
+  }
+
+  /**
+   * Remaining fraction of the carcass (1 fresh, 0 decomposed)
+   */
+  get freshness() {
+    return Math.max(0, this.energy / this.initialEnergy);
+  }
+
+  /**
+   * Collision and rendering radius: shrinks as the carcass decays
+   */
+  get radius() {
+    return this.size * (0.4 + 0.6 * this.freshness);
+  }
+
+  get isDecomposed() {
+    return this.energy <= 0;
+  }
+
+  /**
+   * Decay for deltaTime
+   * @returns {number} Nutrient particles to release now (each NUTRIENT_ENERGY)
+   */
+  decay(deltaTime) {
+    this.age += deltaTime;
+    const lost = Math.min(this.energy, this.initialEnergy * deltaTime / Math.max(1, this.decayTime));
+    this.energy -= lost;
+    this.releasedEnergy += lost;
+
+    const particles = Math.floor(this.releasedEnergy / Carcass.NUTRIENT_ENERGY);
+    this.releasedEnergy -= particles * Carcass.NUTRIENT_ENERGY;
+    return particles;
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * EnvironmentClock - Day/night and seasonal cycles
+ *
+ * The clock turns world time into the state of the environment for the current moment:
+ * - daylight: 1 at day, 0 at night, with dawn and dusk in between (dims the light field)
+ * - season: spring, summer, autumn, winter; seasonFactor follows a sine from +1 at midsummer
+ *   to -1 at midwinter
+ * - temperature, food spawn rate and vision multipliers derived from both cycles
+ *
+ * World time 0 is dawn of the first day of spring. With the cycles disabled the state is a
+ * constant noon with all multipliers at 1, so the world behaves as without a clock.
+ */
+export class EnvironmentClock {
+  static SEASONS = [
+    { id: 'spring', name: 'Spring', icon: '🌱', color: '#8bc34a' },
+    { id: 'summer', name: 'Summer', icon: '☀️', color: '#ffc107' },
+    { id: 'autumn', name: 'Autumn', icon: '🍂', color: '#ff7043' },
+    { id: 'winter', name: 'Winter', icon: '❄️', color: '#90caf9' }
+  ];
+
+  // Nights are colder than days by this share of the seasonal temperature amplitude
+  static NIGHT_COOLING = 1 / 3;
+
+  /**
+   * State of the environment at a world time
+   * @param {number} time - World time (ms)
+   * @param {Object} cycles - World cycle settings (World.cycles)
+   * @returns {Object} { day, dayPhase, daylight, season, seasonPhase, seasonFactor,
+   *   temperatureFactor, foodFactor, visionFactor }
+   */
+  static getState(time, cycles) {
+    if (!cycles.enabled) {
+      return {
+        day: 0, dayPhase: 0.25, daylight: 1, season: -1, seasonPhase: 0, seasonFactor: 0,
+        temperatureFactor: 1, foodFactor: 1, visionFactor: 1
+      };
+    }
+
+    const days = time / cycles.dayLength;
+    const dayPhase = days % 1; // 0 dawn, 0.25 noon, 0.5 dusk, 0.75 midnight
+    const daylight = Math.max(0, Math.min(1, 0.5 + Math.sin(2 * Math.PI * dayPhase)));
+
+    const years = time / (cycles.seasonLength * EnvironmentClock.SEASONS.length);
+    const yearPhase = years % 1;
+    const seasonPosition = yearPhase * EnvironmentClock.SEASONS.length;
+    const season = Math.floor(seasonPosition);
+    // +1 in the middle of summer, -1 in the middle of winter
+    const seasonFactor = Math.cos(2 * Math.PI * (yearPhase - 0.375));
+
+    const temperatureSwing = seasonFactor + EnvironmentClock.NIGHT_COOLING * (2 * daylight - 1);
+
+    return {
+      day: Math.floor(days) + 1,
+      dayPhase,
+      daylight,
+      season,
+      seasonPhase: seasonPosition - season,
+      seasonFactor,
+      temperatureFactor: Math.max(0.1, 1 + cycles.temperatureAmplitude * temperatureSwing),
+      foodFactor: Math.max(0, 1 + cycles.foodAmplitude * seasonFactor),
+      visionFactor: cycles.nightVision + (1 - cycles.nightVision) * daylight
+    };
+  }
+}
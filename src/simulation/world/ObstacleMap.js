@@ -0,0 +1,249 @@
+/**
+ * ObstacleMap - User-drawn obstacles organisms cannot pass
+ *
+ * Obstacles are line segments (thin walls), closed polygons and circular rocks. They are
+ * stored as fractions of the world size (x of the width, y and circle radii of the height)
+ * so a layout survives world resizes, and turned into world-space shapes on demand:
+ * - segment: { type, x1, y1, x2, y2 } drawn with WALL_THICKNESS
+ * - polygon: { type, points: [{ x, y }, ...] } (closed, at least three points)
+ * - circle: { type, x, y, radius }
+ *
+ * getSurface gives the signed distance from a point to a shape's surface (negative inside)
+ * and the outward normal, which is all collisions, steering and food placement need.
+ */
+export class ObstacleMap {
+  static TYPES = {
+    segment: { name: 'Wall', icon: '📏' },
+    polygon: { name: 'Polygon', icon: '⬟' },
+    circle: { name: 'Rock', icon: '🪨' }
+  };
+
+  // Thickness of segment walls in world pixels
+  static WALL_THICKNESS = 8;
+
+  // Smallest obstacle worth keeping (world pixels; shorter segments and smaller rocks are dropped)
+  static MIN_SIZE = 5;
+
+  /**
+   * @param {Array<Object>} obstacles - Obstacles in world fractions (see toJSON)
+   */
+  constructor(obstacles = []) {
+    this.obstacles = obstacles;
+    this.version = 0; // Incremented on every change (shape caching)
+    this.cache = { key: null, shapes: [] };
+  }
+
+  /**
+   * Add an obstacle given in world coordinates
+   * @returns {boolean} Whether it was added (too small or malformed shapes are ignored)
+   */
+  add(shape, width, height) {
+    if (!ObstacleMap.isValid(shape)) return false;
+    this.obstacles.push(ObstacleMap.toFractions(shape, width, height));
+    this.version++;
+    return true;
+  }
+
+  /**
+   * Remove the topmost obstacle containing a world position
+   * @returns {boolean} Whether one was removed
+   */
+  removeAt(x, y, width, height) {
+    const shapes = this.getShapes(width, height);
+    for (let i = shapes.length - 1; i >= 0; i--) {
+      if (ObstacleMap.getSurface(shapes[i], x, y).distance <= 0) {
+        this.obstacles.splice(i, 1);
+        this.version++;
+        return true;
+      }
+    }
+    return false;
+  }
+
+  clear() {
+    this.obstacles = [];
+    this.version++;
+  }
+
+  /**
+   * World-space shapes with their bounding boxes (cached per world size and version)
+   */
+  getShapes(width, height) {
+    const key = `${width}x${height}@${this.version}`;
+    if (this.cache.key !== key) {
+      this.cache = {
+        key,
+        shapes: this.obstacles.map(obstacle => ObstacleMap.withBounds(ObstacleMap.toWorld(obstacle, width, height)))
+      };
+    }
+    return this.cache.shapes;
+  }
+
+  /**
+   * Shapes whose bounding box comes within a distance of a position
+   */
+  getShapesNear(x, y, distance, width, height) {
+    return this.getShapes(width, height).filter(({ bounds }) =>
+      x >= bounds.minX - distance && x <= bounds.maxX + distance &&
+      y >= bounds.minY - distance && y <= bounds.maxY + distance
+    );
+  }
+
+  /**
+   * Whether a world position lies inside an obstacle or within a margin of one
+   */
+  isBlocked(x, y, width, height, margin = 0) {
+    return this.getShapesNear(x, y, margin, width, height)
+      .some(shape => ObstacleMap.getSurface(shape, x, y).distance < margin);
+  }
+
+  /**
+   * Obstacles in world fractions, for saved settings and layouts
+   */
+  toJSON() {
+    return this.obstacles;
+  }
+
+  /**
+   * Map from toJSON() data; malformed entries are skipped
+   */
+  static fromJSON(data) {
+    if (!Array.isArray(data)) return new ObstacleMap();
+    return new ObstacleMap(data.filter(obstacle => ObstacleMap.isValid(obstacle, 0)).map(obstacle => structuredClone(obstacle)));
+  }
+
+  /**
+   * Whether a shape is well formed and at least minSize large (in the shape's own units)
+   */
+  static isValid(shape, minSize = ObstacleMap.MIN_SIZE) {
+    const finite = (...values) => values.every(Number.isFinite);
+    switch (shape?.type) {
+      case 'segment':
+        return finite(shape.x1, shape.y1, shape.x2, shape.y2) &&
+          Math.hypot(shape.x2 - shape.x1, shape.y2 - shape.y1) >= minSize;
+      case 'circle':
+        return finite(shape.x, shape.y, shape.radius) && shape.radius >= minSize;
+      case 'polygon':
+        return Array.isArray(shape.points) && shape.points.length >= 3 &&
+          shape.points.every(point => finite(point?.x, point?.y));
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Shape in world coordinates -> world fractions (circle radii are fractions of the height)
+   */
+  static toFractions(shape, width, height) {
+    return ObstacleMap.scale(shape, 1 / width, 1 / height);
+  }
+
+  /**
+   * Shape in world fractions -> world coordinates
+   */
+  static toWorld(obstacle, width, height) {
+    return ObstacleMap.scale(obstacle, width, height);
+  }
+
+  static scale(shape, sx, sy) {
+    switch (shape.type) {
+      case 'segment':
+        return { type: 'segment', x1: shape.x1 * sx, y1: shape.y1 * sy, x2: shape.x2 * sx, y2: shape.y2 * sy };
+      case 'circle':
+        return { type: 'circle', x: shape.x * sx, y: shape.y * sy, radius: shape.radius * sy };
+      default:
+        return { type: 'polygon', points: shape.points.map(({ x, y }) => ({ x: x * sx, y: y * sy })) };
+    }
+  }
+
+  /**
+   * World-space shape with its bounding box
+   */
+  static withBounds(shape) {
+    let xs;
+    let ys;
+    let pad = 0;
+    if (shape.type === 'segment') {
+      xs = [shape.x1, shape.x2];
+      ys = [shape.y1, shape.y2];
+      pad = ObstacleMap.WALL_THICKNESS / 2;
+    } else if (shape.type === 'circle') {
+      xs = [shape.x];
+      ys = [shape.y];
+      pad = shape.radius;
+    } else {
+      xs = shape.points.map(point => point.x);
+      ys = shape.points.map(point => point.y);
+    }
+    return {
+      ...shape,
+      bounds: {
+        minX: Math.min(...xs) - pad, maxX: Math.max(...xs) + pad,
+        minY: Math.min(...ys) - pad, maxY: Math.max(...ys) + pad
+      }
+    };
+  }
+
+  /**
+   * Signed distance from a point to a world-space shape's surface (negative inside) and the
+   * outward normal of the surface there
+   * @returns {Object} { distance, nx, ny }
+   */
+  static getSurface(shape, x, y) {
+    if (shape.type === 'circle') {
+      const dx = x - shape.x;
+      const dy = y - shape.y;
+      const length = Math.hypot(dx, dy);
+      if (length === 0) return { distance: -shape.radius, nx: 1, ny: 0 };
+      return { distance: length - shape.radius, nx: dx / length, ny: dy / length };
+    }
+
+    if (shape.type === 'segment') {
+      const closest = ObstacleMap.closestPointOnSegment(x, y, shape.x1, shape.y1, shape.x2, shape.y2);
+      const dx = x - closest.x;
+      const dy = y - closest.y;
+      const length = Math.hypot(dx, dy);
+      const halfThickness = ObstacleMap.WALL_THICKNESS / 2;
+      if (length === 0) {
+        // On the center line: leave sideways
+        const segmentLength = Math.hypot(shape.x2 - shape.x1, shape.y2 - shape.y1) || 1;
+        return { distance: -halfThickness, nx: -(shape.y2 - shape.y1) / segmentLength, ny: (shape.x2 - shape.x1) / segmentLength };
+      }
+      return { distance: length - halfThickness, nx: dx / length, ny: dy / length };
+    }
+
+    // Polygon: distance to the nearest edge, negative inside (even-odd rule)
+    const { points } = shape;
+    let best = null;
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[j];
+      const b = points[i];
+      const closest = ObstacleMap.closestPointOnSegment(x, y, a.x, a.y, b.x, b.y);
+      const length = Math.hypot(x - closest.x, y - closest.y);
+      if (!best || length < best.length) best = { ...closest, length };
+
+      if ((a.y > y) !== (b.y > y) && x < a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y)) {
+        inside = !inside;
+      }
+    }
+    const sign = inside ? -1 : 1;
+    if (best.length === 0) return { distance: 0, nx: 1, ny: 0 };
+    return {
+      distance: sign * best.length,
+      nx: sign * (x - best.x) / best.length,
+      ny: sign * (y - best.y) / best.length
+    };
+  }
+
+  /**
+   * Point of the segment (x1, y1)-(x2, y2) closest to (x, y)
+   */
+  static closestPointOnSegment(x, y, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared));
+    return { x: x1 + t * dx, y: y1 + t * dy };
+  }
+}
@@ -1,9 +1,20 @@
+import { GeneticCode } from '../../core/genetics/GeneticCode.js';
 import { Genome } from '../../core/genetics/Genome.js';
+import { NeuralGenome } from '../../core/genetics/NeuralGenome.js';
+import { MutationModel } from '../../core/genetics/mutations/MutationModel.js';
+import { Diet } from '../../core/organisms/Diet.js';
 import { Organism } from '../../core/organisms/Organism.js';
+import { Photosynthesis } from '../../core/organisms/Photosynthesis.js';
 import { ObjectPool } from '../../engine/performance/ObjectPool.js';
+import { NeuralAI } from '../ai/NeuralAI.js';
 import { OrganismAI } from '../ai/OrganismAI.js';
 import { SpeciesNaming } from '../species/SpeciesNaming.js';
 import { GenealogyTracker } from '../tracking/GenealogyTracker.js';
+import { BiomeMap } from './BiomeMap.js';
+import { Carcass } from './Carcass.js';
+import { EnvironmentClock } from './EnvironmentClock.js';
+import { ObstacleMap } from './ObstacleMap.js';
+import { WorldEvents } from './WorldEvents.js';
 import { StatisticsTracker } from '../tracking/StatisticsTracker.js';
 
 /**
@@ -11,6 +22,12 @@ import { StatisticsTracker } from '../tracking/StatisticsTracker.js';
  * Manages game state, collisions, and interactions
  */
 export class World {
+  // Maximum distance a transducing phage carries a gene
+  static TRANSDUCTION_RANGE = 150;
+
+  // Free space kept around obstacles when placing food and organisms
+  static OBSTACLE_CLEARANCE = 10;
+
   constructor(width = 800, height = 600) {
     this.width = width;
     this.height = height;
@@ -22,15 +39,65 @@ export class World {
 
     // World resources
     this.foodParticles = [];
+    this.carcasses = []; // Remains of dead organisms (see Carcass)
 
     // Environment parameters
     this.foodSpawnRate = 0.5;
     this.temperature = 1.0;
-    this.mutationRate = 0.05;
+    this.mutationModel = new MutationModel(); // Per-base rates, gene multipliers, hotspots, mutator gene
+    this.sexualReproduction = false; // Same-species organisms mate on contact (genome recombination)
+    this.mutationWeights = { ...Organism.MUTATION_WEIGHTS }; // Relative weights of mutation types
+    // Horizontal gene transfer probabilities: conjugation per contact per frame, transformation per
+    // eaten food particle carrying DNA, transduction events per second (phage-like); all off by default
+    this.horizontalTransfer = { conjugationRate: 0, transformationRate: 0, transductionRate: 0 };
+    // Heritable epigenetic marks from starvation, crowding and combat; each mark is erased in
+    // offspring with resetProbability (off by default: inheritance is purely genetic)
+    this.epigenetics = { enabled: false, resetProbability: 0.5 };
+    // Neural brains: fraction of the initial population controlled by an evolvable neural network
+    // instead of the rule-based AI, and how offspring network weights mutate (chance per weight, size)
+    this.neuralBrains = { fraction: 0, ...Organism.DEFAULT_BRAIN_MUTATION };
+    // Decomposition: time (ms) for a carcass to decay into nutrients, and whether carcasses
+    // keep the dead organism's toxicity (poisoning scavengers)
+    this.decomposition = { decayTime: 30000, toxicCarcasses: true };
+    // Light field for photosynthesis: overall light level (0-2) and how much it dims from the top
+    // of the world (0) to the bottom (depthFalloff), like light fading with water depth
+    this.light = { intensity: 1, depthFalloff: 0.6 };
+    // Biome layer: 'uniform' (open water everywhere), 'generated' (value noise from seed) or
+    // 'painted' (edited by the user); the cells are in biomeMap (see BiomeMap)
+    this.biomes = { mode: 'uniform', seed: 1 };
+    this.biomeMap = new BiomeMap();
+    // User-drawn walls, polygons and rocks organisms bounce off and food never spawns in
+    this.obstacleMap = new ObstacleMap();
+    // Day/night and seasonal cycles (see EnvironmentClock): day and season lengths (ms), how much
+    // seasons swing temperature and food spawning, and the share of vision left at midnight
+    this.cycles = {
+      enabled: false,
+      dayLength: 60000,
+      seasonLength: 120000,
+      temperatureAmplitude: 0.3,
+      foodAmplitude: 0.5,
+      nightVision: 0.5
+    };
+    this.clock = EnvironmentClock.getState(0, this.cycles); // Environment state at the current time
+    // Scripted events fired when the world time reaches them: [{ time (ms), type, params }] sorted by
+    // time (see WorldEvents), and the events currently in effect
+    this.eventSchedule = [];
+    this.activeEvents = [];
     this.initialPopulation = 10;
     this.initialFoodCount = 30; // Increased from 10 to 30
     this.initialSpecies = 1;
+    this.geneticCodeTable = 1; // NCBI translation table used by the initial population
+    this.ploidy = 1; // Alleles per gene in the initial population (1 = haploid, 2 = diploid)
+    this.dominanceModel = 'complete'; // Dominance between diploid alleles (see Genome.DOMINANCE_MODELS)
+    this.traitScenario = 'default'; // Scenario whose saved trait schema is active (see TraitSchema)
     this.separationSections = 1; // Number of sections for species segregation (1 = no separation)
+    // Walls between adjacent sections, keyed by wall id ("a-b", a < b; see getSectionWalls):
+    // permeability is the chance that an organism reaching the wall passes through (0 = closed,
+    // missing walls are closed) and asymmetry (-1 to 1) favors crossings from a to b (positive) or
+    // b to a (negative). walls holds the settings, wallState the current walls (changed by wall events
+    // and reset to the settings on restart)
+    this.walls = {};
+    this.wallState = {};
 
     // Spatial hash grid for collision optimization
     this.cellSize = 100; // Grid cell size in pixels
@@ -48,12 +115,13 @@ export class World {
 
     // Object pooling for food particles
     this.foodPool = new ObjectPool(
-      () => ({ x: 0, y: 0, energy: 0, radius: 0 }), // Factory
+      () => ({ x: 0, y: 0, energy: 0, radius: 0, dna: null }), // Factory
       (food) => { // Reset function
         food.x = 0;
         food.y = 0;
         food.energy = 0;
         food.radius = 0;
+        food.dna = null;
       },
       100 // Initial pool size
     );
@@ -67,9 +135,22 @@ export class World {
     // Combat statistics
     this.combatKills = 0;
 
+    // Organisms that crossed each section wall, keyed "from>to" (cumulative)
+    this.migrations = {};
+
+    // Energy absorbed from each food source (cumulative, see Diet)
+    this.energyFlow = { plant: 0, meat: 0, carrion: 0, light: 0 };
+
     // Cooperation statistics
     this.cooperationEvents = 0;
 
+    // Sexual reproduction statistics
+    this.matingEvents = 0;
+    this.pendingBirths = []; // Offspring born during collision resolution
+
+    // Horizontal gene transfer statistics
+    this.geneTransferEvents = 0;
+
     // Species tracking for phylotype-based speciation
     this.speciesFounders = new Map(); // Map of organism ID -> organism (species founders)
     this.speciationEvents = []; // Log of speciation events
@@ -82,11 +163,7 @@ export class World {
    * Get section boundaries for a given section index
    */
   getSectionBounds(sectionIndex) {
-    const sections = Math.max(1, this.separationSections);
-
-    // Calculate grid dimensions (try to make it as square as possible)
-    const cols = Math.ceil(Math.sqrt(sections));
-    const rows = Math.ceil(sections / cols);
+    const { cols, rows } = this.getSectionGrid();
 
     const sectionWidth = this.width / cols;
     const sectionHeight = this.height / rows;
@@ -102,6 +179,90 @@ export class World {
     };
   }
 
+  /**
+   * Columns and rows of the section grid (as square as possible)
+   */
+  getSectionGrid() {
+    const sections = Math.max(1, this.separationSections);
+    const cols = Math.ceil(Math.sqrt(sections));
+    return { cols, rows: Math.ceil(sections / cols) };
+  }
+
+  /**
+   * Section next to a section in a grid direction (dx, dy: -1, 0 or 1), or null at the world edge
+   */
+  getNeighborSection(sectionIndex, dx, dy) {
+    const { cols, rows } = this.getSectionGrid();
+    const col = sectionIndex % cols + dx;
+    const row = Math.floor(sectionIndex / cols) + dy;
+    if (col < 0 || col >= cols || row < 0 || row >= rows) return null;
+
+    const neighbor = row * cols + col;
+    return neighbor < this.separationSections ? neighbor : null;
+  }
+
+  /**
+   * Walls between adjacent sections, with their current permeability and asymmetry
+   * @returns {Array<Object>} [{ id, a, b, x1, y1, x2, y2, permeability, asymmetry }]
+   */
+  getSectionWalls() {
+    if (this.separationSections <= 1) return [];
+
+    const walls = [];
+    for (let a = 0; a < this.separationSections; a++) {
+      const bounds = this.getSectionBounds(a);
+      const right = this.getNeighborSection(a, 1, 0);
+      const below = this.getNeighborSection(a, 0, 1);
+      if (right !== null) {
+        walls.push({ a, b: right, x1: bounds.maxX, y1: bounds.minY, x2: bounds.maxX, y2: bounds.maxY });
+      }
+      if (below !== null) {
+        walls.push({ a, b: below, x1: bounds.minX, y1: bounds.maxY, x2: bounds.maxX, y2: bounds.maxY });
+      }
+    }
+    return walls.map(wall => {
+      const id = `${wall.a}-${wall.b}`;
+      return { id, ...wall, permeability: 0, asymmetry: 0, ...this.wallState[id] };
+    });
+  }
+
+  /**
+   * Chance that an organism reaching the wall between two sections crosses it from one to the other
+   */
+  getCrossingChance(from, to) {
+    const [a, b] = from < to ? [from, to] : [to, from];
+    const { permeability = 0, asymmetry = 0 } = this.wallState[`${a}-${b}`] ?? {};
+    const bias = from < to ? asymmetry : -asymmetry;
+    return Math.max(0, Math.min(1, permeability * (1 + bias)));
+  }
+
+  /**
+   * Change walls now (wall events); does not change the wall settings
+   * @param {string|null} wallId - Wall id, or null for every wall
+   * @param {Object} changes - { permeability, asymmetry }
+   */
+  setWallState(wallId, changes) {
+    const ids = wallId ? [wallId] : this.getSectionWalls().map(wall => wall.id);
+    for (const id of ids) {
+      this.wallState[id] = { ...this.wallState[id], ...changes };
+    }
+  }
+
+  /**
+   * Let an organism pushing against its section's wall migrate to the neighboring section
+   * @returns {boolean} Whether it crossed
+   */
+  tryMigrate(organism, dx, dy) {
+    const from = organism._assignedSection;
+    const to = this.getNeighborSection(from, dx, dy);
+    if (to === null || Math.random() >= this.getCrossingChance(from, to)) return false;
+
+    organism._assignedSection = to;
+    const key = `${from}>${to}`;
+    this.migrations[key] = (this.migrations[key] ?? 0) + 1;
+    return true;
+  }
+
   /**
    * Get grid cell key for position
    */
@@ -227,9 +388,10 @@ export class World {
       organism.setSpeciesInfo(speciesInfo);
     }
 
-    // Create AI for organism if not player
+    // Create AI for organism if not player (neural network if the genome carries a brain)
     if (!organism.isPlayer) {
-      this.organismAIs.set(organism, new OrganismAI(organism, this));
+      const ai = organism.genome.brain ? new NeuralAI(organism, this) : new OrganismAI(organism, this);
+      this.organismAIs.set(organism, ai);
     }
   }
 
@@ -304,6 +466,7 @@ export class World {
       founderId: newFounder.id,
       parentSpeciesId: oldSpeciesId,
       phenotype: { ...newFounder.phenotype },
+      sexual: newFounder.mateId !== null,
       speciesName: speciesInfo.name,
       parentSpeciesName: parentSpeciesInfo.name
     });
@@ -319,13 +482,15 @@ export class World {
 
   /**
    * Add food particle (uses object pooling)
+   * @param {Object} dna - Free DNA left by a dead organism: { genes, donorId, speciesId } (transformation)
    */
-  addFood(x, y, energy = 20) {
+  addFood(x, y, energy = 20, dna = null) {
     const food = this.foodPool.acquire();
     food.x = x;
     food.y = y;
     food.energy = energy;
     food.radius = 5 + energy / 10;
+    food.dna = dna;
 
     this.foodParticles.push(food);
     this.addFoodToGrid(food);
@@ -336,8 +501,7 @@ export class World {
    */
   spawnRandomFood(count = 1) {
     for (let i = 0; i < count; i++) {
-      const x = Math.random() * this.width;
-      const y = Math.random() * this.height;
+      const { x, y } = this.getRandomFoodPosition();
       const energy = 10 + Math.random() * 20;
       this.addFood(x, y, energy);
     }
@@ -359,6 +523,9 @@ export class World {
       const clampedX = Math.max(20, Math.min(this.width - 20, x));
       const clampedY = Math.max(20, Math.min(this.height - 20, y));
 
+      // No food inside obstacles
+      if (this.isBlocked(clampedX, clampedY, World.OBSTACLE_CLEARANCE)) continue;
+
       const energy = 15 + Math.random() * 15;
       this.addFood(clampedX, clampedY, energy);
     }
@@ -369,9 +536,161 @@ export class World {
    */
   spawnRandomFoodClusters(clusterCount = 1, foodPerCluster = 5) {
     for (let i = 0; i < clusterCount; i++) {
-      const centerX = Math.random() * this.width;
-      const centerY = Math.random() * this.height;
-      this.spawnFoodCluster(centerX, centerY, foodPerCluster);
+      const center = this.getRandomFoodPosition();
+      this.spawnFoodCluster(center.x, center.y, foodPerCluster);
+    }
+  }
+
+  /**
+   * Random position for new food, weighted by the productivity of the biome cells
+   * (rejection sampling; every position is accepted on a uniform map)
+   */
+  getRandomFoodPosition() {
+    const maxProductivity = this.biomeMap.maxProductivity;
+    let position = null;
+    for (let attempt = 0; attempt < 20; attempt++) {
+      const x = Math.random() * this.width;
+      const y = Math.random() * this.height;
+      if (this.isBlocked(x, y, World.OBSTACLE_CLEARANCE)) continue;
+      position = { x, y };
+      if (Math.random() * maxProductivity < this.getBiomeAt(x, y).productivity) break;
+    }
+    return position ?? { x: Math.random() * this.width, y: Math.random() * this.height };
+  }
+
+  /**
+   * Conditions of the biome cell at a position (see BiomeMap.BIOMES)
+   */
+  getBiomeAt(x, y) {
+    return this.biomeMap.getBiomeAt(x, y, this.width, this.height);
+  }
+
+  /**
+   * Paint biome cells around a position (switches the map to 'painted')
+   * @param {string} biomeId - Key of BiomeMap.BIOMES
+   * @param {number} radius - Brush radius in cells
+   */
+  paintBiome(x, y, biomeId, radius = 1) {
+    this.biomeMap.paint(x, y, this.width, this.height, biomeId, radius);
+    this.biomes = { ...this.biomes, mode: 'painted' };
+  }
+
+  /**
+   * Rebuild the biome map for the current biome settings
+   * @param {string|null} cells - Encoded cells of a painted map (BiomeMap.encode)
+   */
+  buildBiomeMap(cells = null) {
+    const { mode, seed } = this.biomes;
+    if (mode === 'generated') {
+      this.biomeMap = BiomeMap.generate(seed);
+    } else if (mode === 'painted') {
+      if (cells) this.biomeMap = BiomeMap.decode(cells);
+    } else {
+      this.biomeMap = new BiomeMap();
+    }
+  }
+
+  /**
+   * Add an obstacle given in world coordinates (see ObstacleMap) and clear the food inside it
+   * @returns {boolean} Whether it was added
+   */
+  addObstacle(shape) {
+    const added = this.obstacleMap.add(shape, this.width, this.height);
+    if (added) this.removeFoodInObstacles();
+    return added;
+  }
+
+  /**
+   * Remove the obstacle at a position
+   * @returns {boolean} Whether one was removed
+   */
+  removeObstacleAt(x, y) {
+    return this.obstacleMap.removeAt(x, y, this.width, this.height);
+  }
+
+  /**
+   * World-space obstacle shapes (see ObstacleMap.getShapes)
+   */
+  getObstacles() {
+    return this.obstacleMap.getShapes(this.width, this.height);
+  }
+
+  /**
+   * Whether a position is inside an obstacle or within a margin of one
+   */
+  isBlocked(x, y, margin = 0) {
+    if (this.obstacleMap.obstacles.length === 0) return false;
+    return this.obstacleMap.isBlocked(x, y, this.width, this.height, margin);
+  }
+
+  /**
+   * Push away from obstacles within a margin of a position (0 beyond the margin, 1 at a surface),
+   * with a sideways share that follows the heading so movers slide around obstacles
+   * @param {number} heading - Current direction of travel (radians)
+   * @returns {Object} { x, y }
+   */
+  getObstacleRepulsion(x, y, margin, heading = 0) {
+    let fx = 0;
+    let fy = 0;
+    if (this.obstacleMap.obstacles.length === 0) return { x: fx, y: fy };
+
+    for (const shape of this.obstacleMap.getShapesNear(x, y, margin, this.width, this.height)) {
+      const { distance, nx, ny } = ObstacleMap.getSurface(shape, x, y);
+      if (distance >= margin) continue;
+      const weight = Math.min(1, (margin - distance) / margin);
+      // Of the two tangents, slide along the one closer to the heading
+      const side = Math.sign(-ny * Math.cos(heading) + nx * Math.sin(heading)) || 1;
+      fx += (nx - side * ny * 0.5) * weight;
+      fy += (ny + side * nx * 0.5) * weight;
+    }
+    return { x: fx, y: fy };
+  }
+
+  /**
+   * Random position within bounds clear of obstacles (falls back to any position)
+   */
+  getFreePosition(bounds) {
+    let x = 0;
+    let y = 0;
+    for (let attempt = 0; attempt < 20; attempt++) {
+      x = bounds.minX + Math.random() * (bounds.maxX - bounds.minX);
+      y = bounds.minY + Math.random() * (bounds.maxY - bounds.minY);
+      if (!this.isBlocked(x, y, World.OBSTACLE_CLEARANCE)) break;
+    }
+    return { x, y };
+  }
+
+  /**
+   * Remove food particles and carcasses inside obstacles (after obstacles change)
+   */
+  removeFoodInObstacles() {
+    for (let i = this.foodParticles.length - 1; i >= 0; i--) {
+      const food = this.foodParticles[i];
+      if (!this.isBlocked(food.x, food.y)) continue;
+      this.foodParticles.splice(i, 1);
+      this.removeFoodFromGrid(food, food.x, food.y);
+      this.foodPool.release(food);
+    }
+    this.carcasses = this.carcasses.filter(carcass => !this.isBlocked(carcass.x, carcass.y));
+  }
+
+  /**
+   * Move an organism overlapping obstacles out of them, bouncing its velocity off the surface
+   * like the world edges do
+   */
+  pushOutOfObstacles(organism) {
+    const size = organism.phenotype.size;
+    for (const shape of this.obstacleMap.getShapesNear(organism.x, organism.y, size, this.width, this.height)) {
+      const { distance, nx, ny } = ObstacleMap.getSurface(shape, organism.x, organism.y);
+      if (distance >= size) continue;
+
+      organism.x += nx * (size - distance);
+      organism.y += ny * (size - distance);
+      const normalSpeed = organism.vx * nx + organism.vy * ny;
+      if (normalSpeed < 0) {
+        organism.vx -= 1.5 * normalSpeed * nx;
+        organism.vy -= 1.5 * normalSpeed * ny;
+      }
     }
   }
 
@@ -437,17 +756,24 @@ export class World {
     if (this.isPaused) return;
 
     this.time += deltaTime;
+    this.clock = EnvironmentClock.getState(this.time, this.cycles);
+
+    // Scheduled events, event durations and plague outbreaks
+    this.updateEvents(deltaTime);
 
     // Update all organisms (physics only)
     for (const organism of this.organisms) {
       // Apply temperature effect to metabolism
-      const tempModifiedDelta = deltaTime * this.temperature;
-      organism.update(tempModifiedDelta);
+      const tempModifiedDelta = deltaTime * this.getTemperature();
+      organism.update(tempModifiedDelta, this);
 
       // Update spatial grid position
       this.updateGrid(organism);
     }
 
+    // Autotrophs gain energy from light
+    this.handlePhotosynthesis(deltaTime);
+
     // Update priorities every 500ms
     if (this.time - this.lastPriorityUpdate > 500) {
       this.updateOrganismPriorities();
@@ -489,20 +815,34 @@ export class World {
     // Handle collisions
     this.handleCollisions();
 
+    // Add offspring conceived during collisions (sexual reproduction)
+    for (const offspring of this.pendingBirths) {
+      this.addOrganism(offspring);
+    }
+    this.pendingBirths = [];
+
     // Handle food consumption
     this.handleFoodConsumption();
+    this.handleCarcassConsumption(deltaTime);
 
-    // Remove dead organisms
+    // Phage-like gene transfer between nearby organisms
+    if (this.horizontalTransfer.transductionRate > 0) {
+      this.handleTransduction(deltaTime);
+    }
+
+    // Remove dead organisms (leaving carcasses) and decompose carcasses
     this.removeDeadOrganisms();
+    this.decayCarcasses(deltaTime);
 
     // Keep organisms in bounds
     this.keepOrganismsInBounds();
 
-    // Spawn food based on food spawn rate
-    const maxFood = Math.floor(30 + this.foodSpawnRate * 50); // Increased from 10+20 to 30+50
+    // Spawn food based on food spawn rate (seasonal when the cycles are on)
+    const foodSpawnRate = this.getFoodSpawnRate();
+    const maxFood = Math.floor(30 + foodSpawnRate * 50); // Increased from 10+20 to 30+50
 
     // Spawn food clusters (more realistic food distribution)
-    const clusterSpawnChance = 0.003 * deltaTime * this.foodSpawnRate; // 3x more likely
+    const clusterSpawnChance = 0.003 * deltaTime * foodSpawnRate; // 3x more likely
     if (this.foodParticles.length < maxFood && Math.random() < clusterSpawnChance) {
       // 70% chance of cluster, 30% chance of single food
       if (Math.random() < 0.7) {
@@ -562,10 +902,22 @@ export class World {
     }
   }
 
+  /**
+   * Winner of a fight eats the killed organism (meat, digested by the winner's diet)
+   */
+  eatPrey(predator, prey) {
+    this.energyFlow.meat += predator.consume(prey.phenotype.size * 10, 'meat', prey.getTrophicLevel());
+  }
+
   /**
    * Resolve collision between two organisms
    */
   resolveCollision(org1, org2) {
+    // Conjugation happens on any contact, across species boundaries
+    if (this.horizontalTransfer.conjugationRate > 0) {
+      this.tryConjugation(org1, org2);
+    }
+
     // Check if parent-child relationship exists
     if (org1.isParentChildRelation(org2)) {
       // Just push apart, no combat
@@ -583,6 +935,11 @@ export class World {
 
     // Check for cooperation first (if same species and no one is attacking)
     if (!org1Attacking && !org2Attacking && org1.isSameSpecies(org2)) {
+      // Mate if sexual reproduction is enabled and both partners are ready
+      if (this.sexualReproduction) {
+        this.tryMating(org1, org2);
+      }
+
       // Try cooperation (energy sharing)
       const cooperated1 = org1.cooperateWith(org2);
       const cooperated2 = org2.cooperateWith(org1);
@@ -615,13 +972,13 @@ export class World {
       org2.takeDamage(5);
       if (!org2.isAlive) {
         // Winner consumes loser
-        org1.consume(org2.phenotype.size * 10);
+        this.eatPrey(org1, org2);
         this.combatKills++;
       }
     } else if (org2Attacking && power2 > power1) {
       org1.takeDamage(5);
       if (!org1.isAlive) {
-        org2.consume(org1.phenotype.size * 10);
+        this.eatPrey(org2, org1);
         this.combatKills++;
       }
     } else if (org1Attacking && org2Attacking) {
@@ -629,13 +986,13 @@ export class World {
       if (power1 > power2) {
         org2.takeDamage(5);
         if (!org2.isAlive) {
-          org1.consume(org2.phenotype.size * 10);
+          this.eatPrey(org1, org2);
           this.combatKills++;
         }
       } else if (power2 > power1) {
         org1.takeDamage(5);
         if (!org1.isAlive) {
-          org2.consume(org1.phenotype.size * 10);
+          this.eatPrey(org2, org1);
           this.combatKills++;
         }
       } else {
@@ -649,6 +1006,73 @@ export class World {
     this.pushOrganismsApart(org1, org2);
   }
 
+  /**
+   * Attempt sexual reproduction between two colliding organisms
+   * Offspring are queued and added to the world after collision handling; partners then
+   * wait out Organism.MATING_REFRACTORY before mating again
+   */
+  tryMating(org1, org2) {
+    if (!org1.canMateWith(org2)) return null;
+
+    const offspring = org1.reproduceWith(org2, this.mutationModel, this);
+    if (offspring) {
+      this.pendingBirths.push(offspring);
+      this.matingEvents++;
+    }
+    return offspring;
+  }
+
+  /**
+   * Attempt conjugation between two touching organisms
+   * A random partner acts as donor and passes one gene to the other
+   */
+  tryConjugation(org1, org2) {
+    if (Math.random() >= this.horizontalTransfer.conjugationRate) return null;
+
+    const [donor, recipient] = Math.random() < 0.5 ? [org1, org2] : [org2, org1];
+    return this.transferGene(donor.genome.genes, donor.id, donor.getSpeciesId(), recipient, 'conjugation');
+  }
+
+  /**
+   * Phage-like transduction: a random organism's gene is carried to a nearby organism
+   * Expected events per second = transductionRate
+   */
+  handleTransduction(deltaTime) {
+    if (Math.random() >= this.horizontalTransfer.transductionRate * deltaTime / 1000) return;
+
+    const alive = this.getAliveOrganisms();
+    if (alive.length < 2) return;
+
+    const donor = alive[Math.floor(Math.random() * alive.length)];
+    const neighbors = this.getOrganismsNear(donor.x, donor.y, World.TRANSDUCTION_RANGE)
+      .filter(org => org !== donor && org.isAlive);
+    if (neighbors.length === 0) return;
+
+    const recipient = neighbors[Math.floor(Math.random() * neighbors.length)];
+    this.transferGene(donor.genome.genes, donor.id, donor.getSpeciesId(), recipient, 'transduction');
+  }
+
+  /**
+   * Move one random gene from a donor gene map into a recipient organism
+   * Transfers between species are reported to the genealogy tracker as reticulate edges
+   */
+  transferGene(donorGenes, donorId, donorSpeciesId, recipient, mode) {
+    const names = Object.keys(donorGenes);
+    if (names.length === 0 || recipient.isPlayer) return null;
+
+    const geneName = names[Math.floor(Math.random() * names.length)];
+    const localTemperature = this.getBiomeAt(recipient.x, recipient.y)?.temperature ?? 1;
+    const transfer = recipient.receiveGene(donorGenes[geneName], geneName, mode, donorId, this.getTemperature() * localTemperature);
+    if (!transfer) return null;
+
+    this.geneTransferEvents++;
+    const recipientSpeciesId = recipient.getSpeciesId();
+    if (donorSpeciesId !== recipientSpeciesId) {
+      this.genealogyTracker.recordTransfer(donorSpeciesId, recipientSpeciesId, mode, transfer.gene);
+    }
+    return transfer;
+  }
+
   /**
    * Push two organisms apart to prevent overlap
    */
@@ -696,8 +1120,13 @@ export class World {
           const minDist = organism.phenotype.size + food.radius;
 
           if (distSq < minDist * minDist) {
-            organism.consume(food.energy);
+            this.energyFlow.plant += organism.consume(food.energy);
             consumedFood.add(food);
+
+            // Transformation: take up free DNA released by a dead organism
+            if (food.dna && Math.random() < this.horizontalTransfer.transformationRate) {
+              this.transferGene(food.dna.genes, food.dna.donorId, food.dna.speciesId, organism, 'transformation');
+            }
             break; // Organism can only eat one food per frame
           }
         }
@@ -720,30 +1149,254 @@ export class World {
   }
 
   /**
-   * Remove dead organisms
+   * Light level at a position (0 dark, up to light.intensity at the top of the world)
+   */
+  getLightAt(x, y) {
+    const depth = Math.max(0, Math.min(1, y / this.height));
+    return this.light.intensity * this.clock.daylight * (1 - this.light.depthFalloff * depth);
+  }
+
+  /**
+   * Current temperature: the temperature setting modulated by the day/night and seasonal cycles
+   */
+  getTemperature() {
+    let heat = 1;
+    for (const event of this.activeEvents) {
+      if (event.type === 'heatWave') heat += event.intensity;
+    }
+    return this.temperature * this.clock.temperatureFactor * heat;
+  }
+
+  /**
+   * Current food spawn rate: the food spawn rate setting modulated by the seasons (0 during a famine)
+   */
+  getFoodSpawnRate() {
+    if (this.isEventActive('famine')) return 0;
+    return this.foodSpawnRate * this.clock.foodFactor;
+  }
+
+  /**
+   * Trigger an environmental event now (see WorldEvents) and log it in the statistics
+   * @param {string} type - Key of WorldEvents.TYPES
+   * @param {Object} params - Parameters overriding the type's defaults
+   * @returns {Object} The event
+   */
+  triggerEvent(type, params = {}) {
+    const event = WorldEvents.create(type, params, this.time);
+    const summary = WorldEvents.apply(this, event);
+    if (event.endTime > this.time) {
+      this.activeEvents.push(event);
+    }
+
+    const { name, icon } = WorldEvents.TYPES[type];
+    this.statsTracker.recordEvent({ time: this.time, type, label: `${icon} ${name}`, summary });
+    console.log(`${icon} ${name}: ${summary}`);
+    return event;
+  }
+
+  /**
+   * Fire scheduled events reached during this frame, end expired events and spread plagues
+   */
+  updateEvents(deltaTime) {
+    const previousTime = this.time - deltaTime;
+    for (const scheduled of this.eventSchedule) {
+      if (!WorldEvents.isValidScheduleEntry(scheduled)) continue;
+      if (scheduled.time > previousTime && scheduled.time <= this.time) {
+        this.triggerEvent(scheduled.type, scheduled.params);
+      }
+    }
+
+    const plagueActive = this.isEventActive('plague');
+    this.activeEvents = this.activeEvents.filter(event => event.endTime > this.time);
+
+    for (const event of this.activeEvents) {
+      if (event.type === 'plague') WorldEvents.spreadPlague(this, event, deltaTime);
+    }
+
+    // Outbreaks end with the last plague
+    if (plagueActive && !this.isEventActive('plague')) {
+      for (const organism of this.organisms) organism.infected = false;
+    }
+  }
+
+  /**
+   * Whether an event of a type is in effect
+   */
+  isEventActive(type) {
+    return this.activeEvents.some(event => event.type === type);
+  }
+
+  /**
+   * Remove food particles and carcasses within a radius (meteor impacts)
+   */
+  clearArea(x, y, radius) {
+    for (let i = this.foodParticles.length - 1; i >= 0; i--) {
+      const food = this.foodParticles[i];
+      if (Math.hypot(food.x - x, food.y - y) > radius) continue;
+      this.foodParticles.splice(i, 1);
+      this.removeFoodFromGrid(food, food.x, food.y);
+      this.foodPool.release(food);
+    }
+    this.carcasses = this.carcasses.filter(carcass => Math.hypot(carcass.x - x, carcass.y - y) > radius);
+  }
+
+  /**
+   * Current vision range of an organism (shorter at night)
+   */
+  getVisionRange(organism) {
+    return organism.phenotype.visionRange * this.clock.visionFactor;
+  }
+
+  /**
+   * Photosynthesis: organisms with the photosynthesis trait gain energy from the light where
+   * they are, shaded by photosynthetic neighbors (see Photosynthesis)
+   */
+  handlePhotosynthesis(deltaTime) {
+    const deltaSeconds = deltaTime / 1000;
+
+    for (const organism of this.organisms) {
+      if (!organism.isAlive || !(organism.phenotype.photosynthesis > 0)) continue;
+
+      const energy = this.getPhotosynthesisYield(organism, Photosynthesis.getSpeedFraction(organism)) * deltaSeconds;
+      if (energy > 0) {
+        this.energyFlow.light += organism.photosynthesize(energy);
+      }
+    }
+  }
+
+  /**
+   * Energy per second an organism gains from light where it is (see Photosynthesis.getYield)
+   * @param {number} speed - Speed as a fraction of maximum speed (0 = still)
+   */
+  getPhotosynthesisYield(organism, speed = 0) {
+    const light = this.getLightAt(organism.x, organism.y);
+    if (light <= 0) return 0;
+
+    return Photosynthesis.getYield(organism.phenotype, light, this.getShade(organism), speed);
+  }
+
+  /**
+   * Shade over an organism from nearby autotrophs, re-measured every Photosynthesis.SHADE_INTERVAL ms
+   * (the first measurement starts at a random phase so organisms do not all query on the same frame)
+   */
+  getShade(organism) {
+    if (organism._shadeTime === undefined) {
+      organism._shadeTime = this.time - Photosynthesis.SHADE_INTERVAL * (1 + Math.random());
+    }
+    if (this.time - organism._shadeTime >= Photosynthesis.SHADE_INTERVAL) {
+      const neighbors = this.getOrganismsNear(organism.x, organism.y, organism.phenotype.size * Photosynthesis.SHADE_RANGE);
+      organism._shade = Photosynthesis.getShade(organism, neighbors);
+      organism._shadeTime = this.time;
+    }
+    return organism._shade;
+  }
+
+  /**
+   * Eat carcasses: every organism touching a carcass bites off carrion in proportion to its
+   * carrion digestion (see Carcass.BITE_RATE) and is poisoned by the carcass's toxicity in
+   * proportion to the share it ate. Organisms that can barely digest carrion leave it alone.
+   * A carcass stays until it is eaten up or has decomposed.
+   */
+  handleCarcassConsumption(deltaTime) {
+    for (let i = this.carcasses.length - 1; i >= 0; i--) {
+      const carcass = this.carcasses[i];
+      const eaters = this.getOrganismsNear(carcass.x, carcass.y, carcass.radius + 20);
+
+      for (const organism of eaters) {
+        if (carcass.isDecomposed) break;
+
+        const dx = organism.x - carcass.x;
+        const dy = organism.y - carcass.y;
+        const minDist = organism.phenotype.size + carcass.radius;
+        if (dx * dx + dy * dy >= minDist * minDist) continue;
+
+        const digestion = Diet.getDigestion(organism.phenotype, 'carrion');
+        if (digestion < Carcass.MIN_DIGESTION) continue;
+
+        const bite = Math.min(carcass.energy, Carcass.BITE_RATE * digestion * deltaTime);
+        const share = bite / carcass.initialEnergy;
+        carcass.energy -= bite;
+
+        this.energyFlow.carrion += organism.consume(bite, 'carrion', carcass.trophicLevel);
+        if (carcass.toxicity > 0) {
+          organism.ingestToxin(carcass.toxicity * Carcass.TOXIN_DAMAGE * share);
+        }
+
+        // Transformation: take up the dead organism's DNA (the rate applies per whole carcass eaten)
+        if (Math.random() < this.horizontalTransfer.transformationRate * share) {
+          this.transferGene(carcass.dna.genes, carcass.dna.donorId, carcass.dna.speciesId, organism, 'transformation');
+        }
+      }
+
+      if (carcass.isDecomposed) {
+        this.carcasses.splice(i, 1);
+      }
+    }
+  }
+
+  /**
+   * Remove dead organisms, leaving their carcasses behind
    */
   removeDeadOrganisms() {
-    // Convert dead organisms to food
     for (let i = this.organisms.length - 1; i >= 0; i--) {
       const organism = this.organisms[i];
       if (!organism.isAlive && organism !== this.playerOrganism) {
-        // Leave food behind
-        this.addFood(organism.x, organism.y, organism.phenotype.size * 5);
+        this.carcasses.push(new Carcass(organism, this.decomposition.decayTime, this.decomposition.toxicCarcasses));
         this.organisms.splice(i, 1);
       }
     }
   }
 
+  /**
+   * Decompose carcasses: decayed energy is released nearby as nutrient particles (food that
+   * carries the dead organism's DNA); fully decomposed carcasses are removed
+   */
+  decayCarcasses(deltaTime) {
+    for (let i = this.carcasses.length - 1; i >= 0; i--) {
+      const carcass = this.carcasses[i];
+      const particles = carcass.decay(deltaTime);
+
+      for (let p = 0; p < particles; p++) {
+        const angle = Math.random() * Math.PI * 2;
+        const distance = carcass.size + Math.random() * carcass.size * 2;
+        const x = Math.max(5, Math.min(this.width - 5, carcass.x + Math.cos(angle) * distance));
+        const y = Math.max(5, Math.min(this.height - 5, carcass.y + Math.sin(angle) * distance));
+        this.addFood(x, y, Carcass.NUTRIENT_ENERGY, carcass.dna);
+      }
+
+      if (carcass.isDecomposed) {
+        this.carcasses.splice(i, 1);
+      }
+    }
+  }
+
   /**
    * Keep organisms within world bounds (and section bounds if separation enabled)
    */
   keepOrganismsInBounds() {
+    const hasObstacles = this.obstacleMap.obstacles.length > 0;
     for (const organism of this.organisms) {
       const size = organism.phenotype.size;
 
+      if (hasObstacles) this.pushOutOfObstacles(organism);
+
       // If sections are enabled, enforce section boundaries
+      // (organisms moving into a permeable wall may cross into the neighboring section)
       if (this.separationSections > 1 && organism._assignedSection !== undefined) {
-        const bounds = this.getSectionBounds(organism._assignedSection);
+        let bounds = this.getSectionBounds(organism._assignedSection);
+
+        if (organism.x < bounds.minX + size || organism.x > bounds.maxX - size) {
+          const dx = organism.x < bounds.minX + size ? -1 : 1;
+          if (organism.vx * dx > 0 && this.tryMigrate(organism, dx, 0)) {
+            bounds = this.getSectionBounds(organism._assignedSection);
+          }
+        }
+        if (organism.y < bounds.minY + size || organism.y > bounds.maxY - size) {
+          const dy = organism.y < bounds.minY + size ? -1 : 1;
+          if (organism.vy * dy > 0 && this.tryMigrate(organism, 0, dy)) {
+            bounds = this.getSectionBounds(organism._assignedSection);
+          }
+        }
 
         if (organism.x < bounds.minX + size) {
           organism.x = bounds.minX + size;
@@ -843,6 +1496,18 @@ export class World {
     return nearby;
   }
 
+  /**
+   * Get carcasses near a position
+   */
+  getCarcassesNear(x, y, radius) {
+    const radiusSq = radius * radius;
+    return this.carcasses.filter(carcass => {
+      const dx = carcass.x - x;
+      const dy = carcass.y - y;
+      return dx * dx + dy * dy <= radiusSq;
+    });
+  }
+
   /**
    * Spawn initial population
    */
@@ -858,7 +1523,9 @@ export class World {
     let remainder = total % speciesCount;
 
     // Create distinct base genomes per species
-    const baseGenomes = Array.from({ length: speciesCount }, () => Genome.createDefault());
+    const geneticCode = GeneticCode.fromNCBI(this.geneticCodeTable);
+    const genomeOptions = { diploid: this.ploidy === 2, dominance: this.dominanceModel };
+    const baseGenomes = Array.from({ length: speciesCount }, () => Genome.createDefault(geneticCode, genomeOptions));
 
     const initialOrganisms = [];
 
@@ -873,13 +1540,17 @@ export class World {
       let speciesFounderId = null; // Track the founder ID for this species
 
       for (let i = 0; i < countForSpecies; i++) {
-        // Spawn within the assigned section
-        const x = bounds.minX + Math.random() * (bounds.maxX - bounds.minX);
-        const y = bounds.minY + Math.random() * (bounds.maxY - bounds.minY);
+        // Spawn within the assigned section, outside obstacles
+        const { x, y } = this.getFreePosition(bounds);
 
         // Clone base genome so organisms are independent but remain same species
         const genome = baseGenomes[s].clone();
 
+        // The first share of each species gets its own neural brain, the rest use the rule-based AI
+        if (i < Math.round(countForSpecies * this.neuralBrains.fraction)) {
+          genome.brain = NeuralGenome.createDefault();
+        }
+
         // Create organism with founder ID
         // First organism (speciesFounderId=null): becomes its own founder
         // Subsequent organisms: inherit the first organism's ID as founder
@@ -1021,6 +1692,39 @@ export class World {
     }
   }
 
+  /**
+   * Spawn a new species from an imported genome
+   * All spawned organisms share the genome (cloned) and the first one becomes the founder
+   * @param {Genome} genome - Genome to spawn from
+   * @param {number} count - Number of organisms to spawn
+   * @returns {Organism[]} Spawned organisms
+   */
+  spawnFromGenome(genome, count = 5) {
+    const spawned = [];
+    let speciesFounderId = null;
+
+    // Imported species settle together in one (random) section
+    const sectionIndex = Math.floor(Math.random() * Math.max(1, this.separationSections));
+    const bounds = this.getSectionBounds(sectionIndex);
+
+    for (let i = 0; i < count; i++) {
+      const { x, y } = this.getFreePosition(bounds);
+      const organism = new Organism(x, y, genome.clone(), null, speciesFounderId);
+
+      if (speciesFounderId === null) {
+        speciesFounderId = organism.id;
+      }
+
+      organism._assignedSection = sectionIndex;
+      organism.energy = 50 + Math.random() * 50;
+      this.addOrganism(organism);
+      spawned.push(organism);
+    }
+
+    this.genealogyTracker.registerInitialSpecies(spawned);
+    return spawned;
+  }
+
   /**
    * Update environment parameters
    */
@@ -1031,8 +1735,53 @@ export class World {
     if (params.temperature !== undefined) {
       this.temperature = params.temperature;
     }
-    if (params.mutationRate !== undefined) {
-      this.mutationRate = params.mutationRate;
+    if (params.mutationModel !== undefined) {
+      this.mutationModel = this.mutationModel.with(params.mutationModel);
+    } else if (Number.isFinite(params.mutationRate)) {
+      // Settings saved before the mutation model only have a per-birth rate
+      this.mutationModel = this.mutationModel.with({
+        perBaseRate: MutationModel.perBaseRateFromMutationRate(params.mutationRate)
+      });
+    }
+    if (params.sexualReproduction !== undefined) {
+      this.sexualReproduction = params.sexualReproduction;
+    }
+    if (params.mutationWeights !== undefined) {
+      this.mutationWeights = { ...this.mutationWeights, ...params.mutationWeights };
+    }
+    if (params.horizontalTransfer !== undefined) {
+      this.horizontalTransfer = { ...this.horizontalTransfer, ...params.horizontalTransfer };
+    }
+    if (params.epigenetics !== undefined) {
+      this.epigenetics = { ...this.epigenetics, ...params.epigenetics };
+    }
+    if (params.neuralBrains !== undefined) {
+      this.neuralBrains = { ...this.neuralBrains, ...params.neuralBrains };
+    }
+    if (params.decomposition !== undefined) {
+      this.decomposition = { ...this.decomposition, ...params.decomposition };
+    }
+    if (params.light !== undefined) {
+      this.light = { ...this.light, ...params.light };
+    }
+    if (params.eventSchedule !== undefined) {
+      // Saved schedules may hold stale or corrupted entries: drop those that cannot fire
+      this.eventSchedule = (Array.isArray(params.eventSchedule) ? params.eventSchedule : [])
+        .filter(entry => WorldEvents.isValidScheduleEntry(entry))
+        .sort((a, b) => a.time - b.time);
+    }
+    if (params.cycles !== undefined) {
+      this.cycles = { ...this.cycles, ...params.cycles };
+      this.clock = EnvironmentClock.getState(this.time, this.cycles);
+    }
+    if (params.biomes !== undefined) {
+      const { cells = null, ...biomes } = params.biomes;
+      this.biomes = { ...this.biomes, ...biomes };
+      this.buildBiomeMap(cells);
+    }
+    if (params.obstacles !== undefined) {
+      this.obstacleMap = ObstacleMap.fromJSON(params.obstacles);
+      this.removeFoodInObstacles();
     }
     if (params.initialPopulation !== undefined) {
       this.initialPopulation = params.initialPopulation;
@@ -1043,6 +1792,27 @@ export class World {
     if (params.initialSpecies !== undefined) {
       this.initialSpecies = params.initialSpecies;
     }
+    if (params.geneticCodeTable !== undefined) {
+      // Unknown table ids (e.g. from a corrupted save) fall back to the standard code
+      this.geneticCodeTable = Object.hasOwn(GeneticCode.NCBI_TABLES, params.geneticCodeTable)
+        ? Number(params.geneticCodeTable)
+        : 1;
+    }
+    if (params.ploidy !== undefined) {
+      this.ploidy = params.ploidy;
+    }
+    if (params.dominanceModel !== undefined) {
+      this.dominanceModel = params.dominanceModel;
+    }
+    if (params.traitScenario !== undefined) {
+      this.traitScenario = params.traitScenario;
+    }
+    if (params.walls !== undefined) {
+      for (const [id, changes] of Object.entries(params.walls)) {
+        this.walls[id] = { ...this.walls[id], ...changes };
+        this.wallState[id] = { ...this.wallState[id], ...changes };
+      }
+    }
     if (params.separationSections !== undefined) {
       this.separationSections = params.separationSections;
       // Redistribute existing organisms when sections change
@@ -1057,11 +1827,30 @@ export class World {
     return {
       foodSpawnRate: this.foodSpawnRate,
       temperature: this.temperature,
-      mutationRate: this.mutationRate,
+      mutationModel: this.mutationModel.toJSON(),
+      sexualReproduction: this.sexualReproduction,
+      mutationWeights: this.mutationWeights,
+      horizontalTransfer: this.horizontalTransfer,
+      epigenetics: this.epigenetics,
+      neuralBrains: this.neuralBrains,
+      decomposition: this.decomposition,
+      light: this.light,
+      cycles: this.cycles,
+      eventSchedule: this.eventSchedule,
+      biomes: {
+        ...this.biomes,
+        cells: this.biomes.mode === 'painted' ? this.biomeMap.encode() : null
+      },
       initialPopulation: this.initialPopulation,
       initialFoodCount: this.initialFoodCount,
       initialSpecies: this.initialSpecies,
+      geneticCodeTable: this.geneticCodeTable,
+      ploidy: this.ploidy,
+      dominanceModel: this.dominanceModel,
+      traitScenario: this.traitScenario,
       separationSections: this.separationSections,
+      walls: this.walls,
+      obstacles: this.obstacleMap.toJSON(),
     };
   }
 
@@ -1082,13 +1871,22 @@ export class World {
     this.organisms = [];
     this.organismAIs.clear();
     this.foodParticles = [];
+    this.carcasses = [];
     this.grid.clear();
     this.foodGrid.clear();
     this.time = 0;
+    this.clock = EnvironmentClock.getState(0, this.cycles);
+    this.activeEvents = [];
     this.playerOrganism = null;
     this.statsTracker.clear();
     this.genealogyTracker.clear();
     this.combatKills = 0;
+    this.migrations = {};
+    this.wallState = structuredClone(this.walls);
+    this.energyFlow = { plant: 0, meat: 0, carrion: 0, light: 0 };
+    this.matingEvents = 0;
+    this.geneTransferEvents = 0;
+    this.pendingBirths = [];
 
     // Clear species tracking
     this.speciesFounders.clear();
@@ -1108,6 +1906,7 @@ export class World {
       totalOrganisms: this.organisms.length,
       aliveOrganisms: alive.length,
       foodParticles: this.foodParticles.length,
+      carcasses: this.carcasses.length,
       worldTime: this.time.toFixed(1),
       averageEnergy: alive.length > 0
         ? (alive.reduce((sum, org) => sum + org.energy, 0) / alive.length).toFixed(1)
@@ -0,0 +1,179 @@
+/**
+ * WorldEvents - Environmental events and catastrophes
+ *
+ * Events shock a running world, either triggered by hand or scheduled at world times
+ * (World.eventSchedule):
+ * - extinction: kills a fraction of the population at random, or the organisms with the
+ *   highest or lowest value of a trait (selective bottleneck)
+ * - meteor: destroys every organism, food particle and carcass within a radius
+ * - famine: stops food spawning for a while
+ * - heatWave: raises the temperature for a while
+ * - plague: infects a few organisms with a pathogen that drains energy and spreads on
+ *   contact, mostly within a species, until the outbreak ends
+ * - walls: opens or closes section walls (vicariance and secondary contact; see
+ *   World.getSectionWalls)
+ *
+ * Events with a duration stay in World.activeEvents until they end. Every event is logged
+ * with its world time in the StatisticsTracker so charts can mark it.
+ */
+export class WorldEvents {
+  static TYPES = {
+    extinction: {
+      name: 'Mass Extinction', icon: '💀', color: '#e57373',
+      defaults: { fraction: 0.5, trait: null, highest: true }
+    },
+    meteor: {
+      name: 'Meteor Impact', icon: '☄️', color: '#ffb74d',
+      defaults: { x: null, y: null, radius: 150, duration: 5000 }
+    },
+    famine: {
+      name: 'Famine', icon: '🥀', color: '#a1887f',
+      defaults: { duration: 30000 }
+    },
+    heatWave: {
+      name: 'Heat Wave', icon: '🔥', color: '#ff7043',
+      defaults: { duration: 30000, intensity: 0.5 }
+    },
+    plague: {
+      name: 'Plague', icon: '🦠', color: '#9ccc65',
+      defaults: { duration: 60000, initialFraction: 0.05, transmission: 0.5, damage: 2, recovery: 0.05 }
+    },
+    walls: {
+      name: 'Wall Change', icon: '🧱', color: '#b0bec5',
+      defaults: { wall: null, permeability: 0, asymmetry: 0 }
+    }
+  };
+
+  // Contact range for plague transmission, in body sizes
+  static CONTAGION_RANGE = 3;
+
+  // Relative chance of infecting an organism of another species (pathogens are host-specific)
+  static CROSS_SPECIES_TRANSMISSION = 0.2;
+
+  /**
+   * Whether a schedule entry can fire: a known type at a finite time, with optional params
+   */
+  static isValidScheduleEntry(entry) {
+    return Object.hasOwn(WorldEvents.TYPES, entry?.type) &&
+      Number.isFinite(entry.time) &&
+      (entry.params === undefined || entry.params === null || typeof entry.params === 'object');
+  }
+
+  /**
+   * Create an event with the type's defaults
+   * @param {string} type - Key of TYPES
+   * @param {Object} params - Parameters overriding the defaults
+   * @param {number} time - World time the event starts at (ms)
+   */
+  static create(type, params, time) {
+    const definition = WorldEvents.TYPES[type];
+    if (!definition) throw new Error(`Unknown event type "${type}"`);
+
+    const event = { type, ...definition.defaults, ...params, startTime: time };
+    event.endTime = time + (event.duration ?? 0);
+    return event;
+  }
+
+  /**
+   * Apply the immediate effect of an event
+   * @returns {string} Summary of what happened (for the event log)
+   */
+  static apply(world, event) {
+    switch (event.type) {
+      case 'extinction': {
+        const killed = WorldEvents.selectVictims(world.getAliveOrganisms(), event);
+        for (const organism of killed) organism.die();
+        const selection = event.trait ? ` (${event.highest ? 'highest' : 'lowest'} ${event.trait})` : '';
+        return `${killed.length} organisms killed${selection}`;
+      }
+      case 'meteor': {
+        event.x ??= Math.random() * world.width;
+        event.y ??= Math.random() * world.height;
+        const killed = world.getOrganismsNear(event.x, event.y, event.radius)
+          .filter(organism => organism.isAlive && Math.hypot(organism.x - event.x, organism.y - event.y) <= event.radius);
+        for (const organism of killed) organism.die();
+        world.clearArea(event.x, event.y, event.radius);
+        return `${killed.length} organisms killed at (${event.x.toFixed(0)}, ${event.y.toFixed(0)})`;
+      }
+      case 'famine':
+        return `No food spawns for ${(event.duration / 1000).toFixed(0)}s`;
+      case 'heatWave':
+        return `Temperature +${(event.intensity * 100).toFixed(0)}% for ${(event.duration / 1000).toFixed(0)}s`;
+      case 'plague': {
+        const alive = world.getAliveOrganisms();
+        const count = Math.max(1, Math.round(alive.length * event.initialFraction));
+        const infected = WorldEvents.shuffle(alive).slice(0, count);
+        for (const organism of infected) organism.infected = true;
+        return `${infected.length} organisms infected`;
+      }
+      case 'walls': {
+        world.setWallState(event.wall, { permeability: event.permeability, asymmetry: event.asymmetry });
+        const target = event.wall ? `Wall ${WorldEvents.getWallLabel(event.wall)}` : 'All walls';
+        return event.permeability > 0
+          ? `${target} opened (${(event.permeability * 100).toFixed(0)}% permeable)`
+          : `${target} closed`;
+      }
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Organisms killed by a mass extinction: a random fraction, or the fraction with the
+   * highest (or lowest) value of event.trait
+   */
+  static selectVictims(organisms, event) {
+    const count = Math.round(organisms.length * event.fraction);
+    if (!event.trait) return WorldEvents.shuffle(organisms).slice(0, count);
+
+    const sign = event.highest ? -1 : 1;
+    return [...organisms]
+      .sort((a, b) => sign * ((a.phenotype[event.trait] ?? 0) - (b.phenotype[event.trait] ?? 0)))
+      .slice(0, count);
+  }
+
+  /**
+   * Plague for deltaTime: infected organisms lose energy, infect organisms in contact and may recover
+   */
+  static spreadPlague(world, event, deltaTime) {
+    const deltaSeconds = deltaTime / 1000;
+
+    for (const organism of world.organisms) {
+      if (!organism.infected || !organism.isAlive) continue;
+
+      organism.energy -= event.damage * deltaSeconds;
+
+      const range = organism.phenotype.size * WorldEvents.CONTAGION_RANGE;
+      for (const other of world.getOrganismsNear(organism.x, organism.y, range)) {
+        if (other === organism || other.infected || !other.isAlive) continue;
+        const susceptibility = organism.isSameSpecies(other) ? 1 : WorldEvents.CROSS_SPECIES_TRANSMISSION;
+        if (Math.random() < event.transmission * susceptibility * deltaSeconds) {
+          other.infected = true;
+        }
+      }
+
+      if (Math.random() < event.recovery * deltaSeconds) {
+        organism.infected = false;
+      }
+    }
+  }
+
+  /**
+   * Label of a wall id for display (sections are numbered from 1): "0-1" -> "1↔2"
+   */
+  static getWallLabel(wallId) {
+    return wallId.split('-').map(section => Number(section) + 1).join('↔');
+  }
+
+  /**
+   * Copy of an array in random order (Fisher-Yates)
+   */
+  static shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
@@ -1,11 +1,13 @@
 /**
  * IndexedDB storage utility for persistent session data
- * Stores environment settings and session state
+ * Stores environment settings, trait schemas (one per scenario), obstacle layouts and session state
  */
 
 const DB_NAME = 'EvoWarsDB';
 const DB_VERSION = 1;
 const STORE_NAME = 'settings';
+const TRAIT_SCHEMA_PREFIX = 'traitSchema:';
+const OBSTACLE_LAYOUT_PREFIX = 'obstacleLayout:';
 
 /**
  * Open IndexedDB connection
@@ -48,11 +50,27 @@ export async function saveEnvironmentSettings(settings) {
       settings: {
         foodSpawnRate: settings.foodSpawnRate,
         temperature: settings.temperature,
-        mutationRate: settings.mutationRate,
+        mutationModel: settings.mutationModel,
+        sexualReproduction: settings.sexualReproduction,
+        mutationWeights: settings.mutationWeights,
+        horizontalTransfer: settings.horizontalTransfer,
+        epigenetics: settings.epigenetics,
+        neuralBrains: settings.neuralBrains,
+        decomposition: settings.decomposition,
+        light: settings.light,
+        cycles: settings.cycles,
+        eventSchedule: settings.eventSchedule,
+        biomes: settings.biomes,
         initialPopulation: settings.initialPopulation,
         initialFoodCount: settings.initialFoodCount,
         initialSpecies: settings.initialSpecies,
+        geneticCodeTable: settings.geneticCodeTable,
+        ploidy: settings.ploidy,
+        dominanceModel: settings.dominanceModel,
+        traitScenario: settings.traitScenario,
         separationSections: settings.separationSections,
+        walls: settings.walls,
+        obstacles: settings.obstacles,
       }
     };
 
@@ -151,6 +169,184 @@ export async function loadSampleFrequency() {
   }
 }
 
+/**
+ * Save a trait schema (see TraitSchema) under a scenario name
+ */
+export async function saveTraitSchema(scenario, schema) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    const data = {
+      id: TRAIT_SCHEMA_PREFIX + scenario,
+      timestamp: Date.now(),
+      scenario,
+      schema
+    };
+
+    return new Promise((resolve, reject) => {
+      const request = store.put(data);
+      request.onsuccess = () => resolve(data);
+      request.onerror = () => reject(new Error('Failed to save trait schema'));
+
+      transaction.oncomplete = () => db.close();
+    });
+  } catch (error) {
+    console.error('Error saving trait schema:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load the trait schema saved for a scenario (null if none)
+ */
+export async function loadTraitSchema(scenario) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME], 'readonly');
+    const store = transaction.objectStore(STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      const request = store.get(TRAIT_SCHEMA_PREFIX + scenario);
+
+      request.onsuccess = () => {
+        const result = request.result;
+        resolve(result ? result.schema : null);
+      };
+
+      request.onerror = () => reject(new Error('Failed to load trait schema'));
+
+      transaction.oncomplete = () => db.close();
+    });
+  } catch (error) {
+    console.error('Error loading trait schema:', error);
+    return null;
+  }
+}
+
+/**
+ * List the scenario names that have a saved trait schema
+ */
+export async function listTraitSchemaScenarios() {
+  const records = await getAllStoredData();
+  return records
+    .filter(record => typeof record.id === 'string' && record.id.startsWith(TRAIT_SCHEMA_PREFIX))
+    .map(record => record.scenario)
+    .sort();
+}
+
+/**
+ * Delete the trait schema saved for a scenario
+ */
+export async function deleteTraitSchema(scenario) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      const request = store.delete(TRAIT_SCHEMA_PREFIX + scenario);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error('Failed to delete trait schema'));
+
+      transaction.oncomplete = () => db.close();
+    });
+  } catch (error) {
+    console.error('Error deleting trait schema:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save an obstacle layout (ObstacleMap.toJSON) under a name
+ */
+export async function saveObstacleLayout(name, obstacles) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    const data = {
+      id: OBSTACLE_LAYOUT_PREFIX + name,
+      timestamp: Date.now(),
+      name,
+      obstacles
+    };
+
+    return new Promise((resolve, reject) => {
+      const request = store.put(data);
+      request.onsuccess = () => resolve(data);
+      request.onerror = () => reject(new Error('Failed to save obstacle layout'));
+
+      transaction.oncomplete = () => db.close();
+    });
+  } catch (error) {
+    console.error('Error saving obstacle layout:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load the obstacle layout saved under a name (null if none)
+ */
+export async function loadObstacleLayout(name) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME], 'readonly');
+    const store = transaction.objectStore(STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      const request = store.get(OBSTACLE_LAYOUT_PREFIX + name);
+
+      request.onsuccess = () => {
+        const result = request.result;
+        resolve(result ? result.obstacles : null);
+      };
+
+      request.onerror = () => reject(new Error('Failed to load obstacle layout'));
+
+      transaction.oncomplete = () => db.close();
+    });
+  } catch (error) {
+    console.error('Error loading obstacle layout:', error);
+    return null;
+  }
+}
+
+/**
+ * List the names of the saved obstacle layouts
+ */
+export async function listObstacleLayouts() {
+  const records = await getAllStoredData();
+  return records
+    .filter(record => typeof record.id === 'string' && record.id.startsWith(OBSTACLE_LAYOUT_PREFIX))
+    .map(record => record.name)
+    .sort();
+}
+
+/**
+ * Delete the obstacle layout saved under a name
+ */
+export async function deleteObstacleLayout(name) {
+  try {
+    const db = await openDB();
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+
+    return new Promise((resolve, reject) => {
+      const request = store.delete(OBSTACLE_LAYOUT_PREFIX + name);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error('Failed to delete obstacle layout'));
+
+      transaction.oncomplete = () => db.close();
+    });
+  } catch (error) {
+    console.error('Error deleting obstacle layout:', error);
+    throw error;
+  }
+}
+
 /**
  * Clear all stored data
  */